@@ -1,21 +1,111 @@
 const request = require('supertest');
 const express = require('express');
 
+const TRIP_ID = '550e8400-e29b-41d4-a716-446655440001';
+const mockTrip = {
+  id: TRIP_ID,
+  userId: null,
+  title: 'Trip 1',
+  location: 'Paris',
+  lastUpdated: '2024-01-01',
+  searchData: { searchQuery: 'Things to do in Paris', filters: {} },
+  currentRevision: 2,
+  itinerary: {
+    city: 'Paris, Île-de-France, France',
+    summary: 'A day in Paris',
+    locations: [{ name: 'Louvre', time: '9:00 AM' }],
+    practicalTips: 'Book ahead',
+    metadata: { aiModel: 'mock', aiSource: 'mock', tokenUsage: null }
+  }
+};
+const mockGetTripById = jest.fn();
+const mockUpdateTrip = jest.fn().mockResolvedValue(true);
+const mockGetTripMessages = jest.fn();
+const mockCreateTripMessage = jest.fn().mockImplementation(async (message) => ({ id: 'msg-1', ...message }));
+const mockGenerateTripPlan = jest.fn();
+const mockGetTripRevisions = jest.fn();
+const mockGetTripRevision = jest.fn();
+const mockGetDeletedTrips = jest.fn();
+const mockRestoreTrip = jest.fn();
+const mockLogAuditEvent = jest.fn().mockResolvedValue();
+const mockCreateShareLink = jest.fn();
+const mockGetTripShareLinks = jest.fn();
+const mockRevokeShareLink = jest.fn();
+const mockGetTripMemberRole = jest.fn();
+const mockCreateTripInvitation = jest.fn();
+const mockRespondToInvitation = jest.fn();
+const mockGetTrips = jest.fn();
+const mockCreateTripComment = jest.fn();
+const mockGetTripComment = jest.fn();
+const mockGetLocationComments = jest.fn();
+const mockGetTripCommentCounts = jest.fn();
+const mockUpdateTripComment = jest.fn();
+const mockDeleteTripComment = jest.fn();
+const mockCreateLabel = jest.fn();
+const mockWithTransaction = jest.fn().mockImplementation(async (callback) => callback('transaction-client'));
+const mockGetLabels = jest.fn();
+const mockUpdateLabel = jest.fn();
+const mockDeleteLabel = jest.fn();
+const mockGetTripLabels = jest.fn();
+const mockSetTripTags = jest.fn();
+const mockSetTripCollections = jest.fn();
+const mockCreateTrip = jest.fn().mockImplementation(async (tripData) => ({ ...tripData, currentRevision: 1 }));
+
 // Mock database and unsplash services
 jest.mock('../services/database', () => ({
-  getTrips: jest.fn().mockResolvedValue({
-    trips: [
-      { id: '1', title: 'Trip 1', location: 'Paris', lastUpdated: '2024-01-01', searchData: {} }
-    ],
-    pagination: { total: 1, hasMore: false }
-  }),
+  getTrips: (...args) => mockGetTrips(...args),
+  createTrip: (...args) => mockCreateTrip(...args),
+  getTripById: (...args) => mockGetTripById(...args),
+  updateTrip: (...args) => mockUpdateTrip(...args),
+  getTripMessages: (...args) => mockGetTripMessages(...args),
+  createTripMessage: (...args) => mockCreateTripMessage(...args),
+  getTripRevisions: (...args) => mockGetTripRevisions(...args),
+  getTripRevision: (...args) => mockGetTripRevision(...args),
+  getDeletedTrips: (...args) => mockGetDeletedTrips(...args),
+  restoreTrip: (...args) => mockRestoreTrip(...args),
+  logAuditEvent: (...args) => mockLogAuditEvent(...args),
+  createShareLink: (...args) => mockCreateShareLink(...args),
+  getTripShareLinks: (...args) => mockGetTripShareLinks(...args),
+  revokeShareLink: (...args) => mockRevokeShareLink(...args),
+  getTripMemberRole: (...args) => mockGetTripMemberRole(...args),
+  createTripInvitation: (...args) => mockCreateTripInvitation(...args),
+  respondToInvitation: (...args) => mockRespondToInvitation(...args),
+  createTripComment: (...args) => mockCreateTripComment(...args),
+  getTripComment: (...args) => mockGetTripComment(...args),
+  getLocationComments: (...args) => mockGetLocationComments(...args),
+  getTripCommentCounts: (...args) => mockGetTripCommentCounts(...args),
+  updateTripComment: (...args) => mockUpdateTripComment(...args),
+  deleteTripComment: (...args) => mockDeleteTripComment(...args),
+  createLabel: (...args) => mockCreateLabel(...args),
+  getLabels: (...args) => mockGetLabels(...args),
+  updateLabel: (...args) => mockUpdateLabel(...args),
+  deleteLabel: (...args) => mockDeleteLabel(...args),
+  getTripLabels: (...args) => mockGetTripLabels(...args),
+  setTripTags: (...args) => mockSetTripTags(...args),
+  setTripCollections: (...args) => mockSetTripCollections(...args),
+  withTransaction: (...args) => mockWithTransaction(...args)
+}));
+jest.mock('../services/openai', () => ({
+  generateTripPlan: (...args) => mockGenerateTripPlan(...args)
 }));
+const mockAddImagesToTrips = jest.fn().mockImplementation(trips => trips);
+const mockDownloadImage = jest.fn().mockResolvedValue(null);
 jest.mock('../services/unsplash', () => ({
-  addImagesToTrips: jest.fn().mockImplementation(trips => trips)
+  addImagesToTrips: (...args) => mockAddImagesToTrips(...args),
+  downloadImage: (...args) => mockDownloadImage(...args)
 }));
+// Requests are anonymous unless they send an x-test-user header
+const mockAuthenticate = (req, res, next) => {
+  const userId = req.get('x-test-user');
+  if (userId) {
+    req.userId = userId;
+    req.user = { id: userId, email: `${userId}@example.com` };
+  }
+  next();
+};
 jest.mock('../middleware/auth', () => ({
-  optionalAuth: (req, res, next) => next(),
-  authenticateToken: (req, res, next) => next()
+  optionalAuth: (...args) => mockAuthenticate(...args),
+  authenticateToken: (...args) => mockAuthenticate(...args)
 }));
 
 const chatRouter = require('../routes/chat');
@@ -24,6 +114,50 @@ app.use(express.json());
 app.use('/api/chat', chatRouter);
 
 describe('Chat API', () => {
+  beforeEach(() => {
+    mockGetTripById.mockReset();
+    mockGetTripMessages.mockReset();
+    mockGenerateTripPlan.mockReset();
+    mockUpdateTrip.mockClear();
+    mockGetTripRevisions.mockReset();
+    mockGetTripRevision.mockReset();
+    mockCreateTripMessage.mockClear();
+    mockGetDeletedTrips.mockReset();
+    mockRestoreTrip.mockReset();
+    mockCreateShareLink.mockReset();
+    mockGetTripShareLinks.mockReset();
+    mockRevokeShareLink.mockReset();
+    mockGetTripMemberRole.mockReset();
+    mockCreateTripInvitation.mockReset();
+    mockRespondToInvitation.mockReset();
+    mockGetTrips.mockReset();
+    mockCreateTrip.mockClear();
+    mockLogAuditEvent.mockClear();
+    mockDownloadImage.mockClear();
+    mockCreateTripComment.mockReset();
+    mockGetTripComment.mockReset();
+    mockGetLocationComments.mockReset();
+    mockUpdateTripComment.mockReset();
+    mockDeleteTripComment.mockReset();
+    mockGetTripCommentCounts.mockReset();
+    mockGetTripCommentCounts.mockResolvedValue({});
+    mockCreateLabel.mockReset();
+    mockUpdateLabel.mockReset();
+    mockDeleteLabel.mockReset();
+    mockSetTripTags.mockReset();
+    mockSetTripCollections.mockReset();
+    mockGetLabels.mockReset();
+    mockGetLabels.mockResolvedValue([]);
+    mockGetTripLabels.mockReset();
+    mockGetTripLabels.mockResolvedValue({ tags: [], collections: [] });
+    mockGetTrips.mockResolvedValue({
+      trips: [
+        { id: '1', title: 'Trip 1', location: 'Paris', lastUpdated: '2024-01-01', searchData: {} }
+      ],
+      pagination: { total: 1, hasMore: false }
+    });
+  });
+
   describe('GET /api/chat', () => {
     it('should return trip history', async () => {
       const res = await request(app).get('/api/chat');
@@ -42,4 +176,1180 @@ describe('Chat API', () => {
       expect(res.body.error).toBe('Validation Error');
     });
   });
+
+  describe('GET /api/chat/:chatId', () => {
+    it('should return the trip with its stored itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.trip.itinerary.city).toBe('Paris, Île-de-France, France');
+      expect(res.body.trip.itinerary.locations).toHaveLength(1);
+      expect(res.body.trip.itinerary.metadata.aiSource).toBe('mock');
+      expect(res.body.costEstimate.currency).toBe('EUR');
+    });
+
+    it('should return 404 for a missing trip', async () => {
+      mockGetTripById.mockResolvedValueOnce(null);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`);
+      expect(res.statusCode).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/chat/:chatId/messages', () => {
+    it('should return paginated message history', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripMessages.mockResolvedValueOnce({
+        messages: [{ id: 'msg-1', role: 'user', content: 'Plan my day' }],
+        pagination: { total: 1, limit: 10, offset: 0, hasMore: false, nextOffset: null }
+      });
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/messages?limit=10`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.messages).toHaveLength(1);
+      expect(res.body.pagination.total).toBe(1);
+      expect(mockGetTripMessages).toHaveBeenCalledWith(TRIP_ID, { limit: 10, offset: 0, sortOrder: 'asc' });
+    });
+
+    it('should return 403 for a trip owned by a registered user', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'user-2' });
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/messages`);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('Access Denied');
+    });
+  });
+
+  describe('POST /api/chat/:chatId/messages', () => {
+    it('should return 400 for an empty message', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/messages`).send({ message: '' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+
+    it('should replay the conversation and save the refined plan', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripMessages.mockResolvedValueOnce({
+        messages: [
+          { role: 'assistant', content: 'A day in Paris', plan: { city: 'Paris', locations: [] } },
+          { role: 'user', content: 'Plan my day' }
+        ],
+        pagination: { total: 2 }
+      });
+      mockGenerateTripPlan.mockResolvedValueOnce({
+        content: 'A cheaper day in Paris',
+        city: 'Paris, Île-de-France, France',
+        locations: [{ name: 'Jardin du Luxembourg', time: '9:00 AM' }],
+        practicalTips: 'Bring water',
+        model: 'gpt-4',
+        source: 'openai',
+        usage: { total_tokens: 42 },
+        processingTime: 10
+      });
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/messages`)
+        .send({ message: 'make it cheaper' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.response).toBe('A cheaper day in Paris');
+      expect(res.body.locations[0].name).toBe('Jardin du Luxembourg');
+
+      const [searchData, message, history] = mockGenerateTripPlan.mock.calls[0];
+      expect(searchData).toEqual(mockTrip.searchData);
+      expect(message).toBe('make it cheaper');
+      expect(history).toEqual([
+        { role: 'user', content: 'Plan my day' },
+        { role: 'assistant', content: JSON.stringify({ city: 'Paris', locations: [] }) }
+      ]);
+      expect(mockUpdateTrip).toHaveBeenCalledWith(TRIP_ID, expect.objectContaining({
+        itinerary: expect.objectContaining({ summary: 'A cheaper day in Paris' }),
+        revisionReason: 'refine'
+      }), undefined, expect.any(Object), 'transaction-client');
+      expect(mockCreateTripMessage).toHaveBeenCalledTimes(2);
+      expect(mockCreateTripMessage.mock.calls.map(call => call[1])).toEqual(['transaction-client', 'transaction-client']);
+      expect(mockCreateTripMessage.mock.calls.map(call => call[0].role)).toEqual(['user', 'assistant']);
+      expect(mockGetTripMessages).toHaveBeenCalledWith(TRIP_ID, { limit: 9, sortOrder: 'desc' });
+    });
+
+    it('should fail the refinement when a write in its transaction fails', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripMessages.mockResolvedValueOnce({
+        messages: [{ role: 'user', content: 'Plan my day' }],
+        pagination: { total: 1 }
+      });
+      mockGenerateTripPlan.mockResolvedValueOnce({ content: 'Cheaper', city: 'Paris', locations: [], source: 'mock' });
+      mockCreateTripMessage.mockRejectedValueOnce(new Error('connection lost'));
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/messages`)
+        .send({ message: 'make it cheaper' });
+      expect(res.statusCode).toBe(500);
+      expect(mockWithTransaction).toHaveBeenCalled();
+    });
+  });
+
+  describe('Trip revisions', () => {
+    const revisionOne = {
+      revision: 1,
+      itinerary: {
+        city: 'Paris',
+        locations: [
+          { name: 'Louvre', time: '9:00 AM' },
+          { name: 'Café de Flore', time: '12:00 PM' }
+        ]
+      }
+    };
+    const revisionTwo = {
+      revision: 2,
+      itinerary: {
+        city: 'Paris',
+        locations: [
+          { name: 'Louvre', time: '10:00 AM' },
+          { name: 'Musée d\'Orsay', time: '1:00 PM' }
+        ]
+      }
+    };
+
+    it('should list revisions with the current revision number', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripRevisions.mockResolvedValueOnce({
+        revisions: [{ revision: 2, reason: 'refine' }, { revision: 1, reason: 'create' }],
+        pagination: { total: 2, limit: 50, offset: 0, hasMore: false, nextOffset: null }
+      });
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/revisions`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.currentRevision).toBe(2);
+      expect(res.body.revisions).toHaveLength(2);
+    });
+
+    it('should diff two revisions', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripRevision.mockImplementation(async (tripId, n) => (n === 1 ? revisionOne : revisionTwo));
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/revisions/diff?from=1`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.to).toBe(2);
+      expect(res.body.diff.added.map(l => l.name)).toEqual(['Musée d\'Orsay']);
+      expect(res.body.diff.removed.map(l => l.name)).toEqual(['Café de Flore']);
+      expect(res.body.diff.retimed).toEqual([
+        { name: 'Louvre', from: { time: '9:00 AM', estimatedTime: null }, to: { time: '10:00 AM', estimatedTime: null } }
+      ]);
+    });
+
+    it('should return 404 for an unknown revision', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripRevision.mockResolvedValueOnce(null);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/revisions/7`);
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Revision Not Found');
+    });
+
+    it('should revert to an earlier revision through updateTrip', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripRevision.mockResolvedValueOnce(revisionOne);
+      mockUpdateTrip.mockResolvedValueOnce({ ...mockTrip, currentRevision: 3, itinerary: revisionOne.itinerary });
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/revisions/1/revert`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.currentRevision).toBe(3);
+      expect(mockUpdateTrip).toHaveBeenCalledWith(
+        TRIP_ID,
+        {
+          itinerary: revisionOne.itinerary,
+          revisionReason: 'revert',
+          revisionDetails: { revertedFrom: 2, revertedTo: 1 }
+        },
+        undefined,
+        expect.any(Object)
+      );
+    });
+
+    it('should return 409 when reverting to the current revision', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/revisions/2/revert`);
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('PATCH /api/chat/:chatId', () => {
+    const stop = (name, time, latitude, longitude) => ({
+      name, address: `${name}, Paris`, description: name, category: 'attraction', estimatedTime: '1 hour',
+      time, priceRange: '$', coordinates: { latitude, longitude },
+      transitToNext: { type: 'Walk', duration: '15 minutes', details: 'Walk' }
+    });
+    const editableTrip = {
+      ...mockTrip,
+      itinerary: {
+        ...mockTrip.itinerary,
+        locations: [
+          stop('Louvre', '9:00 AM', 48.8606, 2.3376),
+          stop('Musée d\'Orsay', '11:00 AM', 48.8600, 2.3266),
+          { ...stop('Jardin du Luxembourg', '1:00 PM', 48.8462, 2.3372), transitToNext: null }
+        ]
+      }
+    };
+
+    it('should rename a trip without creating a revision', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      mockUpdateTrip.mockResolvedValueOnce({ ...editableTrip, title: 'Paris museums' });
+
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).send({ title: 'Paris museums' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.changed).toBe(true);
+      expect(mockUpdateTrip).toHaveBeenCalledWith(TRIP_ID, { title: 'Paris museums' }, undefined, expect.any(Object));
+    });
+
+    it('should apply operations, recompute legs and save an edit revision', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      mockUpdateTrip.mockImplementationOnce(async (id, updateData) => ({ ...editableTrip, ...updateData, currentRevision: 3 }));
+
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).send({
+        operations: [
+          { op: 'test', path: '/locations/2/name', value: 'Jardin du Luxembourg' },
+          { op: 'move', from: '/locations/2', path: '/locations/0' },
+          { op: 'replace', path: '/locations/0/time', value: '8:30 AM' },
+          { op: 'remove', path: '/locations/2' }
+        ]
+      });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.currentRevision).toBe(3);
+
+      const [, updateData] = mockUpdateTrip.mock.calls[0];
+      expect(updateData.revisionReason).toBe('edit');
+      expect(updateData.revisionDetails.operations).toHaveLength(4);
+      expect(updateData.itinerary.locations.map(location => location.name)).toEqual(['Jardin du Luxembourg', 'Louvre']);
+      expect(updateData.itinerary.locations[0].time).toBe('8:30 AM');
+      expect(updateData.itinerary.locations[0].transitToNext.details).toContain('Louvre');
+      expect(updateData.itinerary.locations[1].transitToNext).toBeNull();
+      expect(res.body.diff.removed.map(location => location.name)).toEqual(['Musée d\'Orsay']);
+    });
+
+    it('should keep stop ids through a rename and give copied stops a new one', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      mockUpdateTrip.mockImplementationOnce(async (id, updateData) => ({ ...editableTrip, ...updateData, currentRevision: 3 }));
+
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).send({
+        operations: [
+          { op: 'replace', path: '/locations/0/name', value: 'Musée du Louvre' },
+          { op: 'copy', from: '/locations/1', path: '/locations/2' }
+        ]
+      });
+      expect(res.statusCode).toBe(200);
+
+      // Stops saved before they had ids keep the name-based key their comments were stored against
+      const ids = mockUpdateTrip.mock.calls[0][1].itinerary.locations.map(location => location.id);
+      expect(ids.slice(0, 2)).toEqual(['louvre', 'musée d\'orsay']);
+      expect(ids[2]).toMatch(/^[0-9a-f-]{36}$/);
+      expect(ids[3]).toBe('jardin du luxembourg');
+      expect(res.body.diff.modified).toEqual([]);
+    });
+
+    it('should reject the whole patch when an operation fails', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).send({
+        operations: [
+          { op: 'remove', path: '/locations/0' },
+          { op: 'test', path: '/locations/0/name', value: 'Louvre' }
+        ]
+      });
+      expect(res.statusCode).toBe(422);
+      expect(res.body.details).toEqual({ index: 1, op: 'test', path: '/locations/0/name' });
+      expect(mockUpdateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should reject edits that break the plan schema or touch metadata', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      const invalidTime = await request(app).patch(`/api/chat/${TRIP_ID}`).send({
+        operations: [{ op: 'replace', path: '/locations/1/time', value: 'sometime' }]
+      });
+      expect(invalidTime.statusCode).toBe(422);
+      expect(invalidTime.body.details.errors[0].field).toBe('locations[1].time');
+
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      const metadata = await request(app).patch(`/api/chat/${TRIP_ID}`).send({
+        operations: [{ op: 'replace', path: '/metadata/aiModel', value: 'gpt-4' }]
+      });
+      expect(metadata.statusCode).toBe(422);
+      expect(mockUpdateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an empty update', async () => {
+      mockGetTripById.mockResolvedValueOnce(editableTrip);
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).send({});
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('Trash', () => {
+    const deletedAt = '2024-03-01T12:00:00.000Z';
+
+    it('should list deleted trips with their purge date', async () => {
+      mockGetDeletedTrips.mockResolvedValueOnce({
+        trips: [{ ...mockTrip, deletedAt, deletedBy: null }],
+        pagination: { total: 1, limit: 50, offset: 0, hasMore: false, nextOffset: null }
+      });
+
+      const res = await request(app).get('/api/chat/trash');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.retentionDays).toBe(30);
+      expect(res.body.trips[0]).toMatchObject({ id: TRIP_ID, deletedAt, purgeAt: '2024-03-31T12:00:00.000Z' });
+      expect(mockGetDeletedTrips).toHaveBeenCalledWith({ limit: 50, offset: 0, userId: undefined });
+    });
+
+    it('should restore a deleted trip', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, deletedAt });
+      mockRestoreTrip.mockResolvedValueOnce({ ...mockTrip, deletedAt: null });
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/restore`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.deletedAt).toBeNull();
+      expect(res.body.audit.action).toBe('restore');
+      expect(mockRestoreTrip).toHaveBeenCalledWith(TRIP_ID, undefined, expect.any(Object));
+    });
+
+    it('should return 409 when the trip is not in the trash', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/restore`);
+      expect(res.statusCode).toBe(409);
+      expect(mockRestoreTrip).not.toHaveBeenCalled();
+    });
+
+    it('should not restore a trip owned by a registered user without authentication', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'user-1', deletedAt });
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/restore`);
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('POST /api/chat/:chatId/locations/:index/regenerate', () => {
+    const tripWithStops = {
+      ...mockTrip,
+      itinerary: {
+        ...mockTrip.itinerary,
+        locations: [
+          {
+            name: 'Louvre', category: 'attraction', time: '9:00 AM', estimatedTime: '2 hours',
+            coordinates: { latitude: 48.8606, longitude: 2.3376 },
+            transitToNext: { type: 'Metro', duration: '20 minutes', details: 'Line 1' }
+          },
+          {
+            name: 'Le Procope', category: 'restaurant', time: '12:00 PM', estimatedTime: '1 hour',
+            coordinates: { latitude: 48.8530, longitude: 2.3388 },
+            transitToNext: { type: 'Walk', duration: '10 minutes', details: 'Walk' }
+          },
+          {
+            name: 'Jardin du Luxembourg', category: 'activity', time: '1:30 PM', estimatedTime: '1 hour',
+            coordinates: { latitude: 48.8462, longitude: 2.3372 },
+            transitToNext: null
+          }
+        ]
+      }
+    };
+
+    it('should splice the replacement in place and recompute neighbouring legs', async () => {
+      mockGetTripById.mockResolvedValueOnce(tripWithStops);
+      mockGenerateTripPlan.mockResolvedValueOnce({
+        content: 'Alternative',
+        locations: [
+          { name: 'Le Procope', category: 'restaurant' },
+          {
+            name: 'Bouillon Chartier', category: 'restaurant', time: '7:00 PM', estimatedTime: '75 minutes',
+            coordinates: { latitude: 48.8720, longitude: 2.3430 },
+            transitToNext: { type: 'Bus', duration: '5 minutes', details: 'Elsewhere' }
+          }
+        ],
+        model: 'gpt-4',
+        source: 'openai',
+        usage: {},
+        processingTime: 5
+      });
+      mockUpdateTrip.mockResolvedValueOnce({ ...tripWithStops, currentRevision: 3 });
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/locations/1/regenerate`).send({});
+      expect(res.statusCode).toBe(200);
+      expect(res.body.location.name).toBe('Bouillon Chartier');
+      expect(res.body.location.time).toBe('12:00 PM');
+      expect(res.body.location.category).toBe('restaurant');
+      expect(res.body.location.id).toBe('le procope');
+      expect(res.body.locations[0].transitToNext.details).toContain('Bouillon Chartier');
+      expect(res.body.locations[1].transitToNext.details).toContain('Jardin du Luxembourg');
+      expect(res.body.locations[1].transitToNext.estimated).toBe(true);
+      expect(res.body.currentRevision).toBe(3);
+
+      const [searchData] = mockGenerateTripPlan.mock.calls[0];
+      expect(searchData.regenerationContext).toEqual(expect.objectContaining({
+        excludedLocation: 'Le Procope',
+        excludedCategory: 'restaurant',
+        excludedTime: '12:00 PM',
+        singleLocation: true
+      }));
+      expect(mockUpdateTrip.mock.calls[0][1].revisionReason).toBe('regenerate_location');
+    });
+
+    it('should return 404 for an index outside the itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce(tripWithStops);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/locations/5/regenerate`).send({});
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Location Not Found');
+    });
+  });
+
+  describe('POST /api/chat/:chatId/optimize', () => {
+    const stop = (name, time, latitude, longitude, category = 'attraction') => ({
+      name, address: `${name}, Paris`, description: name, category, estimatedTime: '1 hour',
+      time, priceRange: '$', coordinates: { latitude, longitude },
+      transitToNext: { type: 'Walk', duration: '15 minutes', details: 'Walk' }
+    });
+    const zigZagTrip = {
+      ...mockTrip,
+      itinerary: {
+        ...mockTrip.itinerary,
+        locations: [
+          stop('Louvre', '9:00 AM', 48.8606, 2.3376),
+          stop('Sacré-Cœur', '10:30 AM', 48.8867, 2.3431),
+          stop('Musée d\'Orsay', '12:00 PM', 48.8600, 2.3266),
+          { ...stop('Montmartre Museum', '1:30 PM', 48.8880, 2.3400), transitToNext: null }
+        ]
+      }
+    };
+
+    it('should reorder stops, recompute times and report the distance saved', async () => {
+      mockGetTripById.mockResolvedValueOnce(zigZagTrip);
+      mockUpdateTrip.mockImplementationOnce(async (id, updateData) => ({ ...zigZagTrip, ...updateData, currentRevision: 4 }));
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/optimize`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.changed).toBe(true);
+      expect(res.body.distance.afterKm).toBeLessThan(res.body.distance.beforeKm);
+      expect(res.body.locations.map(location => location.name)).toEqual(['Musée d\'Orsay', 'Louvre', 'Sacré-Cœur', 'Montmartre Museum']);
+      expect(res.body.locations[0].time).toBe('9:00 AM');
+
+      const [, updateData] = mockUpdateTrip.mock.calls[0];
+      expect(updateData.revisionReason).toBe('optimize_route');
+      expect(updateData.revisionDetails.order).toEqual([2, 0, 1, 3]);
+      expect(updateData.itinerary.locations.map(location => location.id))
+        .toEqual(['musée d\'orsay', 'louvre', 'sacré-cœur', 'montmartre museum']);
+    });
+
+    it('should keep meal stops at their time and leave an optimal route unchanged', async () => {
+      const trip = {
+        ...zigZagTrip,
+        itinerary: {
+          ...zigZagTrip.itinerary,
+          locations: [
+            stop('Louvre', '9:00 AM', 48.8606, 2.3376),
+            stop('Le Consulat', '12:00 PM', 48.8865, 2.3395, 'restaurant'),
+            { ...stop('Musée d\'Orsay', '2:00 PM', 48.8600, 2.3266), transitToNext: null }
+          ]
+        }
+      };
+      mockGetTripById.mockResolvedValueOnce(trip);
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/optimize`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.changed).toBe(false);
+      expect(res.body.distance.savedKm).toBe(0);
+      expect(mockUpdateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 for a trip without an itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, itinerary: null });
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/optimize`);
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('GET /api/chat/:chatId/export.ics', () => {
+    it('should download the itinerary as an iCalendar file', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/export.ics`);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="trip-1.ics"');
+      expect(res.text).toContain('SUMMARY:Louvre');
+      expect(res.text).toContain('X-WR-TIMEZONE:Europe/Paris');
+    });
+
+    it('should apply the same ownership checks as the trip endpoint', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'someone-else' });
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/export.ics`);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/chat/:chatId/export', () => {
+    it('should download the stops as GeoJSON', async () => {
+      mockGetTripById.mockResolvedValueOnce({
+        ...mockTrip,
+        itinerary: { ...mockTrip.itinerary, locations: [{ name: 'Louvre', time: '9:00 AM', coordinates: { latitude: 48.8606, longitude: 2.3376 } }] }
+      });
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/export?format=geojson`);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^application\/geo\+json/);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="trip-1.geojson"');
+      expect(JSON.parse(res.text).features[0].properties.name).toBe('Louvre');
+    });
+
+    it('should render a printable HTML itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/export?format=html`);
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/html/);
+      expect(res.text).toContain('<h1>Trip 1</h1>');
+      expect(res.text).toContain('Book ahead');
+    });
+
+    it('should render a PDF itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app)
+        .get(`/api/chat/${TRIP_ID}/export?format=pdf`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(mockDownloadImage).not.toHaveBeenCalled();
+    });
+
+    it('should embed the downloaded cover image in the PDF', async () => {
+      const image = { url: 'https://images.unsplash.com/photo-1', photographer: { name: 'Jane Doe' } };
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockAddImagesToTrips.mockImplementationOnce(async trips => trips.map(trip => ({ ...trip, image })));
+      mockDownloadImage.mockResolvedValueOnce(Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC', 'base64'));
+
+      const res = await request(app)
+        .get(`/api/chat/${TRIP_ID}/export?format=pdf`)
+        .buffer(true)
+        .parse((response, callback) => {
+          const chunks = [];
+          response.on('data', chunk => chunks.push(chunk));
+          response.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+      expect(res.statusCode).toBe(200);
+      expect(mockDownloadImage).toHaveBeenCalledWith(image);
+      expect(res.body.toString('latin1')).toContain('/Subtype /Image');
+    });
+
+    it('should return 400 for an unsupported format', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/export?format=shp`);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Format must be one of: geojson, gpx, kml, html, pdf');
+    });
+  });
+
+  describe('Share links', () => {
+    const SHARE_ID = '550e8400-e29b-41d4-a716-446655440099';
+    const shareLink = {
+      id: SHARE_ID,
+      tripId: TRIP_ID,
+      token: 'k3Jx9QpZ0vT7mN2aB8cD4eF6gH1iJ5lO',
+      status: 'active',
+      expiresAt: null,
+      revokedAt: null,
+      accessCount: 3
+    };
+
+    it('should create an expiring share link with its public URL', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockCreateShareLink.mockImplementationOnce(async (tripId, options) => ({ ...shareLink, expiresAt: options.expiresAt }));
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/share`).send({ expiresInDays: 7 });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.shareLink.url).toMatch(new RegExp(`/api/shared/${shareLink.token}$`));
+      const [, options, , auditData] = mockCreateShareLink.mock.calls[0];
+      expect(new Date(options.expiresAt).getTime() - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+      expect(auditData).toHaveProperty('ipAddress');
+    });
+
+    it('should reject an out-of-range expiry', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/share`).send({ expiresInDays: 0 });
+      expect(res.statusCode).toBe(400);
+      expect(mockCreateShareLink).not.toHaveBeenCalled();
+    });
+
+    it('should not share a trip owned by a registered user without authentication', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'user-1' });
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/share`).send({});
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should list share links with their access counts', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripShareLinks.mockResolvedValueOnce([shareLink, { ...shareLink, id: 'revoked', status: 'revoked' }]);
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/shares`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.shareLinks).toHaveLength(2);
+      expect(res.body.shareLinks[0]).toMatchObject({ accessCount: 3, status: 'active' });
+    });
+
+    it('should revoke a share link', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockRevokeShareLink.mockResolvedValueOnce({ ...shareLink, status: 'revoked', revokedAt: '2024-03-01T12:00:00.000Z' });
+
+      const res = await request(app).delete(`/api/chat/${TRIP_ID}/shares/${SHARE_ID}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.shareLink.status).toBe('revoked');
+      expect(res.body.audit.action).toBe('share_link_revoke');
+      expect(mockRevokeShareLink).toHaveBeenCalledWith(TRIP_ID, SHARE_ID, undefined, expect.any(Object));
+    });
+
+    it('should return 404 when the trip has no active link with that ID', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockRevokeShareLink.mockResolvedValueOnce(null);
+      const res = await request(app).delete(`/api/chat/${TRIP_ID}/shares/${SHARE_ID}`);
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('Trip roles', () => {
+    const ownedTrip = { ...mockTrip, userId: 'owner-1' };
+
+    it('should let a viewer read the trip and report their role', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.role).toBe('viewer');
+      expect(mockGetTripMemberRole).toHaveBeenCalledWith(TRIP_ID, 'user-2');
+    });
+
+    it('should not let a viewer edit the trip', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+
+      const res = await request(app).patch(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-2').send({ title: 'Mine now' });
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Your viewer role does not allow you to edit this trip');
+      expect(mockUpdateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should let an editor edit but not delete the trip', async () => {
+      mockGetTripById.mockResolvedValue(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValue('editor');
+      mockUpdateTrip.mockResolvedValueOnce({ ...ownedTrip, title: 'Our Paris trip' });
+
+      const edit = await request(app).patch(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-2').send({ title: 'Our Paris trip' });
+      expect(edit.statusCode).toBe(200);
+
+      const remove = await request(app).delete(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-2');
+      expect(remove.statusCode).toBe(403);
+    });
+
+    it('should not let a signed-in user manage an anonymous trip', async () => {
+      mockGetTripById.mockResolvedValue(mockTrip);
+
+      const remove = await request(app).delete(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-3');
+      expect(remove.statusCode).toBe(403);
+
+      const share = await request(app).post(`/api/chat/${TRIP_ID}/share`).set('x-test-user', 'user-3').send({});
+      expect(share.statusCode).toBe(403);
+      expect(mockCreateShareLink).not.toHaveBeenCalled();
+      expect(mockGetTripMemberRole).not.toHaveBeenCalled();
+    });
+
+    it('should deny users who are not members', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce(null);
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-3');
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should list trips shared with the user marked with their role', async () => {
+      mockGetTrips.mockResolvedValueOnce({
+        trips: [
+          { id: '1', title: 'Mine', location: 'Paris', lastUpdated: '2024-01-02', searchData: {}, role: 'owner' },
+          { id: '2', title: 'Shared', location: 'Rome', lastUpdated: '2024-01-01', searchData: {}, role: 'editor' }
+        ],
+        pagination: { total: 2, hasMore: false }
+      });
+
+      const res = await request(app).get('/api/chat').set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trips.map(trip => trip.role)).toEqual(['owner', 'editor']);
+      expect(mockGetTrips).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-2' }));
+    });
+
+    it('should let the owner invite an editor by email', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockCreateTripInvitation.mockImplementationOnce(async (tripId, invitation) => ({ id: 'member-1', tripId, ...invitation, status: 'pending' }));
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/members`)
+        .set('x-test-user', 'owner-1')
+        .send({ email: 'Friend@Example.com', role: 'editor' });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.invitation.status).toBe('pending');
+      expect(mockCreateTripInvitation).toHaveBeenCalledWith(TRIP_ID, { email: 'friend@example.com', role: 'editor' }, 'owner-1', expect.any(Object));
+    });
+
+    it('should return 409 when inviting an existing member', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockCreateTripInvitation.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/members`)
+        .set('x-test-user', 'owner-1')
+        .send({ email: 'friend@example.com' });
+      expect(res.statusCode).toBe(409);
+    });
+
+    it('should not let an editor invite members', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('editor');
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/members`)
+        .set('x-test-user', 'user-2')
+        .send({ email: 'someone@example.com' });
+      expect(res.statusCode).toBe(403);
+      expect(mockCreateTripInvitation).not.toHaveBeenCalled();
+    });
+
+    it('should accept and decline invitations', async () => {
+      const INVITATION_ID = '550e8400-e29b-41d4-a716-446655440077';
+      mockRespondToInvitation
+        .mockResolvedValueOnce({ id: INVITATION_ID, tripId: TRIP_ID, role: 'editor', status: 'accepted' })
+        .mockResolvedValueOnce(null);
+
+      const accept = await request(app).post(`/api/chat/invitations/${INVITATION_ID}/accept`).set('x-test-user', 'user-2');
+      expect(accept.statusCode).toBe(200);
+      expect(accept.body.membership.status).toBe('accepted');
+      expect(mockRespondToInvitation).toHaveBeenCalledWith(
+        INVITATION_ID, { id: 'user-2', email: 'user-2@example.com' }, true, expect.any(Object)
+      );
+
+      const decline = await request(app).post(`/api/chat/invitations/${INVITATION_ID}/decline`).set('x-test-user', 'user-2');
+      expect(decline.statusCode).toBe(404);
+      expect(mockRespondToInvitation).toHaveBeenLastCalledWith(INVITATION_ID, expect.any(Object), false, expect.any(Object));
+    });
+  });
+
+  describe('POST /api/chat/:chatId/clone', () => {
+    beforeEach(() => {
+      mockGetTripMessages.mockResolvedValue({ messages: [{ role: 'user', content: 'Plan my day' }], pagination: { total: 2 } });
+    });
+
+    it('should copy the trip for the caller and record where it came from', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'owner-1' });
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/clone`).set('x-test-user', 'user-2').send({});
+      expect(res.statusCode).toBe(201);
+      expect(res.body.regenerated).toBe(false);
+      expect(res.body.clonedFrom).toEqual({ id: TRIP_ID, title: 'Trip 1' });
+      expect(mockGenerateTripPlan).not.toHaveBeenCalled();
+      expect(mockCreateTrip).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Trip 1',
+        userId: 'user-2',
+        clonedFrom: TRIP_ID,
+        itinerary: mockTrip.itinerary,
+        searchData: mockTrip.searchData
+      }), 'transaction-client');
+      expect(mockLogAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clone',
+        entityId: res.body.chatId,
+        newData: expect.objectContaining({ clonedFrom: TRIP_ID, regenerated: false })
+      }));
+
+      // The copy starts its conversation from the original request, saved with the trip
+      expect(mockCreateTripMessage.mock.calls.map(call => [call[0].role, call[1]])).toEqual([
+        ['user', 'transaction-client'],
+        ['assistant', 'transaction-client']
+      ]);
+      expect(mockCreateTripMessage.mock.calls[0][0]).toMatchObject({ tripId: res.body.chatId, userId: 'user-2', content: 'Plan my day' });
+      expect(mockGetTripMessages).toHaveBeenCalledWith(TRIP_ID, { limit: 1, sortOrder: 'asc' });
+    });
+
+    it('should regenerate the plan for a new destination with the original structure', async () => {
+      mockGetTripById.mockResolvedValueOnce({
+        ...mockTrip,
+        searchData: { ...mockTrip.searchData, location: { coords: { latitude: 48.85, longitude: 2.35 } } },
+        itinerary: { ...mockTrip.itinerary, locations: [{ name: 'Louvre', category: 'museum', time: '9:00 AM', estimatedTime: '2 hours' }] }
+      });
+      mockGenerateTripPlan.mockResolvedValueOnce({
+        content: 'A day in Montreal',
+        city: 'Montreal, Quebec, Canada',
+        locations: [{ name: 'Montreal Museum of Fine Arts', category: 'museum', time: '9:00 AM' }],
+        practicalTips: 'Take the metro',
+        model: 'gpt-4',
+        source: 'openai',
+        processingTime: 10
+      });
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/clone`)
+        .send({ destination: 'Montreal', filters: { planFood: true } });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.regenerated).toBe(true);
+
+      const [searchData] = mockGenerateTripPlan.mock.calls[0];
+      expect(searchData.searchQuery).toBe('Things to do in Montreal');
+      expect(searchData.filters).toEqual({ planFood: true });
+      expect(searchData.location).toBeUndefined();
+      expect(searchData.templateContext).toMatchObject({
+        originalChatId: TRIP_ID,
+        stops: [{ day: 1, category: 'museum', time: '9:00 AM', estimatedTime: '2 hours' }]
+      });
+
+      const [tripData] = mockCreateTrip.mock.calls[0];
+      expect(tripData).toMatchObject({ title: 'Things to do in Montreal', location: 'Montreal', clonedFrom: TRIP_ID });
+      expect(tripData.searchData.templateContext).toBeUndefined();
+      expect(tripData.itinerary.locations[0].name).toBe('Montreal Museum of Fine Arts');
+      expect(mockCreateTripMessage.mock.calls[0][0].content).toBe('Recreate this plan in Montreal');
+      expect(mockGetTripMessages).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid override', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/clone`).send({ filters: { days: 30 } });
+      expect(res.statusCode).toBe(400);
+      expect(mockCreateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should not copy the owner\'s position for another member', async () => {
+      const position = { coords: { latitude: 48.85, longitude: 2.35 } };
+      mockGetTripById.mockResolvedValueOnce({
+        ...mockTrip,
+        userId: 'owner-1',
+        searchData: { ...mockTrip.searchData, location: position }
+      });
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+
+      const res = await request(app).post(`/api/chat/${TRIP_ID}/clone`).set('x-test-user', 'user-2').send({});
+      expect(res.statusCode).toBe(201);
+      expect(mockCreateTrip.mock.calls[0][0].searchData).toEqual(mockTrip.searchData);
+
+      mockGetTripById.mockResolvedValueOnce({
+        ...mockTrip,
+        userId: 'owner-1',
+        searchData: { ...mockTrip.searchData, location: position }
+      });
+      await request(app).post(`/api/chat/${TRIP_ID}/clone`).set('x-test-user', 'owner-1').send({});
+      expect(mockCreateTrip.mock.calls[1][0].searchData.location).toEqual(position);
+    });
+
+    it('should return 400 for a date range the planner would reject', async () => {
+      const overrides = [
+        { dateRange: { start: '2025-07-01', end: '2025-07-14' } },
+        { dateRange: { start: '2025-07-14', end: '2025-07-10' } },
+        { dateRange: { start: '2025-02-30', end: '2025-13-01' } },
+        { days: 2, dateRange: { start: '2025-07-14', end: '2025-07-16' } }
+      ];
+
+      for (const filters of overrides) {
+        mockGetTripById.mockResolvedValueOnce(mockTrip);
+        const res = await request(app).post(`/api/chat/${TRIP_ID}/clone`).send({ filters });
+        expect(res.statusCode).toBe(400);
+      }
+      expect(mockGenerateTripPlan).not.toHaveBeenCalled();
+      expect(mockCreateTrip).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Stop comments', () => {
+    const COMMENT_ID = '550e8400-e29b-41d4-a716-446655440010';
+    const ownedTrip = { ...mockTrip, userId: 'owner-1' };
+    const comment = {
+      id: COMMENT_ID,
+      tripId: TRIP_ID,
+      locationKey: 'louvre',
+      locationName: 'Louvre',
+      parentId: null,
+      userId: 'user-2',
+      body: 'Go early, the line gets long',
+      private: false
+    };
+
+    it('should list comment threads and private notes for a stop', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+      mockGetLocationComments.mockResolvedValueOnce([
+        comment,
+        { ...comment, id: 'reply-1', parentId: COMMENT_ID, body: 'Agreed' },
+        { ...comment, id: 'note-1', body: 'Buy tickets online', private: true }
+      ]);
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/locations/0/comments`).set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.comments).toHaveLength(1);
+      expect(res.body.comments[0].replies.map(reply => reply.id)).toEqual(['reply-1']);
+      expect(res.body.notes.map(note => note.id)).toEqual(['note-1']);
+      expect(res.body.commentCount).toBe(2);
+      expect(mockGetLocationComments).toHaveBeenCalledWith(TRIP_ID, 'louvre', 'user-2');
+    });
+
+    it('should return 404 for a stop that is not in the itinerary', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      const res = await request(app).get(`/api/chat/${TRIP_ID}/locations/5/comments`);
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Location Not Found');
+    });
+
+    it('should add a reply to a comment on the same stop', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+      mockGetTripComment.mockResolvedValueOnce(comment);
+      mockCreateTripComment.mockImplementationOnce(async (data) => ({ id: 'reply-1', ...data, private: data.isPrivate }));
+
+      const res = await request(app)
+        .post(`/api/chat/${TRIP_ID}/locations/0/comments`)
+        .set('x-test-user', 'user-3')
+        .send({ body: 'Thanks!', parentId: COMMENT_ID });
+      expect(res.statusCode).toBe(201);
+      expect(mockCreateTripComment).toHaveBeenCalledWith(expect.objectContaining({
+        tripId: TRIP_ID,
+        locationKey: 'louvre',
+        parentId: COMMENT_ID,
+        userId: 'user-3',
+        isPrivate: false
+      }));
+    });
+
+    it('should require sign in for private notes and reject private replies', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip).mockResolvedValueOnce(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+
+      const anonymous = await request(app).post(`/api/chat/${TRIP_ID}/locations/0/comments`).send({ body: 'Mine', private: true });
+      expect(anonymous.statusCode).toBe(401);
+
+      const reply = await request(app)
+        .post(`/api/chat/${TRIP_ID}/locations/0/comments`)
+        .set('x-test-user', 'user-2')
+        .send({ body: 'Mine', private: true, parentId: COMMENT_ID });
+      expect(reply.statusCode).toBe(400);
+      expect(mockCreateTripComment).not.toHaveBeenCalled();
+    });
+
+    it('should only let the author edit a comment', async () => {
+      mockGetTripById.mockResolvedValue(ownedTrip);
+      mockGetTripMemberRole.mockResolvedValue('viewer');
+      mockGetTripComment.mockResolvedValue(comment);
+      mockUpdateTripComment.mockResolvedValueOnce({ ...comment, body: 'Go at opening time' });
+
+      const other = await request(app)
+        .patch(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`)
+        .set('x-test-user', 'user-3')
+        .send({ body: 'Changed' });
+      expect(other.statusCode).toBe(403);
+
+      const author = await request(app)
+        .patch(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`)
+        .set('x-test-user', 'user-2')
+        .send({ body: 'Go at opening time' });
+      expect(author.statusCode).toBe(200);
+      expect(mockUpdateTripComment).toHaveBeenCalledTimes(1);
+      expect(mockUpdateTripComment).toHaveBeenCalledWith(TRIP_ID, COMMENT_ID, 'Go at opening time', 'user-2', expect.any(Object));
+    });
+
+    it('should not let anonymous callers change anonymous comments', async () => {
+      mockGetTripById.mockResolvedValue(mockTrip);
+      mockGetTripComment.mockResolvedValue({ ...comment, userId: null });
+
+      const edit = await request(app)
+        .patch(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`)
+        .send({ body: 'Changed' });
+      expect(edit.statusCode).toBe(403);
+
+      const remove = await request(app).delete(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`);
+      expect(remove.statusCode).toBe(403);
+      expect(mockUpdateTripComment).not.toHaveBeenCalled();
+      expect(mockDeleteTripComment).not.toHaveBeenCalled();
+    });
+
+    it('should keep separate threads for stops with the same name', async () => {
+      const twoVisits = {
+        ...mockTrip,
+        itinerary: { ...mockTrip.itinerary, locations: [{ name: 'Louvre', time: '9:00 AM' }, { name: 'Louvre', time: '7:00 PM' }] }
+      };
+      mockGetTripById.mockResolvedValueOnce(twoVisits).mockResolvedValueOnce(twoVisits);
+      mockGetLocationComments.mockResolvedValueOnce([]);
+      mockGetTripCommentCounts.mockResolvedValueOnce({ 'louvre#2': { comments: 2, notes: 0 } });
+
+      await request(app).get(`/api/chat/${TRIP_ID}/locations/1/comments`);
+      expect(mockGetLocationComments).toHaveBeenCalledWith(TRIP_ID, 'louvre#2', null);
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`);
+      expect(res.body.trip.itinerary.locations.map(location => location.commentCount)).toEqual([0, 2]);
+    });
+
+    it('should store comments against the stop id when the stop has one', async () => {
+      const STOP_ID = '550e8400-e29b-41d4-a716-446655440020';
+      const tripWithIds = {
+        ...mockTrip,
+        itinerary: { ...mockTrip.itinerary, locations: [{ id: STOP_ID, name: 'Musée du Louvre', time: '9:00 AM' }] }
+      };
+      mockGetTripById.mockResolvedValueOnce(tripWithIds).mockResolvedValueOnce(tripWithIds);
+      mockGetLocationComments.mockResolvedValueOnce([]);
+      mockGetTripCommentCounts.mockResolvedValueOnce({ [STOP_ID]: { comments: 3, notes: 1 } });
+
+      await request(app).get(`/api/chat/${TRIP_ID}/locations/0/comments`);
+      expect(mockGetLocationComments).toHaveBeenCalledWith(TRIP_ID, STOP_ID, null);
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`);
+      expect(res.body.trip.itinerary.locations[0]).toMatchObject({ commentCount: 3, noteCount: 1 });
+    });
+
+    it('should let the trip owner delete a comment thread', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripComment.mockResolvedValueOnce(comment);
+      mockDeleteTripComment.mockResolvedValueOnce({ comment, deletedCount: 2 });
+
+      const res = await request(app)
+        .delete(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`)
+        .set('x-test-user', 'owner-1');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.deletedCount).toBe(2);
+      expect(mockDeleteTripComment).toHaveBeenCalledWith(TRIP_ID, COMMENT_ID, 'owner-1', expect.any(Object));
+    });
+
+    it('should hide other users\' private notes', async () => {
+      mockGetTripById.mockResolvedValueOnce(ownedTrip);
+      mockGetTripComment.mockResolvedValueOnce({ ...comment, private: true });
+
+      const res = await request(app)
+        .delete(`/api/chat/${TRIP_ID}/locations/0/comments/${COMMENT_ID}`)
+        .set('x-test-user', 'owner-1');
+      expect(res.statusCode).toBe(404);
+      expect(mockDeleteTripComment).not.toHaveBeenCalled();
+    });
+
+    it('should add comment counts to the trip', async () => {
+      mockGetTripById.mockResolvedValueOnce(mockTrip);
+      mockGetTripCommentCounts.mockResolvedValueOnce({ louvre: { comments: 3, notes: 1 } });
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.commentCount).toBe(3);
+      expect(res.body.trip.itinerary.locations[0]).toMatchObject({ commentCount: 3, noteCount: 1 });
+    });
+  });
+
+  describe('Tags and collections', () => {
+    const TAG_ID = '550e8400-e29b-41d4-a716-446655440020';
+    const COLLECTION_ID = '550e8400-e29b-41d4-a716-446655440021';
+
+    it('should filter trip history by tag and collection and return tag counts', async () => {
+      mockGetLabels.mockResolvedValueOnce([
+        { id: TAG_ID, name: 'Date nights', tripCount: 3, createdAt: '2024-01-01', updatedAt: '2024-01-01' }
+      ]);
+
+      const res = await request(app)
+        .get(`/api/chat?tag=Date%20nights&collection=${COLLECTION_ID}`)
+        .set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(mockGetTrips).toHaveBeenCalledWith(expect.objectContaining({
+        tag: 'Date nights',
+        collection: COLLECTION_ID,
+        userId: 'user-2'
+      }));
+      expect(res.body.tagCounts).toEqual([{ id: TAG_ID, name: 'Date nights', tripCount: 3 }]);
+      expect(res.body.metadata.tag).toBe('Date nights');
+      expect(mockGetLabels).toHaveBeenCalledWith('user-2', 'tag');
+    });
+
+    it('should return no tag counts for anonymous requests', async () => {
+      const res = await request(app).get('/api/chat');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.tagCounts).toEqual([]);
+      expect(mockGetLabels).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid collection filter', async () => {
+      const res = await request(app).get('/api/chat?collection=japan');
+      expect(res.statusCode).toBe(400);
+      expect(mockGetTrips).not.toHaveBeenCalled();
+    });
+
+    it('should list the user\'s collections', async () => {
+      mockGetLabels.mockResolvedValueOnce([{ id: COLLECTION_ID, name: 'Japan 2027', description: null, tripCount: 2 }]);
+
+      const res = await request(app).get('/api/chat/collections').set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.collections).toHaveLength(1);
+      expect(mockGetLabels).toHaveBeenCalledWith('user-2', 'collection');
+    });
+
+    it('should create a tag and reject a duplicate name', async () => {
+      mockCreateLabel.mockResolvedValueOnce({ id: TAG_ID, name: 'Date nights', tripCount: 0 });
+      const created = await request(app).post('/api/chat/tags').set('x-test-user', 'user-2').send({ name: '  Date nights ' });
+      expect(created.statusCode).toBe(201);
+      expect(created.body.tag.id).toBe(TAG_ID);
+      expect(mockCreateLabel).toHaveBeenCalledWith('user-2', 'tag', { name: 'Date nights' });
+
+      mockCreateLabel.mockRejectedValueOnce(new Error('Label name already exists'));
+      const duplicate = await request(app).post('/api/chat/tags').set('x-test-user', 'user-2').send({ name: 'date nights' });
+      expect(duplicate.statusCode).toBe(409);
+    });
+
+    it('should validate collection fields', async () => {
+      const res = await request(app).post('/api/chat/collections').set('x-test-user', 'user-2').send({ name: '' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Collection name cannot be empty');
+      expect(mockCreateLabel).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when updating or deleting another user\'s collection', async () => {
+      mockUpdateLabel.mockResolvedValueOnce(null);
+      const update = await request(app)
+        .patch(`/api/chat/collections/${COLLECTION_ID}`)
+        .set('x-test-user', 'user-2')
+        .send({ description: 'Spring trip' });
+      expect(update.statusCode).toBe(404);
+      expect(mockUpdateLabel).toHaveBeenCalledWith('user-2', 'collection', COLLECTION_ID, { description: 'Spring trip' });
+
+      mockDeleteLabel.mockResolvedValueOnce(null);
+      const remove = await request(app).delete(`/api/chat/collections/${COLLECTION_ID}`).set('x-test-user', 'user-2');
+      expect(remove.statusCode).toBe(404);
+    });
+
+    it('should let a viewer set their tags on a shared trip', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'owner-1' });
+      mockGetTripMemberRole.mockResolvedValueOnce('viewer');
+      mockSetTripTags.mockResolvedValueOnce({ tags: [{ id: TAG_ID, name: 'Date nights' }], collections: [] });
+
+      const res = await request(app)
+        .put(`/api/chat/${TRIP_ID}/tags`)
+        .set('x-test-user', 'user-2')
+        .send({ tags: ['Date nights'] });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.tags).toEqual([{ id: TAG_ID, name: 'Date nights' }]);
+      expect(mockSetTripTags).toHaveBeenCalledWith(TRIP_ID, 'user-2', ['Date nights']);
+    });
+
+    it('should return 404 when adding a trip to an unknown collection', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'user-2' });
+      mockSetTripCollections.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .put(`/api/chat/${TRIP_ID}/collections`)
+        .set('x-test-user', 'user-2')
+        .send({ collectionIds: [COLLECTION_ID] });
+      expect(res.statusCode).toBe(404);
+      expect(res.body.error).toBe('Collection Not Found');
+    });
+
+    it('should include the caller\'s tags and collections with the trip', async () => {
+      mockGetTripById.mockResolvedValueOnce({ ...mockTrip, userId: 'user-2' });
+      mockGetTripLabels.mockResolvedValueOnce({
+        tags: [{ id: TAG_ID, name: 'Date nights' }],
+        collections: [{ id: COLLECTION_ID, name: 'Japan 2027' }]
+      });
+
+      const res = await request(app).get(`/api/chat/${TRIP_ID}`).set('x-test-user', 'user-2');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trip.tags).toEqual([{ id: TAG_ID, name: 'Date nights' }]);
+      expect(res.body.trip.collections).toEqual([{ id: COLLECTION_ID, name: 'Japan 2027' }]);
+      expect(mockGetTripLabels).toHaveBeenCalledWith(TRIP_ID, 'user-2');
+    });
+  });
 });
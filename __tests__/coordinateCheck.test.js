@@ -0,0 +1,39 @@
+const { resolveCityCenter, checkPlanCoordinates } = require('../services/coordinateCheck');
+
+const stop = (name, latitude, longitude) => ({ name, coordinates: { latitude, longitude } });
+
+describe('Coordinate check', () => {
+  it('uses the library centre for known cities and the median of the stops otherwise', () => {
+    expect(resolveCityCenter('Paris, Île-de-France, France')).toEqual({
+      center: { latitude: 48.8566, longitude: 2.3522 },
+      source: 'library'
+    });
+
+    const lisbon = [stop('A', 38.71, -9.14), stop('B', 38.72, -9.13), stop('C', 38.70, -9.15), stop('Ocean', 38.0, -12.0)];
+    const { center, source } = resolveCityCenter('Lisbon, Portugal', lisbon);
+    expect(source).toBe('stops');
+    expect(center.latitude).toBeCloseTo(38.705, 3);
+    expect(center.longitude).toBeCloseTo(-9.145, 3);
+  });
+
+  it('flags a stop in the ocean without flagging the rest of the plan', () => {
+    const plan = {
+      city: 'Lisbon, Portugal',
+      locations: [stop('A', 38.71, -9.14), stop('B', 38.72, -9.13), stop('C', 38.70, -9.15), stop('Ocean', 38.0, -12.0)]
+    };
+    const { suspectIndices, results } = checkPlanCoordinates(plan);
+    expect(suspectIndices).toEqual([3]);
+    expect(results[3].warnings[0].code).toBe('far_from_city');
+  });
+
+  it('only compares with the user position when the user is in the plan city', () => {
+    const plan = { city: 'Tokyo, Japan', locations: [stop('Senso-ji', 35.7148, 139.7967)] };
+    const fromToronto = checkPlanCoordinates(plan, { location: { coords: { latitude: 43.65, longitude: -79.38 } } });
+    expect(fromToronto.results[0].warnings).toEqual([]);
+    expect(fromToronto.results[0].distanceToUserKm).toBeNull();
+
+    const fromShinjuku = checkPlanCoordinates(plan, { location: { coords: { latitude: 35.6938, longitude: 139.7034 } } });
+    expect(fromShinjuku.results[0].distanceToUserKm).toBeGreaterThan(5);
+    expect(fromShinjuku.suspectIndices).toEqual([]);
+  });
+});
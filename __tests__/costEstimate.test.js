@@ -0,0 +1,71 @@
+const { estimatePlanCost, describeFoodBudget, resolveCurrency } = require('../services/costEstimate');
+
+describe('Cost estimate', () => {
+  it('describes the food budget bands used in the prompts', () => {
+    expect(describeFoodBudget(1)).toBe('Budget ($10-$20 per person)');
+    expect(describeFoodBudget(4)).toBe('Luxury ($50+ per person)');
+    expect(describeFoodBudget(5)).toBeNull();
+  });
+
+  it('resolves the local currency from the plan city', () => {
+    expect(resolveCurrency('Toronto, ON, Canada').code).toBe('CAD');
+    expect(resolveCurrency('Paris, Île-de-France, France').code).toBe('EUR');
+    expect(resolveCurrency('Atlantis')).toEqual(expect.objectContaining({ code: 'USD', assumed: true }));
+  });
+
+  it('estimates each stop and the total for the group', () => {
+    const plan = {
+      city: 'New York, NY, USA',
+      locations: [
+        { name: 'Met', category: 'attraction', priceRange: '$$', transitToNext: { type: 'Subway' } },
+        { name: 'Katz', category: 'restaurant', priceRange: '$', transitToNext: { type: 'Walk' } },
+        { name: 'High Line', category: 'attraction', priceRange: 'Free' }
+      ]
+    };
+    const { estimate } = estimatePlanCost(plan, { filters: { groupSize: 'duo' } });
+
+    expect(estimate.currency).toBe('USD');
+    expect(estimate.people).toBe(2);
+    expect(estimate.stops[0]).toEqual(expect.objectContaining({
+      perPerson: { min: 15, max: 30 },
+      transit: { min: 4, max: 8 },
+      total: { min: 34, max: 68 }
+    }));
+    expect(estimate.stops[1].total).toEqual({ min: 20, max: 40 });
+    expect(estimate.total).toEqual({ min: 54, max: 108 });
+    expect(estimate.perPerson).toEqual({ min: 27, max: 54 });
+  });
+
+  it('adds lodging nights to multi-day trips and converts to the local currency', () => {
+    const day = (number) => ({ day: number, locations: [{ name: `Stop ${number}`, category: 'attraction', priceRange: '$', day: number }] });
+    const plan = {
+      city: 'Tokyo, Japan',
+      lodging: { name: 'Hotel', priceRange: '$$' },
+      days: [day(1), day(2), day(3)],
+      locations: [day(1), day(2), day(3)].flatMap(entry => entry.locations)
+    };
+    const { estimate } = estimatePlanCost(plan, { filters: { groupSize: 'group' } });
+
+    expect(estimate.currency).toBe('JPY');
+    expect(estimate.stops[1].day).toBe(2);
+    expect(estimate.lodging).toEqual({ name: 'Hotel', nights: 2, rooms: 2, total: { min: 72000, max: 120000 } });
+  });
+
+  it('flags stops priced above the requested budget', () => {
+    const plan = {
+      city: 'Paris, France',
+      locations: [
+        { name: 'Bistro', category: 'restaurant', priceRange: '$$' },
+        { name: 'Le Grand Véfour', category: 'restaurant', priceRange: '$$$+' },
+        { name: 'Mystery', category: 'attraction' }
+      ]
+    };
+    const { estimate, warnings } = estimatePlanCost(plan, { filters: { priceRange: 2 } });
+
+    expect(estimate.budget).toBe('$$');
+    expect(estimate.overBudgetCount).toBe(1);
+    expect(estimate.unpricedCount).toBe(1);
+    expect(warnings[0]).toEqual([]);
+    expect(warnings[1][0]).toEqual(expect.objectContaining({ code: 'over_budget', details: { priceRange: '$$$+', budget: '$$' } }));
+  });
+});
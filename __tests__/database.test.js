@@ -0,0 +1,138 @@
+/**
+ * Database Service Tests
+ *
+ * Runs the query functions against a stubbed pg pool that keeps trip
+ * messages in memory, so ordering and transaction handling can be checked
+ * without a PostgreSQL server.
+ */
+
+const mockMessages = [];
+const mockStatements = [];
+const mockTripRow = { id: 'trip-1', title: 'Trip 1', location: 'Paris', itinerary: null, current_revision: 2 };
+let mockFailingStatement = null;
+
+const mockQuery = jest.fn(async (via, sql, params = []) => {
+  mockStatements.push({ via, sql: sql.trim().split(/\s+/).slice(0, 3).join(' ') });
+  if (mockFailingStatement && sql.includes(mockFailingStatement)) {
+    throw new Error('connection lost');
+  }
+  if (/SELECT \* FROM trips WHERE id/.test(sql)) {
+    return { rows: [mockTripRow] };
+  }
+  if (/UPDATE trips/.test(sql) && params.length > 0) {
+    return { rows: [{ ...mockTripRow, itinerary: JSON.parse(params[4]), current_revision: mockTripRow.current_revision + 1 }] };
+  }
+  if (/INSERT INTO trip_revisions/.test(sql)) {
+    return { rows: [{ id: 'revision-1', trip_id: params[0], revision_number: params[1], reason: params[3] }] };
+  }
+  if (/INSERT INTO trip_messages/.test(sql)) {
+    const row = {
+      id: `${String.fromCharCode(122 - mockMessages.length)}-message`,
+      seq: mockMessages.length + 1,
+      trip_id: params[0],
+      user_id: params[1],
+      role: params[2],
+      content: params[3],
+      plan: null,
+      metadata: null,
+      created_at: '2024-01-01T00:00:00.000Z'
+    };
+    mockMessages.push(row);
+    return { rows: [row] };
+  }
+  if (/SELECT \* FROM trip_messages/.test(sql)) {
+    const keys = /ORDER BY ([\w\s,]+?)\s+LIMIT/.exec(sql)[1].split(',').map(key => key.trim().split(/\s+/));
+    const compare = (a, b) => {
+      for (const [column, direction] of keys) {
+        if (a[column] !== b[column]) {
+          const sign = a[column] < b[column] ? -1 : 1;
+          return direction === 'DESC' ? -sign : sign;
+        }
+      }
+      return 0;
+    };
+    return { rows: mockMessages.filter(row => row.trip_id === params[0]).sort(compare) };
+  }
+  if (/SELECT COUNT\(\*\) FROM trip_messages/.test(sql)) {
+    return { rows: [{ count: String(mockMessages.length) }] };
+  }
+  return { rows: [] };
+});
+
+jest.mock('pg', () => ({
+  Pool: jest.fn().mockImplementation(() => ({
+    query: (...args) => mockQuery('pool', ...args),
+    connect: async () => ({ query: (...args) => mockQuery('client', ...args), release: jest.fn() }),
+    end: jest.fn()
+  }))
+}));
+
+const database = require('../services/database');
+
+const TRIP_ID = '550e8400-e29b-41d4-a716-446655440001';
+
+describe('Database service', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(await database.initializeDatabase()).toBe(true);
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    mockMessages.length = 0;
+    mockStatements.length = 0;
+    mockFailingStatement = null;
+  });
+
+  describe('Trip messages', () => {
+    it('should replay a refinement in the order it was written when both turns share a timestamp', async () => {
+      await database.withTransaction(async (client) => {
+        await database.createTripMessage({ tripId: TRIP_ID, role: 'user', content: 'make it cheaper' }, client);
+        await database.createTripMessage({ tripId: TRIP_ID, role: 'assistant', content: 'A cheaper day' }, client);
+      });
+
+      const { messages } = await database.getTripMessages(TRIP_ID);
+      expect(messages.map(message => message.role)).toEqual(['user', 'assistant']);
+
+      const newestFirst = await database.getTripMessages(TRIP_ID, { sortOrder: 'desc' });
+      expect(newestFirst.messages.map(message => message.role)).toEqual(['assistant', 'user']);
+    });
+  });
+
+  describe('Trip updates', () => {
+    const itinerary = { city: 'Paris', locations: [{ name: 'Louvre' }] };
+
+    it('should save the trip, its revision and the audit event in one transaction', async () => {
+      const trip = await database.updateTrip('trip-1', { itinerary, revisionReason: 'edit' }, null, {});
+      expect(trip.currentRevision).toBe(3);
+
+      expect(mockStatements.map(statement => statement.sql)).toEqual([
+        'BEGIN',
+        'SELECT * FROM',
+        'UPDATE trips SET',
+        'INSERT INTO trip_revisions',
+        'INSERT INTO audit_logs',
+        'COMMIT'
+      ]);
+      expect(mockStatements.every(statement => statement.via === 'client')).toBe(true);
+    });
+
+    it('should roll the update back when the revision cannot be stored', async () => {
+      mockFailingStatement = 'INSERT INTO trip_revisions';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(database.updateTrip('trip-1', { itinerary }, null, {})).rejects.toThrow('connection lost');
+      expect(mockStatements.map(statement => statement.sql)).toContain('ROLLBACK');
+      expect(mockStatements.map(statement => statement.sql)).not.toContain('COMMIT');
+      console.error.mockRestore();
+    });
+
+    it('should join the transaction of the caller when given its client', async () => {
+      await database.withTransaction(client => database.updateTrip('trip-1', { itinerary }, null, {}, client));
+      expect(mockStatements.filter(statement => statement.sql === 'BEGIN')).toHaveLength(1);
+    });
+  });
+});
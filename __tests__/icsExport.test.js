@@ -0,0 +1,68 @@
+const { buildTripCalendar, resolveTimeZone, foldLine } = require('../services/export/ics');
+
+const trip = (itinerary, searchData = {}) => ({
+  id: 'trip-1',
+  title: 'Day in Toronto',
+  searchData: { searchQuery: 'Toronto', filters: {}, timestamp: '2025-07-12T14:00:00.000Z', ...searchData },
+  itinerary
+});
+
+describe('iCalendar export', () => {
+  it('resolves the destination timezone from the plan city', () => {
+    expect(resolveTimeZone('Toronto, ON, Canada')).toBe('America/Toronto');
+    expect(resolveTimeZone('Seattle, WA, USA')).toBe('America/Los_Angeles');
+    expect(resolveTimeZone('Paris, Île-de-France, France')).toBe('Europe/Paris');
+    expect(resolveTimeZone('Atlantis')).toBeNull();
+  });
+
+  it('builds one event per stop in UTC with travel events for transit legs', () => {
+    const { content, eventCount } = buildTripCalendar(trip({
+      city: 'Toronto, ON, Canada',
+      locations: [
+        {
+          name: 'ROM', time: '10:00 AM', estimatedTime: '2 hours', address: '100 Queen\'s Park, Toronto',
+          coordinates: { latitude: 43.6677, longitude: -79.3948 }, website: 'https://www.rom.on.ca',
+          description: 'Natural history; world cultures', category: 'attraction',
+          transitToNext: { type: 'Subway', duration: '20 minutes', details: 'Line 1 southbound' }
+        },
+        { name: 'St. Lawrence Market', time: '12:30 PM', estimatedTime: '1 hour', category: 'restaurant' }
+      ]
+    }));
+
+    expect(content.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(content.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(eventCount).toBe(3);
+    expect(content).toContain('DTSTART:20250712T140000Z\r\nDTEND:20250712T160000Z');
+    expect(content).toContain('GEO:43.6677;-79.3948');
+    expect(content).toContain('URL:https://www.rom.on.ca');
+    expect(content).toContain('DESCRIPTION:Natural history\\; world cultures');
+    expect(content).toContain('SUMMARY:Subway to St. Lawrence Market');
+    expect(content).toContain('DTSTART:20250712T160000Z\r\nDTEND:20250712T162000Z');
+    expect(content).toContain('TRANSP:TRANSPARENT');
+  });
+
+  it('places multi-day stops on their dates and can leave out travel events', () => {
+    const { content, eventCount, skippedCount } = buildTripCalendar(trip({
+      city: 'Tokyo, Japan',
+      days: [
+        { day: 1, date: '2025-07-11', locations: [{ name: 'Senso-ji', time: '9:00 AM', estimatedTime: '1 hour', transitToNext: { type: 'Walk', duration: '10 minutes' } }, { name: 'Skytree', time: '10:30 AM', estimatedTime: '1 hour' }] },
+        { day: 2, date: '2025-07-12', locations: [{ name: 'Meiji Jingu', time: 'Morning' }] }
+      ],
+      locations: []
+    }), { includeTransit: false });
+
+    expect(eventCount).toBe(2);
+    expect(skippedCount).toBe(1);
+    expect(content).toContain('DTSTART:20250711T000000Z');
+    expect(content).not.toContain('Walk to');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(lines.map((line, index) => (index === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+  });
+});
@@ -0,0 +1,77 @@
+const { buildItinerary, ensureStopIds, assignStopIds, getStopIds } = require('../services/itinerary');
+
+describe('Itinerary stop ids', () => {
+  const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('gives every stop of a new plan an id and ignores ids echoed by the AI', () => {
+    const itinerary = buildItinerary({
+      city: 'Paris',
+      locations: [{ id: 'louvre', name: 'Louvre' }, { id: 'louvre', name: 'Musée d\'Orsay' }]
+    });
+
+    const ids = itinerary.locations.map(location => location.id);
+    expect(ids.every(id => UUID.test(id))).toBe(true);
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  it('keeps the ids of stops a refinement kept, by name and in order', () => {
+    const previous = {
+      locations: [
+        { id: 'stop-1', name: 'Louvre' },
+        { id: 'stop-2', name: 'Café de Flore' },
+        { id: 'stop-3', name: 'Louvre' }
+      ]
+    };
+    const itinerary = buildItinerary({
+      city: 'Paris',
+      locations: [{ name: 'Louvre' }, { name: 'Jardin du Luxembourg' }, { name: 'louvre ' }]
+    }, previous);
+
+    const ids = itinerary.locations.map(location => location.id);
+    expect(ids[0]).toBe('stop-1');
+    expect(ids[1]).toMatch(UUID);
+    expect(ids[2]).toBe('stop-3');
+  });
+
+  it('keeps multi-day stops and their flattened locations in sync', () => {
+    const itinerary = buildItinerary({
+      city: 'Paris',
+      days: [
+        { day: 1, summary: 'Museums', locations: [{ name: 'Louvre' }] },
+        { day: 2, summary: 'Parks', locations: [{ name: 'Jardin du Luxembourg' }] }
+      ]
+    });
+
+    expect(itinerary.locations.map(location => location.id))
+      .toEqual(itinerary.days.map(day => day.locations[0].id));
+    expect(itinerary.locations[1].day).toBe(2);
+  });
+
+  it('stores the name-based keys of stops saved before stops had ids', () => {
+    const legacy = { locations: [{ name: 'Louvre' }, { name: 'Louvre' }, { id: 'stop-3', name: 'Tuileries' }] };
+
+    expect(getStopIds(legacy.locations)).toEqual(['louvre', 'louvre#2', 'stop-3']);
+    expect(ensureStopIds(legacy).locations.map(location => location.id)).toEqual(['louvre', 'louvre#2', 'stop-3']);
+    expect(ensureStopIds(ensureStopIds(legacy))).toEqual(ensureStopIds(legacy));
+  });
+
+  it('gives copied and added stops new ids without taking over existing ones', () => {
+    const itinerary = assignStopIds({
+      locations: [{ name: 'Louvre' }, { id: 'stop-1', name: 'Louvre' }, { id: 'stop-1', name: 'Louvre' }]
+    }, [{ id: 'stop-1', name: 'Louvre' }]);
+
+    const ids = itinerary.locations.map(location => location.id);
+    expect(ids[1]).toBe('stop-1');
+    expect(ids[0]).toMatch(UUID);
+    expect(ids[2]).toMatch(UUID);
+    expect(ids[0]).not.toBe(ids[2]);
+  });
+});
@@ -0,0 +1,69 @@
+const { buildGeoJson, buildGpx, buildKml } = require('../services/export/mapFormats');
+
+const trip = {
+  id: 'trip-1',
+  title: 'Paris & Montmartre',
+  itinerary: {
+    city: 'Paris, Île-de-France, France',
+    locations: [
+      {
+        name: 'Louvre', category: 'attraction', time: '9:00 AM', description: 'Art <and> history',
+        coordinates: { latitude: 48.8606, longitude: 2.3376 },
+        transitToNext: { type: 'Metro', duration: '25 minutes', details: 'Line 1 to Châtelet' }
+      },
+      { name: 'Sacré-Cœur', category: 'attraction', time: '11:00 AM', coordinates: { latitude: 48.8867, longitude: 2.3431 } },
+      { name: 'Unknown bakery', category: 'restaurant', time: '1:00 PM' }
+    ]
+  }
+};
+
+describe('Map export', () => {
+  it('builds GeoJSON points and a route with transit metadata per segment', () => {
+    const geojson = JSON.parse(buildGeoJson(trip));
+    const stops = geojson.features.filter(feature => feature.properties.featureType === 'stop');
+    const route = geojson.features.find(feature => feature.properties.featureType === 'route');
+
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(stops).toHaveLength(2);
+    expect(stops[0].geometry.coordinates).toEqual([2.3376, 48.8606]);
+    expect(stops[0].properties).toEqual(expect.objectContaining({ name: 'Louvre', category: 'attraction', time: '9:00 AM' }));
+    expect(route.geometry.type).toBe('LineString');
+    expect(route.geometry.coordinates).toHaveLength(2);
+    expect(route.properties.segments[0]).toEqual(expect.objectContaining({
+      from: 'Louvre', to: 'Sacré-Cœur', transitType: 'Metro', duration: '25 minutes'
+    }));
+    expect(route.properties.segments[0].distanceKm).toBeGreaterThan(2);
+  });
+
+  it('builds a GPX document with waypoints and a route', () => {
+    const gpx = buildGpx(trip);
+    expect(gpx).toContain('<gpx version="1.1" creator="PlanIT API" xmlns="http://www.topografix.com/GPX/1/1">');
+    expect(gpx).toContain('<wpt lat="48.8606" lon="2.3376"><name>Louvre</name>');
+    expect(gpx).toContain('<desc>Art &lt;and&gt; history</desc>');
+    expect(gpx).toContain('<rte><name>Paris &amp; Montmartre</name>');
+    expect(gpx).toContain('<type>Metro</type>');
+    expect(gpx).not.toContain('Unknown bakery');
+  });
+
+  it('builds a KML document with one line per segment and one route per day', () => {
+    const multiDay = {
+      ...trip,
+      itinerary: {
+        ...trip.itinerary,
+        days: [
+          { day: 1, locations: trip.itinerary.locations.slice(0, 2) },
+          { day: 2, locations: [
+            { name: 'Orsay', coordinates: { latitude: 48.86, longitude: 2.3266 } },
+            { name: 'Eiffel Tower', coordinates: { latitude: 48.8584, longitude: 2.2945 } }
+          ] }
+        ]
+      }
+    };
+    const kml = buildKml(multiDay);
+    expect(kml).toContain('<kml xmlns="http://www.opengis.net/kml/2.2">');
+    expect(kml.match(/<LineString>/g)).toHaveLength(2);
+    expect(kml).toContain('<name>Louvre → Sacré-Cœur</name><description>Metro, 25 minutes - Line 1 to Châtelet</description>');
+    expect(kml).toContain('<coordinates>2.3376,48.8606 2.3431,48.8867</coordinates>');
+    expect(kml).toContain('<Data name="day"><value>2</value></Data>');
+  });
+});
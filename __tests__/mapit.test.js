@@ -0,0 +1,66 @@
+const { buildMapLinks, splitIntoLegs } = require('../services/mapit');
+
+const stop = (name, latitude, longitude, address) => ({
+  name,
+  address,
+  coordinates: latitude === undefined ? undefined : { latitude, longitude }
+});
+
+const stops = [
+  stop('Louvre', 48.8606, 2.3376, 'Rue de Rivoli, 75001 Paris'),
+  stop('Orsay', 48.86, 2.3266),
+  stop('Bakery', undefined, undefined, '12 Rue Cler, 75007 Paris'),
+  stop('Eiffel Tower', 48.8584, 2.2945)
+];
+
+describe('MapIT', () => {
+  it('splits routes into connected legs', () => {
+    expect(splitIntoLegs([1, 2, 3, 4, 5], 3)).toEqual([[1, 2, 3], [3, 4, 5]]);
+    expect(splitIntoLegs([1, 2, 3], 2)).toEqual([[1, 2], [2, 3]]);
+    expect(splitIntoLegs([1, 2], 1)).toEqual([[1], [2]]);
+  });
+
+  it('builds one Google link with every stop, preferring coordinates over addresses', () => {
+    const { legs, mapUrl } = buildMapLinks(stops, { mapProvider: 'google', travelMode: 'walking' });
+    const params = new URL(mapUrl).searchParams;
+
+    expect(legs).toHaveLength(1);
+    expect(params.get('origin')).toBe('48.8606,2.3376');
+    expect(params.get('waypoints')).toBe('48.86,2.3266|12 Rue Cler, 75007 Paris');
+    expect(params.get('destination')).toBe('48.8584,2.2945');
+    expect(params.get('travelmode')).toBe('walking');
+  });
+
+  it('splits routes beyond the Google waypoint limit and for transit', () => {
+    const many = Array.from({ length: 15 }, (_, index) => stop(`Stop ${index}`, 48.85 + index / 1000, 2.35));
+    expect(buildMapLinks(many, { mapProvider: 'google' }).legs.map(leg => leg.stopCount)).toEqual([11, 5]);
+    expect(buildMapLinks(stops, { mapProvider: 'google', travelMode: 'transit' }).legs).toHaveLength(3);
+  });
+
+  it('builds a leg per pair of stops for Apple Maps so middle stops are kept', () => {
+    const { legs } = buildMapLinks(stops, { mapProvider: 'apple', travelMode: 'transit' });
+    expect(legs.map(leg => [leg.from, leg.to])).toEqual([['Louvre', 'Orsay'], ['Orsay', 'Bakery'], ['Bakery', 'Eiffel Tower']]);
+    expect(legs[0].url).toBe('https://maps.apple.com/?saddr=48.8606%2C2.3376&daddr=48.86%2C2.3266&dirflg=r');
+  });
+
+  it('builds OpenStreetMap, Waze and HERE links', () => {
+    const osm = buildMapLinks(stops, { mapProvider: 'osm', travelMode: 'bicycling' });
+    expect(osm.mapProvider).toBe('openstreetmap');
+    expect(osm.skippedLocations).toEqual([{ index: 2, name: 'Bakery' }]);
+    expect(osm.legs[0].url).toBe('https://www.openstreetmap.org/directions?engine=fossgis_osrm_bike&route=48.8606,2.3376;48.86,2.3266');
+
+    const waze = buildMapLinks(stops, { mapProvider: 'waze' });
+    expect(waze.legs).toHaveLength(4);
+    expect(waze.legs[2].url).toBe('https://waze.com/ul?q=12+Rue+Cler%2C+75007+Paris&navigate=yes');
+
+    const here = buildMapLinks(stops.slice(0, 2), { mapProvider: 'here', travelMode: 'transit' });
+    expect(here.mapUrl).toBe('https://wego.here.com/directions/publicTransport/48.8606,2.3376/48.86,2.3266');
+  });
+
+  it('rejects travel modes the provider does not support', () => {
+    expect(() => buildMapLinks(stops, { mapProvider: 'waze', travelMode: 'walking' }))
+      .toThrow('Waze supports these travel modes: driving');
+    expect(() => buildMapLinks([{ name: 'Nowhere' }], { mapProvider: 'google' }))
+      .toThrow('None of the locations has coordinates or an address');
+  });
+});
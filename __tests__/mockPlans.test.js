@@ -0,0 +1,87 @@
+const { generateMockPlan } = require('../services/llm/mockPlans');
+const { validatePlan } = require('../services/planSchema');
+const openaiService = require('../services/openai');
+
+const request = (searchQuery, filters, extra = {}) => ({
+  searchQuery,
+  filters,
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+describe('Mock plan generator', () => {
+  it('follows the city in the query and produces a valid plan', () => {
+    const plan = generateMockPlan(request('Things to do in Tokyo', { timeOfDay: ['morning'] }));
+    expect(plan.city).toBe('Tokyo, Japan');
+    expect(validatePlan(plan).errors).toEqual([]);
+  });
+
+  it('falls back to the request coordinates when the query names no city', () => {
+    const plan = generateMockPlan(request('Somewhere fun', {}, {
+      location: { coords: { latitude: 49.28, longitude: -123.12 } }
+    }));
+    expect(plan.city).toBe('Vancouver, BC, Canada');
+  });
+
+  it('is reproducible for the same request', () => {
+    const searchData = request('Weekend in Paris', { timeOfDay: ['allDay'], planFood: true });
+    expect(generateMockPlan(searchData)).toEqual(generateMockPlan(searchData));
+  });
+
+  it('uses the time slots implied by timeOfDay', () => {
+    const allDay = generateMockPlan(request('New York', { timeOfDay: ['allDay'] }));
+    const evening = generateMockPlan(request('New York', { timeOfDay: ['evening'] }));
+    expect(allDay.locations).toHaveLength(6);
+    expect(allDay.locations[0].time).toBe('9:00 AM');
+    expect(evening.locations).toHaveLength(3);
+    expect(evening.locations[0].time).toBe('6:00 PM');
+  });
+
+  it('ties restaurants to planFood/priceRange and legs to planTransit', () => {
+    const withFood = generateMockPlan(request('Toronto', { timeOfDay: ['afternoon'], planFood: true, priceRange: 4, planTransit: true }));
+    const restaurant = withFood.locations.find(location => location.category === 'restaurant');
+    expect(restaurant.priceRange).toBe('$$$+');
+    expect(withFood.locations.slice(0, -1).every(location => location.transitToNext)).toBe(true);
+    expect(withFood.locations[withFood.locations.length - 1].transitToNext).toBeNull();
+
+    const withoutFood = generateMockPlan(request('Toronto', { timeOfDay: ['afternoon'], planFood: false, planTransit: false }));
+    expect(withoutFood.locations.some(location => location.category === 'restaurant')).toBe(false);
+    expect(withoutFood.locations.every(location => location.transitToNext === null)).toBe(true);
+  });
+
+  it('returns a single replacement outside the avoided venues for regeneration', () => {
+    const plan = generateMockPlan(request('Vancouver', {}, {
+      regenerationContext: {
+        excludedLocation: 'Stanley Park Seawall',
+        excludedCategory: 'activity',
+        excludedTime: '2:30 PM',
+        avoidLocations: ['Stanley Park Seawall', 'Lighthouse Park'],
+        singleLocation: true
+      }
+    }));
+    expect(plan.locations).toHaveLength(1);
+    expect(plan.locations[0].time).toBe('2:30 PM');
+    expect(['Stanley Park Seawall', 'Lighthouse Park']).not.toContain(plan.locations[0].name);
+  });
+
+  it('plans one day per date with a lodging base for multi-day trips', () => {
+    const plan = generateMockPlan(request('Long weekend in Paris', {
+      timeOfDay: ['afternoon'],
+      planFood: true,
+      dateRange: { start: '2025-07-14', end: '2025-07-16' }
+    }));
+    expect(plan.lodging.name).toBe('Hôtel des Grands Boulevards');
+    expect(plan.days.map(day => day.date)).toEqual(['2025-07-14', '2025-07-15', '2025-07-16']);
+    expect(plan.days.every(day => day.locations.length === 3)).toBe(true);
+    expect(validatePlan(plan, { expectedDays: 3 }).errors).toEqual([]);
+
+    const names = plan.days[0].locations.concat(plan.days[1].locations).map(location => location.name);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  it('passes the test-ai mock plan checks', () => {
+    const result = openaiService.testMockPlans();
+    expect(result.checks.filter(check => !check.passed)).toEqual([]);
+    expect(result.success).toBe(true);
+  });
+});
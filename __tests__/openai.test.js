@@ -0,0 +1,132 @@
+// Fake OpenAI client so the service runs its real request/repair logic
+const mockCreate = jest.fn();
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({
+  chat: { completions: { create: (...args) => mockCreate(...args) } }
+})));
+
+process.env.OPENAI_API_KEY = 'test-key';
+const openaiService = require('../services/openai');
+
+const searchData = {
+  searchQuery: 'Things to do in Tokyo',
+  filters: { timeOfDay: ['morning'] },
+  timestamp: new Date().toISOString()
+};
+
+const validLocation = {
+  name: 'Senso-ji',
+  address: '2-3-1 Asakusa, Taito City, Tokyo',
+  description: 'Historic temple',
+  category: 'attraction',
+  estimatedTime: '1 hour',
+  time: '9:00 AM',
+  priceRange: 'Free',
+  coordinates: { latitude: 35.7148, longitude: 139.7967 },
+  transitToNext: null
+};
+
+const completion = (plan, finishReason = 'stop') => ({
+  model: 'gpt-3.5-turbo',
+  choices: [{ message: { content: typeof plan === 'string' ? plan : JSON.stringify(plan) }, finish_reason: finishReason }],
+  usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+});
+
+describe('OpenAI service - plan validation', () => {
+  beforeEach(() => {
+    mockCreate.mockReset();
+  });
+
+  it('normalizes harmless formatting and reports the repaired fields', async () => {
+    mockCreate.mockResolvedValueOnce(completion({
+      city: 'Tokyo, Japan',
+      summary: 'A morning in Asakusa',
+      locations: [{ ...validLocation, time: '09:00', category: 'Museum', priceRange: 'free' }]
+    }));
+
+    const result = await openaiService.generateTripPlan(searchData, 'Plan my morning');
+    expect(result.attempts).toBe(1);
+    expect(result.locations[0]).toMatchObject({ time: '9:00 AM', category: 'attraction', priceRange: 'Free' });
+    expect(result.repairedFields).toEqual(['locations[0].time', 'locations[0].category', 'locations[0].priceRange']);
+  });
+
+  it('sends validation errors back to the model and accepts the repaired plan', async () => {
+    mockCreate
+      .mockResolvedValueOnce(completion('{"city": "Tokyo, Japan", "locations": [', 'length'))
+      .mockResolvedValueOnce(completion({
+        city: 'Tokyo, Japan',
+        summary: 'A morning in Asakusa',
+        locations: [{ ...validLocation, coordinates: { latitude: 135.7, longitude: 139.8 } }]
+      }))
+      .mockResolvedValueOnce(completion({ city: 'Tokyo, Japan', summary: 'A morning in Asakusa', locations: [validLocation] }));
+
+    const result = await openaiService.generateTripPlan(searchData, 'Plan my morning');
+    expect(result.city).toBe('Tokyo, Japan');
+    expect(result.attempts).toBe(3);
+    expect(result.repairedFields).toContain('locations[0].coordinates.latitude');
+    expect(result.usage.total_tokens).toBe(450);
+
+    const repairMessages = mockCreate.mock.calls[2][0].messages;
+    expect(repairMessages[repairMessages.length - 1].content).toContain('locations[0].coordinates.latitude');
+  });
+
+  it('fails with a PlanGenerationError instead of falling back to another city', async () => {
+    mockCreate.mockResolvedValue(completion('Sorry, I cannot help with that.'));
+
+    await expect(openaiService.generateTripPlan(searchData, 'Plan my morning')).rejects.toMatchObject({
+      name: 'PlanGenerationError',
+      status: 502,
+      details: { attempts: 3 }
+    });
+    expect(mockCreate).toHaveBeenCalledTimes(3);
+  });
+
+  it('fails with a PlanGenerationError when the AI request itself fails', async () => {
+    mockCreate.mockRejectedValueOnce(new Error('Request timed out'));
+
+    await expect(openaiService.generateTripPlan(searchData, 'Plan my morning')).rejects.toMatchObject({
+      name: 'PlanGenerationError',
+      message: expect.stringContaining('Request timed out')
+    });
+  });
+});
+
+describe('LLM provider selection', () => {
+  const { createProvider } = require('../services/llm');
+  const OpenAI = require('openai');
+
+  it('uses OpenAI when an API key is configured', () => {
+    const provider = createProvider({ OPENAI_API_KEY: 'test-key' });
+    expect(provider.name).toBe('openai');
+    expect(provider.model).toBe('gpt-3.5-turbo');
+  });
+
+  it('points the OpenAI client at a compatible endpoint', () => {
+    const provider = createProvider({
+      LLM_PROVIDER: 'openai-compatible',
+      LLM_BASE_URL: 'http://localhost:8000/v1',
+      LLM_MODEL: 'llama-3-8b'
+    });
+    expect(provider.name).toBe('openai-compatible');
+    expect(provider.getStatus()).toEqual({ provider: 'openai-compatible', model: 'llama-3-8b', baseURL: 'http://localhost:8000/v1' });
+    expect(OpenAI).toHaveBeenLastCalledWith(expect.objectContaining({ baseURL: 'http://localhost:8000/v1' }));
+  });
+
+  it('falls back to the deterministic fixture provider when nothing is configured', async () => {
+    const provider = createProvider({});
+    expect(provider.name).toBe('fixture');
+
+    const first = await provider.complete([{ role: 'user', content: 'Plan' }], { context: { searchData } });
+    const second = await provider.complete([{ role: 'user', content: 'Plan' }], { context: { searchData } });
+    expect(first.content).toBe(second.content);
+    expect(first).toMatchObject({ model: 'fixture', finishReason: 'stop', usage: expect.any(Object), latencyMs: expect.any(Number) });
+  });
+
+  it('refuses to fall back to fixtures for an explicitly selected provider', () => {
+    expect(() => createProvider({ LLM_PROVIDER: 'openai-compatible' }))
+      .toThrow('LLM_PROVIDER is set to "openai-compatible" but is not configured');
+    expect(() => createProvider({ LLM_PROVIDER: 'openai' }))
+      .toThrow('LLM_PROVIDER is set to "openai" but is not configured');
+    expect(() => createProvider({ LLM_PROVIDER: 'anthropic', OPENAI_API_KEY: 'test-key' }))
+      .toThrow('LLM_PROVIDER is set to "anthropic" but is not a known provider');
+  });
+});
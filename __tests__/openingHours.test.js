@@ -0,0 +1,60 @@
+const { parseWeekdayText, toPeriods, isOpenAt, evaluateOpeningHours } = require('../services/openingHours');
+
+const museum = (time, estimatedTime = '1 hour') => ({
+  name: 'Musée Rodin',
+  time,
+  estimatedTime,
+  opening_hours: { open_now: true, weekday_text: ['Tuesday–Sunday: 10:00 AM – 6:30 PM', 'Monday: Closed'] }
+});
+
+describe('Opening hours', () => {
+  it('parses day ranges, split shifts and hours past midnight', () => {
+    const schedule = parseWeekdayText([
+      'Mon–Thu: 11:30 – 2:30 PM, 5:00 PM – 10:00 PM',
+      'Friday–Saturday: 6:00 PM – 2:00 AM',
+      'Sunday: Closed'
+    ]);
+    expect(schedule.unparsed).toEqual([]);
+    expect(schedule.intervals.filter(interval => interval.day === 1)).toEqual([
+      { day: 1, open: 690, close: 870 },
+      { day: 1, open: 1020, close: 1320 }
+    ]);
+    expect(isOpenAt(schedule, 0, 60).open).toBe(true); // Saturday night into Sunday
+    expect(isOpenAt(schedule, 0, 12 * 60).open).toBe(false);
+    expect(isOpenAt(schedule, 3, 15 * 60).open).toBe(false);
+  });
+
+  it('represents 24-hour places as a single open period', () => {
+    const schedule = parseWeekdayText(['Monday–Sunday: Open 24 hours']);
+    expect(schedule.alwaysOpen).toBe(true);
+    expect(toPeriods(schedule)).toEqual([{ open: { day: 0, time: '0000' } }]);
+    expect(isOpenAt(schedule, 3, 3 * 60).open).toBe(true);
+  });
+
+  it('replaces open_now with the status at the scheduled time and flags closed stops', () => {
+    const monday = evaluateOpeningHours(museum('2:00 PM'), '2025-07-14');
+    expect(monday.location.opening_hours.open_now).toBe(false);
+    expect(monday.warnings).toEqual([expect.objectContaining({ code: 'closed_at_visit', details: expect.objectContaining({ day: 'Monday' }) })]);
+
+    const tuesday = evaluateOpeningHours(museum('2:00 PM'), '2025-07-15');
+    expect(tuesday.location.opening_hours.open_now).toBe(true);
+    expect(tuesday.location.opening_hours.periods[0]).toEqual({ open: { day: 2, time: '1000' }, close: { day: 2, time: '1830' } });
+    expect(tuesday.warnings).toEqual([]);
+  });
+
+  it('warns when a venue closes before the visit ends and reports unknown hours as null', () => {
+    const late = evaluateOpeningHours(museum('5:30 PM', '2 hours'), '2025-07-15');
+    expect(late.warnings.map(warning => warning.code)).toEqual(['closes_during_visit']);
+
+    const unreadable = evaluateOpeningHours({ ...museum('2:00 PM'), opening_hours: { open_now: true, weekday_text: ['Hours vary by season'] } }, '2025-07-15');
+    expect(unreadable.location.opening_hours.open_now).toBeNull();
+    expect(unreadable.warnings).toEqual([]);
+
+    const withoutHours = evaluateOpeningHours({ ...museum('2:00 PM'), opening_hours: { open_now: true } }, '2025-07-15');
+    expect(withoutHours.location.opening_hours.open_now).toBeNull();
+    expect(withoutHours.warnings).toEqual([]);
+
+    const noOpeningHours = { name: 'Pont Neuf', time: '2:00 PM' };
+    expect(evaluateOpeningHours(noOpeningHours, '2025-07-15').location).toBe(noOpeningHours);
+  });
+});
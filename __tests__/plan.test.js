@@ -10,11 +10,31 @@ jest.mock('../services/openai', () => ({
     source: 'mock',
     usage: { prompt_tokens: 10, completion_tokens: 20 }
   }),
+  streamTripPlan: jest.fn(async (searchData, userMessage, { onEvent }) => {
+    onEvent({ type: 'city', value: 'Paris, France' });
+    onEvent({ type: 'location', index: 0, value: { name: 'Louvre' } });
+    return {
+      content: 'Streamed plan',
+      city: 'Paris, France',
+      locations: [{ name: 'Louvre' }],
+      processingTime: 50,
+      model: 'mock',
+      source: 'mock'
+    };
+  }),
   getServiceStatus: jest.fn().mockReturnValue({ status: 'ok', model: 'mock' }),
-  testConnection: jest.fn().mockResolvedValue({ success: true, message: 'ok', model: 'mock' })
+  testConnection: jest.fn().mockResolvedValue({ success: true, message: 'ok', model: 'mock' }),
+  testMockPlans: jest.fn().mockReturnValue({ success: true, checks: [] })
 }));
+const mockCreateTrip = jest.fn().mockResolvedValue(true);
+const mockCreateTripMessage = jest.fn().mockResolvedValue(true);
+const mockGetTripById = jest.fn();
+const mockWithTransaction = jest.fn().mockImplementation(async (callback) => callback('transaction-client'));
 jest.mock('../services/database', () => ({
-  createTrip: jest.fn().mockResolvedValue(true)
+  createTrip: (...args) => mockCreateTrip(...args),
+  createTripMessage: (...args) => mockCreateTripMessage(...args),
+  getTripById: (...args) => mockGetTripById(...args),
+  withTransaction: (...args) => mockWithTransaction(...args)
 }));
 
 const planRouter = require('../routes/plan');
@@ -33,6 +53,28 @@ describe('Plan API', () => {
       expect(res.body.error).toBe('Validation Error');
     });
 
+    it('should return 400 for an inconsistent trip length', async () => {
+      const searchData = (filters) => ({
+        searchQuery: 'Week in Tokyo',
+        filters,
+        timestamp: new Date().toISOString()
+      });
+      const cases = [
+        [{ days: 8 }, 'at most 7 days'],
+        [{ dateRange: { start: '2025-07-14', end: '2025-07-13' } }, 'must not be before'],
+        [{ dateRange: { start: '2025-07-01', end: '2025-07-10' } }, 'cannot span more than 7 days'],
+        [{ days: 2, dateRange: { start: '2025-07-14', end: '2025-07-16' } }, 'does not match']
+      ];
+
+      for (const [filters, message] of cases) {
+        const res = await request(app)
+          .post('/api/plan')
+          .send({ searchData: searchData(filters), userMessage: 'Plan my trip' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toContain(message);
+      }
+    });
+
     it('should return 200 and a response for valid request', async () => {
       const validBody = {
         searchData: {
@@ -59,6 +101,312 @@ describe('Plan API', () => {
       expect(res.body.location).toBeDefined();
       expect(res.body.metadata).toBeDefined();
     });
+
+    it('should persist the generated itinerary with the trip', async () => {
+      mockCreateTrip.mockClear();
+      mockCreateTripMessage.mockClear();
+      const res = await request(app)
+        .post('/api/plan')
+        .send({
+          searchData: {
+            searchQuery: 'Things to do in Paris',
+            filters: { timeOfDay: ['morning'] },
+            timestamp: new Date().toISOString()
+          },
+          userMessage: 'I want a fun day outdoors'
+        });
+      expect(res.statusCode).toBe(200);
+      expect(mockCreateTrip).toHaveBeenCalledTimes(1);
+      const tripData = mockCreateTrip.mock.calls[0][0];
+      expect(tripData.id).toBe(res.body.chatId);
+      expect(tripData.itinerary.summary).toBe('AI trip plan');
+      expect(tripData.itinerary.metadata.aiModel).toBe('gpt-4');
+      expect(tripData.itinerary.metadata.aiSource).toBe('mock');
+      expect(tripData.itinerary.metadata.tokenUsage).toEqual({ prompt_tokens: 10, completion_tokens: 20 });
+      expect(mockCreateTripMessage).toHaveBeenCalledWith(expect.objectContaining({
+        tripId: res.body.chatId,
+        role: 'user',
+        content: 'I want a fun day outdoors'
+      }), 'transaction-client');
+      expect(mockCreateTrip.mock.calls[0][1]).toBe('transaction-client');
+      expect(mockCreateTripMessage.mock.calls.map(call => call[0].role)).toEqual(['user', 'assistant']);
+    });
+  });
+
+  describe('POST /api/plan (timeline check)', () => {
+    const openaiService = require('../services/openai');
+    const overlappingPlan = {
+      content: 'Overlapping plan',
+      city: 'Paris, France',
+      locations: [
+        { name: 'Louvre', time: '9:00 AM', estimatedTime: '2 hours', coordinates: { latitude: 48.8606, longitude: 2.3376 }, transitToNext: { type: 'Metro', duration: '20 minutes' } },
+        { name: 'Musée d\'Orsay', time: '10:30 AM', estimatedTime: '90 minutes', coordinates: { latitude: 48.8600, longitude: 2.3266 }, transitToNext: null }
+      ],
+      source: 'mock'
+    };
+    const send = (filters) => request(app)
+      .post('/api/plan')
+      .send({
+        searchData: { searchQuery: 'Museums in Paris', filters, timestamp: new Date().toISOString() },
+        userMessage: 'Museums please'
+      });
+
+    it('should attach structured warnings to overlapping stops', async () => {
+      openaiService.generateTripPlan.mockResolvedValueOnce(overlappingPlan);
+      const res = await send({ timeOfDay: ['morning'] });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.locations[0].warnings).toEqual([]);
+      expect(res.body.locations[1].warnings).toEqual([
+        expect.objectContaining({ code: 'overlap', severity: 'error', details: expect.objectContaining({ overlapMinutes: 30 }) })
+      ]);
+      expect(res.body.metadata.warningCount).toBe(1);
+    });
+
+    it('should evaluate opening hours on the trip date', async () => {
+      openaiService.generateTripPlan.mockResolvedValueOnce({
+        ...overlappingPlan,
+        locations: [{
+          ...overlappingPlan.locations[0],
+          transitToNext: null,
+          opening_hours: { open_now: true, weekday_text: ['Wednesday–Monday: 9:00 AM – 6:00 PM', 'Tuesday: Closed'] }
+        }]
+      });
+      const res = await send({ dateRange: { start: '2025-07-15', end: '2025-07-15' } });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.locations[0].opening_hours.open_now).toBe(false);
+      expect(res.body.locations[0].warnings.map(warning => warning.code)).toEqual(['closed_at_visit']);
+    });
+
+    it('should shift later stops and save the shifted times with autoShift', async () => {
+      mockCreateTrip.mockClear();
+      openaiService.generateTripPlan.mockResolvedValueOnce(overlappingPlan);
+      const res = await send({ timeOfDay: ['morning'], autoShift: true });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.locations[1].time).toBe('11:20 AM');
+      expect(res.body.locations[1].warnings[0].details.shifted).toEqual({ from: '10:30 AM', to: '11:20 AM' });
+      expect(res.body.metadata.shiftedStops).toBe(1);
+      expect(mockCreateTrip.mock.calls[0][0].itinerary.locations[1].time).toBe('11:20 AM');
+      expect(mockCreateTrip.mock.calls[0][0].itinerary.locations[1].warnings).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/plan (coordinate check)', () => {
+    const openaiService = require('../services/openai');
+    const stop = (name, time, latitude, longitude) => ({
+      name, time, estimatedTime: '30 minutes', category: 'attraction',
+      coordinates: latitude === undefined ? undefined : { latitude, longitude }
+    });
+    const send = (filters, extra = {}) => request(app)
+      .post('/api/plan')
+      .send({
+        searchData: { searchQuery: 'Things to do in Paris', filters, timestamp: new Date().toISOString(), ...extra },
+        userMessage: 'Plan my day'
+      });
+
+    it('should flag missing, invalid and far-away coordinates with a confidence score', async () => {
+      openaiService.generateTripPlan.mockResolvedValueOnce({
+        content: 'Plan', city: 'Paris, France', source: 'mock',
+        locations: [
+          stop('Louvre', '9:00 AM', 48.8606, 2.3376),
+          stop('Nowhere', '10:00 AM'),
+          stop('Null Island', '11:00 AM', 0, 0),
+          stop('Lyon', '12:00 PM', 45.764, 4.8357)
+        ]
+      });
+      const res = await send({}, { location: { coords: { latitude: 43.65, longitude: -79.38 } } });
+      expect(res.statusCode).toBe(200);
+
+      const codes = res.body.locations.map(location => location.warnings.map(warning => warning.code));
+      expect(codes).toEqual([[], ['missing_coordinates'], ['invalid_coordinates'], ['far_from_city']]);
+      expect(res.body.locations[0].coordinateConfidence).toBeGreaterThan(0.9);
+      expect(res.body.locations[1].coordinateConfidence).toBe(0);
+      expect(res.body.locations[3].coordinateConfidence).toBeLessThan(0.1);
+      expect(res.body.metadata.suspectLocations).toBe(3);
+      expect(res.body.metadata.cityCenter.source).toBe('library');
+    });
+
+    it('should re-request suspect stops with replaceSuspectStops', async () => {
+      openaiService.generateTripPlan
+        .mockResolvedValueOnce({
+          content: 'Plan', city: 'Paris, France', source: 'mock',
+          locations: [stop('Louvre', '9:00 AM', 48.8606, 2.3376), stop('Lyon', '10:00 AM', 45.764, 4.8357)]
+        })
+        .mockResolvedValueOnce({ locations: [stop('Musée Rodin', '10:00 AM', 48.8553, 2.3158)] });
+      const res = await send({ replaceSuspectStops: true });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.locations.map(location => location.name)).toEqual(['Louvre', 'Musée Rodin']);
+      expect(res.body.metadata.replacedLocations).toEqual([{ index: 1, replaced: 'Lyon', replacement: 'Musée Rodin' }]);
+      expect(openaiService.generateTripPlan.mock.calls.at(-1)[0].regenerationContext).toEqual(expect.objectContaining({
+        excludedLocation: 'Lyon',
+        singleLocation: true
+      }));
+    });
+  });
+
+  describe('POST /api/plan (cost estimate)', () => {
+    const openaiService = require('../services/openai');
+
+    it('should return a cost estimate in the local currency and flag stops over budget', async () => {
+      openaiService.generateTripPlan.mockResolvedValueOnce({
+        content: 'Plan', city: 'Toronto, ON, Canada', source: 'mock',
+        locations: [
+          { name: 'ROM', time: '10:00 AM', estimatedTime: '2 hours', category: 'attraction', priceRange: '$$' },
+          { name: 'Canoe', time: '1:00 PM', estimatedTime: '1 hour', category: 'restaurant', priceRange: '$$$' }
+        ]
+      });
+      const res = await request(app)
+        .post('/api/plan')
+        .send({
+          searchData: { searchQuery: 'Toronto', filters: { groupSize: 'duo', planFood: true, priceRange: 2 }, timestamp: new Date().toISOString() },
+          userMessage: 'Plan my day'
+        });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.costEstimate.currency).toBe('CAD');
+      expect(res.body.costEstimate.stops).toHaveLength(2);
+      expect(res.body.costEstimate.total.min).toBeGreaterThan(0);
+      expect(res.body.locations[1].warnings.map(warning => warning.code)).toContain('over_budget');
+      expect(res.body.metadata.overBudgetStops).toBe(1);
+    });
+  });
+
+  describe('POST /api/plan (AI failures)', () => {
+    it('should return 502 instead of an unrelated plan when the AI output stays invalid', async () => {
+      const openaiService = require('../services/openai');
+      const generationError = new Error('The AI returned an invalid trip plan after 3 attempts');
+      generationError.name = 'PlanGenerationError';
+      generationError.status = 502;
+      generationError.details = { attempts: 3, errors: [{ field: 'locations[0].time', message: 'invalid' }] };
+      openaiService.generateTripPlan.mockRejectedValueOnce(generationError);
+      mockCreateTrip.mockClear();
+
+      const res = await request(app)
+        .post('/api/plan')
+        .send({
+          searchData: {
+            searchQuery: 'Things to do in Tokyo',
+            filters: {},
+            timestamp: new Date().toISOString()
+          },
+          userMessage: 'Plan my day'
+        });
+      expect(res.statusCode).toBe(502);
+      expect(res.body.error).toBe('AI Generation Failed');
+      expect(res.body.details.attempts).toBe(3);
+      expect(mockCreateTrip).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/plan/stream', () => {
+    it('should return 400 for invalid request body', async () => {
+      const res = await request(app)
+        .post('/api/plan/stream')
+        .send({});
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Validation Error');
+    });
+
+    it('should stream plan events and finish with the saved chat ID', async () => {
+      mockCreateTrip.mockClear();
+      const res = await request(app)
+        .post('/api/plan/stream')
+        .send({
+          searchData: {
+            searchQuery: 'Things to do in Paris',
+            filters: {},
+            timestamp: new Date().toISOString()
+          },
+          userMessage: 'Show me the classics'
+        });
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = res.text.trim().split('\n\n').map(frame => {
+        const [eventLine, dataLine] = frame.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+      });
+      expect(events.map(e => e.event)).toEqual(['start', 'city', 'location', 'done']);
+      expect(events[1].data.city).toBe('Paris, France');
+      expect(events[2].data).toEqual({ index: 0, location: { name: 'Louvre' } });
+
+      const done = events[3].data;
+      expect(done.chatId).toBe(events[0].data.chatId);
+      expect(done.metadata.locationCount).toBe(1);
+      expect(mockCreateTrip.mock.calls[0][0].id).toBe(done.chatId);
+    });
+
+    it('should check the streamed plan like POST /api/plan before saving it', async () => {
+      const openaiService = require('../services/openai');
+      openaiService.streamTripPlan.mockResolvedValueOnce({
+        content: 'Streamed plan', city: 'Paris, France', source: 'mock',
+        locations: [
+          {
+            name: 'Louvre', time: '9:00 AM', estimatedTime: '2 hours', category: 'attraction', priceRange: '$$',
+            coordinates: { latitude: 48.8606, longitude: 2.3376 }, transitToNext: null,
+            opening_hours: { open_now: true, weekday_text: ['Wednesday–Monday: 9:00 AM – 6:00 PM', 'Tuesday: Closed'] }
+          }
+        ]
+      });
+      mockCreateTrip.mockClear();
+
+      const res = await request(app)
+        .post('/api/plan/stream')
+        .send({
+          searchData: {
+            searchQuery: 'Museums in Paris',
+            filters: { dateRange: { start: '2025-07-15', end: '2025-07-15' } },
+            timestamp: new Date().toISOString()
+          },
+          userMessage: 'Museums please'
+        });
+      expect(res.statusCode).toBe(200);
+
+      const doneFrame = res.text.trim().split('\n\n').find(frame => frame.startsWith('event: done'));
+      const done = JSON.parse(doneFrame.split('\n')[1].replace('data: ', ''));
+      expect(done.plan.locations[0].opening_hours.open_now).toBe(false);
+      expect(done.plan.locations[0].warnings.map(warning => warning.code)).toEqual(['closed_at_visit']);
+      expect(done.plan.locations[0].coordinateConfidence).toBeGreaterThan(0.9);
+      expect(done.costEstimate.currency).toBe('EUR');
+      expect(done.metadata.warningCount).toBe(1);
+      expect(mockCreateTrip.mock.calls[0][0].itinerary.locations[0].opening_hours.open_now).toBe(false);
+    });
+  });
+
+  describe('POST /api/plan/mapit', () => {
+    const TRIP_ID = '550e8400-e29b-41d4-a716-446655440001';
+    const locations = [
+      { name: 'Louvre', address: 'Rue de Rivoli, Paris', coordinates: { latitude: 48.8606, longitude: 2.3376 } },
+      { name: 'Orsay', address: '1 Rue de la Légion d\'Honneur, Paris' },
+      { name: 'Eiffel Tower', coordinates: { latitude: 48.8584, longitude: 2.2945 } }
+    ];
+
+    it('should keep the middle stops in Apple Maps links', async () => {
+      const res = await request(app).post('/api/plan/mapit').send({ locations, mapProvider: 'apple' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.legs).toHaveLength(2);
+      expect(res.body.legs[1].from).toBe('Orsay');
+      expect(res.body.mapUrl).toBe(res.body.legs[0].url);
+    });
+
+    it('should build links from a stored trip', async () => {
+      mockGetTripById.mockResolvedValueOnce({ id: TRIP_ID, userId: null, itinerary: { locations } });
+      const res = await request(app).post('/api/plan/mapit').send({ chatId: TRIP_ID, mapProvider: 'google' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.chatId).toBe(TRIP_ID);
+      expect(res.body.locationCount).toBe(3);
+      expect(new URL(res.body.mapUrl).searchParams.get('destination')).toBe('48.8584,2.2945');
+    });
+
+    it('should reject a travel mode the provider does not support', async () => {
+      const res = await request(app).post('/api/plan/mapit').send({ locations, mapProvider: 'waze', travelMode: 'transit' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Waze supports these travel modes: driving');
+    });
+
+    it('should require locations or a chatId', async () => {
+      const res = await request(app).post('/api/plan/mapit').send({ mapProvider: 'google' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Provide a locations array or the chatId of a stored trip');
+    });
   });
 
   describe('GET /api/plan/status', () => {
@@ -77,6 +425,7 @@ describe('Plan API', () => {
       expect([200, 503]).toContain(res.statusCode);
       expect(res.body.service).toBe('OpenAI Test');
       expect(res.body.success).toBeDefined();
+      expect(res.body.mockPlans.success).toBe(true);
       expect(res.body.timestamp).toBeDefined();
     });
   });
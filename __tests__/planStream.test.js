@@ -0,0 +1,71 @@
+const { createPlanStreamParser } = require('../services/planStream');
+
+const plan = {
+  city: 'Paris, France',
+  summary: 'A "classic" day in Paris',
+  locations: [
+    { name: 'Louvre', coordinates: { latitude: 48.86, longitude: 2.33 }, tags: ['art', 'museum'] },
+    { name: 'Café de Flore', transitToNext: null }
+  ],
+  practicalTips: 'Book tickets {early}'
+};
+
+const feed = (text, chunkSize) => {
+  const parser = createPlanStreamParser();
+  const events = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    events.push(...parser.push(text.slice(i, i + chunkSize)));
+  }
+  return { parser, events };
+};
+
+describe('Plan stream parser', () => {
+  it('emits each field once it is complete, regardless of chunking', () => {
+    const text = JSON.stringify(plan, null, 2);
+    [1, 7, text.length].forEach(chunkSize => {
+      const { parser, events } = feed(text, chunkSize);
+      expect(events).toEqual([
+        { type: 'city', value: plan.city },
+        { type: 'summary', value: plan.summary },
+        { type: 'location', index: 0, value: plan.locations[0] },
+        { type: 'location', index: 1, value: plan.locations[1] },
+        { type: 'practicalTips', value: plan.practicalTips }
+      ]);
+      expect(parser.isComplete()).toBe(true);
+    });
+  });
+
+  it('emits a location before the rest of the plan has arrived', () => {
+    const text = JSON.stringify(plan);
+    const cut = text.indexOf('Café');
+    const parser = createPlanStreamParser();
+    const events = parser.push(text.slice(0, cut));
+    expect(events.map(e => e.type)).toEqual(['city', 'summary', 'location']);
+    expect(parser.isComplete()).toBe(false);
+  });
+
+  it('ignores markdown fences around the JSON', () => {
+    const { events } = feed('```json\n' + JSON.stringify({ city: 'Rome, Italy' }) + '\n```', 5);
+    expect(events).toEqual([{ type: 'city', value: 'Rome, Italy' }]);
+  });
+
+  it('emits lodging, stops with their day and each day for multi-day plans', () => {
+    const multiDay = {
+      city: 'Paris, France',
+      lodging: { name: 'Hôtel des Grands Boulevards' },
+      days: [
+        { day: 1, date: '2025-07-14', summary: 'Left bank', locations: [{ name: 'Louvre' }] },
+        { day: 2, date: '2025-07-15', summary: 'Right bank', locations: [{ name: 'Sacré-Cœur' }] }
+      ]
+    };
+    const { events } = feed(JSON.stringify(multiDay), 9);
+    expect(events).toEqual([
+      { type: 'city', value: multiDay.city },
+      { type: 'lodging', value: multiDay.lodging },
+      { type: 'location', day: 0, index: 0, value: { name: 'Louvre' } },
+      { type: 'day', index: 0, value: { day: 1, date: '2025-07-14', summary: 'Left bank' } },
+      { type: 'location', day: 1, index: 0, value: { name: 'Sacré-Cœur' } },
+      { type: 'day', index: 1, value: { day: 2, date: '2025-07-15', summary: 'Right bank' } }
+    ]);
+  });
+});
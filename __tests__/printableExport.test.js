@@ -0,0 +1,68 @@
+const { buildHtml, buildPdf } = require('../services/export/printable');
+
+const trip = {
+  id: 'trip-1',
+  title: 'Toronto <Highlights>',
+  location: 'Toronto, ON, Canada',
+  searchData: { searchQuery: 'Toronto', filters: {}, timestamp: '2025-07-12T14:00:00.000Z' },
+  itinerary: {
+    city: 'Toronto, ON, Canada',
+    summary: 'Museums and markets',
+    practicalTips: 'Use a PRESTO card on the TTC.',
+    locations: [
+      {
+        name: 'Royal Ontario Museum', time: '10:00 AM', estimatedTime: '2 hours', category: 'attraction',
+        address: '100 Queen\'s Park, Toronto', phone: '+1 416-586-8000', website: 'Not available',
+        opening_hours: { weekday_text: ['Friday: 10:00 AM – 5:30 PM', 'Saturday: 10:00 AM – 5:30 PM'] },
+        transitToNext: { type: 'Subway', duration: '20 minutes', details: 'Line 1 southbound to King' }
+      },
+      { name: 'St. Lawrence Market', time: '12:30 PM', estimatedTime: '1 hour', category: 'restaurant' }
+    ]
+  }
+};
+
+const image = {
+  url: 'https://images.unsplash.com/photo-1?fm=jpg',
+  alt_description: 'Toronto skyline',
+  photographer: { name: 'Jane Doe', profile_url: 'https://unsplash.com/@janedoe' }
+};
+
+describe('Printable export', () => {
+  it('renders an escaped HTML itinerary with the timeline, tips and photo attribution', () => {
+    const html = buildHtml(trip, { image });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<h1>Toronto &lt;Highlights&gt;</h1>');
+    expect(html).toContain('Museums and markets');
+    expect(html).toContain('100 Queen&#39;s Park, Toronto');
+    expect(html).toContain('Saturday: 10:00 AM – 5:30 PM');
+    expect(html).not.toContain('Friday: 10:00 AM');
+    expect(html).toContain('+1 416-586-8000');
+    expect(html).not.toContain('Not available');
+    expect(html).toContain('Subway · 20 minutes · Line 1 southbound to King');
+    expect(html).toContain('Use a PRESTO card on the TTC.');
+    expect(html).toContain('<a href="https://unsplash.com/@janedoe?utm_source=planit&amp;utm_medium=referral">Jane Doe</a>');
+    expect(html).toContain('on <a href="https://unsplash.com/?utm_source=planit&amp;utm_medium=referral">Unsplash</a>');
+  });
+
+  it('renders a PDF without downloading the cover image or crediting a cover it does not show', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const pdf = await buildPdf(trip, { image });
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdf.subarray(-6).toString()).toContain('%%EOF');
+    expect(pdf.toString('latin1')).not.toContain('/Subtype /Image');
+    expect(pdf.toString('latin1')).not.toContain('unsplash.com/@janedoe');
+    expect(fetchSpy).not.toHaveBeenCalled();
+    fetchSpy.mockRestore();
+  });
+
+  it('embeds the cover image with its attribution when its bytes are given', async () => {
+    const coverImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC', 'base64');
+    const pdf = await buildPdf(trip, { image, coverImage });
+
+    expect(pdf.toString('latin1')).toContain('/Subtype /Image');
+    expect(pdf.toString('latin1')).toContain('unsplash.com/@janedoe');
+  });
+});
@@ -0,0 +1,52 @@
+const { optimizeItinerary } = require('../services/routeOptimizer');
+
+const stop = (name, time, latitude, longitude, extra = {}) => ({
+  name,
+  time,
+  estimatedTime: '1 hour',
+  category: 'attraction',
+  coordinates: { latitude, longitude },
+  transitToNext: null,
+  ...extra
+});
+
+// 2025-07-14 is a Monday
+const searchData = { filters: { dateRange: { start: '2025-07-14', end: '2025-07-14' } } };
+
+describe('Route optimizer', () => {
+  it('only schedules a stop while it is open', () => {
+    const itinerary = {
+      locations: [
+        stop('Start', '9:00 AM', 48.8606, 2.3376),
+        stop('Far', '10:30 AM', 48.8867, 2.3431),
+        stop('Near', '12:00 PM', 48.8600, 2.3266, {
+          opening_hours: { weekday_text: ['Monday–Sunday: 11:00 AM – 6:00 PM'] }
+        }),
+        stop('Far too', '1:30 PM', 48.8880, 2.3400)
+      ]
+    };
+
+    const result = optimizeItinerary(itinerary, searchData);
+    expect(result.changed).toBe(true);
+    expect(result.itinerary.locations.map(location => location.name)).toEqual(['Near', 'Start', 'Far', 'Far too']);
+    // Near is first on the shortest route, so the day waits for its 11:00 AM opening
+    expect(result.itinerary.locations.map(location => location.time)).toEqual(['11:00 AM', '12:15 PM', '1:40 PM', '2:45 PM']);
+    expect(result.itinerary.locations[0].opening_hours.open_now).toBe(true);
+    expect(result.distance.afterKm).toBeLessThan(result.distance.beforeKm);
+  });
+
+  it('optimizes each day of a multi-day plan from the lodging', () => {
+    const itinerary = {
+      lodging: { name: 'Hotel', coordinates: { latitude: 48.8867, longitude: 2.3431 } },
+      days: [
+        { day: 1, locations: [stop('Louvre', '9:00 AM', 48.8606, 2.3376), stop('Sacré-Cœur', '11:00 AM', 48.8867, 2.3431)] },
+        { day: 2, locations: [stop('Orsay', '9:00 AM', 48.8600, 2.3266)] }
+      ]
+    };
+
+    const result = optimizeItinerary(itinerary, searchData);
+    expect(result.order).toEqual([[1, 0], [0]]);
+    expect(result.itinerary.locations.map(location => `${location.day}:${location.name}`)).toEqual(['1:Sacré-Cœur', '1:Louvre', '2:Orsay']);
+    expect(result.distance.savedKm).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const express = require('express');
+
+const TOKEN = 'k3Jx9QpZ0vT7mN2aB8cD4eF6gH1iJ5lO';
+const mockAccessShareLink = jest.fn();
+const mockCreateTrip = jest.fn().mockImplementation(async (tripData) => ({ ...tripData, currentRevision: 1 }));
+const mockLogAuditEvent = jest.fn().mockResolvedValue();
+const mockGenerateTripPlan = jest.fn();
+const mockCreateTripMessage = jest.fn().mockResolvedValue({});
+const mockGetTripMessages = jest.fn();
+
+jest.mock('../services/database', () => ({
+  accessShareLink: (...args) => mockAccessShareLink(...args),
+  createTrip: (...args) => mockCreateTrip(...args),
+  logAuditEvent: (...args) => mockLogAuditEvent(...args),
+  createTripMessage: (...args) => mockCreateTripMessage(...args),
+  getTripMessages: (...args) => mockGetTripMessages(...args),
+  withTransaction: async (callback) => callback('transaction-client')
+}));
+jest.mock('../services/openai', () => ({
+  generateTripPlan: (...args) => mockGenerateTripPlan(...args)
+}));
+jest.mock('../services/unsplash', () => ({
+  addImagesToTrips: jest.fn().mockImplementation(async trips => trips.map(trip => ({ ...trip, image: 'https://images.unsplash.com/paris' })))
+}));
+// Requests are anonymous unless they send an x-test-user header
+jest.mock('../middleware/auth', () => ({
+  optionalAuth: (req, res, next) => {
+    req.userId = req.get('x-test-user') || null;
+    next();
+  }
+}));
+
+const sharedRouter = require('../routes/shared');
+const app = express();
+app.use(express.json());
+app.use('/api/shared', sharedRouter);
+
+const sharedTrip = {
+  id: 'trip-1',
+  userId: 'user-1',
+  title: 'Weekend in Paris',
+  location: 'Paris',
+  searchData: {
+    searchQuery: 'Things to do in Paris',
+    filters: {},
+    location: { coords: { latitude: 48.85, longitude: 2.35 } }
+  },
+  itinerary: { city: 'Paris', locations: [{ name: 'Louvre', category: 'attraction', time: '9:00 AM' }] }
+};
+
+describe('Shared Trip API', () => {
+  beforeEach(() => {
+    mockAccessShareLink.mockReset();
+    mockCreateTrip.mockClear();
+    mockLogAuditEvent.mockClear();
+    mockGenerateTripPlan.mockReset();
+    mockCreateTripMessage.mockClear();
+    mockGetTripMessages.mockReset();
+    mockGetTripMessages.mockResolvedValue({ messages: [{ role: 'user', content: 'A relaxed weekend in Paris' }], pagination: { total: 2 } });
+  });
+
+  it('should return a read-only view of the shared trip with its image', async () => {
+    mockAccessShareLink.mockResolvedValueOnce({
+      shareLink: { id: 'share-1', expiresAt: null, accessCount: 4 },
+      trip: {
+        id: 'trip-1',
+        userId: 'user-1',
+        title: 'Weekend in Paris',
+        location: 'Paris',
+        lastUpdated: '2024-01-01',
+        searchData: { searchQuery: 'Paris with my family' },
+        itinerary: { city: 'Paris', locations: [{ name: 'Louvre' }] }
+      }
+    });
+
+    const res = await request(app).get(`/api/shared/${TOKEN}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.readOnly).toBe(true);
+    expect(res.body.trip).toEqual({
+      title: 'Weekend in Paris',
+      location: 'Paris',
+      lastUpdated: '2024-01-01',
+      itinerary: { city: 'Paris', locations: [{ name: 'Louvre' }] },
+      image: 'https://images.unsplash.com/paris'
+    });
+    expect(mockAccessShareLink).toHaveBeenCalledWith(TOKEN);
+  });
+
+  it('should return 404 for revoked, expired or unknown links', async () => {
+    mockAccessShareLink.mockResolvedValueOnce(null);
+    const res = await request(app).get(`/api/shared/${TOKEN}`);
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should reject malformed tokens without querying the database', async () => {
+    const res = await request(app).get('/api/shared/not*a*token');
+    expect(res.statusCode).toBe(400);
+    expect(mockAccessShareLink).not.toHaveBeenCalled();
+  });
+
+  describe('POST /api/shared/:token/clone', () => {
+    it('should copy the shared trip for the caller without the owner\'s position', async () => {
+      mockAccessShareLink.mockResolvedValueOnce({ shareLink: { id: 'share-1' }, trip: sharedTrip });
+
+      const res = await request(app).post(`/api/shared/${TOKEN}/clone`).set('x-test-user', 'user-2').send({});
+      expect(res.statusCode).toBe(201);
+      expect(res.body.regenerated).toBe(false);
+      expect(res.body.clonedFrom).toEqual({ id: 'trip-1', title: 'Weekend in Paris' });
+      expect(mockGenerateTripPlan).not.toHaveBeenCalled();
+
+      const [tripData] = mockCreateTrip.mock.calls[0];
+      expect(tripData).toMatchObject({ userId: 'user-2', clonedFrom: 'trip-1', itinerary: sharedTrip.itinerary });
+      expect(tripData.searchData).toEqual({ searchQuery: 'Things to do in Paris', filters: {} });
+      expect(mockCreateTripMessage.mock.calls.map(call => call[0].role)).toEqual(['user', 'assistant']);
+      expect(mockCreateTripMessage.mock.calls[0][0].content).toBe('A relaxed weekend in Paris');
+      expect(mockLogAuditEvent).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'clone',
+        userId: 'user-2',
+        newData: expect.objectContaining({ clonedFrom: 'trip-1', shareLinkId: 'share-1' })
+      }));
+    });
+
+    it('should regenerate the shared trip for new filters', async () => {
+      mockAccessShareLink.mockResolvedValueOnce({ shareLink: { id: 'share-1' }, trip: sharedTrip });
+      mockGenerateTripPlan.mockResolvedValueOnce({
+        content: 'A family day in Paris',
+        city: 'Paris',
+        locations: [{ name: 'Jardin des Plantes', category: 'activity', time: '9:00 AM' }],
+        source: 'mock'
+      });
+
+      const res = await request(app).post(`/api/shared/${TOKEN}/clone`).send({ filters: { specialOptions: ['family'] } });
+      expect(res.statusCode).toBe(201);
+      expect(res.body.regenerated).toBe(true);
+
+      const [searchData] = mockGenerateTripPlan.mock.calls[0];
+      expect(searchData.location).toBeUndefined();
+      expect(searchData.filters).toEqual({ specialOptions: ['family'] });
+      expect(mockCreateTrip.mock.calls[0][0]).toMatchObject({ userId: null, clonedFrom: 'trip-1' });
+    });
+
+    it('should return 404 for revoked, expired or unknown links', async () => {
+      mockAccessShareLink.mockResolvedValueOnce(null);
+      const res = await request(app).post(`/api/shared/${TOKEN}/clone`).send({});
+      expect(res.statusCode).toBe(404);
+      expect(mockCreateTrip).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid overrides without using the link', async () => {
+      const res = await request(app).post(`/api/shared/${TOKEN}/clone`).send({ filters: { days: 30 } });
+      expect(res.statusCode).toBe(400);
+      expect(mockAccessShareLink).not.toHaveBeenCalled();
+    });
+  });
+});
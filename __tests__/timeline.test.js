@@ -0,0 +1,68 @@
+const { parseDuration, checkTimeline, checkPlanTimeline } = require('../services/timeline');
+
+const stop = (name, time, estimatedTime, travel = null) => ({
+  name,
+  time,
+  estimatedTime,
+  transitToNext: travel ? { type: 'Bus', duration: travel } : null
+});
+
+describe('Timeline checker', () => {
+  it('parses free-text durations', () => {
+    expect(parseDuration('2 hours')).toBe(120);
+    expect(parseDuration('1h 30m')).toBe(90);
+    expect(parseDuration('1.5 hrs')).toBe(90);
+    expect(parseDuration('45 mins')).toBe(45);
+    expect(parseDuration('half an hour')).toBe(30);
+    expect(parseDuration('1-2 hours')).toBe(60);
+    expect(parseDuration('as long as you like')).toBeNull();
+  });
+
+  it('flags overlaps, travel legs that do not fit and out-of-order stops', () => {
+    const { warnings } = checkTimeline([
+      stop('Ferry terminal', '9:00 AM', '1 hour', '45 minutes'),
+      stop('Island', '10:15 AM', '2 hours'),
+      stop('Lunch', '11:30 AM', '1 hour'),
+      stop('Museum', '11:00 AM', '1 hour')
+    ]);
+    expect(warnings.map(stopWarnings => stopWarnings.map(warning => warning.code))).toEqual([
+      [],
+      ['insufficient_transit'],
+      ['overlap'],
+      ['out_of_order']
+    ]);
+    expect(warnings[1][0].details).toEqual({ gapMinutes: 15, travelMinutes: 45 });
+  });
+
+  it('reports unparseable fields and keeps late-night stops in order', () => {
+    const { warnings } = checkTimeline([
+      stop('Bar', '11:00 PM', '1 hour'),
+      stop('Club', '12:15 AM', 'until late')
+    ]);
+    expect(warnings[0]).toEqual([]);
+    expect(warnings[1].map(warning => warning.code)).toEqual(['invalid_duration']);
+  });
+
+  it('shifts later stops to the earliest time they can start with autoShift', () => {
+    const locations = [
+      stop('Ferry terminal', '9:00 AM', '1 hour', '45 minutes'),
+      stop('Island', '10:15 AM', '2 hours'),
+      stop('Lunch', '12:30 PM', '1 hour')
+    ];
+    const result = checkTimeline(locations, { autoShift: true });
+    expect(result.locations.map(location => location.time)).toEqual(['9:00 AM', '10:45 AM', '12:45 PM']);
+    expect(result.shiftedCount).toBe(2);
+    expect(locations[1].time).toBe('10:15 AM');
+  });
+
+  it('checks each day of a multi-day plan on its own', () => {
+    const { plan, warnings } = checkPlanTimeline({
+      days: [
+        { day: 1, locations: [stop('A', '6:00 PM', '3 hours')] },
+        { day: 2, locations: [stop('B', '9:00 AM', '1 hour')] }
+      ]
+    });
+    expect(warnings).toEqual([[], []]);
+    expect(plan.locations.map(location => location.day)).toEqual([1, 2]);
+  });
+});
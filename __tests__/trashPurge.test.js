@@ -0,0 +1,61 @@
+const mockGetExpiredDeletedTrips = jest.fn();
+const mockHardDeleteTrip = jest.fn();
+
+jest.mock('../services/database', () => ({
+  getExpiredDeletedTrips: (...args) => mockGetExpiredDeletedTrips(...args),
+  hardDeleteTrip: (...args) => mockHardDeleteTrip(...args)
+}));
+
+const { purgeExpiredTrips, getPurgeStatus } = require('../services/trashPurge');
+
+describe('Trash purge', () => {
+  beforeEach(() => {
+    mockGetExpiredDeletedTrips.mockReset();
+    mockHardDeleteTrip.mockReset();
+  });
+
+  it('hard deletes every expired trip and records why', async () => {
+    const deletedAt = '2024-01-01T00:00:00.000Z';
+    mockGetExpiredDeletedTrips
+      .mockResolvedValueOnce([{ id: 'trip-1', deletedAt }, { id: 'trip-2', deletedAt }])
+      .mockResolvedValueOnce([]);
+    mockHardDeleteTrip.mockResolvedValue(true);
+
+    const summary = await purgeExpiredTrips();
+    expect(summary).toMatchObject({ purged: 2, failed: 0 });
+    expect(mockGetExpiredDeletedTrips).toHaveBeenCalledWith(30, 100);
+    expect(mockHardDeleteTrip).toHaveBeenCalledWith('trip-1', null, expect.objectContaining({
+      details: { reason: 'retention_expired', retentionDays: 30, deletedAt }
+    }));
+    expect(getPurgeStatus().lastRun.purged).toBe(2);
+  });
+
+  it('skips trips that fail to purge instead of retrying them forever', async () => {
+    mockGetExpiredDeletedTrips.mockResolvedValue([{ id: 'trip-1', deletedAt: null }]);
+    mockHardDeleteTrip.mockRejectedValue(new Error('connection reset'));
+
+    const summary = await purgeExpiredTrips();
+    expect(summary).toMatchObject({ purged: 0, failed: 1 });
+    expect(mockHardDeleteTrip).toHaveBeenCalledTimes(1);
+  });
+
+  it('only accepts whole days for the retention window and caps the purge interval at a day', () => {
+    const readConfig = (name, value) => {
+      process.env[name] = value;
+      let status;
+      jest.isolateModules(() => {
+        status = require('../services/trashPurge').getPurgeStatus();
+      });
+      delete process.env[name];
+      return status;
+    };
+
+    expect(readConfig('TRASH_RETENTION_DAYS', '7').retentionDays).toBe(7);
+    expect(readConfig('TRASH_RETENTION_DAYS', '0.5').retentionDays).toBe(30);
+    expect(readConfig('TRASH_RETENTION_DAYS', 'abc').retentionDays).toBe(30);
+
+    expect(readConfig('TRASH_PURGE_INTERVAL_MINUTES', '15').purgeIntervalMinutes).toBe(15);
+    expect(readConfig('TRASH_PURGE_INTERVAL_MINUTES', '40000').purgeIntervalMinutes).toBe(24 * 60);
+    expect(readConfig('TRASH_PURGE_INTERVAL_MINUTES', '-5').purgeIntervalMinutes).toBe(60);
+  });
+});
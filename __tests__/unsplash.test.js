@@ -0,0 +1,36 @@
+const { downloadImage } = require('../services/unsplash');
+
+describe('Unsplash image download', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the bytes of a JPEG or PNG from the Unsplash CDN', async () => {
+    fetchSpy.mockResolvedValueOnce(new Response(Buffer.from('jpeg-bytes'), { headers: { 'content-type': 'image/jpeg' } }));
+
+    const bytes = await downloadImage({ url: 'https://images.unsplash.com/photo-1?fm=jpg' });
+    expect(bytes.toString()).toBe('jpeg-bytes');
+  });
+
+  it('refuses URLs outside the Unsplash CDN without requesting them', async () => {
+    expect(await downloadImage({ url: 'http://169.254.169.254/latest/meta-data' })).toBeNull();
+    expect(await downloadImage({ url: 'not a url' })).toBeNull();
+    expect(await downloadImage(null)).toBeNull();
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('returns null for responses that are not usable images', async () => {
+    fetchSpy.mockResolvedValueOnce(new Response('<html></html>', { headers: { 'content-type': 'text/html' } }));
+    expect(await downloadImage({ url: 'https://images.unsplash.com/photo-1' })).toBeNull();
+
+    fetchSpy.mockRejectedValueOnce(new Error('The operation was aborted due to timeout'));
+    expect(await downloadImage({ url: 'https://images.unsplash.com/photo-1' })).toBeNull();
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Trip Access Middleware
+ *
+ * Loads the trip referenced by the :chatId route parameter and verifies that the caller may access it.
+ * Callers get a role on the trip (owner, editor or viewer) and each action requires a minimum role.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const Joi = require('joi');
+const { getTripById, getTripMemberRole } = require('../services/database');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[TripAccess]';
+
+/**
+ * Trip roles from least to most privileged
+ */
+const TRIP_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Minimum role required for each action (unlisted actions require the owner)
+ */
+const ACTION_ROLES = {
+    view: 'viewer',
+    edit: 'editor',
+    delete: 'owner',
+    restore: 'owner',
+    share: 'owner',
+    manage: 'owner'
+};
+
+/**
+ * Chat ID validation schema
+ */
+const tripIdSchema = Joi.string().uuid().required()
+    .messages({
+        'string.guid': 'Invalid chat ID format - must be a valid UUID',
+        'any.required': 'Chat ID is required'
+    });
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Resolves the role of a user on a trip
+ * Trips without an owner (created anonymously) are only open to non-authenticated callers, as before roles existed.
+ * @param {Object} trip - Trip object
+ * @param {string|null} userId - Requesting user ID (null if not authenticated)
+ * @returns {Promise<string|null>} - 'owner', 'editor', 'viewer' or null if the user has no access
+ */
+const resolveTripRole = async (trip, userId) => {
+    if (!userId) {
+        return trip.userId === null ? 'owner' : null;
+    }
+    if (trip.userId === userId) {
+        return 'owner';
+    }
+    if (trip.userId === null) {
+        return null;
+    }
+
+    return getTripMemberRole(trip.id, userId);
+};
+
+/**
+ * Checks whether a user may perform an action on a trip
+ * @param {Object} trip - Trip object
+ * @param {string|null} userId - Requesting user ID (null if not authenticated)
+ * @param {string} action - Action being performed (e.g., 'view', 'edit')
+ * @param {string|null} role - Role of the user on the trip (see resolveTripRole)
+ * @returns {Object|null} - Access error ({ status, error, message }) or null if access is allowed
+ */
+const checkTripAccess = (trip, userId, action = 'view', role = null) => {
+    const requiredRole = ACTION_ROLES[action] || 'owner';
+
+    if (role && TRIP_ROLES.indexOf(role) >= TRIP_ROLES.indexOf(requiredRole)) {
+        return null;
+    }
+
+    if (role) {
+        // Member whose role is not enough for this action
+        console.warn(TAG, 'Access denied: Role does not allow this action:', {
+            tripId: trip.id,
+            requestingUser: userId,
+            role,
+            action
+        });
+        return {
+            status: 403,
+            error: 'Access Denied',
+            message: `Your ${role} role does not allow you to ${action} this trip`
+        };
+    }
+
+    if (userId) {
+        // Authenticated user - neither the owner nor a member of the trip
+        console.warn(TAG, 'Access denied: User is not a member of this trip:', {
+            tripId: trip.id,
+            tripOwner: trip.userId,
+            requestingUser: userId,
+            action
+        });
+        return {
+            status: 403,
+            error: 'Access Denied',
+            message: `You do not have permission to ${action} this trip`
+        };
+    }
+
+    // Non-authenticated user - can only access trips with user_id === null
+    console.warn(TAG, 'Access denied: Non-authenticated user trying to access user trip:', {
+        tripId: trip.id,
+        tripOwner: trip.userId,
+        action
+    });
+    return {
+        status: 403,
+        error: 'Access Denied',
+        message: `This trip belongs to a registered user and requires authentication to ${action}`
+    };
+};
+
+// ========================================
+// MIDDLEWARE FUNCTIONS
+// ========================================
+
+/**
+ * Creates middleware that validates :chatId, loads the trip and verifies access.
+ * Sets req.trip and req.tripRole on success. Must run after optionalAuth or authenticateToken.
+ * @param {string} action - Action being performed (e.g., 'view', 'edit')
+ * @param {Object} options - Options ({ allowDeleted })
+ * @returns {Function} - Express middleware
+ */
+const requireTripAccess = (action = 'view', options = {}) => {
+    const { allowDeleted = false } = options;
+
+    return async (req, res, next) => {
+        try {
+            const { error, value: chatId } = tripIdSchema.validate(req.params.chatId);
+
+            if (error) {
+                console.error(TAG, 'Chat ID validation failed:', error.details[0].message);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: error.details[0].message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const trip = await getTripById(chatId);
+
+            if (!trip || (trip.deletedAt && !allowDeleted)) {
+                console.warn(TAG, 'Chat not found:', chatId);
+                return res.status(404).json({
+                    success: false,
+                    error: 'Chat Not Found',
+                    message: `Chat with ID ${chatId} does not exist`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const role = await resolveTripRole(trip, req.userId || null);
+            const accessError = checkTripAccess(trip, req.userId || null, action, role);
+
+            if (accessError) {
+                return res.status(accessError.status).json({
+                    success: false,
+                    error: accessError.error,
+                    message: accessError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            req.trip = trip;
+            req.tripRole = role;
+            next();
+
+        } catch (error) {
+            console.error(TAG, 'Error verifying trip access:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal Server Error',
+                message: 'Failed to verify trip access',
+                timestamp: new Date().toISOString()
+            });
+        }
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    requireTripAccess,
+    resolveTripRole,
+    checkTripAccess,
+    tripIdSchema,
+    TRIP_ROLES
+};
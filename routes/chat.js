@@ -13,14 +13,66 @@
 const express = require('express');
 const Joi = require('joi');
 const rateLimit = require('express-rate-limit');
-const { addImagesToTrips } = require('../services/unsplash');
+const { addImagesToTrips, downloadImage } = require('../services/unsplash');
+const openaiService = require('../services/openai');
 const { 
     getTrips, 
-    getTripById, 
+    createTrip,
+    updateTrip,
     deleteTrip,
+    getDeletedTrips,
+    restoreTrip,
+    logAuditEvent,
+    createTripMessage,
+    getTripMessages,
+    getTripRevisions,
+    getTripRevision,
+    createShareLink,
+    getTripShareLinks,
+    revokeShareLink,
+    createTripInvitation,
+    getTripMembers,
+    updateTripMemberRole,
+    removeTripMember,
+    getPendingInvitations,
+    respondToInvitation,
+    createTripComment,
+    getTripComment,
+    getLocationComments,
+    getTripCommentCounts,
+    updateTripComment,
+    deleteTripComment,
+    createLabel,
+    getLabels,
+    updateLabel,
+    deleteLabel,
+    getTripLabels,
+    setTripTags,
+    setTripCollections,
+    withTransaction,
     pool
 } = require('../services/database');
+const {
+    buildItinerary,
+    toPlanPayload,
+    toConversationHistory,
+    diffItineraries,
+    replaceLocation,
+    getLocationKey,
+    getStopIds,
+    ensureStopIds,
+    assignStopIds,
+    MAX_HISTORY_MESSAGES
+} = require('../services/itinerary');
 const { optionalAuth, authenticateToken } = require('../middleware/auth');
+const { requireTripAccess } = require('../middleware/tripAccess');
+const { applyItineraryPatch, PATCH_OPERATIONS } = require('../services/itineraryPatch');
+const { getPurgeDate, getRetentionDays } = require('../services/trashPurge');
+const { optimizeItinerary } = require('../services/routeOptimizer');
+const { estimatePlanCost } = require('../services/costEstimate');
+const { cloneTrip, getCloneConflict, buildCloneResponse, tripCloneSchema } = require('../services/tripClone');
+const { buildTripCalendar } = require('../services/export/ics');
+const { exportTrip, EXPORT_FORMATS } = require('../services/export');
 
 // ========================================
 // ROUTER SETUP
@@ -69,6 +121,171 @@ const tripDeleteLimiter = rateLimit({
     }
 });
 
+// Rate limiter for trip update endpoint
+const tripUpdateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 update requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip update requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trash listing endpoint
+const trashListLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 50, // limit each IP to 50 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trash requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip restore endpoint
+const tripRestoreLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 restore requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip restore requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip message history endpoint
+const tripMessageListLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many message history requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip refinement endpoint (each request calls the AI)
+const tripMessageLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip refinement attempts from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for revision history endpoints
+const revisionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many revision requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for revision revert endpoint
+const revertLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many revert attempts from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for single-stop regeneration endpoint (each request calls the AI)
+const locationRegenerateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many location regeneration attempts from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for route optimization endpoint
+const routeOptimizeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many route optimization attempts from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip clone endpoint (clones with overrides call the AI)
+const tripCloneLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip clone requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for stop comment endpoints
+const tripCommentLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many comment requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip export endpoints
+const tripExportLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // limit each IP to 60 exports per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip export requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for share link management endpoints
+const shareLinkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // limit each IP to 30 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many share link requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for trip member and invitation endpoints
+const tripMemberLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 50, // limit each IP to 50 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many trip member requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for tag and collection endpoints
+const tripLabelLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many tag and collection requests from this IP, please try again later.'
+    }
+});
+
 // Rate limiter for audit logs endpoint
 const auditLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -95,15 +312,6 @@ const statusLimiter = rateLimit({
 // VALIDATION SCHEMAS
 // ========================================
 
-/**
- * Chat ID validation schema
- */
-const tripIdSchema = Joi.string().uuid().required()
-    .messages({
-        'string.guid': 'Invalid chat ID format - must be a valid UUID',
-        'any.required': 'Chat ID is required'
-    });
-
 /**
  * Query parameters schema for chat listing
  */
@@ -112,7 +320,294 @@ const tripQuerySchema = Joi.object({
     offset: Joi.number().integer().min(0).default(0),
     sortBy: Joi.string().valid('lastUpdated', 'title').default('lastUpdated'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
-    search: Joi.string().max(100).optional()
+    search: Joi.string().max(100).optional(),
+    tag: Joi.string().trim().max(50).optional(),
+    collection: Joi.string().uuid().optional()
+        .messages({ 'string.guid': 'Invalid collection ID format - must be a valid UUID' })
+});
+
+/**
+ * Query parameters schema for the trash listing
+ */
+const trashQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Query parameters schema for trip message history
+ */
+const messageQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+    sortOrder: Joi.string().valid('asc', 'desc').default('asc')
+});
+
+/**
+ * Revision number validation schema
+ */
+const revisionNumberSchema = Joi.number().integer().min(1).required()
+    .messages({
+        'number.base': 'Revision must be a positive integer',
+        'number.min': 'Revision must be a positive integer',
+        'any.required': 'Revision is required'
+    });
+
+/**
+ * Query parameters schema for revision listing
+ */
+const revisionQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Query parameters schema for revision diffs
+ */
+const revisionDiffQuerySchema = Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).optional()
+});
+
+/**
+ * Location index validation schema
+ */
+const locationIndexSchema = Joi.number().integer().min(0).required()
+    .messages({
+        'number.base': 'Location index must be a non-negative integer',
+        'number.min': 'Location index must be a non-negative integer',
+        'any.required': 'Location index is required'
+    });
+
+/**
+ * Single-stop regeneration request schema
+ */
+const locationRegenerateSchema = Joi.object({
+    message: Joi.string().trim().max(300).optional()
+});
+
+/**
+ * Stop comment request schema (private notes are only visible to their author and cannot be threaded)
+ */
+const commentCreateSchema = Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required()
+        .messages({
+            'string.empty': 'Comment cannot be empty',
+            'string.max': 'Comment cannot exceed 2000 characters',
+            'any.required': 'Comment body is required'
+        }),
+    parentId: Joi.string().uuid().optional()
+        .when('private', { is: true, then: Joi.forbidden() })
+        .messages({
+            'string.guid': 'Invalid parent comment ID format - must be a valid UUID',
+            'any.unknown': 'Private notes cannot be replies'
+        }),
+    private: Joi.boolean().default(false)
+});
+
+/**
+ * Stop comment edit schema
+ */
+const commentUpdateSchema = Joi.object({
+    body: commentCreateSchema.extract('body')
+});
+
+/**
+ * Comment ID validation schema
+ */
+const commentIdSchema = Joi.string().uuid().required()
+    .messages({
+        'string.guid': 'Invalid comment ID format - must be a valid UUID',
+        'any.required': 'Comment ID is required'
+    });
+
+/**
+ * Query parameters schema for calendar exports
+ */
+const calendarExportQuerySchema = Joi.object({
+    includeTransit: Joi.boolean().default(true)
+});
+
+/**
+ * Query parameters schema for file exports
+ */
+const tripExportQuerySchema = Joi.object({
+    format: Joi.string().lowercase().valid(...Object.keys(EXPORT_FORMATS)).required()
+        .messages({
+            'any.only': `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+            'any.required': 'Format is required'
+        })
+});
+
+/**
+ * Share link creation request schema
+ */
+const shareLinkCreateSchema = Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(365).optional()
+        .messages({
+            'number.base': 'expiresInDays must be a whole number of days',
+            'number.min': 'expiresInDays must be between 1 and 365',
+            'number.max': 'expiresInDays must be between 1 and 365'
+        })
+});
+
+/**
+ * Share link ID validation schema
+ */
+const shareLinkIdSchema = Joi.string().uuid().required()
+    .messages({
+        'string.guid': 'Invalid share link ID format - must be a valid UUID',
+        'any.required': 'Share link ID is required'
+    });
+
+/**
+ * Trip invitation request schema (the owner role cannot be given away)
+ */
+const memberInviteSchema = Joi.object({
+    email: Joi.string().email().lowercase().required()
+        .messages({
+            'string.email': 'Please provide a valid email address',
+            'any.required': 'Email is required'
+        }),
+    role: Joi.string().valid('editor', 'viewer').default('viewer')
+        .messages({ 'any.only': 'Role must be editor or viewer' })
+});
+
+/**
+ * Trip member role update schema
+ */
+const memberUpdateSchema = Joi.object({
+    role: Joi.string().valid('editor', 'viewer').required()
+        .messages({
+            'any.only': 'Role must be editor or viewer',
+            'any.required': 'Role is required'
+        })
+});
+
+/**
+ * Member and invitation ID validation schema
+ */
+const memberIdSchema = Joi.string().uuid().required()
+    .messages({
+        'string.guid': 'Invalid member ID format - must be a valid UUID',
+        'any.required': 'Member ID is required'
+    });
+
+/**
+ * Tag name validation schema
+ */
+const tagNameSchema = Joi.string().trim().min(1).max(50)
+    .messages({
+        'string.empty': 'Tag name cannot be empty',
+        'string.max': 'Tag name cannot exceed 50 characters'
+    });
+
+/**
+ * Collection fields validation schemas
+ */
+const collectionNameSchema = Joi.string().trim().min(1).max(100)
+    .messages({
+        'string.empty': 'Collection name cannot be empty',
+        'string.max': 'Collection name cannot exceed 100 characters'
+    });
+const collectionDescriptionSchema = Joi.string().trim().max(500).allow('', null)
+    .messages({ 'string.max': 'Description cannot exceed 500 characters' });
+
+/**
+ * Tags and collections keyed by their route segment (/api/chat/tags and /api/chat/collections)
+ */
+const LABEL_TYPES = {
+    tags: {
+        kind: 'tag',
+        label: 'Tag',
+        createSchema: Joi.object({ name: tagNameSchema.required() }),
+        updateSchema: Joi.object({ name: tagNameSchema.required() })
+    },
+    collections: {
+        kind: 'collection',
+        label: 'Collection',
+        createSchema: Joi.object({
+            name: collectionNameSchema.required(),
+            description: collectionDescriptionSchema.optional()
+        }),
+        updateSchema: Joi.object({
+            name: collectionNameSchema.optional(),
+            description: collectionDescriptionSchema.optional()
+        }).min(1)
+            .messages({ 'object.min': 'Provide a name or description to update' })
+    }
+};
+
+/**
+ * Tag or collection ID validation schema
+ */
+const labelIdSchema = Joi.string().uuid().required()
+    .messages({
+        'string.guid': 'Invalid ID format - must be a valid UUID',
+        'any.required': 'ID is required'
+    });
+
+/**
+ * Trip tags request schema (replaces the caller's tags on the trip)
+ */
+const tripTagsSchema = Joi.object({
+    tags: Joi.array().items(tagNameSchema).max(20).required()
+        .messages({
+            'array.max': 'A trip can have at most 20 tags',
+            'any.required': 'tags is required'
+        })
+});
+
+/**
+ * Trip collections request schema (replaces the caller's collections the trip is in)
+ */
+const tripCollectionsSchema = Joi.object({
+    collectionIds: Joi.array().items(Joi.string().uuid()).max(50).unique().required()
+        .messages({
+            'string.guid': 'Invalid collection ID format - must be a valid UUID',
+            'array.unique': 'Collection IDs must be unique',
+            'array.max': 'A trip can be in at most 50 collections',
+            'any.required': 'collectionIds is required'
+        })
+});
+
+/**
+ * Trip update request schema (rename and/or JSON-Patch operations on the itinerary)
+ */
+const tripUpdateSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(255).optional()
+        .messages({
+            'string.empty': 'Title cannot be empty',
+            'string.max': 'Title cannot exceed 255 characters'
+        }),
+    operations: Joi.array().items(Joi.object({
+        op: Joi.string().valid(...PATCH_OPERATIONS).required(),
+        path: Joi.string().pattern(/^\//).max(200).required()
+            .messages({ 'string.pattern.base': 'Operation path must be a JSON Pointer such as "/locations/0/time"' }),
+        value: Joi.any().when('op', {
+            is: Joi.valid('add', 'replace', 'test'),
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        }),
+        from: Joi.string().pattern(/^\//).max(200).when('op', {
+            is: Joi.valid('move', 'copy'),
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        })
+    })).min(1).max(50).optional()
+}).or('title', 'operations')
+    .messages({ 'object.missing': 'Provide a title and/or a list of operations' });
+
+/**
+ * Refinement message validation schema
+ */
+const messageSchema = Joi.object({
+    message: Joi.string().trim().min(1).max(500).required()
+        .messages({
+            'string.empty': 'Message cannot be empty',
+            'string.max': 'Message cannot exceed 500 characters',
+            'any.required': 'Message is required'
+        })
 });
 
 // ========================================
@@ -156,37 +651,225 @@ const formatTripForList = (chat) => {
         title: chat.title,
         location: chat.location,
         lastUpdated: chat.lastUpdated,
-        searchData: chat.searchData // Include search data for context
+        searchData: chat.searchData, // Include search data for context
+        ...(chat.role !== undefined && { role: chat.role }), // Caller's role when authenticated
+        ...(chat.tags !== undefined && { tags: chat.tags }) // Caller's tags when authenticated
     };
 };
 
 /**
- * Logs request details for debugging
- * @param {Object} req - Express request object
- * @param {string} action - Action being performed
+ * Loads the conversation history of a trip for replay, seeding it from the stored trip if needed
+ * Only the messages that are replayed to the AI are loaded: the original request (the first stored
+ * message) and the most recent turns, leaving room for the new message within MAX_HISTORY_MESSAGES.
+ * Trips are saved together with their first messages, so only trips planned before conversations were
+ * stored are seeded, from their search query.
+ * @param {Object} trip - Trip object
+ * @returns {Promise<Array<Object>>} - Trip messages in chronological order
  */
-const logRequestDetails = (req, action) => {
-    console.log(`[ChatRoutes] ${action} request details:`, {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        params: req.params,
-        query: req.query,
-        timestamp: new Date().toISOString()
+const loadConversation = async (trip) => {
+    const { messages, pagination } = await getTripMessages(trip.id, {
+        limit: MAX_HISTORY_MESSAGES - 1,
+        sortOrder: 'desc'
     });
-};
+    const conversation = messages.reverse();
 
-// ========================================
-// ROUTES
-// ========================================
+    // Keep the original request when older messages were cut off
+    if (pagination.total > conversation.length) {
+        const { messages: firstMessages } = await getTripMessages(trip.id, { limit: 1, sortOrder: 'asc' });
+        conversation.unshift(...firstMessages);
+    }
+
+    if (conversation.length > 0 || !trip.itinerary) {
+        return conversation;
+    }
+
+    // Trips planned before conversations were stored start from their saved plan
+    console.log(TAG, 'Seeding conversation from stored itinerary for trip:', trip.id);
+    const seedUserMessage = await createTripMessage({
+        tripId: trip.id,
+        userId: trip.userId,
+        role: 'user',
+        content: trip.searchData.searchQuery
+    });
+    const seedAssistantMessage = await createTripMessage({
+        tripId: trip.id,
+        role: 'assistant',
+        content: trip.itinerary.summary,
+        plan: toPlanPayload(trip.itinerary),
+        metadata: trip.itinerary.metadata
+    });
+
+    return [seedUserMessage, seedAssistantMessage];
+};
 
 /**
- * GET /api/chat
- * 
- * Retrieves trip history with optional filtering, sorting, and pagination.
- * Uses optional authentication - shows user's trips if authenticated, public trips if not.
+ * Builds audit data (IP address and user agent) for a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Audit data
  */
-router.get('/', optionalAuth, tripListLimiter, async (req, res) => {
-    console.log(TAG, 'GET /api/chat - Trip history requested');
+const getAuditData = (req) => {
+    return {
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+    };
+};
+
+/**
+ * Finds the stop a comment route refers to
+ * Stops are addressed by their index in the itinerary's locations and comments are stored against the stop's id.
+ * @param {Object} trip - Trip object
+ * @param {number} index - Index of the stop in the itinerary's locations
+ * @returns {Object|null} - { index, location, key } or null if the stop does not exist
+ */
+const resolveTripLocation = (trip, index) => {
+    const locations = trip.itinerary?.locations || [];
+    const location = locations[index];
+    return location ? { index, location, key: getStopIds(locations)[index] } : null;
+};
+/**
+ * Groups the comments of a stop into threads, keeping private notes separate
+ * @param {Array<Object>} comments - Comments and notes in chronological order
+ * @returns {Object} - { comments: top-level comments with nested replies, notes }
+ */
+const buildCommentThreads = (comments) => {
+    const threads = new Map(comments.filter(comment => !comment.private).map(comment => [comment.id, { ...comment, replies: [] }]));
+    const topLevel = [];
+
+    threads.forEach(comment => {
+        const parent = comment.parentId && threads.get(comment.parentId);
+        (parent ? parent.replies : topLevel).push(comment);
+    });
+
+    return { comments: topLevel, notes: comments.filter(comment => comment.private) };
+};
+
+/**
+ * Adds comment and private note counts to each stop of a trip
+ * @param {Object} trip - Trip object
+ * @param {Object} counts - Counts keyed by stop id ({ comments, notes })
+ * @returns {Object} - Trip with commentCount/noteCount on every stop and commentCount in total
+ */
+const addCommentCounts = (trip, counts) => {
+    if (!trip.itinerary) {
+        return { ...trip, commentCount: 0 };
+    }
+
+    const keys = getStopIds(trip.itinerary.locations || []);
+    const withCounts = (location, index) => {
+        const count = counts[keys[index]] || { comments: 0, notes: 0 };
+        return { ...location, commentCount: count.comments, noteCount: count.notes };
+    };
+    const locations = (trip.itinerary.locations || []).map(withCounts);
+
+    // Day stops follow the same order as the flattened locations
+    let offset = 0;
+    const withDayCounts = (day) => {
+        const dayLocations = (day.locations || []).map((location, index) => withCounts(location, offset + index));
+        offset += dayLocations.length;
+        return { ...day, locations: dayLocations };
+    };
+
+    return {
+        ...trip,
+        commentCount: locations.reduce((sum, location) => sum + location.commentCount, 0),
+        itinerary: {
+            ...trip.itinerary,
+            locations,
+            ...(Array.isArray(trip.itinerary.days) && {
+                days: trip.itinerary.days.map(withDayCounts)
+            })
+        }
+    };
+};
+
+/**
+ * Checks whether the requesting user can see a comment (private notes are only visible to their signed-in author)
+ * @param {Object} req - Express request object
+ * @param {Object} comment - Comment
+ * @returns {boolean} - Whether the comment is visible
+ */
+const isCommentVisible = (req, comment) => {
+    return !comment.private || (!!req.userId && comment.userId === req.userId);
+};
+
+/**
+ * Checks whether the requesting user may edit or delete a comment
+ * Signed-in authors can edit and delete their own comments; the signed-in trip owner can also delete
+ * other people's comments. Anonymous comments cannot be changed, as nobody can prove they wrote them.
+ * @param {Object} req - Express request object (with req.tripRole)
+ * @param {Object} comment - Comment
+ * @param {string} action - 'edit' or 'delete'
+ * @returns {boolean} - Whether the change is allowed
+ */
+const canModifyComment = (req, comment, action) => {
+    if (!req.userId) {
+        return false;
+    }
+    if (comment.userId === req.userId) {
+        return true;
+    }
+    return action === 'delete' && !comment.private && req.tripRole === 'owner';
+};
+
+/**
+ * Builds the download file name of a trip export from its title
+ * @param {Object} trip - Trip object
+ * @param {string} extension - File extension
+ * @returns {string} - File name (e.g., "weekend-in-paris.ics")
+ */
+const getExportFileName = (trip, extension) => {
+    const slug = String(trip.title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+
+    return `${slug || 'trip'}.${extension}`;
+};
+
+/**
+ * Adds the public URL to a share link
+ * @param {Object} req - Express request object
+ * @param {Object} shareLink - Share link
+ * @returns {Object} - Share link with its url
+ */
+const withShareUrl = (req, shareLink) => {
+    return {
+        ...shareLink,
+        url: `${req.protocol}://${req.get('host')}/api/shared/${shareLink.token}`
+    };
+};
+
+/**
+ * Logs request details for debugging
+ * @param {Object} req - Express request object
+ * @param {string} action - Action being performed
+ */
+const logRequestDetails = (req, action) => {
+    console.log(`[ChatRoutes] ${action} request details:`, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        params: req.params,
+        query: req.query,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// ========================================
+// ROUTES
+// ========================================
+
+/**
+ * GET /api/chat
+ * 
+ * Retrieves trip history with optional filtering (search, tag, collection), sorting, and pagination.
+ * Uses optional authentication - shows user's trips if authenticated, public trips if not.
+ * Authenticated responses include the trip count of each of the user's tags.
+ */
+router.get('/', optionalAuth, tripListLimiter, async (req, res) => {
+    console.log(TAG, 'GET /api/chat - Trip history requested');
     
     try {
         // Log request details
@@ -206,8 +889,8 @@ router.get('/', optionalAuth, tripListLimiter, async (req, res) => {
             });
         }
 
-        const { limit, offset, sortBy, sortOrder, search } = value;
-        console.log(TAG, 'Query parameters:', { limit, offset, sortBy, sortOrder, search });
+        const { limit, offset, sortBy, sortOrder, search, tag, collection } = value;
+        console.log(TAG, 'Query parameters:', { limit, offset, sortBy, sortOrder, search, tag, collection });
 
         // Get trips from database with filtering, sorting, and pagination
         console.log(TAG, 'Fetching trips from database for user:', req.userId || 'anonymous');
@@ -217,6 +900,8 @@ router.get('/', optionalAuth, tripListLimiter, async (req, res) => {
             sortBy,
             sortOrder,
             search,
+            tag,
+            collection,
             userId: req.userId
         });
         
@@ -226,19 +911,25 @@ router.get('/', optionalAuth, tripListLimiter, async (req, res) => {
         // Format chats for list view
         const formattedTrips = userTrips.map(formatTripForList);
 
-        // Add location images from Unsplash API
+        // Add location images from Unsplash API and the user's tag counts
         console.log(TAG, 'Fetching images for', formattedTrips.length, 'trips');
-        const tripsWithImages = await addImagesToTrips(formattedTrips);
+        const [tripsWithImages, tagCounts] = await Promise.all([
+            addImagesToTrips(formattedTrips),
+            req.userId ? getLabels(req.userId, 'tag') : []
+        ]);
 
         // Prepare response
         const response = {
             success: true,
             trips: tripsWithImages,
             pagination: pagination,
+            tagCounts: tagCounts.map(({ id, name, tripCount }) => ({ id, name, tripCount })),
             metadata: {
                 sortBy: sortBy,
                 sortOrder: sortOrder,
                 searchQuery: search || null,
+                tag: tag || null,
+                collection: collection || null,
                 timestamp: new Date().toISOString(),
                 imagesIncluded: true
             }
@@ -311,135 +1002,2141 @@ router.get('/audit', auditLimiter, authenticateToken, async (req, res) => {
             whereConditions.push(`timestamp >= $${params.length + 1}`);
             params.push(startDate);
         }
-        
-        if (endDate) {
-            whereConditions.push(`timestamp <= $${params.length + 1}`);
-            params.push(endDate);
+        
+        if (endDate) {
+            whereConditions.push(`timestamp <= $${params.length + 1}`);
+            params.push(endDate);
+        }
+        
+        const whereClause = whereConditions.join(' AND ');
+        
+        // Get audit logs
+        const auditQuery = `
+            SELECT al.*, u.email as user_email, u.name as user_name
+            FROM audit_logs al
+            LEFT JOIN users u ON al.user_id = u.id
+            WHERE ${whereClause}
+            ORDER BY al.timestamp DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `;
+        
+        params.push(parseInt(limit), parseInt(offset));
+        
+        const result = await pool.query(auditQuery, params);
+        
+        const auditLogs = result.rows.map(log => ({
+            id: log.id,
+            entityType: log.entity_type,
+            entityId: log.entity_id,
+            action: log.action,
+            userId: log.user_id,
+            userEmail: log.user_email,
+            userName: log.user_name,
+            oldData: log.old_data,
+            newData: log.new_data,
+            ipAddress: log.ip_address,
+            userAgent: log.user_agent,
+            timestamp: log.timestamp
+        }));
+        
+        res.json({
+            success: true,
+            auditLogs,
+            pagination: {
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                total: auditLogs.length
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(TAG, 'Error fetching audit logs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch audit logs',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/trash
+ * 
+ * Lists soft-deleted trips that can still be restored, newest deletion first.
+ * Each trip includes when it will be permanently purged.
+ */
+router.get('/trash', optionalAuth, trashListLimiter, async (req, res) => {
+    console.log(TAG, 'GET /api/chat/trash - Trash requested');
+    
+    try {
+        logRequestDetails(req, 'Trash list');
+        
+        const { error, value } = trashQuerySchema.validate(req.query);
+        
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { limit, offset } = value;
+        const { trips, pagination } = await getDeletedTrips({ limit, offset, userId: req.userId });
+
+        const formattedTrips = trips.map(trip => ({
+            ...formatTripForList(trip),
+            deletedAt: trip.deletedAt,
+            deletedBy: trip.deletedBy,
+            purgeAt: getPurgeDate(trip.deletedAt)
+        }));
+
+        // Audit entries need an entity, so only authenticated views are recorded
+        if (req.userId) {
+            const auditData = getAuditData(req);
+            await logAuditEvent({
+                entityType: 'user',
+                entityId: req.userId,
+                action: 'view_trash',
+                userId: req.userId,
+                newData: { tripIds: formattedTrips.map(trip => trip.id), total: pagination.total },
+                ipAddress: auditData.ipAddress,
+                userAgent: auditData.userAgent
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            trips: formattedTrips,
+            pagination: pagination,
+            retentionDays: getRetentionDays(),
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Trash sent successfully:', { tripCount: formattedTrips.length, total: pagination.total });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving trash:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve trash',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/invitations
+ * 
+ * Lists the pending trip invitations sent to the authenticated user's email address.
+ */
+router.get('/invitations', tripMemberLimiter, authenticateToken, async (req, res) => {
+    console.log(TAG, 'GET /api/chat/invitations - Pending invitations requested');
+    
+    try {
+        logRequestDetails(req, 'Invitation list');
+
+        const invitations = await getPendingInvitations(req.user.email);
+
+        res.status(200).json({
+            success: true,
+            invitations,
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Pending invitations sent:', { userId: req.userId, count: invitations.length });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving invitations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve invitations',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/invitations/:invitationId/accept
+ * POST /api/chat/invitations/:invitationId/decline
+ * 
+ * Answers a pending invitation. Accepting makes the user a member of the trip with the invited role.
+ */
+router.post('/invitations/:invitationId/:response(accept|decline)', tripMemberLimiter, authenticateToken, async (req, res) => {
+    const accept = req.params.response === 'accept';
+    console.log(TAG, `POST /api/chat/invitations/:invitationId/${req.params.response} - Invitation response requested`);
+    
+    try {
+        logRequestDetails(req, 'Invitation response');
+
+        const { error, value: invitationId } = memberIdSchema.validate(req.params.invitationId);
+
+        if (error) {
+            console.error(TAG, 'Invitation ID validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const membership = await respondToInvitation(invitationId, req.user, accept, auditData);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invitation Not Found',
+                message: 'You have no pending invitation with this ID',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(TAG, 'Invitation answered:', { invitationId, status: membership.status });
+
+        res.status(200).json({
+            success: true,
+            message: accept ? 'Invitation accepted' : 'Invitation declined',
+            membership,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error responding to invitation:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to respond to invitation',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/tags
+ * GET /api/chat/collections
+ * 
+ * Lists the authenticated user's tags or collections with the number of trips in each.
+ */
+router.get('/:labelType(tags|collections)', tripLabelLimiter, authenticateToken, async (req, res) => {
+    const labelType = LABEL_TYPES[req.params.labelType];
+    console.log(TAG, `GET /api/chat/${req.params.labelType} - ${labelType.label} list requested`);
+    
+    try {
+        logRequestDetails(req, `${labelType.label} list`);
+
+        const labels = await getLabels(req.userId, labelType.kind);
+
+        res.status(200).json({
+            success: true,
+            [req.params.labelType]: labels,
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, `${labelType.label} list sent:`, { userId: req.userId, count: labels.length });
+
+    } catch (error) {
+        console.error(TAG, `Error retrieving ${req.params.labelType}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: `Failed to retrieve ${req.params.labelType}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/tags
+ * POST /api/chat/collections
+ * 
+ * Creates a tag ({ name }) or a collection ({ name, description }). Names are unique per user, ignoring case.
+ */
+router.post('/:labelType(tags|collections)', tripLabelLimiter, authenticateToken, async (req, res) => {
+    const labelType = LABEL_TYPES[req.params.labelType];
+    console.log(TAG, `POST /api/chat/${req.params.labelType} - ${labelType.label} creation requested`);
+    
+    try {
+        logRequestDetails(req, `${labelType.label} creation`);
+
+        const { error, value } = labelType.createSchema.validate(req.body || {});
+
+        if (error) {
+            console.error(TAG, `${labelType.label} validation failed:`, error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const label = await createLabel(req.userId, labelType.kind, value);
+
+        res.status(201).json({
+            success: true,
+            message: `${labelType.label} created successfully`,
+            [labelType.kind]: label,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.message === 'Label name already exists') {
+            return res.status(409).json({
+                success: false,
+                error: `${labelType.label} Already Exists`,
+                message: `You already have a ${labelType.kind} with this name`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        console.error(TAG, `Error creating ${labelType.kind}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: `Failed to create ${labelType.kind}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * PATCH /api/chat/tags/:tagId
+ * PATCH /api/chat/collections/:collectionId
+ * 
+ * Renames a tag or collection, or changes a collection's description.
+ */
+router.patch('/:labelType(tags|collections)/:labelId', tripLabelLimiter, authenticateToken, async (req, res) => {
+    const labelType = LABEL_TYPES[req.params.labelType];
+    console.log(TAG, `PATCH /api/chat/${req.params.labelType}/:id - ${labelType.label} update requested`);
+    
+    try {
+        logRequestDetails(req, `${labelType.label} update`);
+
+        const idValidation = labelIdSchema.validate(req.params.labelId);
+        const bodyValidation = labelType.updateSchema.validate(req.body || {});
+        const validationError = idValidation.error || bodyValidation.error;
+
+        if (validationError) {
+            console.error(TAG, `${labelType.label} update validation failed:`, validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const label = await updateLabel(req.userId, labelType.kind, idValidation.value, bodyValidation.value);
+
+        if (!label) {
+            return res.status(404).json({
+                success: false,
+                error: `${labelType.label} Not Found`,
+                message: `You have no ${labelType.kind} with ID ${idValidation.value}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${labelType.label} updated successfully`,
+            [labelType.kind]: label,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.message === 'Label name already exists') {
+            return res.status(409).json({
+                success: false,
+                error: `${labelType.label} Already Exists`,
+                message: `You already have a ${labelType.kind} with this name`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        console.error(TAG, `Error updating ${labelType.kind}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: `Failed to update ${labelType.kind}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * DELETE /api/chat/tags/:tagId
+ * DELETE /api/chat/collections/:collectionId
+ * 
+ * Deletes a tag or collection. Its trips are removed from it but are not deleted.
+ */
+router.delete('/:labelType(tags|collections)/:labelId', tripLabelLimiter, authenticateToken, async (req, res) => {
+    const labelType = LABEL_TYPES[req.params.labelType];
+    console.log(TAG, `DELETE /api/chat/${req.params.labelType}/:id - ${labelType.label} deletion requested`);
+    
+    try {
+        logRequestDetails(req, `${labelType.label} deletion`);
+
+        const { error, value: labelId } = labelIdSchema.validate(req.params.labelId);
+
+        if (error) {
+            console.error(TAG, `${labelType.label} ID validation failed:`, error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const label = await deleteLabel(req.userId, labelType.kind, labelId);
+
+        if (!label) {
+            return res.status(404).json({
+                success: false,
+                error: `${labelType.label} Not Found`,
+                message: `You have no ${labelType.kind} with ID ${labelId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${labelType.label} deleted successfully`,
+            [labelType.kind]: label,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, `Error deleting ${labelType.kind}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: `Failed to delete ${labelType.kind}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/status
+ * 
+ * Returns the status of the chat service
+ */
+router.get('/status', statusLimiter, async (req, res) => {
+    console.log(TAG, 'GET /api/chat/status - Status check requested');
+    
+    try {
+        // Get database statistics
+        const dbResult = await getTrips({ limit: 1000 }); // Get reasonable count for stats
+        const totalTrips = dbResult.pagination.total;
+        
+        res.status(200).json({
+            service: 'Trip API',
+            status: 'operational',
+            version: '1.0.0',
+            statistics: {
+                totalTrips: totalTrips,
+                dataSource: 'PostgreSQL Database'
+            },
+            endpoints: {
+                list: 'GET /api/chat',
+                get: 'GET /api/chat/:chatId',
+                update: 'PATCH /api/chat/:chatId',
+                delete: 'DELETE /api/chat/:chatId',
+                trash: 'GET /api/chat/trash',
+                restore: 'POST /api/chat/:chatId/restore',
+                messages: 'GET /api/chat/:chatId/messages',
+                refine: 'POST /api/chat/:chatId/messages',
+                revisions: 'GET /api/chat/:chatId/revisions',
+                revisionDiff: 'GET /api/chat/:chatId/revisions/diff',
+                revision: 'GET /api/chat/:chatId/revisions/:revision',
+                revert: 'POST /api/chat/:chatId/revisions/:revision/revert',
+                regenerateLocation: 'POST /api/chat/:chatId/locations/:index/regenerate',
+                optimize: 'POST /api/chat/:chatId/optimize',
+                exportCalendar: 'GET /api/chat/:chatId/export.ics',
+                export: 'GET /api/chat/:chatId/export?format=geojson|gpx|kml|html|pdf',
+                share: 'POST /api/chat/:chatId/share',
+                shareLinks: 'GET /api/chat/:chatId/shares',
+                revokeShareLink: 'DELETE /api/chat/:chatId/shares/:shareId',
+                members: 'GET /api/chat/:chatId/members',
+                invite: 'POST /api/chat/:chatId/members',
+                updateMember: 'PATCH /api/chat/:chatId/members/:memberId',
+                removeMember: 'DELETE /api/chat/:chatId/members/:memberId',
+                invitations: 'GET /api/chat/invitations',
+                acceptInvitation: 'POST /api/chat/invitations/:invitationId/accept',
+                declineInvitation: 'POST /api/chat/invitations/:invitationId/decline',
+                clone: 'POST /api/chat/:chatId/clone',
+                comments: 'GET /api/chat/:chatId/locations/:index/comments',
+                addComment: 'POST /api/chat/:chatId/locations/:index/comments',
+                updateComment: 'PATCH /api/chat/:chatId/locations/:index/comments/:commentId',
+                deleteComment: 'DELETE /api/chat/:chatId/locations/:index/comments/:commentId',
+                tags: 'GET /api/chat/tags',
+                createTag: 'POST /api/chat/tags',
+                updateTag: 'PATCH /api/chat/tags/:tagId',
+                deleteTag: 'DELETE /api/chat/tags/:tagId',
+                collections: 'GET /api/chat/collections',
+                createCollection: 'POST /api/chat/collections',
+                updateCollection: 'PATCH /api/chat/collections/:collectionId',
+                deleteCollection: 'DELETE /api/chat/collections/:collectionId',
+                tripTags: 'PUT /api/chat/:chatId/tags',
+                tripCollections: 'PUT /api/chat/:chatId/collections',
+                status: 'GET /api/chat/status'
+            },
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting database statistics:', error);
+        res.status(200).json({
+            service: 'Trip API',
+            status: 'operational',
+            version: '1.0.0',
+            statistics: {
+                totalTrips: 'Unable to fetch',
+                dataSource: 'PostgreSQL Database (connection error)'
+            },
+            endpoints: {
+                list: 'GET /api/chat',
+                get: 'GET /api/chat/:chatId',
+                update: 'PATCH /api/chat/:chatId',
+                delete: 'DELETE /api/chat/:chatId',
+                trash: 'GET /api/chat/trash',
+                restore: 'POST /api/chat/:chatId/restore',
+                messages: 'GET /api/chat/:chatId/messages',
+                refine: 'POST /api/chat/:chatId/messages',
+                revisions: 'GET /api/chat/:chatId/revisions',
+                revisionDiff: 'GET /api/chat/:chatId/revisions/diff',
+                revision: 'GET /api/chat/:chatId/revisions/:revision',
+                revert: 'POST /api/chat/:chatId/revisions/:revision/revert',
+                regenerateLocation: 'POST /api/chat/:chatId/locations/:index/regenerate',
+                optimize: 'POST /api/chat/:chatId/optimize',
+                exportCalendar: 'GET /api/chat/:chatId/export.ics',
+                export: 'GET /api/chat/:chatId/export?format=geojson|gpx|kml|html|pdf',
+                share: 'POST /api/chat/:chatId/share',
+                shareLinks: 'GET /api/chat/:chatId/shares',
+                revokeShareLink: 'DELETE /api/chat/:chatId/shares/:shareId',
+                members: 'GET /api/chat/:chatId/members',
+                invite: 'POST /api/chat/:chatId/members',
+                updateMember: 'PATCH /api/chat/:chatId/members/:memberId',
+                removeMember: 'DELETE /api/chat/:chatId/members/:memberId',
+                invitations: 'GET /api/chat/invitations',
+                acceptInvitation: 'POST /api/chat/invitations/:invitationId/accept',
+                declineInvitation: 'POST /api/chat/invitations/:invitationId/decline',
+                clone: 'POST /api/chat/:chatId/clone',
+                comments: 'GET /api/chat/:chatId/locations/:index/comments',
+                addComment: 'POST /api/chat/:chatId/locations/:index/comments',
+                updateComment: 'PATCH /api/chat/:chatId/locations/:index/comments/:commentId',
+                deleteComment: 'DELETE /api/chat/:chatId/locations/:index/comments/:commentId',
+                tags: 'GET /api/chat/tags',
+                createTag: 'POST /api/chat/tags',
+                updateTag: 'PATCH /api/chat/tags/:tagId',
+                deleteTag: 'DELETE /api/chat/tags/:tagId',
+                collections: 'GET /api/chat/collections',
+                createCollection: 'POST /api/chat/collections',
+                updateCollection: 'PATCH /api/chat/collections/:collectionId',
+                deleteCollection: 'DELETE /api/chat/collections/:collectionId',
+                tripTags: 'PUT /api/chat/:chatId/tags',
+                tripCollections: 'PUT /api/chat/:chatId/collections',
+                status: 'GET /api/chat/status'
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId
+ * 
+ * Retrieves a specific trip planning conversation by ID, with a cost estimate of its itinerary.
+ * Open to the owner and to members of any role; the response includes the caller's role.
+ */
+router.get('/:chatId', optionalAuth, tripGetLimiter, requireTripAccess('view', { allowDeleted: true }), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId - Specific chat requested');
+    
+    try {
+        // Log request details
+        logRequestDetails(req, 'Specific chat');
+        
+        const trip = req.trip;
+
+        console.log(TAG, 'Access verification passed. Chat found:', {
+            id: trip.id,
+            title: trip.title,
+            lastUpdated: trip.lastUpdated,
+            role: req.tripRole
+        });
+
+        // Add location image from Unsplash API, comment counts for each stop and the caller's tags and collections
+        console.log(TAG, 'Fetching image for individual trip');
+        const [tripsWithImages, commentCounts, labels] = await Promise.all([
+            addImagesToTrips([trip]),
+            getTripCommentCounts(trip.id, req.userId || null),
+            req.userId ? getTripLabels(trip.id, req.userId) : {}
+        ]);
+        const tripWithImage = { ...addCommentCounts(tripsWithImages[0], commentCounts), ...labels };
+
+        // Estimate the cost of the stored itinerary
+        const costEstimate = trip.itinerary ? estimatePlanCost(trip.itinerary, trip.searchData || {}).estimate : null;
+
+        // Prepare response
+        const response = {
+            success: true,
+            trip: tripWithImage,
+            role: req.tripRole,
+            costEstimate,
+            timestamp: new Date().toISOString()
+        };
+
+        // Send response
+        res.status(200).json(response);
+        console.log(TAG, 'Chat data sent successfully');
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving specific chat:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve chat',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/messages
+ * 
+ * Retrieves the conversation history of a trip with pagination.
+ * Uses optional authentication to verify ownership of private trips.
+ */
+router.get('/:chatId/messages', optionalAuth, tripMessageListLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/messages - Message history requested');
+    
+    try {
+        // Log request details
+        logRequestDetails(req, 'Message history');
+        
+        // Validate query parameters
+        const { error, value } = messageQuerySchema.validate(req.query);
+        
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { limit, offset, sortOrder } = value;
+        const { messages, pagination } = await getTripMessages(req.trip.id, { limit, offset, sortOrder });
+        console.log(TAG, 'Retrieved', messages.length, 'messages for trip:', req.trip.id);
+
+        res.status(200).json({
+            success: true,
+            chatId: req.trip.id,
+            messages: messages,
+            pagination: pagination,
+            metadata: {
+                sortOrder: sortOrder,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving message history:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve message history',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/messages
+ * 
+ * Refines a trip through a follow-up message (e.g., "make it cheaper").
+ * Replays the stored conversation to the AI and saves the updated plan on the trip.
+ */
+router.post('/:chatId/messages', optionalAuth, tripMessageLimiter, requireTripAccess('edit'), async (req, res) => {
+    const startTime = Date.now();
+    console.log(TAG, 'POST /api/chat/:chatId/messages - Trip refinement requested');
+    
+    try {
+        // Log request details
+        logRequestDetails(req, 'Trip refinement');
+        
+        // Validate request body
+        const { error, value } = messageSchema.validate(req.body);
+        
+        if (error) {
+            console.error(TAG, 'Message validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+        const { message } = value;
+
+        if (!trip.searchData) {
+            console.warn(TAG, 'Trip has no search data to refine:', trip.id);
+            return res.status(422).json({
+                success: false,
+                error: 'Unprocessable Entity',
+                message: 'This trip has no saved search data and cannot be refined',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Replay the conversation to the AI
+        const conversation = await loadConversation(trip);
+        const history = toConversationHistory(conversation);
+        console.log(TAG, 'Refining trip with', history.length, 'previous messages');
+        
+        const aiResult = await openaiService.generateTripPlan(trip.searchData, message, history);
+        const itinerary = buildItinerary(aiResult, trip.itinerary);
+
+        // Save the updated plan and both sides of the exchange together, so a failed write leaves the trip unchanged
+        const { userMessage, assistantMessage } = await withTransaction(async (client) => {
+            await updateTrip(trip.id, {
+                itinerary,
+                revisionReason: 'refine',
+                revisionDetails: { message }
+            }, req.userId, getAuditData(req), client);
+            
+            return {
+                userMessage: await createTripMessage({
+                    tripId: trip.id,
+                    userId: req.userId,
+                    role: 'user',
+                    content: message
+                }, client),
+                assistantMessage: await createTripMessage({
+                    tripId: trip.id,
+                    role: 'assistant',
+                    content: itinerary.summary,
+                    plan: toPlanPayload(itinerary),
+                    metadata: itinerary.metadata
+                }, client)
+            };
+        });
+
+        const response = {
+            success: true,
+            chatId: trip.id,
+            userMessage: userMessage,
+            assistantMessage: assistantMessage,
+            response: itinerary.summary,
+            city: itinerary.city,
+            locations: itinerary.locations,
+            practicalTips: itinerary.practicalTips,
+            metadata: {
+                processingTime: aiResult.processingTime,
+                totalTime: Date.now() - startTime,
+                historyLength: history.length,
+                aiModel: aiResult.model,
+                aiSource: aiResult.source,
+                tokenUsage: aiResult.usage,
+                attempts: aiResult.attempts,
+                repairedFields: aiResult.repairedFields || [],
+                locationCount: itinerary.locations.length,
+                timestamp: new Date().toISOString()
+            }
+        };
+
+        res.status(200).json(response);
+        console.log(TAG, 'Trip refinement sent successfully:', trip.id);
+
+    } catch (error) {
+        console.error(TAG, 'Error refining trip:', error);
+
+        if (error.name === 'PlanGenerationError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'AI Generation Failed',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to refine trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/revisions
+ * 
+ * Lists the numbered itinerary revisions of a trip, newest first.
+ */
+router.get('/:chatId/revisions', optionalAuth, revisionLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/revisions - Revision history requested');
+    
+    try {
+        logRequestDetails(req, 'Revision history');
+        
+        const { error, value } = revisionQuerySchema.validate(req.query);
+        
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { revisions, pagination } = await getTripRevisions(req.trip.id, value);
+        console.log(TAG, 'Retrieved', revisions.length, 'revisions for trip:', req.trip.id);
+
+        res.status(200).json({
+            success: true,
+            chatId: req.trip.id,
+            currentRevision: req.trip.currentRevision,
+            revisions: revisions,
+            pagination: pagination,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving revisions:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve revisions',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/revisions/diff?from=1&to=3
+ * 
+ * Returns a structural diff between two revisions (locations added, removed, retimed, reordered).
+ * Compares against the current revision when "to" is omitted.
+ */
+router.get('/:chatId/revisions/diff', optionalAuth, revisionLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/revisions/diff - Revision diff requested');
+    
+    try {
+        logRequestDetails(req, 'Revision diff');
+        
+        const { error, value } = revisionDiffQuerySchema.validate(req.query);
+        
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const from = value.from;
+        const to = value.to || req.trip.currentRevision;
+        
+        const [fromRevision, toRevision] = await Promise.all([
+            getTripRevision(req.trip.id, from),
+            getTripRevision(req.trip.id, to)
+        ]);
+        
+        if (!fromRevision || !toRevision) {
+            const missing = !fromRevision ? from : to;
+            console.warn(TAG, 'Revision not found:', { tripId: req.trip.id, revision: missing });
+            return res.status(404).json({
+                success: false,
+                error: 'Revision Not Found',
+                message: `Revision ${missing} does not exist for this trip`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            chatId: req.trip.id,
+            from: from,
+            to: to,
+            diff: diffItineraries(fromRevision.itinerary, toRevision.itinerary),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error computing revision diff:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to compute revision diff',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/revisions/:revision
+ * 
+ * Retrieves a single revision of a trip, including its full itinerary.
+ */
+router.get('/:chatId/revisions/:revision', optionalAuth, revisionLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/revisions/:revision - Revision requested');
+    
+    try {
+        const { error, value: revisionNumber } = revisionNumberSchema.validate(req.params.revision);
+        
+        if (error) {
+            console.error(TAG, 'Revision validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const revision = await getTripRevision(req.trip.id, revisionNumber);
+        
+        if (!revision) {
+            console.warn(TAG, 'Revision not found:', { tripId: req.trip.id, revision: revisionNumber });
+            return res.status(404).json({
+                success: false,
+                error: 'Revision Not Found',
+                message: `Revision ${revisionNumber} does not exist for this trip`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            chatId: req.trip.id,
+            currentRevision: req.trip.currentRevision,
+            revision: revision,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving revision:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve revision',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/revisions/:revision/revert
+ * 
+ * Restores the itinerary of an earlier revision.
+ * The restored plan is saved as a new revision so the history is never rewritten.
+ */
+router.post('/:chatId/revisions/:revision/revert', optionalAuth, revertLimiter, requireTripAccess('edit'), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/revisions/:revision/revert - Revert requested');
+    
+    try {
+        logRequestDetails(req, 'Revision revert');
+        
+        const { error, value: revisionNumber } = revisionNumberSchema.validate(req.params.revision);
+        
+        if (error) {
+            console.error(TAG, 'Revision validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+        
+        if (revisionNumber === trip.currentRevision) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: `Revision ${revisionNumber} is already the current revision`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const revision = await getTripRevision(trip.id, revisionNumber);
+        
+        if (!revision) {
+            console.warn(TAG, 'Revision not found:', { tripId: trip.id, revision: revisionNumber });
+            return res.status(404).json({
+                success: false,
+                error: 'Revision Not Found',
+                message: `Revision ${revisionNumber} does not exist for this trip`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const updatedTrip = await updateTrip(trip.id, {
+            itinerary: revision.itinerary,
+            revisionReason: 'revert',
+            revisionDetails: { revertedFrom: trip.currentRevision, revertedTo: revisionNumber }
+        }, req.userId, getAuditData(req));
+
+        console.log(TAG, 'Trip reverted:', { tripId: trip.id, revertedTo: revisionNumber, newRevision: updatedTrip.currentRevision });
+
+        res.status(200).json({
+            success: true,
+            message: `Trip reverted to revision ${revisionNumber}`,
+            chatId: trip.id,
+            revertedTo: revisionNumber,
+            currentRevision: updatedTrip.currentRevision,
+            trip: updatedTrip,
+            diff: diffItineraries(trip.itinerary, revision.itinerary),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error reverting trip:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to revert trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/locations/:index/regenerate
+ * 
+ * Replaces a single stop of a saved plan with an AI-suggested alternative.
+ * The replacement keeps the stop's category and time slot, and neighbouring transit legs are recomputed.
+ */
+router.post('/:chatId/locations/:index/regenerate', optionalAuth, locationRegenerateLimiter, requireTripAccess('edit'), async (req, res) => {
+    const startTime = Date.now();
+    console.log(TAG, 'POST /api/chat/:chatId/locations/:index/regenerate - Location regeneration requested');
+    
+    try {
+        logRequestDetails(req, 'Location regeneration');
+        
+        const indexValidation = locationIndexSchema.validate(req.params.index);
+        const bodyValidation = locationRegenerateSchema.validate(req.body || {});
+        const validationError = indexValidation.error || bodyValidation.error;
+        
+        if (validationError) {
+            console.error(TAG, 'Regeneration validation failed:', validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+        const index = indexValidation.value;
+        const locations = trip.itinerary?.locations || [];
+        
+        if (!trip.searchData || index >= locations.length) {
+            console.warn(TAG, 'Location not found in itinerary:', { tripId: trip.id, index });
+            return res.status(404).json({
+                success: false,
+                error: 'Location Not Found',
+                message: `Location ${index} does not exist in this trip's itinerary`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const excludedLocation = locations[index];
+        console.log(TAG, 'Regenerating location:', { tripId: trip.id, index, name: excludedLocation.name });
+
+        // Ask the AI for an alternative in the same category and time slot
+        const regenerationSearchData = {
+            ...trip.searchData,
+            regenerationContext: {
+                excludedLocation: excludedLocation.name,
+                originalChatId: trip.id,
+                originalQuery: trip.searchData.searchQuery,
+                excludedCategory: excludedLocation.category,
+                excludedTime: excludedLocation.time,
+                excludedEstimatedTime: excludedLocation.estimatedTime,
+                avoidLocations: locations.map(location => location.name).filter(Boolean),
+                singleLocation: true
+            }
+        };
+        const userMessage = bodyValidation.value.message ||
+            `Suggest one alternative to "${excludedLocation.name}" for this plan`;
+        
+        const aiResult = await openaiService.generateTripPlan(regenerationSearchData, userMessage);
+        
+        const existingKeys = new Set(locations.map(getLocationKey));
+        const replacement = (aiResult.locations || []).find(location => !existingKeys.has(getLocationKey(location)));
+        
+        if (!replacement) {
+            console.warn(TAG, 'AI did not return a usable replacement for:', excludedLocation.name);
+            return res.status(502).json({
+                success: false,
+                error: 'Bad Gateway',
+                message: 'Could not find a replacement for this location, please try again',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Splice the replacement into the stored itinerary and save it as a new revision
+        const itinerary = replaceLocation(ensureStopIds(trip.itinerary), index, replacement);
+        const updatedTrip = await updateTrip(trip.id, {
+            itinerary,
+            revisionReason: 'regenerate_location',
+            revisionDetails: { index, replaced: excludedLocation.name, replacement: replacement.name }
+        }, req.userId, getAuditData(req));
+
+        res.status(200).json({
+            success: true,
+            chatId: trip.id,
+            index: index,
+            replacedLocation: excludedLocation,
+            location: itinerary.locations[index],
+            locations: itinerary.locations,
+            currentRevision: updatedTrip.currentRevision,
+            metadata: {
+                processingTime: aiResult.processingTime,
+                totalTime: Date.now() - startTime,
+                aiModel: aiResult.model,
+                aiSource: aiResult.source,
+                tokenUsage: aiResult.usage,
+                attempts: aiResult.attempts,
+                repairedFields: aiResult.repairedFields || [],
+                timestamp: new Date().toISOString()
+            }
+        });
+        console.log(TAG, 'Location regenerated successfully:', { tripId: trip.id, index, replacement: replacement.name });
+
+    } catch (error) {
+        console.error(TAG, 'Error regenerating location:', error);
+
+        if (error.name === 'PlanGenerationError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'AI Generation Failed',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to regenerate location',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/locations/:index/comments
+ * 
+ * Lists the comment threads of a stop (index is the stop's position in the itinerary's locations),
+ * with the caller's private notes. Applies the same ownership and membership checks as GET /api/chat/:chatId.
+ */
+router.get('/:chatId/locations/:index/comments', optionalAuth, tripCommentLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/locations/:index/comments - Stop comments requested');
+    
+    try {
+        logRequestDetails(req, 'Stop comments');
+
+        const { error, value: index } = locationIndexSchema.validate(req.params.index);
+
+        if (error) {
+            console.error(TAG, 'Location index validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const stop = resolveTripLocation(req.trip, index);
+
+        if (!stop) {
+            return res.status(404).json({
+                success: false,
+                error: 'Location Not Found',
+                message: `Location ${index} does not exist in this trip's itinerary`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const comments = await getLocationComments(req.trip.id, stop.key, req.userId || null);
+        const threads = buildCommentThreads(comments);
+
+        res.status(200).json({
+            success: true,
+            chatId: req.trip.id,
+            location: { index, name: stop.location.name },
+            comments: threads.comments,
+            notes: threads.notes,
+            commentCount: comments.length - threads.notes.length,
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Stop comments sent:', { tripId: req.trip.id, index, count: comments.length });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving stop comments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve comments',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/locations/:index/comments
+ * 
+ * Adds a comment (optionally as a reply through parentId) or a private note to a stop.
+ * Private notes require authentication and are only visible to their author.
+ */
+router.post('/:chatId/locations/:index/comments', optionalAuth, tripCommentLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/locations/:index/comments - Stop comment requested');
+    
+    try {
+        logRequestDetails(req, 'Stop comment');
+
+        const indexValidation = locationIndexSchema.validate(req.params.index);
+        const bodyValidation = commentCreateSchema.validate(req.body || {});
+        const validationError = indexValidation.error || bodyValidation.error;
+
+        if (validationError) {
+            console.error(TAG, 'Comment validation failed:', validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { body, parentId, private: isPrivate } = bodyValidation.value;
+        const stop = resolveTripLocation(req.trip, indexValidation.value);
+
+        if (!stop) {
+            return res.status(404).json({
+                success: false,
+                error: 'Location Not Found',
+                message: `Location ${indexValidation.value} does not exist in this trip's itinerary`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (isPrivate && !req.userId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication Required',
+                message: 'Sign in to keep private notes',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (parentId) {
+            const parent = await getTripComment(req.trip.id, parentId);
+
+            if (!parent || parent.private || parent.locationKey !== stop.key) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Comment Not Found',
+                    message: `Stop has no comment with ID ${parentId} to reply to`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        const comment = await createTripComment({
+            tripId: req.trip.id,
+            locationKey: stop.key,
+            locationName: stop.location.name,
+            parentId,
+            userId: req.userId,
+            body,
+            isPrivate
+        });
+
+        console.log(TAG, 'Stop comment created:', { tripId: req.trip.id, commentId: comment.id, private: comment.private });
+
+        res.status(201).json({
+            success: true,
+            message: isPrivate ? 'Note saved successfully' : 'Comment added successfully',
+            comment,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error adding stop comment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to add comment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * PATCH /api/chat/:chatId/locations/:index/comments/:commentId
+ * 
+ * Edits a comment or private note. Only the author can edit, and the edit is audit logged.
+ */
+router.patch('/:chatId/locations/:index/comments/:commentId', optionalAuth, tripCommentLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'PATCH /api/chat/:chatId/locations/:index/comments/:commentId - Comment edit requested');
+    
+    try {
+        logRequestDetails(req, 'Comment edit');
+
+        const indexValidation = locationIndexSchema.validate(req.params.index);
+        const idValidation = commentIdSchema.validate(req.params.commentId);
+        const bodyValidation = commentUpdateSchema.validate(req.body || {});
+        const validationError = indexValidation.error || idValidation.error || bodyValidation.error;
+
+        if (validationError) {
+            console.error(TAG, 'Comment edit validation failed:', validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const stop = resolveTripLocation(req.trip, indexValidation.value);
+        const comment = stop ? await getTripComment(req.trip.id, idValidation.value) : null;
+
+        if (!comment || comment.locationKey !== stop.key || !isCommentVisible(req, comment)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment Not Found',
+                message: `Stop has no comment with ID ${idValidation.value}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!canModifyComment(req, comment, 'edit')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access Denied',
+                message: 'You can only edit your own comments',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const updatedComment = await updateTripComment(req.trip.id, comment.id, bodyValidation.value.body, req.userId, getAuditData(req));
+
+        console.log(TAG, 'Comment edited:', { tripId: req.trip.id, commentId: comment.id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment updated successfully',
+            comment: updatedComment,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error editing comment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update comment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * DELETE /api/chat/:chatId/locations/:index/comments/:commentId
+ * 
+ * Deletes a comment and its replies, or a private note. Authors can delete their own comments and the
+ * trip owner can delete any comment. Deletions are audit logged.
+ */
+router.delete('/:chatId/locations/:index/comments/:commentId', optionalAuth, tripCommentLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'DELETE /api/chat/:chatId/locations/:index/comments/:commentId - Comment deletion requested');
+    
+    try {
+        logRequestDetails(req, 'Comment deletion');
+
+        const indexValidation = locationIndexSchema.validate(req.params.index);
+        const idValidation = commentIdSchema.validate(req.params.commentId);
+        const validationError = indexValidation.error || idValidation.error;
+
+        if (validationError) {
+            console.error(TAG, 'Comment deletion validation failed:', validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const stop = resolveTripLocation(req.trip, indexValidation.value);
+        const comment = stop ? await getTripComment(req.trip.id, idValidation.value) : null;
+
+        if (!comment || comment.locationKey !== stop.key || !isCommentVisible(req, comment)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment Not Found',
+                message: `Stop has no comment with ID ${idValidation.value}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!canModifyComment(req, comment, 'delete')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access Denied',
+                message: 'You can only delete your own comments',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const deleted = await deleteTripComment(req.trip.id, comment.id, req.userId, auditData);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Comment Not Found',
+                message: `Stop has no comment with ID ${comment.id}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(TAG, 'Comment deleted:', { tripId: req.trip.id, commentId: comment.id, deletedCount: deleted.deletedCount });
+
+        res.status(200).json({
+            success: true,
+            message: 'Comment deleted successfully',
+            comment: deleted.comment,
+            deletedCount: deleted.deletedCount,
+            audit: {
+                action: 'delete',
+                userId: req.userId,
+                timestamp: new Date().toISOString(),
+                ipAddress: auditData.ipAddress
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error deleting comment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to delete comment',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/optimize
+ * 
+ * Reorders the stops of a saved plan to minimise the total travel distance.
+ * Meal stops keep their time, every stop must be open when it is reached, and start times and travel legs
+ * are recomputed. The new order is saved as a revision and the response reports the distance before and after.
+ */
+router.post('/:chatId/optimize', optionalAuth, routeOptimizeLimiter, requireTripAccess('edit'), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/optimize - Route optimization requested');
+    
+    try {
+        logRequestDetails(req, 'Route optimization');
+
+        const trip = req.trip;
+
+        if (!trip.itinerary || (trip.itinerary.locations || []).length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: 'This trip has no stored itinerary to optimize',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { itinerary, changed, distance, order } = optimizeItinerary(ensureStopIds(trip.itinerary), trip.searchData || {});
+
+        if (!changed) {
+            console.log(TAG, 'Route already optimal:', { tripId: trip.id, distance });
+            return res.status(200).json({
+                success: true,
+                message: 'The current order is already the shortest feasible route',
+                chatId: trip.id,
+                changed: false,
+                distance: distance,
+                locations: trip.itinerary.locations,
+                currentRevision: trip.currentRevision,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const updatedTrip = await updateTrip(trip.id, {
+            itinerary,
+            revisionReason: 'optimize_route',
+            revisionDetails: { order, distance }
+        }, req.userId, getAuditData(req));
+
+        console.log(TAG, 'Route optimized:', { tripId: trip.id, distance, currentRevision: updatedTrip.currentRevision });
+
+        res.status(200).json({
+            success: true,
+            message: 'Route optimized successfully',
+            chatId: trip.id,
+            changed: true,
+            distance: distance,
+            order: order,
+            locations: itinerary.locations,
+            ...(itinerary.days && { days: itinerary.days }),
+            diff: diffItineraries(trip.itinerary, itinerary),
+            currentRevision: updatedTrip.currentRevision,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error optimizing route:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to optimize route',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/clone
+ * 
+ * Copies a trip into a new trip owned by the caller, recording the original in clonedFrom.
+ * With a destination or filters, the plan is regenerated for them and keeps the original's stops per day,
+ * categories and time slots. Any role on the original trip can clone it; the original's saved position is
+ * only copied for its owner.
+ */
+router.post('/:chatId/clone', optionalAuth, tripCloneLimiter, requireTripAccess('view'), async (req, res) => {
+    const startTime = Date.now();
+    console.log(TAG, 'POST /api/chat/:chatId/clone - Trip clone requested');
+    
+    try {
+        logRequestDetails(req, 'Trip clone');
+
+        const { error, value } = tripCloneSchema.validate(req.body || {});
+
+        if (error) {
+            console.error(TAG, 'Clone validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+        const conflict = getCloneConflict(trip, value);
+
+        if (conflict) {
+            return res.status(conflict.status).json({
+                success: false,
+                error: conflict.error,
+                message: conflict.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await cloneTrip(trip, value, {
+            userId: req.userId || null,
+            keepLocation: (req.userId || null) === trip.userId,
+            auditData: getAuditData(req)
+        });
+
+        res.status(201).json(buildCloneResponse(trip, result, startTime));
+
+    } catch (error) {
+        console.error(TAG, 'Error cloning trip:', error);
+
+        if (error.name === 'PlanGenerationError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'AI Generation Failed',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to clone trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/export.ics?includeTransit=true
+ * 
+ * Downloads the stored itinerary as an iCalendar file, one event per stop plus optional travel events.
+ * Applies the same ownership checks as GET /api/chat/:chatId.
+ */
+router.get('/:chatId/export.ics', optionalAuth, tripExportLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/export.ics - Calendar export requested');
+    
+    try {
+        logRequestDetails(req, 'Calendar export');
+
+        const { error, value } = calendarExportQuerySchema.validate(req.query);
+
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+
+        if (!trip.itinerary || (trip.itinerary.locations || []).length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: 'This trip has no stored itinerary to export',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const calendar = buildTripCalendar(trip, { includeTransit: value.includeTransit });
+        const fileName = getExportFileName(trip, 'ics');
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.status(200).send(calendar.content);
+        console.log(TAG, 'Calendar export sent:', { tripId: trip.id, eventCount: calendar.eventCount, timeZone: calendar.timeZone });
+
+    } catch (error) {
+        console.error(TAG, 'Error exporting calendar:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to export calendar',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/export?format=geojson|gpx|kml|html|pdf
+ * 
+ * Downloads the stored itinerary for mapping tools (every stop as a point and the route connecting
+ * the stops in visiting order, with the transit leg on each segment) or as a printable itinerary.
+ * Applies the same ownership checks as GET /api/chat/:chatId.
+ */
+router.get('/:chatId/export', optionalAuth, tripExportLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/export - Trip export requested');
+    
+    try {
+        logRequestDetails(req, 'Trip export');
+
+        const { error, value } = tripExportQuerySchema.validate(req.query);
+
+        if (error) {
+            console.error(TAG, 'Query validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+
+        if (!trip.itinerary || (trip.itinerary.locations || []).length === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: 'This trip has no stored itinerary to export',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Printable formats use the same Unsplash cover image as the trip endpoint; the PDF embeds its bytes
+        const exporter = EXPORT_FORMATS[value.format];
+        const image = exporter.usesCoverImage ? (await addImagesToTrips([trip]))[0].image : null;
+        const coverImage = image && exporter.embedsCoverImage ? await downloadImage(image) : null;
+        const file = await exportTrip(trip, value.format, { image, coverImage });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${getExportFileName(trip, file.extension)}"`
+        });
+        res.status(200).send(file.content);
+        console.log(TAG, 'Trip export sent:', { tripId: trip.id, format: value.format });
+
+    } catch (error) {
+        console.error(TAG, 'Error exporting trip:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to export trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/share
+ * 
+ * Creates a public, read-only share link for a trip, optionally expiring after expiresInDays.
+ * Anyone with the link can view the trip through GET /api/shared/:token until it expires or is revoked.
+ */
+router.post('/:chatId/share', optionalAuth, shareLinkLimiter, requireTripAccess('share'), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/share - Share link creation requested');
+    
+    try {
+        logRequestDetails(req, 'Share link creation');
+
+        const { error, value } = shareLinkCreateSchema.validate(req.body || {});
+
+        if (error) {
+            console.error(TAG, 'Share link validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const expiresAt = value.expiresInDays
+            ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+        const auditData = getAuditData(req);
+        const shareLink = await createShareLink(req.trip.id, { expiresAt }, req.userId, auditData);
+
+        console.log(TAG, 'Share link created:', { tripId: req.trip.id, shareLinkId: shareLink.id, expiresAt });
+
+        res.status(201).json({
+            success: true,
+            message: 'Share link created successfully',
+            shareLink: withShareUrl(req, shareLink),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error creating share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/shares
+ * 
+ * Lists the share links of a trip (active, expired and revoked) with their access counts.
+ */
+router.get('/:chatId/shares', optionalAuth, shareLinkLimiter, requireTripAccess('share'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/shares - Share links requested');
+    
+    try {
+        logRequestDetails(req, 'Share link list');
+
+        const shareLinks = await getTripShareLinks(req.trip.id);
+
+        res.status(200).json({
+            success: true,
+            tripId: req.trip.id,
+            shareLinks: shareLinks.map(shareLink => withShareUrl(req, shareLink)),
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Share links sent:', { tripId: req.trip.id, count: shareLinks.length });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving share links:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve share links',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * DELETE /api/chat/:chatId/shares/:shareId
+ * 
+ * Revokes a share link so its token no longer resolves. Revocations are audit logged.
+ */
+router.delete('/:chatId/shares/:shareId', optionalAuth, shareLinkLimiter, requireTripAccess('share'), async (req, res) => {
+    console.log(TAG, 'DELETE /api/chat/:chatId/shares/:shareId - Share link revocation requested');
+    
+    try {
+        logRequestDetails(req, 'Share link revocation');
+
+        const { error, value: shareId } = shareLinkIdSchema.validate(req.params.shareId);
+
+        if (error) {
+            console.error(TAG, 'Share link ID validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const shareLink = await revokeShareLink(req.trip.id, shareId, req.userId, auditData);
+
+        if (!shareLink) {
+            return res.status(404).json({
+                success: false,
+                error: 'Share Link Not Found',
+                message: `Trip has no active share link with ID ${shareId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(TAG, 'Share link revoked:', { tripId: req.trip.id, shareLinkId: shareId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Share link revoked successfully',
+            shareLink: withShareUrl(req, shareLink),
+            audit: {
+                action: 'share_link_revoke',
+                userId: req.userId,
+                timestamp: new Date().toISOString(),
+                ipAddress: auditData.ipAddress
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error revoking share link:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to revoke share link',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * GET /api/chat/:chatId/members
+ * 
+ * Lists the owner, members and invitations of a trip. Open to every role.
+ */
+router.get('/:chatId/members', optionalAuth, tripMemberLimiter, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'GET /api/chat/:chatId/members - Trip members requested');
+    
+    try {
+        logRequestDetails(req, 'Trip member list');
+
+        const members = await getTripMembers(req.trip.id);
+
+        res.status(200).json({
+            success: true,
+            tripId: req.trip.id,
+            ownerId: req.trip.userId,
+            role: req.tripRole,
+            members,
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Trip members sent:', { tripId: req.trip.id, count: members.length });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving trip members:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve trip members',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/chat/:chatId/members
+ * 
+ * Invites someone to a trip by email as an editor or viewer. Only the owner can invite.
+ * The invitee sees the invitation in GET /api/chat/invitations once signed in with that email.
+ */
+router.post('/:chatId/members', tripMemberLimiter, authenticateToken, requireTripAccess('manage'), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/members - Trip invitation requested');
+    
+    try {
+        logRequestDetails(req, 'Trip invitation');
+
+        const { error, value } = memberInviteSchema.validate(req.body || {});
+
+        if (error) {
+            console.error(TAG, 'Invitation validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (req.trip.userId === null) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: 'Only trips owned by a registered user can have members',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (value.email === req.user.email.toLowerCase()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'You cannot invite yourself to your own trip',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const invitation = await createTripInvitation(req.trip.id, value, req.userId, auditData);
+
+        if (!invitation) {
+            return res.status(409).json({
+                success: false,
+                error: 'Conflict',
+                message: `${value.email} is already a member of this trip`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(TAG, 'Trip invitation created:', { tripId: req.trip.id, memberId: invitation.id, role: invitation.role });
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent successfully',
+            invitation,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error inviting trip member:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to invite trip member',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * PATCH /api/chat/:chatId/members/:memberId
+ * 
+ * Changes the role of a member or pending invitation. Only the owner can change roles.
+ */
+router.patch('/:chatId/members/:memberId', tripMemberLimiter, authenticateToken, requireTripAccess('manage'), async (req, res) => {
+    console.log(TAG, 'PATCH /api/chat/:chatId/members/:memberId - Member role update requested');
+    
+    try {
+        logRequestDetails(req, 'Member role update');
+
+        const { error: idError, value: memberId } = memberIdSchema.validate(req.params.memberId);
+        const { error: bodyError, value } = memberUpdateSchema.validate(req.body || {});
+        const validationError = idError || bodyError;
+
+        if (validationError) {
+            console.error(TAG, 'Member update validation failed:', validationError.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: validationError.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const member = await updateTripMemberRole(req.trip.id, memberId, value.role, req.userId, auditData);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member Not Found',
+                message: `Trip has no member with ID ${memberId}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        console.log(TAG, 'Member role updated:', { tripId: req.trip.id, memberId, role: member.role });
+
+        res.status(200).json({
+            success: true,
+            message: 'Member role updated successfully',
+            member,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error(TAG, 'Error updating member role:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update member role',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * DELETE /api/chat/:chatId/members/:memberId
+ * 
+ * Removes a member from a trip or cancels a pending invitation. Only the owner can remove members.
+ */
+router.delete('/:chatId/members/:memberId', tripMemberLimiter, authenticateToken, requireTripAccess('manage'), async (req, res) => {
+    console.log(TAG, 'DELETE /api/chat/:chatId/members/:memberId - Member removal requested');
+    
+    try {
+        logRequestDetails(req, 'Member removal');
+
+        const { error, value: memberId } = memberIdSchema.validate(req.params.memberId);
+
+        if (error) {
+            console.error(TAG, 'Member ID validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const auditData = getAuditData(req);
+        const member = await removeTripMember(req.trip.id, memberId, req.userId, auditData);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member Not Found',
+                message: `Trip has no member with ID ${memberId}`,
+                timestamp: new Date().toISOString()
+            });
         }
-        
-        const whereClause = whereConditions.join(' AND ');
-        
-        // Get audit logs
-        const auditQuery = `
-            SELECT al.*, u.email as user_email, u.name as user_name
-            FROM audit_logs al
-            LEFT JOIN users u ON al.user_id = u.id
-            WHERE ${whereClause}
-            ORDER BY al.timestamp DESC
-            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
-        `;
-        
-        params.push(parseInt(limit), parseInt(offset));
-        
-        const result = await pool.query(auditQuery, params);
-        
-        const auditLogs = result.rows.map(log => ({
-            id: log.id,
-            entityType: log.entity_type,
-            entityId: log.entity_id,
-            action: log.action,
-            userId: log.user_id,
-            userEmail: log.user_email,
-            userName: log.user_name,
-            oldData: log.old_data,
-            newData: log.new_data,
-            ipAddress: log.ip_address,
-            userAgent: log.user_agent,
-            timestamp: log.timestamp
-        }));
-        
-        res.json({
+
+        console.log(TAG, 'Member removed:', { tripId: req.trip.id, memberId });
+
+        res.status(200).json({
             success: true,
-            auditLogs,
-            pagination: {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                total: auditLogs.length
-            },
+            message: 'Member removed successfully',
+            member,
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error(TAG, 'Error fetching audit logs:', error);
+        console.error(TAG, 'Error removing member:', error);
         res.status(500).json({
             success: false,
             error: 'Internal Server Error',
-            message: 'Failed to fetch audit logs',
+            message: 'Failed to remove member',
             timestamp: new Date().toISOString()
         });
     }
 });
 
 /**
- * GET /api/chat/status
+ * PUT /api/chat/:chatId/tags
  * 
- * Returns the status of the chat service
+ * Replaces the authenticated user's tags on a trip ({ tags: [names] }); tags that do not exist yet are created.
+ * Tags are private to the user, so anyone who can view the trip can tag it.
  */
-router.get('/status', statusLimiter, async (req, res) => {
-    console.log(TAG, 'GET /api/chat/status - Status check requested');
+router.put('/:chatId/tags', tripLabelLimiter, authenticateToken, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'PUT /api/chat/:chatId/tags - Trip tags update requested');
     
     try {
-        // Get database statistics
-        const dbResult = await getTrips({ limit: 1000 }); // Get reasonable count for stats
-        const totalTrips = dbResult.pagination.total;
-        
+        logRequestDetails(req, 'Trip tags update');
+
+        const { error, value } = tripTagsSchema.validate(req.body || {});
+
+        if (error) {
+            console.error(TAG, 'Trip tags validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const labels = await setTripTags(req.trip.id, req.userId, value.tags);
+
         res.status(200).json({
-            service: 'Trip API',
-            status: 'operational',
-            version: '1.0.0',
-            statistics: {
-                totalTrips: totalTrips,
-                dataSource: 'PostgreSQL Database'
-            },
-            endpoints: {
-                list: 'GET /api/chat',
-                get: 'GET /api/chat/:chatId',
-                delete: 'DELETE /api/chat/:chatId',
-                status: 'GET /api/chat/status'
-            },
+            success: true,
+            message: 'Trip tags updated successfully',
+            chatId: req.trip.id,
+            ...labels,
             timestamp: new Date().toISOString()
         });
-        
+
     } catch (error) {
-        console.error(TAG, 'Error getting database statistics:', error);
-        res.status(200).json({
-            service: 'Trip API',
-            status: 'operational',
-            version: '1.0.0',
-            statistics: {
-                totalTrips: 'Unable to fetch',
-                dataSource: 'PostgreSQL Database (connection error)'
-            },
-            endpoints: {
-                list: 'GET /api/chat',
-                get: 'GET /api/chat/:chatId',
-                delete: 'DELETE /api/chat/:chatId',
-                status: 'GET /api/chat/status'
-            },
+        console.error(TAG, 'Error updating trip tags:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update trip tags',
             timestamp: new Date().toISOString()
         });
     }
 });
 
 /**
- * GET /api/chat/:chatId
+ * PUT /api/chat/:chatId/collections
  * 
- * Retrieves a specific trip planning conversation by ID.
- * Uses optional authentication to verify ownership of private trips.
+ * Replaces the authenticated user's collections that contain a trip ({ collectionIds: [ids] }).
  */
-router.get('/:chatId', optionalAuth, tripGetLimiter, async (req, res) => {
-    console.log(TAG, 'GET /api/chat/:chatId - Specific chat requested');
+router.put('/:chatId/collections', tripLabelLimiter, authenticateToken, requireTripAccess('view'), async (req, res) => {
+    console.log(TAG, 'PUT /api/chat/:chatId/collections - Trip collections update requested');
     
     try {
-        // Log request details
-        logRequestDetails(req, 'Specific chat');
-        
-        // Validate chat ID
-        console.log(TAG, 'Validating chat ID');
-        const { error, value } = tripIdSchema.validate(req.params.chatId);
-        
+        logRequestDetails(req, 'Trip collections update');
+
+        const { error, value } = tripCollectionsSchema.validate(req.body || {});
+
         if (error) {
-            console.error(TAG, 'Chat ID validation failed:', error.details[0].message);
+            console.error(TAG, 'Trip collections validation failed:', error.details[0].message);
             return res.status(400).json({
                 success: false,
                 error: 'Validation Error',
@@ -448,177 +3145,227 @@ router.get('/:chatId', optionalAuth, tripGetLimiter, async (req, res) => {
             });
         }
 
-        const chatId = value;
-        console.log(TAG, 'Looking for chat ID:', chatId);
+        const labels = await setTripCollections(req.trip.id, req.userId, value.collectionIds);
 
-        // Find chat by ID from database
-        const trip = await getTripById(chatId);
-        
-        if (!trip) {
-            console.warn(TAG, 'Chat not found:', chatId);
+        if (!labels) {
             return res.status(404).json({
                 success: false,
-                error: 'Chat Not Found',
-                message: `Chat with ID ${chatId} does not exist`,
+                error: 'Collection Not Found',
+                message: 'One or more collections do not exist or are not yours',
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Verify user ownership for access control
-        console.log(TAG, 'Verifying user access for trip:', {
-            tripId: trip.id,
-            tripUserId: trip.userId,
-            requestUserId: req.userId
+        res.status(200).json({
+            success: true,
+            message: 'Trip collections updated successfully',
+            chatId: req.trip.id,
+            ...labels,
+            timestamp: new Date().toISOString()
         });
 
-        // Check access based on authentication status
-        if (req.userId) {
-            // Authenticated user - must own the trip
-            if (trip.userId !== req.userId) {
-                console.warn(TAG, 'Access denied: User does not own this trip:', {
-                    tripId: chatId,
-                    tripOwner: trip.userId,
-                    requestingUser: req.userId
-                });
-                return res.status(403).json({
+    } catch (error) {
+        console.error(TAG, 'Error updating trip collections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update trip collections',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * PATCH /api/chat/:chatId
+ * 
+ * Renames a trip and/or edits its itinerary with JSON-Patch operations
+ * (e.g., reorder stops, change a stop's time or delete a stop).
+ * Itinerary edits are saved as a new revision, and every update is audit logged with old and new data.
+ */
+router.patch('/:chatId', optionalAuth, tripUpdateLimiter, requireTripAccess('edit'), async (req, res) => {
+    console.log(TAG, 'PATCH /api/chat/:chatId - Trip update requested');
+    
+    try {
+        logRequestDetails(req, 'Trip update');
+        
+        const { error, value } = tripUpdateSchema.validate(req.body || {});
+        
+        if (error) {
+            console.error(TAG, 'Trip update validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = req.trip;
+        const { title, operations } = value;
+        const updateData = {};
+        let diff = null;
+
+        if (title !== undefined && title !== trip.title) {
+            updateData.title = title;
+        }
+
+        if (operations) {
+            if (!trip.itinerary) {
+                return res.status(409).json({
                     success: false,
-                    error: 'Access Denied',
-                    message: 'You do not have permission to view this trip',
+                    error: 'Conflict',
+                    message: 'This trip has no stored itinerary to edit',
                     timestamp: new Date().toISOString()
                 });
             }
-        } else {
-            // Non-authenticated user - can only view trips with user_id === null
-            if (trip.userId !== null) {
-                console.warn(TAG, 'Access denied: Non-authenticated user trying to view user trip:', {
-                    tripId: chatId,
-                    tripOwner: trip.userId
-                });
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access Denied',
-                    message: 'This trip belongs to a registered user and requires authentication to view',
-                    timestamp: new Date().toISOString()
-                });
+
+            // Stops keep their ids (and comments) through renames and moves; added or copied stops get new ones
+            const original = ensureStopIds(trip.itinerary);
+            const itinerary = assignStopIds(applyItineraryPatch(original, operations));
+            diff = diffItineraries(original, itinerary);
+
+            if (JSON.stringify(itinerary) !== JSON.stringify(original)) {
+                updateData.itinerary = itinerary;
+                updateData.revisionReason = 'edit';
+                updateData.revisionDetails = {
+                    operations: operations.map(({ op, path, from }) => (from ? { op, path, from } : { op, path }))
+                };
             }
         }
 
-        console.log(TAG, 'Access verification passed. Chat found:', {
-            id: trip.id,
-            title: trip.title,
-            lastUpdated: trip.lastUpdated,
-            userAuthorized: true
-        });
+        if (Object.keys(updateData).length === 0) {
+            console.log(TAG, 'Trip update made no changes:', trip.id);
+            return res.status(200).json({
+                success: true,
+                message: 'No changes to apply',
+                chatId: trip.id,
+                changed: false,
+                currentRevision: trip.currentRevision,
+                trip: trip,
+                timestamp: new Date().toISOString()
+            });
+        }
 
-        // Add location image from Unsplash API
-        console.log(TAG, 'Fetching image for individual trip');
-        const tripsWithImages = await addImagesToTrips([trip]);
-        const tripWithImage = tripsWithImages[0];
+        const updatedTrip = await updateTrip(trip.id, updateData, req.userId, getAuditData(req));
 
-        // Prepare response
-        const response = {
+        console.log(TAG, 'Trip updated:', {
+            tripId: trip.id,
+            renamed: updateData.title !== undefined,
+            operations: operations ? operations.length : 0,
+            currentRevision: updatedTrip.currentRevision
+        });
+
+        res.status(200).json({
             success: true,
-            trip: tripWithImage,
+            message: 'Trip updated successfully',
+            chatId: trip.id,
+            changed: true,
+            currentRevision: updatedTrip.currentRevision,
+            trip: updatedTrip,
+            diff: diff,
             timestamp: new Date().toISOString()
-        };
-
-        // Send response
-        res.status(200).json(response);
-        console.log(TAG, 'Chat data sent successfully');
+        });
 
     } catch (error) {
-        console.error(TAG, 'Error retrieving specific chat:', error);
+        console.error(TAG, 'Error updating trip:', error);
+
+        if (error.name === 'ItineraryPatchError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'Invalid Patch',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
         
         res.status(500).json({
             success: false,
             error: 'Internal Server Error',
-            message: 'Failed to retrieve chat',
+            message: 'Failed to update trip',
             timestamp: new Date().toISOString()
         });
     }
 });
 
 /**
- * DELETE /api/chat/:chatId
+ * POST /api/chat/:chatId/restore
  * 
- * Deletes a specific chat conversation.
- * Uses optional authentication to verify ownership before deletion.
+ * Restores a soft-deleted trip from the trash.
+ * Uses the same ownership rules as deletion and records the restore in the audit log.
  */
-router.delete('/:chatId', optionalAuth, tripDeleteLimiter, async (req, res) => {
-    console.log(TAG, 'DELETE /api/chat/:chatId - Chat deletion requested');
+router.post('/:chatId/restore', optionalAuth, tripRestoreLimiter, requireTripAccess('restore', { allowDeleted: true }), async (req, res) => {
+    console.log(TAG, 'POST /api/chat/:chatId/restore - Trip restore requested');
     
     try {
-        // Log request details
-        logRequestDetails(req, 'Trip deletion');
+        logRequestDetails(req, 'Trip restore');
         
-        // Validate chat ID
-        console.log(TAG, 'Validating chat ID for deletion');
-        const { error, value } = tripIdSchema.validate(req.params.chatId);
+        const trip = req.trip;
         
-        if (error) {
-            console.error(TAG, 'Chat ID validation failed:', error.details[0].message);
-            return res.status(400).json({
+        if (!trip.deletedAt) {
+            return res.status(409).json({
                 success: false,
-                error: 'Validation Error',
-                message: error.details[0].message,
+                error: 'Conflict',
+                message: 'This trip is not in the trash',
                 timestamp: new Date().toISOString()
             });
         }
 
-        const chatId = value;
-        console.log(TAG, 'Attempting to delete chat ID:', chatId);
-
-        // Get trip details before deletion for response
-        const tripToDelete = await getTripById(chatId);
+        const auditData = getAuditData(req);
+        const restoredTrip = await restoreTrip(trip.id, req.userId, auditData);
         
-        if (!tripToDelete) {
-            console.warn(TAG, 'Chat not found for deletion:', chatId);
-            return res.status(404).json({
+        if (!restoredTrip) {
+            console.error(TAG, 'Failed to restore trip in database:', trip.id);
+            return res.status(500).json({
                 success: false,
-                error: 'Chat Not Found',
-                message: `Chat with ID ${chatId} does not exist`,
+                error: 'Database Error',
+                message: 'Failed to restore trip in database',
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Verify user ownership before deletion
-        console.log(TAG, 'Verifying user ownership for trip:', {
-            tripId: tripToDelete.id,
-            tripUserId: tripToDelete.userId,
-            requestUserId: req.userId
+        console.log(TAG, 'Trip restored successfully:', trip.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Chat restored successfully',
+            trip: restoredTrip,
+            audit: {
+                action: 'restore',
+                userId: req.userId,
+                timestamp: new Date().toISOString(),
+                ipAddress: auditData.ipAddress
+            },
+            timestamp: new Date().toISOString()
         });
 
-        // Check ownership based on authentication status
-        if (req.userId) {
-            // Authenticated user - must own the trip
-            if (tripToDelete.userId !== req.userId) {
-                console.warn(TAG, 'Access denied: User does not own this trip:', {
-                    tripId: chatId,
-                    tripOwner: tripToDelete.userId,
-                    requestingUser: req.userId
-                });
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access Denied',
-                    message: 'You do not have permission to delete this trip',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        } else {
-            // Non-authenticated user - can only delete trips with user_id === null
-            if (tripToDelete.userId !== null) {
-                console.warn(TAG, 'Access denied: Non-authenticated user trying to delete user trip:', {
-                    tripId: chatId,
-                    tripOwner: tripToDelete.userId
-                });
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access Denied',
-                    message: 'This trip belongs to a registered user and cannot be deleted without authentication',
-                    timestamp: new Date().toISOString()
-                });
-            }
-        }
+    } catch (error) {
+        console.error(TAG, 'Error restoring trip:', error);
+        
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to restore chat',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * DELETE /api/chat/:chatId
+ * 
+ * Deletes a specific chat conversation.
+ * Only the owner can delete a trip; members get 403.
+ */
+router.delete('/:chatId', optionalAuth, tripDeleteLimiter, requireTripAccess('delete'), async (req, res) => {
+    console.log(TAG, 'DELETE /api/chat/:chatId - Chat deletion requested');
+    
+    try {
+        // Log request details
+        logRequestDetails(req, 'Trip deletion');
+        
+        const tripToDelete = req.trip;
+        const chatId = tripToDelete.id;
 
         console.log(TAG, 'Ownership verification passed. Proceeding with deletion:', {
             id: tripToDelete.id,
@@ -627,10 +3374,7 @@ router.delete('/:chatId', optionalAuth, tripDeleteLimiter, async (req, res) => {
         });
 
         // Prepare audit data
-        const auditData = {
-            ipAddress: req.ip || req.connection.remoteAddress,
-            userAgent: req.get('User-Agent')
-        };
+        const auditData = getAuditData(req);
 
         // Soft delete trip from database with audit logging
         const deletedTrip = await deleteTrip(chatId, req.userId, auditData);
@@ -667,8 +3411,9 @@ router.delete('/:chatId', optionalAuth, tripDeleteLimiter, async (req, res) => {
                 ipAddress: auditData.ipAddress
             },
             recovery: {
-                message: 'This chat has been moved to trash and can be recovered within 30 days',
-                contactSupport: 'Contact support if you need to recover this chat'
+                message: `This chat has been moved to trash and can be recovered within ${getRetentionDays()} days`,
+                restoreEndpoint: `POST /api/chat/${deletedTrip.id}/restore`,
+                purgeAt: getPurgeDate(deletedTrip.deletedAt)
             },
             timestamp: new Date().toISOString()
         };
@@ -715,8 +3460,8 @@ router.all('/', (req, res, next) => {
  * Handle unsupported methods on specific trip routes
  */
 router.all('/:chatId', (req, res, next) => {
-    if (req.method === 'GET' || req.method === 'DELETE') {
-        return next(); // Let GET and DELETE requests proceed
+    if (req.method === 'GET' || req.method === 'PATCH' || req.method === 'DELETE') {
+        return next(); // Let GET, PATCH and DELETE requests proceed
     }
     
     console.warn(TAG, `Unsupported method on trip route: ${req.method}`);
@@ -724,7 +3469,7 @@ router.all('/:chatId', (req, res, next) => {
         success: false,
         error: 'Method Not Allowed',
         message: `${req.method} method is not supported on this endpoint.`,
-        allowedMethods: ['GET', 'DELETE'],
+        allowedMethods: ['GET', 'PATCH', 'DELETE'],
         timestamp: new Date().toISOString()
     });
 });
@@ -14,8 +14,16 @@ const express = require('express');
 const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const openaiService = require('../services/openai');
-const { createTrip } = require('../services/database');
+const { createTrip, createTripMessage, getTripById, withTransaction } = require('../services/database');
+const { buildItinerary, toPlanPayload, replaceLocation, getLocationKey } = require('../services/itinerary');
+const { getTripDays, validateTripLength, MAX_TRIP_DAYS } = require('../services/planSchema');
+const { checkPlanTimeline } = require('../services/timeline');
+const { checkPlanOpeningHours } = require('../services/openingHours');
+const { checkPlanCoordinates, getMaxReplacements } = require('../services/coordinateCheck');
+const { estimatePlanCost } = require('../services/costEstimate');
+const { buildMapLinks, MAP_PROVIDERS, TRAVEL_MODES } = require('../services/mapit');
 const { optionalAuth } = require('../middleware/auth');
+const { checkTripAccess, resolveTripRole } = require('../middleware/tripAccess');
 const rateLimit = require('express-rate-limit');
 
 // ========================================
@@ -93,13 +101,26 @@ const searchDataSchema = Joi.object({
         ).optional(),
         specialOptions: Joi.array().items(
             Joi.string().valid('adventure', 'casual', 'tourist', 'wander', 'date', 'family')
-        ).optional()
-    }).required().unknown(true),
+        ).optional(),
+        autoShift: Joi.boolean().default(false),
+        replaceSuspectStops: Joi.boolean().default(false),
+        days: Joi.number().integer().min(1).max(MAX_TRIP_DAYS).optional()
+            .messages({ 'number.max': `Trips can be planned for at most ${MAX_TRIP_DAYS} days` }),
+        dateRange: Joi.object({
+            start: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+            end: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+        }).optional()
+            .messages({ 'string.pattern.base': '{{#label}} must be a date like "2025-07-14"' })
+    }).required().unknown(true).custom(validateTripLength),
     timestamp: Joi.string().isoDate().required(),
     regenerationContext: Joi.object({
         excludedLocation: Joi.string().optional(),
         originalChatId: Joi.string().optional(),
-        originalQuery: Joi.string().optional()
+        originalQuery: Joi.string().optional(),
+        excludedCategory: Joi.string().optional(),
+        excludedTime: Joi.string().optional(),
+        excludedEstimatedTime: Joi.string().optional(),
+        avoidLocations: Joi.array().items(Joi.string()).max(20).optional()
     }).optional()
 });
 
@@ -111,6 +132,31 @@ const planRequestSchema = Joi.object({
     userMessage: Joi.string().trim().min(1).max(500).required()
 });
 
+/**
+ * MapIT request validation schema
+ * Links are built either from a client-supplied list of stops or from the itinerary of a stored trip.
+ */
+const mapITSchema = Joi.object({
+    locations: Joi.array().items(Joi.object({
+        name: Joi.string().allow('').optional(),
+        address: Joi.string().allow('').optional(),
+        coordinates: Joi.object({
+            latitude: Joi.number().min(-90).max(90).required(),
+            longitude: Joi.number().min(-180).max(180).required()
+        }).unknown(true).allow(null).optional()
+    }).unknown(true)).min(1)
+        .messages({ 'array.min': 'Locations array must not be empty' }),
+    chatId: Joi.string().uuid()
+        .messages({ 'string.guid': 'Invalid chat ID format - must be a valid UUID' }),
+    day: Joi.number().integer().min(1).optional(),
+    travelMode: Joi.string().valid(...TRAVEL_MODES).default('driving'),
+    mapProvider: Joi.string().valid(...Object.keys(MAP_PROVIDERS)).default('google')
+}).xor('locations', 'chatId')
+    .messages({
+        'object.missing': 'Provide a locations array or the chatId of a stored trip',
+        'object.xor': 'Provide either a locations array or a chatId, not both'
+    });
+
 // ========================================
 // HELPER FUNCTIONS
 // ========================================
@@ -357,6 +403,194 @@ const logRequestDetails = (req) => {
     console.log(TAG, 'Plan request details:', logData);
 };
 
+/**
+ * Saves a generated trip and starts its conversation so it can be refined later
+ * The trip and its first messages are saved together, so a saved trip always replays the original request.
+ * Database failures are logged but do not fail the request.
+ * @param {Object} tripData - Trip fields ({ id, title, location, searchData, itinerary, userId })
+ * @param {string} userMessage - User's original message
+ */
+const saveGeneratedTrip = async (tripData, userMessage) => {
+    console.log(TAG, 'Saving trip to database');
+    try {
+        await withTransaction(async (client) => {
+            await createTrip(tripData, client);
+            await createTripMessage({
+                tripId: tripData.id,
+                userId: tripData.userId,
+                role: 'user',
+                content: userMessage
+            }, client);
+            await createTripMessage({
+                tripId: tripData.id,
+                role: 'assistant',
+                content: tripData.itinerary.summary,
+                plan: toPlanPayload(tripData.itinerary),
+                metadata: tripData.itinerary.metadata
+            }, client);
+        });
+        console.log(TAG, 'Trip saved to database successfully:', tripData.id);
+    } catch (dbError) {
+        console.error(TAG, 'Failed to save trip to database:', dbError);
+        // Continue with response even if database save fails
+    }
+};
+
+/**
+ * Re-requests stops whose coordinates look hallucinated (filters.replaceSuspectStops)
+ * Each suspect stop is regenerated once, in the same category and time slot; a replacement is only
+ * kept if its own coordinates pass the check.
+ * @param {Object} aiResult - Result returned by the OpenAI service
+ * @param {Object} searchData - Validated search data
+ * @returns {Promise<Object>} - { aiResult, replaced } where replaced lists { index, replaced, replacement }
+ */
+const replaceSuspectStops = async (aiResult, searchData) => {
+    const { suspectIndices } = checkPlanCoordinates(aiResult, searchData);
+    let plan = aiResult;
+    const replaced = [];
+
+    for (const index of suspectIndices.slice(0, getMaxReplacements())) {
+        const suspect = plan.locations[index];
+
+        try {
+            const regenerationSearchData = {
+                ...searchData,
+                regenerationContext: {
+                    excludedLocation: suspect.name,
+                    originalQuery: searchData.searchQuery,
+                    excludedCategory: suspect.category,
+                    excludedTime: suspect.time,
+                    excludedEstimatedTime: suspect.estimatedTime,
+                    avoidLocations: plan.locations.map(location => location.name).filter(Boolean),
+                    singleLocation: true
+                }
+            };
+            const result = await openaiService.generateTripPlan(regenerationSearchData, `Suggest one alternative to "${suspect.name}" in ${plan.city || searchData.searchQuery}`);
+            const existingKeys = new Set(plan.locations.map(getLocationKey));
+            const replacement = (result.locations || []).find(location => !existingKeys.has(getLocationKey(location)));
+            const candidate = replacement ? replaceLocation(plan, index, replacement) : null;
+
+            if (candidate && !checkPlanCoordinates(candidate, searchData).suspectIndices.includes(index)) {
+                plan = candidate;
+                replaced.push({ index, replaced: suspect.name, replacement: replacement.name });
+            }
+        } catch (error) {
+            console.warn(TAG, 'Could not replace suspect stop:', suspect.name, error.message);
+        }
+    }
+
+    if (replaced.length > 0) {
+        console.log(TAG, 'Replaced suspect stops:', replaced);
+    }
+
+    return { aiResult: plan, replaced };
+};
+
+/**
+ * Checks a generated plan and attaches the problems found to each stop
+ * Timing is checked first: with filters.autoShift, stops that cannot start at their planned time are
+ * moved later, and the shifted times are what gets saved. Opening hours are then evaluated at the final
+ * times (replacing the AI's open_now), coordinates are checked against the city and the user's position,
+ * and the cost is estimated with stops above the requested budget flagged.
+ * @param {Object} aiResult - Result returned by the OpenAI service
+ * @param {Object} searchData - Validated search data
+ * @returns {Object} - { aiResult, locations, days, warningCount, shiftedCount, suspectCount, cityCenter, costEstimate }
+ *                     where locations and days carry per-stop warnings and coordinate confidence
+ */
+const checkGeneratedPlan = (aiResult, searchData) => {
+    const timeline = checkPlanTimeline(aiResult, { autoShift: !!searchData.filters.autoShift });
+    const { plan, warnings: hoursWarnings } = checkPlanOpeningHours(timeline.plan, searchData);
+    const coordinates = checkPlanCoordinates(plan, searchData);
+    const cost = estimatePlanCost(plan, searchData);
+    const warnings = timeline.warnings.map((stopWarnings, index) => [
+        ...stopWarnings,
+        ...(hoursWarnings[index] || []),
+        ...(coordinates.results[index]?.warnings || []),
+        ...(cost.warnings[index] || [])
+    ]);
+    const locations = plan.locations.map((location, index) => ({
+        ...location,
+        coordinateConfidence: coordinates.results[index].confidence,
+        warnings: warnings[index] || []
+    }));
+
+    let offset = 0;
+    const days = plan.days?.map(day => {
+        const dayLocations = locations.slice(offset, offset + day.locations.length).map(({ day: dayNumber, ...location }) => location);
+        offset += day.locations.length;
+        return { ...day, locations: dayLocations };
+    });
+
+    return {
+        aiResult: plan,
+        locations,
+        days,
+        warningCount: warnings.reduce((sum, stopWarnings) => sum + stopWarnings.length, 0),
+        shiftedCount: timeline.shiftedCount,
+        suspectCount: coordinates.suspectIndices.length,
+        cityCenter: coordinates.cityCenter,
+        costEstimate: cost.estimate
+    };
+};
+
+/**
+ * Builds the metadata block returned with a generated plan
+ * @param {Object} aiResult - Result returned by the OpenAI service
+ * @param {Object} searchData - Validated search data
+ * @param {number} startTime - Request start time (ms)
+ * @returns {Object} - Response metadata
+ */
+const buildPlanMetadata = (aiResult, searchData, startTime) => {
+    return {
+        processingTime: aiResult.processingTime,
+        totalTime: Date.now() - startTime,
+        searchQuery: searchData.searchQuery,
+        filterCount: Object.keys(searchData.filters).length,
+        hasLocation: !!searchData.location,
+        locationInfo: searchData.location ? {
+            hasCoords: !!(searchData.location.coords?.latitude && searchData.location.coords?.longitude),
+            accuracy: searchData.location.coords?.accuracy,
+            mocked: searchData.location.mocked,
+            hasCoordinates: !!(searchData.location.coords?.latitude && searchData.location.coords?.longitude)
+        } : null,
+        aiModel: aiResult.model,
+        aiSource: aiResult.source,
+        tokenUsage: aiResult.usage,
+        attempts: aiResult.attempts,
+        repairedFields: aiResult.repairedFields || [],
+        locationCount: aiResult.locations?.length || 0,
+        dayCount: getTripDays(searchData.filters).dayCount,
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Builds the metadata describing the checks run on a generated plan
+ * @param {Object} checks - Result of checkGeneratedPlan
+ * @param {Array<Object>} replaced - Stops replaced by replaceSuspectStops
+ * @returns {Object} - Check metadata
+ */
+const buildCheckMetadata = (checks, replaced) => {
+    return {
+        warningCount: checks.warningCount,
+        shiftedStops: checks.shiftedCount,
+        suspectLocations: checks.suspectCount,
+        replacedLocations: replaced,
+        overBudgetStops: checks.costEstimate.overBudgetCount,
+        cityCenter: checks.cityCenter
+    };
+};
+
+/**
+ * Writes a Server-Sent Event to the response
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload (serialized as JSON)
+ */
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 // ========================================
 // ROUTES
 // ========================================
@@ -421,57 +655,47 @@ router.post('/', optionalAuth, planTripLimiter, async (req, res) => {
 
         // Generate AI response using OpenAI service
         console.log(TAG, 'Generating AI response via OpenAI');
-        const aiResult = await openaiService.generateTripPlan(searchData, userMessage);
+        const generated = await openaiService.generateTripPlan(searchData, userMessage);
+
+        // Re-request hallucinated stops if asked, then check times, opening hours and coordinates
+        const { aiResult: generatedPlan, replaced } = searchData.filters.replaceSuspectStops
+            ? await replaceSuspectStops(generated, searchData)
+            : { aiResult: generated, replaced: [] };
+        const checks = checkGeneratedPlan(generatedPlan, searchData);
+        const aiResult = checks.aiResult;
 
         // Extract title and location from search data
         const title = searchData.searchQuery || 'Untitled Trip';
         const location = extractLocationFromSearchData(searchData) || 'Location not specified';
 
+        // Build the itinerary that is persisted alongside the trip
+        const itinerary = buildItinerary(aiResult);
+
         // Save trip to database
-        console.log(TAG, 'Saving trip to database');
-        try {
-            const tripData = {
-                id: chatId,
-                title: title,
-                location: location,
-                searchData: searchData,
-                userId: req.userId // null if not authenticated
-            };
-            
-            await createTrip(tripData);
-            console.log(TAG, 'Trip saved to database successfully:', chatId);
-        } catch (dbError) {
-            console.error(TAG, 'Failed to save trip to database:', dbError);
-            // Continue with response even if database save fails
-        }
+        await saveGeneratedTrip({
+            id: chatId,
+            title: title,
+            location: location,
+            searchData: searchData,
+            itinerary: itinerary,
+            userId: req.userId // null if not authenticated
+        }, userMessage);
 
         // Prepare response
         const response = {
             success: true,
             response: aiResult.content,
             city: aiResult.city,
-            locations: aiResult.locations,
+            locations: checks.locations,
+            ...(checks.days && { days: checks.days, lodging: aiResult.lodging || null }),
             practicalTips: aiResult.practicalTips,
+            costEstimate: checks.costEstimate,
             chatId: chatId,
             title: title,
             location: location,
             metadata: {
-                processingTime: aiResult.processingTime,
-                totalTime: Date.now() - startTime,
-                searchQuery: searchData.searchQuery,
-                filterCount: Object.keys(searchData.filters).length,
-                hasLocation: !!searchData.location,
-                locationInfo: searchData.location ? {
-                    hasCoords: !!(searchData.location.coords?.latitude && searchData.location.coords?.longitude),
-                    accuracy: searchData.location.coords?.accuracy,
-                    mocked: searchData.location.mocked,
-                    hasCoordinates: !!(searchData.location.coords?.latitude && searchData.location.coords?.longitude)
-                } : null,
-                aiModel: aiResult.model,
-                aiSource: aiResult.source,
-                tokenUsage: aiResult.usage,
-                locationCount: aiResult.locations?.length || 0,
-                timestamp: new Date().toISOString()
+                ...buildPlanMetadata(aiResult, searchData, startTime),
+                ...buildCheckMetadata(checks, replaced)
             }
         };
 
@@ -490,6 +714,17 @@ router.post('/', optionalAuth, planTripLimiter, async (req, res) => {
 
     } catch (error) {
         console.error(TAG, 'Error processing plan request:', error);
+
+        if (error.name === 'PlanGenerationError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'AI Generation Failed',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString(),
+                chatId: null
+            });
+        }
         
         res.status(500).json({
             success: false,
@@ -501,87 +736,236 @@ router.post('/', optionalAuth, planTripLimiter, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/plan/stream
+ *
+ * Creates a new trip plan and streams it as Server-Sent Events.
+ * Emits "start", then "city", "summary", "location" and "practicalTips" as soon as each part is parsed,
+ * plus "lodging" and "day" for multi-day trips (their "location" events carry the day index),
+ * and finishes with "done" once the trip is saved, or "error" on failure.
+ * The streamed plan goes through the same checks as POST /api/plan before it is saved, so "done" carries the
+ * final plan (checked times, opening hours and replaced stops, with per-stop warnings), the cost estimate,
+ * the chatId and metadata.
+ * A client disconnect cancels the upstream AI request.
+ * Uses optional authentication - associates trip with user if authenticated.
+ */
+router.post('/stream', optionalAuth, planTripLimiter, async (req, res) => {
+    const startTime = Date.now();
+    console.log(TAG, 'POST /api/plan/stream - Request received');
+
+    logRequestDetails(req);
+
+    const { error, value } = planRequestSchema.validate(req.body);
+
+    if (error) {
+        console.warn(TAG, 'Validation failed:', error.details[0].message);
+        return res.status(400).json({
+            success: false,
+            error: 'Validation Error',
+            message: error.details[0].message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const { searchData, userMessage } = value;
+    const chatId = uuidv4();
+    const controller = new AbortController();
+
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.warn(TAG, 'Client disconnected, cancelling plan stream:', chatId);
+            controller.abort();
+        }
+    });
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    sendEvent(res, 'start', { chatId });
+
+    try {
+        const streamed = await openaiService.streamTripPlan(searchData, userMessage, {
+            signal: controller.signal,
+            onEvent: (event) => {
+                if (event.type === 'location') {
+                    sendEvent(res, 'location', {
+                        ...(event.day !== undefined && { day: event.day }),
+                        index: event.index,
+                        location: event.value
+                    });
+                } else if (event.type === 'day') {
+                    sendEvent(res, 'day', { index: event.index, day: event.value });
+                } else {
+                    sendEvent(res, event.type, { [event.type]: event.value });
+                }
+            }
+        });
+
+        // Run the same checks as POST /api/plan before the plan is saved
+        const { aiResult: generatedPlan, replaced } = searchData.filters.replaceSuspectStops
+            ? await replaceSuspectStops(streamed, searchData)
+            : { aiResult: streamed, replaced: [] };
+        const checks = checkGeneratedPlan(generatedPlan, searchData);
+        const aiResult = checks.aiResult;
+
+        const title = searchData.searchQuery || 'Untitled Trip';
+        const location = extractLocationFromSearchData(searchData) || 'Location not specified';
+        const itinerary = buildItinerary(aiResult);
+
+        await saveGeneratedTrip({
+            id: chatId,
+            title: title,
+            location: location,
+            searchData: searchData,
+            itinerary: itinerary,
+            userId: req.userId // null if not authenticated
+        }, userMessage);
+
+        sendEvent(res, 'done', {
+            success: true,
+            chatId: chatId,
+            title: title,
+            location: location,
+            plan: {
+                ...toPlanPayload(itinerary),
+                ...(checks.days ? { days: checks.days } : { locations: checks.locations })
+            },
+            costEstimate: checks.costEstimate,
+            metadata: {
+                ...buildPlanMetadata(aiResult, searchData, startTime),
+                ...buildCheckMetadata(checks, replaced)
+            }
+        });
+        res.end();
+        console.log(TAG, 'Plan stream completed:', { chatId, totalTime: Date.now() - startTime });
+
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.warn(TAG, 'Plan stream aborted:', chatId);
+            return;
+        }
+
+        console.error(TAG, 'Error streaming plan:', error);
+        const isGenerationError = error.name === 'PlanGenerationError';
+        sendEvent(res, 'error', {
+            success: false,
+            error: isGenerationError ? 'AI Generation Failed' : 'Internal Server Error',
+            message: isGenerationError ? error.message : 'Failed to process trip planning request',
+            ...(isGenerationError && { details: error.details }),
+            chatId: null,
+            timestamp: new Date().toISOString()
+        });
+        res.end();
+    }
+});
+
 /**
  * POST /api/plan/mapit
- * 
- * Generates a map trip link from an array of locations based on the user's preferred map provider
+ *
+ * Generates map app links for a trip in the user's preferred map provider (Google Maps, Apple Maps,
+ * OpenStreetMap, Waze or HERE WeGo), from an array of locations or the itinerary of a stored trip.
+ * Routes that do not fit in one link are returned as consecutive legs.
  */
 router.post('/mapit', optionalAuth, mapITLimiter, async (req, res) => {
     console.log(TAG, 'POST /api/plan/mapit - MapIT requested');
     
     try {
-        const { locations, travelMode = 'driving', mapProvider = 'google' } = req.body;
-        
-        if (!locations || !Array.isArray(locations) || locations.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Validation Error',
-                message: 'Locations array is required and must not be empty',
-                timestamp: new Date().toISOString()
-            });
-        }
+        const { error, value } = mapITSchema.validate(req.body);
 
-        // Validate mapProvider
-        if (mapProvider && !['apple', 'google'].includes(mapProvider)) {
+        if (error) {
+            console.error(TAG, 'MapIT validation failed:', error.details[0].message);
             return res.status(400).json({
                 success: false,
                 error: 'Validation Error',
-                message: 'mapProvider must be either "apple" or "google"',
+                message: error.details[0].message,
                 timestamp: new Date().toISOString()
             });
         }
 
-        let mapUrl;
-        
-        if (mapProvider === 'apple') {
-            // Generate Apple Maps URL
-            // Apple Maps doesn't support multi-stop routing like Google Maps
-            // We'll use the last location as destination and add waypoints
-            const lastLocation = locations[locations.length - 1];
-            const destination = encodeURIComponent(lastLocation.address);
-            
-            mapUrl = `http://maps.apple.com/?daddr=${destination}`;
-            
-            // Add waypoints if there are multiple locations
-            if (locations.length > 1) {
-                const waypoints = locations.slice(0, -1).map(location => 
-                    encodeURIComponent(location.address)
-                );
-                if (waypoints.length > 0) {
-                    mapUrl += `&saddr=${waypoints[0]}`;
-                }
+        let locations = value.locations;
+
+        if (value.chatId) {
+            const trip = await getTripById(value.chatId);
+
+            if (!trip || trip.deletedAt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Chat Not Found',
+                    message: `Chat with ID ${value.chatId} does not exist`,
+                    timestamp: new Date().toISOString()
+                });
             }
-        } else {
-            // Generate Google Maps URL (default)
-            mapUrl = 'https://www.google.com/maps/dir/';
-            
-            // Add each location to the URL
-            locations.forEach((location, index) => {
-                if (location.address) {
-                    const encodedAddress = encodeURIComponent(location.address);
-                    mapUrl += encodedAddress;
-                    if (index < locations.length - 1) {
-                        mapUrl += '/';
-                    }
+
+            const role = await resolveTripRole(trip, req.userId || null);
+            const accessError = checkTripAccess(trip, req.userId || null, 'view', role);
+            if (accessError) {
+                return res.status(accessError.status).json({
+                    success: false,
+                    error: accessError.error,
+                    message: accessError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!trip.itinerary || (trip.itinerary.locations || []).length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: 'This trip has no stored itinerary to map',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            locations = trip.itinerary.locations;
+
+            if (value.day) {
+                const days = trip.itinerary.days || [{ locations: trip.itinerary.locations }];
+                if (value.day > days.length) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Validation Error',
+                        message: `This trip has ${days.length} day${days.length === 1 ? '' : 's'}`,
+                        timestamp: new Date().toISOString()
+                    });
                 }
-            });
-            
-            // Add travel mode parameter
-            mapUrl += `?travelmode=${travelMode}`;
+                locations = days[value.day - 1].locations || [];
+            }
         }
-        
-        console.log(TAG, `Generated ${mapProvider} Maps URL:`, mapUrl);
+
+        const links = buildMapLinks(locations, {
+            mapProvider: value.mapProvider,
+            travelMode: value.travelMode
+        });
+
+        console.log(TAG, `Generated ${links.mapProvider} map links:`, { legCount: links.legs.length, mapUrl: links.mapUrl });
         
         res.status(200).json({
             success: true,
-            mapUrl: mapUrl,
-            locationCount: locations.length,
-            travelMode: travelMode,
-            mapProvider: mapProvider,
+            mapUrl: links.mapUrl,
+            legs: links.legs,
+            locationCount: links.locationCount,
+            skippedLocations: links.skippedLocations,
+            travelMode: links.travelMode,
+            mapProvider: links.mapProvider,
+            ...(value.chatId && { chatId: value.chatId }),
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
+        if (error.name === 'MapLinkError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         console.error(TAG, 'Error generating map link:', error);
         res.status(500).json({
             success: false,
@@ -609,6 +993,7 @@ router.get('/status', (req, res) => {
         openai: openaiStatus,
         endpoints: {
             plan: 'POST /api/plan',
+            stream: 'POST /api/plan/stream',
             status: 'GET /api/plan/status',
             test: 'GET /api/plan/test-ai'
         },
@@ -619,17 +1004,19 @@ router.get('/status', (req, res) => {
 /**
  * GET /api/plan/test-ai
  * 
- * Tests OpenAI connection and returns result
+ * Tests the LLM provider connection and exercises the mock plan generator
  */
 router.get('/test-ai', async (req, res) => {
     console.log(TAG, 'GET /api/plan/test-ai - OpenAI test requested');
     
     try {
         const testResult = await openaiService.testConnection();
+        const mockPlans = openaiService.testMockPlans();
         
-        res.status(testResult.success ? 200 : 503).json({
+        res.status(testResult.success && mockPlans.success ? 200 : 503).json({
             service: 'OpenAI Test',
             ...testResult,
+            mockPlans: mockPlans,
             timestamp: new Date().toISOString()
         });
         
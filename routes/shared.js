@@ -0,0 +1,241 @@
+/**
+ * Shared Trip Routes
+ *
+ * Serves the public, read-only view of trips shared through share links and lets link holders clone them.
+ * No authentication is required; access is granted by the unguessable token alone.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const express = require('express');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { addImagesToTrips } = require('../services/unsplash');
+const { accessShareLink } = require('../services/database');
+const { cloneTrip, getCloneConflict, buildCloneResponse, tripCloneSchema } = require('../services/tripClone');
+const { optionalAuth } = require('../middleware/auth');
+
+// ========================================
+// ROUTER SETUP
+// ========================================
+const router = express.Router();
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = "[SharedRoutes]";
+
+// ========================================
+// RATE LIMITERS
+// ========================================
+
+// Rate limiter for shared trip retrieval endpoint
+const sharedTripLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many shared trip requests from this IP, please try again later.'
+    }
+});
+
+// Rate limiter for shared trip clone endpoint (can regenerate the plan with the AI)
+const sharedCloneLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // limit each IP to 20 requests per windowMs
+    message: {
+        success: false,
+        error: 'Too Many Requests',
+        message: 'Too many shared trip clone attempts from this IP, please try again later.'
+    }
+});
+
+// ========================================
+// VALIDATION SCHEMAS
+// ========================================
+
+/**
+ * Share token validation schema
+ */
+const shareTokenSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{16,64}$/).required()
+    .messages({
+        'string.pattern.base': 'Invalid share token format',
+        'any.required': 'Share token is required'
+    });
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Formats a trip for the public view, leaving out the owner and the original search inputs
+ * @param {Object} trip - Trip object (with image)
+ * @returns {Object} - Read-only trip
+ */
+const formatSharedTrip = (trip) => {
+    return {
+        title: trip.title,
+        location: trip.location,
+        lastUpdated: trip.lastUpdated,
+        itinerary: trip.itinerary,
+        image: trip.image || null
+    };
+};
+
+/**
+ * Builds audit data (IP address and user agent) for a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Audit data
+ */
+const getAuditData = (req) => {
+    return {
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent')
+    };
+};
+
+// ========================================
+// ROUTES
+// ========================================
+
+/**
+ * GET /api/shared/:token
+ *
+ * Returns the read-only view of a shared trip and counts the access.
+ * Revoked and expired links, and links to deleted trips, are reported as not found.
+ */
+router.get('/:token', sharedTripLimiter, async (req, res) => {
+    console.log(TAG, 'GET /api/shared/:token - Shared trip requested');
+
+    try {
+        const { error, value: token } = shareTokenSchema.validate(req.params.token);
+
+        if (error) {
+            console.error(TAG, 'Share token validation failed:', error.details[0].message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const shared = await accessShareLink(token);
+
+        if (!shared) {
+            console.warn(TAG, 'Share link not found or no longer active');
+            return res.status(404).json({
+                success: false,
+                error: 'Shared Trip Not Found',
+                message: 'This share link does not exist, has expired or has been revoked',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [tripWithImage] = await addImagesToTrips([shared.trip]);
+
+        res.status(200).json({
+            success: true,
+            readOnly: true,
+            trip: formatSharedTrip(tripWithImage),
+            expiresAt: shared.shareLink.expiresAt,
+            timestamp: new Date().toISOString()
+        });
+        console.log(TAG, 'Shared trip sent:', { shareLinkId: shared.shareLink.id, accessCount: shared.shareLink.accessCount });
+
+    } catch (error) {
+        console.error(TAG, 'Error retrieving shared trip:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to retrieve shared trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/shared/:token/clone
+ *
+ * Copies a shared trip into a new trip owned by the caller, with the same overrides as POST /api/chat/:chatId/clone.
+ * The original's saved position is only copied for its owner, and the access is counted like a view.
+ */
+router.post('/:token/clone', optionalAuth, sharedCloneLimiter, async (req, res) => {
+    const startTime = Date.now();
+    console.log(TAG, 'POST /api/shared/:token/clone - Shared trip clone requested');
+
+    try {
+        const { error: tokenError, value: token } = shareTokenSchema.validate(req.params.token);
+        const { error, value } = tripCloneSchema.validate(req.body || {});
+
+        if (tokenError || error) {
+            const message = (tokenError || error).details[0].message;
+            console.error(TAG, 'Clone validation failed:', message);
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const shared = await accessShareLink(token);
+
+        if (!shared) {
+            console.warn(TAG, 'Share link not found or no longer active');
+            return res.status(404).json({
+                success: false,
+                error: 'Shared Trip Not Found',
+                message: 'This share link does not exist, has expired or has been revoked',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const trip = shared.trip;
+        const conflict = getCloneConflict(trip, value);
+
+        if (conflict) {
+            return res.status(conflict.status).json({
+                success: false,
+                error: conflict.error,
+                message: conflict.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await cloneTrip(trip, value, {
+            userId: req.userId || null,
+            keepLocation: Boolean(req.userId) && req.userId === trip.userId,
+            auditData: getAuditData(req),
+            auditDetails: { shareLinkId: shared.shareLink.id }
+        });
+
+        res.status(201).json(buildCloneResponse(trip, result, startTime));
+
+    } catch (error) {
+        console.error(TAG, 'Error cloning shared trip:', error);
+
+        if (error.name === 'PlanGenerationError') {
+            return res.status(error.status).json({
+                success: false,
+                error: 'AI Generation Failed',
+                message: error.message,
+                details: error.details,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to clone shared trip',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -21,7 +21,9 @@ const path = require('path');
 const planRoutes = require('./routes/plan');
 const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/user');
+const sharedRoutes = require('./routes/shared');
 const { initializeDatabase, seedDatabase, testConnection, closeDatabase } = require('./services/database');
+const { startTrashPurge, stopTrashPurge } = require('./services/trashPurge');
 
 // ========================================
 // CONSTANTS & CONFIGURATION
@@ -73,7 +75,7 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With']
 };
 
@@ -119,16 +121,16 @@ app.get('/status', async (req, res) => {
         // External service checks
         const serviceChecks = {};
         
-        // Check OpenAI API connectivity (if API key is configured)
-        if (process.env.OPENAI_API_KEY) {
-            try {
-                const { testConnection } = require('./services/openai');
+        // Check LLM provider connectivity (if a remote provider is configured)
+        try {
+            const { testConnection, getServiceStatus } = require('./services/openai');
+            if (getServiceStatus().provider !== 'fixture') {
                 serviceChecks.openai = await testConnection();
-            } catch (error) {
-                serviceChecks.openai = { status: 'error', message: error.message };
+            } else {
+                serviceChecks.openai = { status: 'not_configured', message: 'No LLM provider configured, using fixture responses' };
             }
-        } else {
-            serviceChecks.openai = { status: 'not_configured', message: 'API key not set' };
+        } catch (error) {
+            serviceChecks.openai = { status: 'error', message: error.message };
         }
         
         // Check Unsplash API connectivity (if API key is configured)
@@ -190,6 +192,7 @@ app.get('/status', async (req, res) => {
                     
                     // Plan endpoints
                     plan_generate: 'POST /api/plan',
+                    plan_stream: 'POST /api/plan/stream',
                     plan_mapit: 'POST /api/plan/mapit',
                     plan_status: 'GET /api/plan/status',
                     plan_test_ai: 'GET /api/plan/test-ai',
@@ -199,7 +202,49 @@ app.get('/status', async (req, res) => {
                     chat_audit: 'GET /api/chat/audit',
                     chat_status: 'GET /api/chat/status',
                     chat_get: 'GET /api/chat/:chatId',
+                    chat_update: 'PATCH /api/chat/:chatId',
                     chat_delete: 'DELETE /api/chat/:chatId',
+                    chat_trash: 'GET /api/chat/trash',
+                    chat_restore: 'POST /api/chat/:chatId/restore',
+                    chat_messages: 'GET /api/chat/:chatId/messages',
+                    chat_refine: 'POST /api/chat/:chatId/messages',
+                    chat_revisions: 'GET /api/chat/:chatId/revisions',
+                    chat_revision_diff: 'GET /api/chat/:chatId/revisions/diff',
+                    chat_revision_get: 'GET /api/chat/:chatId/revisions/:revision',
+                    chat_revision_revert: 'POST /api/chat/:chatId/revisions/:revision/revert',
+                    chat_location_regenerate: 'POST /api/chat/:chatId/locations/:index/regenerate',
+                    chat_optimize: 'POST /api/chat/:chatId/optimize',
+                    chat_export_ics: 'GET /api/chat/:chatId/export.ics',
+                    chat_export: 'GET /api/chat/:chatId/export?format=geojson|gpx|kml|html|pdf',
+                    chat_share: 'POST /api/chat/:chatId/share',
+                    chat_share_list: 'GET /api/chat/:chatId/shares',
+                    chat_share_revoke: 'DELETE /api/chat/:chatId/shares/:shareId',
+                    chat_members: 'GET /api/chat/:chatId/members',
+                    chat_member_invite: 'POST /api/chat/:chatId/members',
+                    chat_member_update: 'PATCH /api/chat/:chatId/members/:memberId',
+                    chat_member_remove: 'DELETE /api/chat/:chatId/members/:memberId',
+                    chat_invitations: 'GET /api/chat/invitations',
+                    chat_invitation_accept: 'POST /api/chat/invitations/:invitationId/accept',
+                    chat_invitation_decline: 'POST /api/chat/invitations/:invitationId/decline',
+                    chat_clone: 'POST /api/chat/:chatId/clone',
+                    chat_comments: 'GET /api/chat/:chatId/locations/:index/comments',
+                    chat_comment_create: 'POST /api/chat/:chatId/locations/:index/comments',
+                    chat_comment_update: 'PATCH /api/chat/:chatId/locations/:index/comments/:commentId',
+                    chat_comment_delete: 'DELETE /api/chat/:chatId/locations/:index/comments/:commentId',
+                    chat_tags: 'GET /api/chat/tags',
+                    chat_tag_create: 'POST /api/chat/tags',
+                    chat_tag_update: 'PATCH /api/chat/tags/:tagId',
+                    chat_tag_delete: 'DELETE /api/chat/tags/:tagId',
+                    chat_collections: 'GET /api/chat/collections',
+                    chat_collection_create: 'POST /api/chat/collections',
+                    chat_collection_update: 'PATCH /api/chat/collections/:collectionId',
+                    chat_collection_delete: 'DELETE /api/chat/collections/:collectionId',
+                    chat_trip_tags: 'PUT /api/chat/:chatId/tags',
+                    chat_trip_collections: 'PUT /api/chat/:chatId/collections',
+                    
+                    // Shared trip endpoints
+                    shared_trip: 'GET /api/shared/:token',
+                    shared_clone: 'POST /api/shared/:token/clone',
                     
                     // User endpoints
                     user_signup: 'POST /api/user/signup',
@@ -262,6 +307,7 @@ function formatUptime(uptimeSeconds) {
 app.use('/api/plan', planRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/shared', sharedRoutes);
 
 // Serve uploaded images
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -280,16 +326,59 @@ app.get('/', (req, res) => {
             
             // Plan endpoints - Trip planning and AI responses
             plan_generate: 'POST /api/plan - Generate AI-powered trip plan',
-            plan_mapit: 'POST /api/plan/mapit - Generate map trip link (Google Maps/Apple Maps)',
+            plan_stream: 'POST /api/plan/stream - Stream trip plan generation (Server-Sent Events)',
+            plan_mapit: 'POST /api/plan/mapit - Generate map trip links (Google Maps/Apple Maps/OpenStreetMap/Waze/HERE)',
             plan_status: 'GET /api/plan/status - Plan service status',
             plan_test_ai: 'GET /api/plan/test-ai - Test AI connection',
             
             // Chat endpoints - Trip history and management
-            chat_list: 'GET /api/chat - Get trip history (optional auth)',
+            chat_list: 'GET /api/chat - Get trip history, including trips shared with you, filterable by tag or collection (optional auth)',
             chat_audit: 'GET /api/chat/audit - Get audit logs (auth required)',
             chat_status: 'GET /api/chat/status - Chat service status',
             chat_get: 'GET /api/chat/:chatId - Get specific trip (optional auth)',
+            chat_update: 'PATCH /api/chat/:chatId - Rename trip or edit its itinerary with JSON-Patch operations (optional auth)',
             chat_delete: 'DELETE /api/chat/:chatId - Delete trip (optional auth)',
+            chat_trash: 'GET /api/chat/trash - List deleted trips that can be restored (optional auth)',
+            chat_restore: 'POST /api/chat/:chatId/restore - Restore a deleted trip (optional auth)',
+            chat_messages: 'GET /api/chat/:chatId/messages - Get trip conversation history (optional auth)',
+            chat_refine: 'POST /api/chat/:chatId/messages - Refine trip with a follow-up message (optional auth)',
+            chat_revisions: 'GET /api/chat/:chatId/revisions - List itinerary revisions (optional auth)',
+            chat_revision_diff: 'GET /api/chat/:chatId/revisions/diff - Diff two revisions (optional auth)',
+            chat_revision_get: 'GET /api/chat/:chatId/revisions/:revision - Get a revision (optional auth)',
+            chat_revision_revert: 'POST /api/chat/:chatId/revisions/:revision/revert - Revert to a revision (optional auth)',
+            chat_location_regenerate: 'POST /api/chat/:chatId/locations/:index/regenerate - Replace a single stop (optional auth)',
+            chat_optimize: 'POST /api/chat/:chatId/optimize - Reorder stops to minimise travel distance (optional auth)',
+            chat_export_ics: 'GET /api/chat/:chatId/export.ics - Download the itinerary as an iCalendar file (optional auth)',
+            chat_export: 'GET /api/chat/:chatId/export?format=geojson|gpx|kml|html|pdf - Download the stops and route for mapping tools or a printable itinerary (optional auth)',
+            chat_share: 'POST /api/chat/:chatId/share - Create a public read-only share link, optionally expiring (optional auth)',
+            chat_share_list: 'GET /api/chat/:chatId/shares - List share links with access counts (optional auth)',
+            chat_share_revoke: 'DELETE /api/chat/:chatId/shares/:shareId - Revoke a share link (optional auth)',
+            chat_members: 'GET /api/chat/:chatId/members - List the owner, members and invitations of a trip (optional auth)',
+            chat_member_invite: 'POST /api/chat/:chatId/members - Invite someone by email as an editor or viewer (auth required)',
+            chat_member_update: 'PATCH /api/chat/:chatId/members/:memberId - Change a member\'s role (auth required)',
+            chat_member_remove: 'DELETE /api/chat/:chatId/members/:memberId - Remove a member or cancel an invitation (auth required)',
+            chat_invitations: 'GET /api/chat/invitations - List your pending trip invitations (auth required)',
+            chat_invitation_accept: 'POST /api/chat/invitations/:invitationId/accept - Accept a trip invitation (auth required)',
+            chat_invitation_decline: 'POST /api/chat/invitations/:invitationId/decline - Decline a trip invitation (auth required)',
+            chat_clone: 'POST /api/chat/:chatId/clone - Copy a trip, optionally regenerated for a new destination or filters (optional auth)',
+            chat_comments: 'GET /api/chat/:chatId/locations/:index/comments - List comment threads and your private notes on a stop (optional auth)',
+            chat_comment_create: 'POST /api/chat/:chatId/locations/:index/comments - Comment on a stop, reply or keep a private note (optional auth)',
+            chat_comment_update: 'PATCH /api/chat/:chatId/locations/:index/comments/:commentId - Edit your comment (optional auth)',
+            chat_comment_delete: 'DELETE /api/chat/:chatId/locations/:index/comments/:commentId - Delete a comment and its replies (optional auth)',
+            chat_tags: 'GET /api/chat/tags - List your tags with trip counts (auth required)',
+            chat_tag_create: 'POST /api/chat/tags - Create a tag (auth required)',
+            chat_tag_update: 'PATCH /api/chat/tags/:tagId - Rename a tag (auth required)',
+            chat_tag_delete: 'DELETE /api/chat/tags/:tagId - Delete a tag (auth required)',
+            chat_collections: 'GET /api/chat/collections - List your collections with trip counts (auth required)',
+            chat_collection_create: 'POST /api/chat/collections - Create a collection (auth required)',
+            chat_collection_update: 'PATCH /api/chat/collections/:collectionId - Rename or describe a collection (auth required)',
+            chat_collection_delete: 'DELETE /api/chat/collections/:collectionId - Delete a collection, keeping its trips (auth required)',
+            chat_trip_tags: 'PUT /api/chat/:chatId/tags - Set your tags on a trip (auth required)',
+            chat_trip_collections: 'PUT /api/chat/:chatId/collections - Set the collections a trip is in (auth required)',
+            
+            // Shared trip endpoints - Public read-only trip views
+            shared_trip: 'GET /api/shared/:token - View a shared trip (no auth)',
+            shared_clone: 'POST /api/shared/:token/clone - Copy a shared trip, optionally regenerated for a new destination or filters (optional auth)',
             
             // User endpoints - Authentication and profile management
             user_signup: 'POST /api/user/signup - User registration',
@@ -374,6 +463,9 @@ const startServer = async () => {
             console.log('🌱 Seeding database...');
             await seedDatabase();
             console.log('✅ Database seeding completed');
+            
+            // Permanently remove trips whose trash retention window has passed
+            startTrashPurge();
         }
         
         // Start HTTP server
@@ -409,6 +501,9 @@ const gracefulShutdown = async (serverInstance, signal) => {
     console.log(TAG, `${signal} received, shutting down gracefully`);
     
     try {
+        // Stop scheduled jobs before the database goes away
+        stopTrashPurge();
+        
         // Close database connections
         console.log(TAG, 'Closing database connections...');
         await closeDatabase();
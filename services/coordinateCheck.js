@@ -0,0 +1,227 @@
+/**
+ * Coordinate Check Service
+ *
+ * Sanity-checks the coordinates of generated stops to catch hallucinated locations.
+ * Each stop is compared with a resolved centre for the plan's city and, when the user is in that
+ * city, with the user's own position. Missing, out-of-range and far-away coordinates are flagged
+ * and every stop gets a confidence score.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { calculateDistanceKm, hasValidCoordinates } = require('./geo');
+const { CITIES } = require('./llm/fixtures/cities');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[CoordinateCheck]';
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number} - Parsed value or the default
+ */
+const readPositiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const COORDINATE_CONFIG = {
+    radiusKm: readPositiveNumber(process.env.COORDINATE_CHECK_RADIUS_KM, 50), // Stops further than this from the city are flagged
+    minStopsForMedian: 3, // Stops needed to estimate the city centre from the plan itself
+    maxReplacements: readPositiveNumber(process.env.COORDINATE_CHECK_MAX_REPLACEMENTS, 3) // Stops re-requested per plan
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Normalizes text for matching (lowercase, no accents)
+ * @param {string} value - Input text
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Gets the median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Median
+ */
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Scores how plausible a distance from the reference point is
+ * 1 at the centre, 0.5 at the edge of the radius, then falling off with distance.
+ * @param {number} distanceKm - Distance from the reference point
+ * @returns {number} - Confidence between 0 and 1
+ */
+const toConfidence = (distanceKm) => {
+    const { radiusKm } = COORDINATE_CONFIG;
+    const score = distanceKm <= radiusKm ? 1 - 0.5 * (distanceKm / radiusKm) : 0.5 * radiusKm / distanceKm;
+    return parseFloat(score.toFixed(2));
+};
+
+/**
+ * Creates a warning attached to a stop
+ * @param {string} code - Warning code
+ * @param {string} message - Human-readable explanation
+ * @param {Object} details - Structured values behind the warning
+ * @returns {Object} - Warning ({ code, severity, message, details })
+ */
+const createWarning = (code, message, details = {}) => ({ code, severity: 'error', message, details });
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Resolves the centre of the plan's city
+ * Known cities use their library centre; otherwise the median of the stop coordinates is used, which
+ * a few misplaced stops cannot pull away.
+ * @param {string} cityName - City returned with the plan
+ * @param {Array<Object>} locations - Plan stops
+ * @returns {Object|null} - { center, source } or null if no centre can be resolved
+ */
+const resolveCityCenter = (cityName, locations = []) => {
+    const name = normalizeText(cityName);
+    const known = name && CITIES.find(city =>
+        normalizeText(city.displayName) === name ||
+        city.aliases.some(alias => new RegExp(`^${normalizeText(alias)}\\b`).test(name)));
+
+    if (known) {
+        return { center: known.center, source: 'library' };
+    }
+
+    const coordinates = locations.map(location => location?.coordinates).filter(hasValidCoordinates);
+
+    if (coordinates.length >= COORDINATE_CONFIG.minStopsForMedian) {
+        return {
+            center: {
+                latitude: median(coordinates.map(point => point.latitude)),
+                longitude: median(coordinates.map(point => point.longitude))
+            },
+            source: 'stops'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Checks the coordinates of a single stop
+ * @param {Object} location - Plan stop
+ * @param {Object} references - { cityCenter, userCoords } (either may be null)
+ * @returns {Object} - { confidence, warnings, distanceToCityKm, distanceToUserKm }
+ */
+const checkLocationCoordinates = (location, references) => {
+    const { cityCenter, userCoords } = references;
+    const coordinates = location?.coordinates;
+
+    if (!coordinates || coordinates.latitude === undefined || coordinates.longitude === undefined) {
+        return { confidence: 0, warnings: [createWarning('missing_coordinates', 'No coordinates were returned for this stop')], distanceToCityKm: null, distanceToUserKm: null };
+    }
+
+    if (!hasValidCoordinates(coordinates) || (coordinates.latitude === 0 && coordinates.longitude === 0)) {
+        return {
+            confidence: 0,
+            warnings: [createWarning('invalid_coordinates', 'The coordinates are out of range or a placeholder', { coordinates })],
+            distanceToCityKm: null,
+            distanceToUserKm: null
+        };
+    }
+
+    const distanceToCityKm = cityCenter ? calculateDistanceKm(coordinates, cityCenter) : null;
+    const distanceToUserKm = userCoords ? calculateDistanceKm(coordinates, userCoords) : null;
+    const round = (distanceKm) => (distanceKm === null ? null : parseFloat(distanceKm.toFixed(1)));
+    const warnings = [];
+
+    if (distanceToCityKm !== null && distanceToCityKm > COORDINATE_CONFIG.radiusKm) {
+        warnings.push(createWarning('far_from_city', `About ${Math.round(distanceToCityKm)} km from the city centre`, {
+            distanceKm: round(distanceToCityKm),
+            radiusKm: COORDINATE_CONFIG.radiusKm
+        }));
+    }
+    if (distanceToUserKm !== null && distanceToUserKm > COORDINATE_CONFIG.radiusKm) {
+        warnings.push(createWarning('far_from_user', `About ${Math.round(distanceToUserKm)} km from your location`, {
+            distanceKm: round(distanceToUserKm),
+            radiusKm: COORDINATE_CONFIG.radiusKm
+        }));
+    }
+
+    const distances = [distanceToCityKm, distanceToUserKm].filter(distanceKm => distanceKm !== null);
+
+    return {
+        confidence: distances.length > 0 ? toConfidence(Math.max(...distances)) : 0.5,
+        warnings,
+        distanceToCityKm: round(distanceToCityKm),
+        distanceToUserKm: round(distanceToUserKm)
+    };
+};
+
+/**
+ * Checks every stop of a plan
+ * The user's position only counts when it is in the plan's city, so planning a trip elsewhere is not flagged.
+ * @param {Object} plan - Plan result ({ city, locations })
+ * @param {Object} searchData - Validated search data (location.coords is the user's position)
+ * @returns {Object} - { results, cityCenter, suspectIndices } with one result per stop of plan.locations
+ */
+const checkPlanCoordinates = (plan, searchData = {}) => {
+    const locations = plan.locations || [];
+    const resolved = resolveCityCenter(plan.city, locations);
+    const coords = searchData.location?.coords;
+    const userPosition = hasValidCoordinates(coords) ? { latitude: coords.latitude, longitude: coords.longitude } : null;
+    const userInCity = userPosition && (!resolved || calculateDistanceKm(userPosition, resolved.center) <= COORDINATE_CONFIG.radiusKm);
+
+    const references = {
+        cityCenter: resolved?.center || null,
+        userCoords: userInCity ? userPosition : null
+    };
+    const results = locations.map(location => checkLocationCoordinates(location, references));
+    const suspectIndices = results
+        .map((result, index) => (result.warnings.length > 0 ? index : null))
+        .filter(index => index !== null);
+
+    if (suspectIndices.length > 0) {
+        console.warn(TAG, 'Suspect coordinates found:', {
+            city: plan.city,
+            centerSource: resolved?.source || null,
+            stops: suspectIndices.map(index => locations[index].name)
+        });
+    }
+
+    return {
+        results,
+        cityCenter: resolved ? { ...resolved.center, source: resolved.source } : null,
+        suspectIndices
+    };
+};
+
+/**
+ * Gets the maximum number of suspect stops re-requested per plan
+ * @returns {number} - Replacement limit
+ */
+const getMaxReplacements = () => COORDINATE_CONFIG.maxReplacements;
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    resolveCityCenter,
+    checkLocationCoordinates,
+    checkPlanCoordinates,
+    getMaxReplacements,
+    COORDINATE_CONFIG
+};
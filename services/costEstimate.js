@@ -0,0 +1,287 @@
+/**
+ * Cost Estimate Service
+ *
+ * Estimates what a planned outing will roughly cost.
+ * Turns each stop's price level, the food budget bands, transit legs and the group size into a cost
+ * range per stop and for the whole trip, in the destination's local currency, and flags stops that
+ * are priced above the requested budget.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { PRICE_RANGES, normalizePriceRange } = require('./planSchema');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[CostEstimate]';
+
+/**
+ * Food budget bands offered by the priceRange filter (USD per person)
+ * Luxury has no upper bound; estimates cap it at openEndedFactor times its minimum.
+ */
+const FOOD_BUDGET_BANDS = {
+    1: { label: 'Budget', min: 10, max: 20, examples: 'Casual dining, food trucks, fast-casual restaurants' },
+    2: { label: 'Moderate', min: 20, max: 30, examples: 'Mid-range restaurants, popular local spots' },
+    3: { label: 'Premium', min: 30, max: 50, examples: 'Upscale dining, specialty restaurants, fine casual' },
+    4: { label: 'Luxury', min: 50, max: null, examples: 'Fine dining, high-end establishments, chef-driven restaurants' }
+};
+
+/**
+ * Rough per-person admission or spend of non-dining stops by price level (USD)
+ */
+const ADMISSION_BANDS = {
+    Free: { min: 0, max: 0 },
+    $: { min: 5, max: 15 },
+    $$: { min: 15, max: 30 },
+    $$$: { min: 30, max: 60 },
+    '$$$+': { min: 60, max: 120 }
+};
+
+/**
+ * Rough nightly room rates by price level (USD per room)
+ */
+const LODGING_BANDS = {
+    Free: { min: 0, max: 0 },
+    $: { min: 60, max: 120 },
+    $$: { min: 120, max: 200 },
+    $$$: { min: 200, max: 350 },
+    '$$$+': { min: 350, max: 700 }
+};
+
+/**
+ * Per-person fare of a single transit leg (USD)
+ */
+const TRANSIT_FARES = {
+    Walk: { min: 0, max: 0 },
+    Bus: { min: 2, max: 4 },
+    Streetcar: { min: 2, max: 4 },
+    Tram: { min: 2, max: 4 },
+    'Light Rail': { min: 2, max: 4 },
+    Subway: { min: 2, max: 4 },
+    Metro: { min: 2, max: 4 },
+    Ferry: { min: 3, max: 8 },
+    Train: { min: 4, max: 12 }
+};
+
+/**
+ * Local currencies by country name found at the end of the plan's city
+ * Rates are approximate units per US dollar; roundTo keeps estimates to sensible steps.
+ */
+const CURRENCIES = [
+    { code: 'USD', rate: 1, roundTo: 1, countries: ['usa', 'us', 'united states', 'united states of america'] },
+    { code: 'CAD', rate: 1.35, roundTo: 1, countries: ['canada'] },
+    { code: 'EUR', rate: 0.92, roundTo: 1, countries: ['france', 'germany', 'italy', 'spain', 'portugal', 'netherlands', 'belgium', 'austria', 'ireland', 'greece', 'finland'] },
+    { code: 'GBP', rate: 0.79, roundTo: 1, countries: ['uk', 'united kingdom', 'england', 'scotland', 'wales'] },
+    { code: 'CHF', rate: 0.88, roundTo: 1, countries: ['switzerland'] },
+    { code: 'JPY', rate: 150, roundTo: 100, countries: ['japan'] },
+    { code: 'KRW', rate: 1350, roundTo: 1000, countries: ['south korea', 'korea'] },
+    { code: 'CNY', rate: 7.2, roundTo: 1, countries: ['china'] },
+    { code: 'AUD', rate: 1.5, roundTo: 1, countries: ['australia'] },
+    { code: 'MXN', rate: 17, roundTo: 10, countries: ['mexico'] }
+];
+
+const ESTIMATE_CONFIG = {
+    defaultCurrency: 'USD', // Used when the country cannot be read from the city
+    groupSizes: { solo: 1, duo: 2, group: 4 }, // People assumed for each groupSize filter
+    peoplePerRoom: 2,
+    openEndedFactor: 2 // Upper bound of an open-ended band, as a multiple of its minimum
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Describes a food budget band the way the prompts present it, e.g. "Budget ($10-$20 per person)"
+ * @param {number} level - Budget level (1-4)
+ * @returns {string|null} - Description or null for an unknown level
+ */
+const describeFoodBudget = (level) => {
+    const band = FOOD_BUDGET_BANDS[level];
+
+    if (!band) {
+        return null;
+    }
+
+    const amount = band.max === null ? `$${band.min}+` : `$${band.min}-$${band.max}`;
+    return `${band.label} (${amount} per person)`;
+};
+
+/**
+ * Gets the price level of a stop or budget filter (0 = Free ... 4 = $$$+)
+ * @param {*} value - Price range ("$$", 2, "Moderate", ...)
+ * @returns {number|null} - Level or null if it cannot be read
+ */
+const getPriceLevel = (value) => {
+    if (typeof value === 'string') {
+        const band = Object.entries(FOOD_BUDGET_BANDS).find(([, { label }]) => label.toLowerCase() === value.trim().toLowerCase());
+        if (band) {
+            return Number(band[0]);
+        }
+    }
+
+    const level = PRICE_RANGES.indexOf(normalizePriceRange(value));
+    return level === -1 ? null : level;
+};
+
+/**
+ * Resolves the local currency of the plan's city
+ * @param {string} cityName - City returned with the plan (e.g., "Toronto, ON, Canada")
+ * @returns {Object} - { code, rate, roundTo, assumed } where assumed is true if the default was used
+ */
+const resolveCurrency = (cityName) => {
+    const parts = String(cityName || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const country = parts[parts.length - 1];
+    const currency = country && CURRENCIES.find(candidate => candidate.countries.includes(country));
+
+    if (currency) {
+        return { code: currency.code, rate: currency.rate, roundTo: currency.roundTo, assumed: false };
+    }
+
+    const fallback = CURRENCIES.find(candidate => candidate.code === ESTIMATE_CONFIG.defaultCurrency);
+    return { code: fallback.code, rate: fallback.rate, roundTo: fallback.roundTo, assumed: true };
+};
+
+/**
+ * Gets the per-person cost band of a stop (USD)
+ * @param {Object} location - Plan stop
+ * @returns {Object|null} - { min, max } or null if the price level cannot be read
+ */
+const getStopBand = (location) => {
+    const level = getPriceLevel(location.priceRange);
+
+    if (level === null) {
+        return null;
+    }
+    if (level === 0) {
+        return { min: 0, max: 0 };
+    }
+    if (location.category === 'restaurant') {
+        const band = FOOD_BUDGET_BANDS[level];
+        return { min: band.min, max: band.max ?? band.min * ESTIMATE_CONFIG.openEndedFactor };
+    }
+
+    return ADMISSION_BANDS[PRICE_RANGES[level]];
+};
+
+/**
+ * Adds up cost ranges
+ * @param {Array<Object>} ranges - { min, max } ranges (null entries are skipped)
+ * @returns {Object} - Summed { min, max }
+ */
+const sumRanges = (ranges) => ranges.reduce((total, range) => ({
+    min: total.min + (range?.min || 0),
+    max: total.max + (range?.max || 0)
+}), { min: 0, max: 0 });
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Estimates the cost of a plan or stored itinerary
+ * Each stop costs its per-person band times the group size, plus the fare of its transit leg; multi-day
+ * trips add the lodging for every night. Ranges are converted to the local currency and rounded
+ * outwards, so they are a rough guide rather than a quote.
+ * @param {Object} plan - Plan result or itinerary ({ city, locations, days, lodging })
+ * @param {Object} searchData - Search data (filters.groupSize and filters.priceRange are used)
+ * @returns {Object} - { estimate, warnings } where warnings is one array per stop of plan.locations
+ */
+const estimatePlanCost = (plan, searchData = {}) => {
+    const filters = searchData.filters || {};
+    const locations = plan.locations || [];
+    const currency = resolveCurrency(plan.city);
+    const people = ESTIMATE_CONFIG.groupSizes[filters.groupSize] || ESTIMATE_CONFIG.groupSizes.solo;
+    const budgetLevel = filters.priceRange !== undefined ? getPriceLevel(filters.priceRange) : null;
+
+    const convert = (range, multiplier = 1) => ({
+        min: Math.floor(range.min * multiplier * currency.rate / currency.roundTo) * currency.roundTo,
+        max: Math.ceil(range.max * multiplier * currency.rate / currency.roundTo) * currency.roundTo
+    });
+
+    const warnings = locations.map(() => []);
+    const stops = locations.map((location, index) => {
+        const band = getStopBand(location);
+        const fare = location.transitToNext ? TRANSIT_FARES[location.transitToNext.type] : null;
+        const level = getPriceLevel(location.priceRange);
+        const overBudget = budgetLevel !== null && level !== null && level > budgetLevel;
+
+        if (overBudget) {
+            warnings[index].push({
+                code: 'over_budget',
+                severity: 'warning',
+                message: `Priced ${location.priceRange}, above the requested ${PRICE_RANGES[budgetLevel]} budget`,
+                details: { priceRange: location.priceRange, budget: PRICE_RANGES[budgetLevel] }
+            });
+        }
+
+        const perPerson = band ? convert(band) : null;
+        const transit = fare ? convert(fare, people) : null;
+
+        return {
+            name: location.name,
+            ...(location.day && { day: location.day }),
+            category: location.category,
+            priceRange: location.priceRange ?? null,
+            perPerson,
+            transit,
+            total: sumRanges([perPerson && convert(band, people), transit]),
+            overBudget
+        };
+    });
+
+    let lodging = null;
+    if (Array.isArray(plan.days) && plan.days.length > 1 && plan.lodging) {
+        const band = LODGING_BANDS[PRICE_RANGES[getPriceLevel(plan.lodging.priceRange)]];
+        if (band) {
+            const nights = plan.days.length - 1;
+            const rooms = Math.ceil(people / ESTIMATE_CONFIG.peoplePerRoom);
+            lodging = { name: plan.lodging.name, nights, rooms, total: convert(band, nights * rooms) };
+        }
+    }
+
+    const total = sumRanges([...stops.map(stop => stop.total), lodging?.total]);
+    const estimate = {
+        currency: currency.code,
+        currencyAssumed: currency.assumed,
+        groupSize: filters.groupSize || 'solo',
+        people,
+        budget: budgetLevel !== null ? PRICE_RANGES[budgetLevel] : null,
+        stops,
+        lodging,
+        total,
+        perPerson: {
+            min: Math.floor(total.min / people),
+            max: Math.ceil(total.max / people)
+        },
+        overBudgetCount: stops.filter(stop => stop.overBudget).length,
+        unpricedCount: stops.filter(stop => stop.perPerson === null).length
+    };
+
+    console.log(TAG, 'Cost estimated:', {
+        city: plan.city,
+        currency: estimate.currency,
+        people,
+        total,
+        overBudgetCount: estimate.overBudgetCount
+    });
+
+    return { estimate, warnings };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    estimatePlanCost,
+    describeFoodBudget,
+    resolveCurrency,
+    getPriceLevel,
+    FOOD_BUDGET_BANDS,
+    ESTIMATE_CONFIG
+};
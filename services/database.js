@@ -11,11 +11,13 @@
 // IMPORTS
 // ========================================
 const { Pool } = require('pg');
+const crypto = require('crypto');
 
 // ========================================
 // CONSTANTS
 // ========================================
 const TAG = '[Database]';
+const SHARE_TOKEN_BYTES = 24; // 192 bits of randomness, 32 characters in base64url
 
 // ========================================
 // CONFIGURATION
@@ -114,6 +116,8 @@ const createTables = async (client) => {
                 location VARCHAR(255) NOT NULL,
                 last_updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
                 search_data JSONB,
+                itinerary JSONB,
+                current_revision INTEGER NOT NULL DEFAULT 0,
                 deleted_at TIMESTAMP WITH TIME ZONE,
                 created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
                 updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
@@ -126,6 +130,24 @@ const createTables = async (client) => {
             ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
         `);
         
+        // Add itinerary column if it doesn't exist (for existing databases)
+        await client.query(`
+            ALTER TABLE trips 
+            ADD COLUMN IF NOT EXISTS itinerary JSONB;
+        `);
+        
+        // Add current_revision column if it doesn't exist (for existing databases)
+        await client.query(`
+            ALTER TABLE trips 
+            ADD COLUMN IF NOT EXISTS current_revision INTEGER NOT NULL DEFAULT 0;
+        `);
+        
+        // Add cloned_from column if it doesn't exist (provenance of cloned trips)
+        await client.query(`
+            ALTER TABLE trips 
+            ADD COLUMN IF NOT EXISTS cloned_from UUID REFERENCES trips(id) ON DELETE SET NULL;
+        `);
+        
         // Create audit_logs table for tracking deletions and other events
         await client.query(`
             CREATE TABLE IF NOT EXISTS audit_logs (
@@ -142,6 +164,128 @@ const createTables = async (client) => {
             );
         `);
         
+        // Create trip_messages table for conversational refinement of trips
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_messages (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                role VARCHAR(20) NOT NULL,
+                content TEXT NOT NULL,
+                plan JSONB,
+                metadata JSONB,
+                seq BIGSERIAL,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        // Add insertion order to trip_messages (for existing databases); messages written in one
+        // transaction share their created_at, so conversations are ordered by seq
+        await client.query(`
+            ALTER TABLE trip_messages 
+            ADD COLUMN IF NOT EXISTS seq BIGSERIAL;
+        `);
+        
+        // Create trip_revisions table for numbered itinerary history
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_revisions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                revision_number INTEGER NOT NULL,
+                itinerary JSONB NOT NULL,
+                reason VARCHAR(50) NOT NULL,
+                details JSONB,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                UNIQUE (trip_id, revision_number)
+            );
+        `);
+        
+        // Create trip_members table for collaborators invited to a trip by email
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_members (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(20) NOT NULL CHECK (role IN ('editor', 'viewer')),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+                invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                responded_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                UNIQUE (trip_id, email)
+            );
+        `);
+        
+        // Create trip_comments table for threaded comments and private notes on stops
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_comments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                location_key VARCHAR(255) NOT NULL,
+                location_name VARCHAR(255),
+                parent_id UUID REFERENCES trip_comments(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                body TEXT NOT NULL,
+                is_private BOOLEAN NOT NULL DEFAULT FALSE,
+                edited_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        // Create trip_share_links table for public read-only links to trips
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_share_links (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                token VARCHAR(64) UNIQUE NOT NULL,
+                created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP WITH TIME ZONE,
+                revoked_at TIMESTAMP WITH TIME ZONE,
+                access_count INTEGER NOT NULL DEFAULT 0,
+                last_accessed_at TIMESTAMP WITH TIME ZONE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        // Create trip_labels table for user-defined tags and collections (both are private to the user)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_labels (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                kind VARCHAR(20) NOT NULL CHECK (kind IN ('tag', 'collection')),
+                name VARCHAR(100) NOT NULL,
+                description TEXT,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+            );
+        `);
+        
+        // Create trip_label_assignments table linking trips to tags and collections
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS trip_label_assignments (
+                label_id UUID NOT NULL REFERENCES trip_labels(id) ON DELETE CASCADE,
+                trip_id UUID NOT NULL REFERENCES trips(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (label_id, trip_id)
+            );
+        `);
+        
+        // Record existing itineraries as their first revision (for existing databases)
+        await client.query(`
+            INSERT INTO trip_revisions (trip_id, revision_number, itinerary, reason, user_id, created_at)
+            SELECT id, 1, itinerary, 'create', user_id, created_at
+            FROM trips
+            WHERE itinerary IS NOT NULL AND current_revision = 0
+            ON CONFLICT (trip_id, revision_number) DO NOTHING;
+        `);
+        
+        await client.query(`
+            UPDATE trips SET current_revision = 1 
+            WHERE itinerary IS NOT NULL AND current_revision = 0;
+        `);
+        
         // Create index on user_id for user's trips
         await client.query(`
             CREATE INDEX IF NOT EXISTS idx_trips_user_id 
@@ -172,6 +316,12 @@ const createTables = async (client) => {
             ON trips(deleted_at);
         `);
         
+        // Create GIN index on itinerary for querying generated plans
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trips_itinerary 
+            ON trips USING GIN (itinerary jsonb_path_ops);
+        `);
+        
         // Create indexes on audit_logs for efficient querying
         await client.query(`
             CREATE INDEX IF NOT EXISTS idx_audit_logs_entity 
@@ -188,6 +338,47 @@ const createTables = async (client) => {
             ON audit_logs(timestamp DESC);
         `);
         
+        // Create index on trip_messages for replaying conversations in order
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_messages_trip_seq 
+            ON trip_messages(trip_id, seq);
+        `);
+        
+        // Create indexes on trip_members for membership checks and pending invitations
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_members_user 
+            ON trip_members(user_id, status);
+        `);
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_members_email 
+            ON trip_members(email, status);
+        `);
+        
+        // Create index on trip_comments for loading the comments of a stop
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_comments_location 
+            ON trip_comments(trip_id, location_key, created_at);
+        `);
+        
+        // Create index on trip_share_links for listing a trip's links
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_share_links_trip 
+            ON trip_share_links(trip_id, created_at DESC);
+        `);
+        
+        // Create unique index on trip_labels so names are unique per user and kind, ignoring case
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_trip_labels_name 
+            ON trip_labels(user_id, kind, LOWER(name));
+        `);
+        
+        // Create index on trip_label_assignments for loading the labels of a trip
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_trip_label_assignments_trip 
+            ON trip_label_assignments(trip_id);
+        `);
+        
         console.log(TAG, 'Database tables created successfully');
         
     } catch (error) {
@@ -468,6 +659,8 @@ const getTrips = async (options = {}) => {
             sortBy = 'last_updated',
             sortOrder = 'desc',
             search = null,
+            tag = null,
+            collection = null,
             userId = null
         } = options;
         
@@ -479,9 +672,22 @@ const getTrips = async (options = {}) => {
         // Filter out soft-deleted trips
         whereConditions.push('deleted_at IS NULL');
         
-        // Add user filter
+        // Add user filter (own trips, trips shared with the user and legacy trips)
         if (userId) {
-            whereConditions.push(`(user_id = $${params.length + 1} OR user_id IS NULL)`);
+            const userParam = `$${params.length + 1}`;
+            const membership = `SELECT m.role FROM trip_members m 
+                 WHERE m.trip_id = trips.id AND m.user_id = ${userParam} AND m.status = 'accepted'`;
+            
+            const tags = `SELECT l.name FROM trip_label_assignments a 
+                 JOIN trip_labels l ON l.id = a.label_id 
+                 WHERE a.trip_id = trips.id AND l.user_id = ${userParam} AND l.kind = 'tag' 
+                 ORDER BY LOWER(l.name)`;
+            
+            query = `SELECT trips.*, 
+                 CASE WHEN trips.user_id = ${userParam} THEN 'owner' ELSE (${membership}) END AS role, 
+                 ARRAY(${tags}) AS tags 
+                 FROM trips`;
+            whereConditions.push(`(user_id = ${userParam} OR user_id IS NULL OR EXISTS (${membership}))`);
             params.push(userId);
         } else {
             // For non-authenticated users, only get trips without user_id (legacy trips)
@@ -498,6 +704,31 @@ const getTrips = async (options = {}) => {
             params.push(`%${search}%`);
         }
         
+        // Add tag and collection filters (labels are per user, so anonymous requests match nothing;
+        // $1 is the user ID pushed by the user filter)
+        if ((tag || collection) && !userId) {
+            whereConditions.push('FALSE');
+        } else if (userId) {
+            if (tag) {
+                whereConditions.push(`EXISTS (
+                    SELECT 1 FROM trip_label_assignments a 
+                    JOIN trip_labels l ON l.id = a.label_id 
+                    WHERE a.trip_id = trips.id AND l.user_id = $1 AND l.kind = 'tag' 
+                      AND LOWER(l.name) = LOWER($${params.length + 1})
+                )`);
+                params.push(tag);
+            }
+            if (collection) {
+                whereConditions.push(`EXISTS (
+                    SELECT 1 FROM trip_label_assignments a 
+                    JOIN trip_labels l ON l.id = a.label_id 
+                    WHERE a.trip_id = trips.id AND l.user_id = $1 AND l.kind = 'collection' 
+                      AND l.id = $${params.length + 1}
+                )`);
+                params.push(collection);
+            }
+        }
+        
         // Build WHERE clause
         const whereClause = whereConditions.length > 0 ? ` WHERE ${whereConditions.join(' AND ')}` : '';
         
@@ -571,19 +802,41 @@ const getTripById = async (tripId) => {
 /**
  * Creates a new trip
  * @param {Object} tripData - Trip data
+ * @param {Object} db - Pool or transaction client to run the queries on (see withTransaction)
  * @returns {Promise<Object>} - Created trip
  */
-const createTrip = async (tripData) => {
+const createTrip = async (tripData, db = pool) => {
     try {
-        const { id, title, location, searchData, userId } = tripData;
+        const { id, title, location, searchData, itinerary, userId, clonedFrom = null } = tripData;
         
-        const result = await pool.query(
-            `INSERT INTO trips (id, user_id, title, location, search_data) 
-             VALUES ($1, $2, $3, $4, $5) 
+        const result = await db.query(
+            `INSERT INTO trips (id, user_id, title, location, search_data, itinerary, current_revision, cloned_from) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
              RETURNING *`,
-            [id, userId, title, location, JSON.stringify(searchData)]
+            [
+                id,
+                userId,
+                title,
+                location,
+                JSON.stringify(searchData),
+                itinerary ? JSON.stringify(itinerary) : null,
+                itinerary ? 1 : 0,
+                clonedFrom
+            ]
         );
         
+        // Record the generated plan as the trip's first revision
+        if (itinerary) {
+            await createTripRevision({
+                tripId: id,
+                revisionNumber: 1,
+                itinerary,
+                reason: clonedFrom ? 'clone' : 'create',
+                details: clonedFrom ? { clonedFrom } : null,
+                userId
+            }, db);
+        }
+        
         console.log(TAG, 'Trip created successfully:', id);
         return formatTripFromDB(result.rows[0]);
         
@@ -595,31 +848,101 @@ const createTrip = async (tripData) => {
 
 /**
  * Updates an existing trip
+ * Every itinerary change is stored as a numbered revision and every update is audit logged, in one
+ * transaction (a new one unless a transaction client is passed in).
  * @param {string} tripId - Trip UUID
- * @param {Object} updateData - Data to update
+ * @param {Object} updateData - Data to update (title, location, searchData, itinerary, revisionReason, revisionDetails)
+ * @param {string} userId - User ID performing the update (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @param {Object} db - Pool or transaction client to run the queries on (see withTransaction)
  * @returns {Promise<Object|null>} - Updated trip or null if not found
  */
-const updateTrip = async (tripId, updateData) => {
+const updateTrip = async (tripId, updateData, userId = null, auditData = {}, db = pool) => {
+    if (db === pool) {
+        return withTransaction(client => updateTrip(tripId, updateData, userId, auditData, client));
+    }
+
     try {
-        const { title, location, searchData } = updateData;
+        const { title, location, searchData, itinerary, revisionReason = 'update', revisionDetails = null } = updateData;
         
-        const result = await pool.query(
+        // Get the current trip data for audit logging
+        const tripResult = await db.query(
+            'SELECT * FROM trips WHERE id = $1',
+            [tripId]
+        );
+        
+        if (tripResult.rows.length === 0) {
+            return null;
+        }
+        
+        const oldTrip = tripResult.rows[0];
+        
+        const result = await db.query(
             `UPDATE trips 
              SET title = COALESCE($2, title),
                  location = COALESCE($3, location),
                  search_data = COALESCE($4, search_data),
+                 itinerary = COALESCE($5, itinerary),
+                 current_revision = CASE WHEN $5::jsonb IS NULL THEN current_revision ELSE current_revision + 1 END,
                  updated_at = NOW()
              WHERE id = $1 
              RETURNING *`,
-            [tripId, title, location, searchData ? JSON.stringify(searchData) : null]
+            [
+                tripId,
+                title,
+                location,
+                searchData ? JSON.stringify(searchData) : null,
+                itinerary ? JSON.stringify(itinerary) : null
+            ]
         );
         
         if (result.rows.length === 0) {
             return null;
         }
         
+        const updatedTrip = result.rows[0];
+        
+        // Store the new itinerary as the next revision
+        if (itinerary) {
+            await createTripRevision({
+                tripId,
+                revisionNumber: updatedTrip.current_revision,
+                itinerary,
+                reason: revisionReason,
+                details: revisionDetails,
+                userId
+            }, db);
+        }
+        
+        // Log only the fields that were part of this update
+        const changedFields = { title, location, search_data: searchData, itinerary };
+        const oldData = {};
+        const newData = {};
+        Object.keys(changedFields).forEach(field => {
+            if (changedFields[field] !== undefined && changedFields[field] !== null) {
+                oldData[field] = oldTrip[field];
+                newData[field] = updatedTrip[field];
+            }
+        });
+        
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'update',
+            userId: userId,
+            oldData: { ...oldData, current_revision: oldTrip.current_revision },
+            newData: {
+                ...newData,
+                current_revision: updatedTrip.current_revision,
+                reason: revisionReason,
+                details: revisionDetails
+            },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        }, db);
+        
         console.log(TAG, 'Trip updated successfully:', tripId);
-        return formatTripFromDB(result.rows[0]);
+        return formatTripFromDB(updatedTrip);
         
     } catch (error) {
         console.error(TAG, 'Error updating trip:', error.message);
@@ -688,7 +1011,7 @@ const deleteTrip = async (tripId, userId = null, auditData = {}) => {
  * Permanently deletes a trip (hard delete - use with caution)
  * @param {string} tripId - Trip UUID
  * @param {string} userId - User ID performing the deletion
- * @param {Object} auditData - Additional audit data
+ * @param {Object} auditData - Additional audit data (ip, user agent, details stored as the new data)
  * @returns {Promise<boolean>} - Success status
  */
 const hardDeleteTrip = async (tripId, userId = null, auditData = {}) => {
@@ -722,7 +1045,7 @@ const hardDeleteTrip = async (tripId, userId = null, auditData = {}) => {
             action: 'hard_delete',
             userId: userId,
             oldData: tripData,
-            newData: null,
+            newData: auditData.details || null,
             ipAddress: auditData.ipAddress,
             userAgent: auditData.userAgent
         });
@@ -737,77 +1060,1426 @@ const hardDeleteTrip = async (tripId, userId = null, auditData = {}) => {
 };
 
 /**
- * Logs an audit event to the audit_logs table
- * @param {Object} eventData - Event data to log
- * @returns {Promise<void>}
+ * Gets soft-deleted trips (the trash) with pagination
+ * Authenticated users see their own deleted trips; anonymous callers see deleted trips without an owner.
+ * @param {Object} options - Query options ({ limit, offset, userId })
+ * @returns {Promise<Object>} - Deleted trips (with deletedBy) and pagination info
  */
-const logAuditEvent = async (eventData) => {
+const getDeletedTrips = async (options = {}) => {
     try {
-        const {
-            entityType,
-            entityId,
-            action,
-            userId,
-            oldData,
-            newData,
-            ipAddress,
-            userAgent
-        } = eventData;
+        const { limit = 50, offset = 0, userId = null } = options;
         
-        await pool.query(
-            `INSERT INTO audit_logs 
-             (entity_type, entity_id, action, user_id, old_data, new_data, ip_address, user_agent) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-            [
-                entityType,
-                entityId,
-                action,
-                userId,
-                oldData ? JSON.stringify(oldData) : null,
-                newData ? JSON.stringify(newData) : null,
-                ipAddress || null,
-                userAgent || null
-            ]
+        const ownerCondition = userId ? 't.user_id = $1' : 't.user_id IS NULL';
+        const params = userId ? [userId] : [];
+        
+        const [tripsResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT t.*, deletion.user_id AS deleted_by 
+                 FROM trips t 
+                 LEFT JOIN LATERAL (
+                     SELECT user_id FROM audit_logs 
+                     WHERE entity_type = 'trip' AND entity_id = t.id AND action = 'soft_delete' 
+                     ORDER BY timestamp DESC 
+                     LIMIT 1
+                 ) deletion ON TRUE 
+                 WHERE t.deleted_at IS NOT NULL AND ${ownerCondition} 
+                 ORDER BY t.deleted_at DESC 
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            ),
+            pool.query(
+                `SELECT COUNT(*) FROM trips t WHERE t.deleted_at IS NOT NULL AND ${ownerCondition}`,
+                params
+            )
+        ]);
+        
+        const trips = tripsResult.rows.map(row => ({
+            ...formatTripFromDB(row),
+            deletedBy: row.deleted_by || null
+        }));
+        const total = parseInt(countResult.rows[0].count);
+        
+        return {
+            trips,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + limit < total,
+                nextOffset: offset + limit < total ? offset + limit : null
+            }
+        };
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting deleted trips:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Restores a soft-deleted trip
+ * @param {string} tripId - Trip UUID
+ * @param {string} userId - User ID performing the restore (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Restored trip or null if the trip is not in the trash
+ */
+const restoreTrip = async (tripId, userId = null, auditData = {}) => {
+    try {
+        const tripResult = await pool.query(
+            'SELECT deleted_at FROM trips WHERE id = $1 AND deleted_at IS NOT NULL',
+            [tripId]
         );
         
-        console.log(TAG, 'Audit event logged:', {
-            entityType,
-            entityId,
-            action,
-            userId
+        if (tripResult.rows.length === 0) {
+            return null;
+        }
+        
+        const result = await pool.query(
+            `UPDATE trips 
+             SET deleted_at = NULL, updated_at = NOW() 
+             WHERE id = $1 AND deleted_at IS NOT NULL 
+             RETURNING *`,
+            [tripId]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        // Log the restore for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'restore',
+            userId: userId,
+            oldData: { deleted_at: tripResult.rows[0].deleted_at },
+            newData: { deleted_at: null },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
         });
         
+        console.log(TAG, 'Trip restored successfully:', tripId);
+        return formatTripFromDB(result.rows[0]);
+        
     } catch (error) {
-        console.error(TAG, 'Error logging audit event:', error.message);
-        // Don't throw error - audit logging failure shouldn't break main operation
+        console.error(TAG, 'Error restoring trip:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the IDs of soft-deleted trips whose retention window has passed
+ * @param {number} retentionDays - Days a deleted trip is kept before it is purged
+ * @param {number} limit - Maximum number of trips to return
+ * @returns {Promise<Array<Object>>} - Expired trips ({ id, deletedAt })
+ */
+const getExpiredDeletedTrips = async (retentionDays, limit = 100) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, deleted_at FROM trips 
+             WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1) 
+             ORDER BY deleted_at ASC 
+             LIMIT $2`,
+            [retentionDays, limit]
+        );
+        
+        return result.rows.map(row => ({ id: row.id, deletedAt: row.deleted_at }));
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting expired deleted trips:', error.message);
+        throw error;
     }
 };
 
 // ========================================
-// UTILITY FUNCTIONS
+// TRIP REVISION OPERATIONS
 // ========================================
 
 /**
- * Formats trip data from database format to API format
- * @param {Object} dbTrip - Trip from database
- * @returns {Object} - Formatted trip
+ * Stores an itinerary as a numbered revision of a trip
+ * @param {Object} revisionData - Revision data
+ * @param {Object} db - Pool or transaction client to run the query on (see withTransaction)
+ * @returns {Promise<Object>} - Created revision
  */
-const formatTripFromDB = (dbTrip) => {
-    return {
-        id: dbTrip.id,
-        userId: dbTrip.user_id,
-        title: dbTrip.title,
-        location: dbTrip.location,
-        lastUpdated: dbTrip.last_updated,
-        searchData: dbTrip.search_data,
-        deletedAt: dbTrip.deleted_at,
-        createdAt: dbTrip.created_at,
-        updatedAt: dbTrip.updated_at
-    };
+const createTripRevision = async (revisionData, db = pool) => {
+    try {
+        const { tripId, revisionNumber, itinerary, reason, details, userId } = revisionData;
+        
+        const result = await db.query(
+            `INSERT INTO trip_revisions (trip_id, revision_number, itinerary, reason, details, user_id) 
+             VALUES ($1, $2, $3, $4, $5, $6) 
+             RETURNING *`,
+            [
+                tripId,
+                revisionNumber,
+                JSON.stringify(itinerary),
+                reason,
+                details ? JSON.stringify(details) : null,
+                userId || null
+            ]
+        );
+        
+        console.log(TAG, 'Trip revision created successfully:', { tripId, revisionNumber, reason });
+        return formatRevisionFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error creating trip revision:', error.message);
+        throw error;
+    }
 };
 
 /**
- * Formats user data from database format to API format
+ * Gets the revisions of a trip (without itinerary payloads) with pagination
+ * @param {string} tripId - Trip UUID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Revisions with pagination info
+ */
+const getTripRevisions = async (tripId, options = {}) => {
+    try {
+        const { limit = 50, offset = 0 } = options;
+        
+        const [revisionsResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT id, trip_id, revision_number, reason, details, user_id, created_at,
+                        jsonb_array_length(COALESCE(itinerary->'locations', '[]'::jsonb)) AS location_count
+                 FROM trip_revisions 
+                 WHERE trip_id = $1 
+                 ORDER BY revision_number DESC 
+                 LIMIT $2 OFFSET $3`,
+                [tripId, limit, offset]
+            ),
+            pool.query(
+                'SELECT COUNT(*) FROM trip_revisions WHERE trip_id = $1',
+                [tripId]
+            )
+        ]);
+        
+        const revisions = revisionsResult.rows.map(formatRevisionFromDB);
+        const total = parseInt(countResult.rows[0].count);
+        
+        return {
+            revisions,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + limit < total,
+                nextOffset: offset + limit < total ? offset + limit : null
+            }
+        };
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip revisions:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets a single revision of a trip, including its itinerary
+ * @param {string} tripId - Trip UUID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} - Revision or null if not found
+ */
+const getTripRevision = async (tripId, revisionNumber) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM trip_revisions WHERE trip_id = $1 AND revision_number = $2',
+            [tripId, revisionNumber]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        return formatRevisionFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip revision:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// TRIP MESSAGE OPERATIONS
+// ========================================
+
+/**
+ * Creates a new message in a trip's conversation
+ * @param {Object} messageData - Message data
+ * @param {Object} db - Pool or transaction client to run the query on (see withTransaction)
+ * @returns {Promise<Object>} - Created message
+ */
+const createTripMessage = async (messageData, db = pool) => {
+    try {
+        const { tripId, userId, role, content, plan, metadata } = messageData;
+        
+        const result = await db.query(
+            `INSERT INTO trip_messages (trip_id, user_id, role, content, plan, metadata) 
+             VALUES ($1, $2, $3, $4, $5, $6) 
+             RETURNING *`,
+            [
+                tripId,
+                userId || null,
+                role,
+                content,
+                plan ? JSON.stringify(plan) : null,
+                metadata ? JSON.stringify(metadata) : null
+            ]
+        );
+        
+        console.log(TAG, 'Trip message created successfully:', { tripId, role });
+        return formatMessageFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error creating trip message:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the messages of a trip's conversation with pagination
+ * @param {string} tripId - Trip UUID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Messages with pagination info
+ */
+const getTripMessages = async (tripId, options = {}) => {
+    try {
+        const {
+            limit = 50,
+            offset = 0,
+            sortOrder = 'asc'
+        } = options;
+        
+        const order = sortOrder.toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+        
+        const [messagesResult, countResult] = await Promise.all([
+            pool.query(
+                `SELECT * FROM trip_messages 
+                 WHERE trip_id = $1 
+                 ORDER BY seq ${order} 
+                 LIMIT $2 OFFSET $3`,
+                [tripId, limit, offset]
+            ),
+            pool.query(
+                'SELECT COUNT(*) FROM trip_messages WHERE trip_id = $1',
+                [tripId]
+            )
+        ]);
+        
+        const messages = messagesResult.rows.map(formatMessageFromDB);
+        const total = parseInt(countResult.rows[0].count);
+        
+        return {
+            messages,
+            pagination: {
+                total,
+                limit,
+                offset,
+                hasMore: offset + limit < total,
+                nextOffset: offset + limit < total ? offset + limit : null
+            }
+        };
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip messages:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// TRIP MEMBER OPERATIONS
+// ========================================
+
+/**
+ * Invites a user to a trip by email, or renews a pending or declined invitation
+ * @param {string} tripId - Trip UUID
+ * @param {Object} invitation - Invitation data ({ email, role })
+ * @param {string} invitedBy - User ID sending the invitation
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Invitation or null if the email already belongs to a member
+ */
+const createTripInvitation = async (tripId, invitation, invitedBy, auditData = {}) => {
+    try {
+        const { email, role } = invitation;
+        
+        const result = await pool.query(
+            `INSERT INTO trip_members (trip_id, email, role, invited_by) 
+             VALUES ($1, $2, $3, $4) 
+             ON CONFLICT (trip_id, email) DO UPDATE 
+             SET role = EXCLUDED.role, status = 'pending', invited_by = EXCLUDED.invited_by, 
+                 user_id = NULL, responded_at = NULL, updated_at = NOW() 
+             WHERE trip_members.status <> 'accepted' 
+             RETURNING *`,
+            [tripId, email.toLowerCase(), role, invitedBy]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const member = formatMemberFromDB(result.rows[0]);
+        
+        // Log the invitation for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'member_invite',
+            userId: invitedBy,
+            oldData: null,
+            newData: { memberId: member.id, email: member.email, role: member.role },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip invitation created successfully:', { tripId, memberId: member.id, role });
+        return member;
+        
+    } catch (error) {
+        console.error(TAG, 'Error creating trip invitation:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the members and invitations of a trip
+ * @param {string} tripId - Trip UUID
+ * @returns {Promise<Array<Object>>} - Members (with name when they have an account)
+ */
+const getTripMembers = async (tripId) => {
+    try {
+        const result = await pool.query(
+            `SELECT m.*, u.name AS user_name 
+             FROM trip_members m 
+             LEFT JOIN users u ON u.id = m.user_id 
+             WHERE m.trip_id = $1 
+             ORDER BY m.created_at ASC, m.id ASC`,
+            [tripId]
+        );
+        
+        return result.rows.map(formatMemberFromDB);
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip members:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the role of a user who has accepted an invitation to a trip
+ * @param {string} tripId - Trip UUID
+ * @param {string} userId - User UUID
+ * @returns {Promise<string|null>} - 'editor', 'viewer' or null if the user is not a member
+ */
+const getTripMemberRole = async (tripId, userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT role FROM trip_members 
+             WHERE trip_id = $1 AND user_id = $2 AND status = 'accepted'`,
+            [tripId, userId]
+        );
+        
+        return result.rows.length > 0 ? result.rows[0].role : null;
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip member role:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Changes the role of a trip member or invitation
+ * @param {string} tripId - Trip UUID
+ * @param {string} memberId - Member UUID
+ * @param {string} role - New role ('editor' or 'viewer')
+ * @param {string} userId - User ID making the change
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Updated member or null if not found
+ */
+const updateTripMemberRole = async (tripId, memberId, role, userId = null, auditData = {}) => {
+    try {
+        const existing = await pool.query(
+            'SELECT role FROM trip_members WHERE id = $1 AND trip_id = $2',
+            [memberId, tripId]
+        );
+        
+        if (existing.rows.length === 0) {
+            return null;
+        }
+        
+        const result = await pool.query(
+            `UPDATE trip_members 
+             SET role = $3, updated_at = NOW() 
+             WHERE id = $1 AND trip_id = $2 
+             RETURNING *`,
+            [memberId, tripId, role]
+        );
+        
+        // Log the role change for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'member_role_update',
+            userId: userId,
+            oldData: { memberId, role: existing.rows[0].role },
+            newData: { memberId, role },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip member role updated successfully:', { tripId, memberId, role });
+        return formatMemberFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error updating trip member role:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Removes a member or cancels an invitation
+ * @param {string} tripId - Trip UUID
+ * @param {string} memberId - Member UUID
+ * @param {string} userId - User ID removing the member
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Removed member or null if not found
+ */
+const removeTripMember = async (tripId, memberId, userId = null, auditData = {}) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM trip_members WHERE id = $1 AND trip_id = $2 RETURNING *',
+            [memberId, tripId]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const member = formatMemberFromDB(result.rows[0]);
+        
+        // Log the removal for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'member_remove',
+            userId: userId,
+            oldData: result.rows[0],
+            newData: null,
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip member removed successfully:', { tripId, memberId });
+        return member;
+        
+    } catch (error) {
+        console.error(TAG, 'Error removing trip member:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the pending invitations sent to an email address, with the trips they are for
+ * @param {string} email - Invitee email
+ * @returns {Promise<Array<Object>>} - Invitations ({ ...member, trip: { id, title, location } })
+ */
+const getPendingInvitations = async (email) => {
+    try {
+        const result = await pool.query(
+            `SELECT m.*, t.title AS trip_title, t.location AS trip_location, u.name AS invited_by_name 
+             FROM trip_members m 
+             JOIN trips t ON t.id = m.trip_id AND t.deleted_at IS NULL 
+             LEFT JOIN users u ON u.id = m.invited_by 
+             WHERE m.email = $1 AND m.status = 'pending' 
+             ORDER BY m.updated_at DESC`,
+            [email.toLowerCase()]
+        );
+        
+        return result.rows.map(row => ({
+            ...formatMemberFromDB(row),
+            invitedByName: row.invited_by_name || null,
+            trip: { id: row.trip_id, title: row.trip_title, location: row.trip_location }
+        }));
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting pending invitations:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Accepts or declines a pending invitation on behalf of the invited user
+ * @param {string} invitationId - Member UUID of the invitation
+ * @param {Object} user - Responding user ({ id, email })
+ * @param {boolean} accept - Whether the invitation is accepted
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Updated membership or null if the user has no such pending invitation
+ */
+const respondToInvitation = async (invitationId, user, accept, auditData = {}) => {
+    try {
+        const status = accept ? 'accepted' : 'declined';
+        
+        const result = await pool.query(
+            `UPDATE trip_members 
+             SET status = $3, user_id = $4, responded_at = NOW(), updated_at = NOW() 
+             WHERE id = $1 AND email = $2 AND status = 'pending' 
+             RETURNING *`,
+            [invitationId, user.email.toLowerCase(), status, accept ? user.id : null]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const member = formatMemberFromDB(result.rows[0]);
+        
+        // Log the response for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: member.tripId,
+            action: accept ? 'invitation_accept' : 'invitation_decline',
+            userId: user.id,
+            oldData: { memberId: member.id, status: 'pending' },
+            newData: { memberId: member.id, status, role: member.role },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip invitation answered:', { invitationId, status });
+        return member;
+        
+    } catch (error) {
+        console.error(TAG, 'Error responding to invitation:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// TRIP COMMENT OPERATIONS
+// ========================================
+
+/**
+ * Adds a comment or private note to a stop of a trip
+ * @param {Object} commentData - Comment data ({ tripId, locationKey, locationName, parentId, userId, body, isPrivate })
+ * @returns {Promise<Object>} - Created comment
+ */
+const createTripComment = async (commentData) => {
+    try {
+        const { tripId, locationKey, locationName, parentId, userId, body, isPrivate } = commentData;
+        
+        const result = await pool.query(
+            `INSERT INTO trip_comments (trip_id, location_key, location_name, parent_id, user_id, body, is_private) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7) 
+             RETURNING *`,
+            [tripId, locationKey, locationName || null, parentId || null, userId || null, body, !!isPrivate]
+        );
+        
+        console.log(TAG, 'Trip comment created successfully:', { tripId, commentId: result.rows[0].id, isPrivate: !!isPrivate });
+        return formatCommentFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error creating trip comment:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets a comment of a trip by ID
+ * @param {string} tripId - Trip UUID
+ * @param {string} commentId - Comment UUID
+ * @returns {Promise<Object|null>} - Comment or null if not found
+ */
+const getTripComment = async (tripId, commentId) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM trip_comments WHERE id = $1 AND trip_id = $2',
+            [commentId, tripId]
+        );
+        
+        return result.rows.length > 0 ? formatCommentFromDB(result.rows[0]) : null;
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip comment:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the comments of a stop, oldest first, with the private notes of the requesting user
+ * @param {string} tripId - Trip UUID
+ * @param {string} locationKey - Stop key (see getLocationKey)
+ * @param {string|null} userId - Requesting user ID (private notes are only returned to their author)
+ * @returns {Promise<Array<Object>>} - Comments and notes (with author names)
+ */
+const getLocationComments = async (tripId, locationKey, userId = null) => {
+    try {
+        const result = await pool.query(
+            `SELECT c.*, u.name AS author_name 
+             FROM trip_comments c 
+             LEFT JOIN users u ON u.id = c.user_id 
+             WHERE c.trip_id = $1 AND c.location_key = $2 
+               AND (c.is_private = FALSE OR c.user_id = $3) 
+             ORDER BY c.created_at ASC, c.id ASC`,
+            [tripId, locationKey, userId]
+        );
+        
+        return result.rows.map(formatCommentFromDB);
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting location comments:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Counts the comments and the requesting user's private notes on each stop of a trip
+ * @param {string} tripId - Trip UUID
+ * @param {string|null} userId - Requesting user ID
+ * @returns {Promise<Object>} - Counts keyed by stop key ({ [locationKey]: { comments, notes } })
+ */
+const getTripCommentCounts = async (tripId, userId = null) => {
+    try {
+        const result = await pool.query(
+            `SELECT location_key, 
+                    COUNT(*) FILTER (WHERE is_private = FALSE) AS comments, 
+                    COUNT(*) FILTER (WHERE is_private = TRUE AND user_id = $2) AS notes 
+             FROM trip_comments 
+             WHERE trip_id = $1 
+             GROUP BY location_key`,
+            [tripId, userId]
+        );
+        
+        return Object.fromEntries(result.rows.map(row => [
+            row.location_key,
+            { comments: parseInt(row.comments), notes: parseInt(row.notes) }
+        ]));
+        
+    } catch (error) {
+        console.error(TAG, 'Error counting trip comments:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Edits the text of a comment or private note
+ * @param {string} tripId - Trip UUID
+ * @param {string} commentId - Comment UUID
+ * @param {string} body - New text
+ * @param {string} userId - User ID making the edit (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Updated comment or null if not found
+ */
+const updateTripComment = async (tripId, commentId, body, userId = null, auditData = {}) => {
+    try {
+        const existing = await pool.query(
+            'SELECT body FROM trip_comments WHERE id = $1 AND trip_id = $2',
+            [commentId, tripId]
+        );
+        
+        if (existing.rows.length === 0) {
+            return null;
+        }
+        
+        const result = await pool.query(
+            `UPDATE trip_comments 
+             SET body = $3, edited_at = NOW() 
+             WHERE id = $1 AND trip_id = $2 
+             RETURNING *`,
+            [commentId, tripId, body]
+        );
+        
+        // Log the edit for audit purposes
+        await logAuditEvent({
+            entityType: 'trip_comment',
+            entityId: commentId,
+            action: 'update',
+            userId: userId,
+            oldData: { tripId, body: existing.rows[0].body },
+            newData: { tripId, body },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip comment updated successfully:', { tripId, commentId });
+        return formatCommentFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error updating trip comment:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Deletes a comment or private note together with its replies
+ * @param {string} tripId - Trip UUID
+ * @param {string} commentId - Comment UUID
+ * @param {string} userId - User ID deleting the comment (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - { comment, deletedCount } or null if not found
+ */
+const deleteTripComment = async (tripId, commentId, userId = null, auditData = {}) => {
+    try {
+        const result = await pool.query(
+            `WITH RECURSIVE thread AS (
+                 SELECT id FROM trip_comments WHERE id = $1 AND trip_id = $2 
+                 UNION ALL 
+                 SELECT c.id FROM trip_comments c JOIN thread t ON c.parent_id = t.id
+             ) 
+             DELETE FROM trip_comments 
+             WHERE id IN (SELECT id FROM thread) 
+             RETURNING *`,
+            [commentId, tripId]
+        );
+        
+        const deleted = result.rows.find(row => row.id === commentId.toLowerCase());
+        
+        if (!deleted) {
+            return null;
+        }
+        
+        // Log the deletion for audit purposes
+        await logAuditEvent({
+            entityType: 'trip_comment',
+            entityId: commentId,
+            action: 'delete',
+            userId: userId,
+            oldData: { ...deleted, replyCount: result.rows.length - 1 },
+            newData: null,
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Trip comment deleted successfully:', { tripId, commentId, deletedCount: result.rows.length });
+        return { comment: formatCommentFromDB(deleted), deletedCount: result.rows.length };
+        
+    } catch (error) {
+        console.error(TAG, 'Error deleting trip comment:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// TRIP SHARE LINK OPERATIONS
+// ========================================
+
+/**
+ * Creates a public share link for a trip with a random, unguessable token
+ * @param {string} tripId - Trip UUID
+ * @param {Object} options - Link options ({ expiresAt })
+ * @param {string} userId - User ID creating the link (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object>} - Created share link (including its token)
+ */
+const createShareLink = async (tripId, options = {}, userId = null, auditData = {}) => {
+    try {
+        const { expiresAt = null } = options;
+        const token = crypto.randomBytes(SHARE_TOKEN_BYTES).toString('base64url');
+        
+        const result = await pool.query(
+            `INSERT INTO trip_share_links (trip_id, token, created_by, expires_at) 
+             VALUES ($1, $2, $3, $4) 
+             RETURNING *`,
+            [tripId, token, userId || null, expiresAt]
+        );
+        
+        const shareLink = formatShareLinkFromDB(result.rows[0]);
+        
+        // Log the creation for audit purposes (the token itself is not stored in the audit log)
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'share_link_create',
+            userId: userId,
+            oldData: null,
+            newData: { shareLinkId: shareLink.id, expiresAt: shareLink.expiresAt },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Share link created successfully:', { tripId, shareLinkId: shareLink.id });
+        return shareLink;
+        
+    } catch (error) {
+        console.error(TAG, 'Error creating share link:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the share links of a trip, newest first
+ * @param {string} tripId - Trip UUID
+ * @returns {Promise<Array<Object>>} - Share links
+ */
+const getTripShareLinks = async (tripId) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM trip_share_links 
+             WHERE trip_id = $1 
+             ORDER BY created_at DESC, id DESC`,
+            [tripId]
+        );
+        
+        return result.rows.map(formatShareLinkFromDB);
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting share links:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Revokes a share link of a trip
+ * @param {string} tripId - Trip UUID
+ * @param {string} shareLinkId - Share link UUID
+ * @param {string} userId - User ID revoking the link (optional)
+ * @param {Object} auditData - Additional audit data (ip, user agent, etc.)
+ * @returns {Promise<Object|null>} - Revoked share link or null if the trip has no active link with this ID
+ */
+const revokeShareLink = async (tripId, shareLinkId, userId = null, auditData = {}) => {
+    try {
+        const result = await pool.query(
+            `UPDATE trip_share_links 
+             SET revoked_at = NOW() 
+             WHERE id = $1 AND trip_id = $2 AND revoked_at IS NULL 
+             RETURNING *`,
+            [shareLinkId, tripId]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const shareLink = formatShareLinkFromDB(result.rows[0]);
+        
+        // Log the revocation for audit purposes
+        await logAuditEvent({
+            entityType: 'trip',
+            entityId: tripId,
+            action: 'share_link_revoke',
+            userId: userId,
+            oldData: { shareLinkId, revokedAt: null, accessCount: shareLink.accessCount },
+            newData: { shareLinkId, revokedAt: shareLink.revokedAt },
+            ipAddress: auditData.ipAddress,
+            userAgent: auditData.userAgent
+        });
+        
+        console.log(TAG, 'Share link revoked successfully:', { tripId, shareLinkId });
+        return shareLink;
+        
+    } catch (error) {
+        console.error(TAG, 'Error revoking share link:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Resolves a share token to its trip and counts the access
+ * Revoked and expired links, and links to deleted trips, do not resolve.
+ * @param {string} token - Share token
+ * @returns {Promise<Object|null>} - { shareLink, trip } or null if the link is not active
+ */
+const accessShareLink = async (token) => {
+    try {
+        const result = await pool.query(
+            `UPDATE trip_share_links AS link 
+             SET access_count = link.access_count + 1, last_accessed_at = NOW() 
+             FROM trips 
+             WHERE link.token = $1 
+               AND link.revoked_at IS NULL 
+               AND (link.expires_at IS NULL OR link.expires_at > NOW()) 
+               AND trips.id = link.trip_id 
+               AND trips.deleted_at IS NULL 
+             RETURNING link.*, row_to_json(trips.*) AS trip`,
+            [token]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        const { trip, ...link } = result.rows[0];
+        
+        return {
+            shareLink: formatShareLinkFromDB(link),
+            trip: formatTripFromDB(trip)
+        };
+        
+    } catch (error) {
+        console.error(TAG, 'Error accessing share link:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// TRIP LABEL OPERATIONS
+// ========================================
+
+/**
+ * SQL condition for the trips a label's owner can still see (not deleted, and owned, legacy or shared with them)
+ * Expects the trips table aliased as t and the labels table as l.
+ */
+const LABEL_TRIP_VISIBLE = `t.deleted_at IS NULL AND (
+    t.user_id = l.user_id OR t.user_id IS NULL OR EXISTS (
+        SELECT 1 FROM trip_members m 
+        WHERE m.trip_id = t.id AND m.user_id = l.user_id AND m.status = 'accepted'
+    )
+)`;
+
+/**
+ * Creates a tag or collection for a user
+ * @param {string} userId - User ID
+ * @param {string} kind - 'tag' or 'collection'
+ * @param {Object} labelData - { name, description }
+ * @returns {Promise<Object>} - Created label
+ * @throws {Error} - 'Label name already exists' if the user has a label of this kind with the same name
+ */
+const createLabel = async (userId, kind, labelData) => {
+    try {
+        const { name, description = null } = labelData;
+        
+        const result = await pool.query(
+            `INSERT INTO trip_labels (user_id, kind, name, description) 
+             VALUES ($1, $2, $3, $4) 
+             RETURNING *, 0 AS trip_count`,
+            [userId, kind, name, description]
+        );
+        
+        console.log(TAG, 'Label created successfully:', { kind, labelId: result.rows[0].id });
+        return formatLabelFromDB(result.rows[0]);
+        
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation
+            throw new Error('Label name already exists');
+        }
+        console.error(TAG, 'Error creating label:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets a user's tags or collections with the number of trips in each
+ * @param {string} userId - User ID
+ * @param {string} kind - 'tag' or 'collection'
+ * @returns {Promise<Array<Object>>} - Labels sorted by name
+ */
+const getLabels = async (userId, kind) => {
+    try {
+        const result = await pool.query(
+            `SELECT l.*, 
+                    (SELECT COUNT(*) FROM trip_label_assignments a 
+                     JOIN trips t ON t.id = a.trip_id 
+                     WHERE a.label_id = l.id AND ${LABEL_TRIP_VISIBLE}) AS trip_count 
+             FROM trip_labels l 
+             WHERE l.user_id = $1 AND l.kind = $2 
+             ORDER BY LOWER(l.name) ASC`,
+            [userId, kind]
+        );
+        
+        return result.rows.map(formatLabelFromDB);
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting labels:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Renames a tag or collection, or changes a collection's description
+ * @param {string} userId - User ID
+ * @param {string} kind - 'tag' or 'collection'
+ * @param {string} labelId - Label UUID
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object|null>} - Updated label or null if the user has no such label
+ * @throws {Error} - 'Label name already exists' if the new name is taken
+ */
+const updateLabel = async (userId, kind, labelId, updates) => {
+    try {
+        const { name = null, description } = updates;
+        
+        const result = await pool.query(
+            `UPDATE trip_labels AS l 
+             SET name = COALESCE($4, l.name), 
+                 description = CASE WHEN $5 THEN $6 ELSE l.description END, 
+                 updated_at = NOW() 
+             WHERE l.id = $1 AND l.user_id = $2 AND l.kind = $3 
+             RETURNING l.*, 
+                 (SELECT COUNT(*) FROM trip_label_assignments a 
+                  JOIN trips t ON t.id = a.trip_id 
+                  WHERE a.label_id = l.id AND ${LABEL_TRIP_VISIBLE}) AS trip_count`,
+            [labelId, userId, kind, name, description !== undefined, description || null]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        console.log(TAG, 'Label updated successfully:', { kind, labelId });
+        return formatLabelFromDB(result.rows[0]);
+        
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation
+            throw new Error('Label name already exists');
+        }
+        console.error(TAG, 'Error updating label:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Deletes a tag or collection; its trips are only unassigned, never deleted
+ * @param {string} userId - User ID
+ * @param {string} kind - 'tag' or 'collection'
+ * @param {string} labelId - Label UUID
+ * @returns {Promise<Object|null>} - Deleted label or null if the user has no such label
+ */
+const deleteLabel = async (userId, kind, labelId) => {
+    try {
+        const result = await pool.query(
+            `DELETE FROM trip_labels 
+             WHERE id = $1 AND user_id = $2 AND kind = $3 
+             RETURNING *`,
+            [labelId, userId, kind]
+        );
+        
+        if (result.rows.length === 0) {
+            return null;
+        }
+        
+        console.log(TAG, 'Label deleted successfully:', { kind, labelId });
+        return formatLabelFromDB(result.rows[0]);
+        
+    } catch (error) {
+        console.error(TAG, 'Error deleting label:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Gets the tags and collections a user has put a trip in
+ * @param {string} tripId - Trip UUID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { tags, collections } with { id, name } entries sorted by name
+ */
+const getTripLabels = async (tripId, userId) => {
+    try {
+        const result = await pool.query(
+            `SELECT l.id, l.kind, l.name 
+             FROM trip_label_assignments a 
+             JOIN trip_labels l ON l.id = a.label_id 
+             WHERE a.trip_id = $1 AND l.user_id = $2 
+             ORDER BY LOWER(l.name) ASC`,
+            [tripId, userId]
+        );
+        
+        const labelsOfKind = (kind) => result.rows
+            .filter(row => row.kind === kind)
+            .map(row => ({ id: row.id, name: row.name }));
+        
+        return {
+            tags: labelsOfKind('tag'),
+            collections: labelsOfKind('collection')
+        };
+        
+    } catch (error) {
+        console.error(TAG, 'Error getting trip labels:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Replaces the tags a user has on a trip, creating tags that do not exist yet
+ * Names are matched ignoring case, so existing tags keep their original spelling.
+ * @param {string} tripId - Trip UUID
+ * @param {string} userId - User ID
+ * @param {Array<string>} names - Tag names
+ * @returns {Promise<Object>} - The trip's labels ({ tags, collections })
+ */
+const setTripTags = async (tripId, userId, names) => {
+    try {
+        // Duplicate names would make the upsert touch the same row twice
+        const uniqueNames = [...new Map(names.map(name => [name.toLowerCase(), name])).values()];
+        
+        await pool.query(
+            `WITH wanted AS (
+                 INSERT INTO trip_labels (user_id, kind, name) 
+                 SELECT $2, 'tag', UNNEST($3::text[]) 
+                 ON CONFLICT (user_id, kind, (LOWER(name))) DO UPDATE SET updated_at = trip_labels.updated_at 
+                 RETURNING id
+             ), removed AS (
+                 DELETE FROM trip_label_assignments a 
+                 USING trip_labels l 
+                 WHERE a.label_id = l.id AND a.trip_id = $1 AND l.user_id = $2 AND l.kind = 'tag' 
+                   AND a.label_id NOT IN (SELECT id FROM wanted)
+             ) 
+             INSERT INTO trip_label_assignments (label_id, trip_id) 
+             SELECT id, $1 FROM wanted 
+             ON CONFLICT (label_id, trip_id) DO NOTHING`,
+            [tripId, userId, uniqueNames]
+        );
+        
+        console.log(TAG, 'Trip tags updated successfully:', { tripId, tagCount: uniqueNames.length });
+        return await getTripLabels(tripId, userId);
+        
+    } catch (error) {
+        console.error(TAG, 'Error setting trip tags:', error.message);
+        throw error;
+    }
+};
+
+/**
+ * Replaces the collections a user has put a trip in
+ * @param {string} tripId - Trip UUID
+ * @param {string} userId - User ID
+ * @param {Array<string>} collectionIds - Collection UUIDs (all must belong to the user)
+ * @returns {Promise<Object|null>} - The trip's labels ({ tags, collections }) or null if a collection was not found
+ */
+const setTripCollections = async (tripId, userId, collectionIds) => {
+    try {
+        const owned = await pool.query(
+            `SELECT id FROM trip_labels 
+             WHERE user_id = $1 AND kind = 'collection' AND id = ANY($2::uuid[])`,
+            [userId, collectionIds]
+        );
+        
+        if (owned.rows.length !== collectionIds.length) {
+            return null;
+        }
+        
+        await pool.query(
+            `WITH removed AS (
+                 DELETE FROM trip_label_assignments a 
+                 USING trip_labels l 
+                 WHERE a.label_id = l.id AND a.trip_id = $1 AND l.user_id = $2 AND l.kind = 'collection' 
+                   AND a.label_id <> ALL($3::uuid[])
+             ) 
+             INSERT INTO trip_label_assignments (label_id, trip_id) 
+             SELECT UNNEST($3::uuid[]), $1 
+             ON CONFLICT (label_id, trip_id) DO NOTHING`,
+            [tripId, userId, collectionIds]
+        );
+        
+        console.log(TAG, 'Trip collections updated successfully:', { tripId, collectionCount: collectionIds.length });
+        return await getTripLabels(tripId, userId);
+        
+    } catch (error) {
+        console.error(TAG, 'Error setting trip collections:', error.message);
+        throw error;
+    }
+};
+
+// ========================================
+// AUDIT OPERATIONS
+// ========================================
+
+/**
+ * Logs an audit event to the audit_logs table
+ * @param {Object} eventData - Event data to log
+ * @param {Object} db - Pool or transaction client to run the query on (see withTransaction)
+ * @returns {Promise<void>}
+ */
+const logAuditEvent = async (eventData, db = pool) => {
+    try {
+        const {
+            entityType,
+            entityId,
+            action,
+            userId,
+            oldData,
+            newData,
+            ipAddress,
+            userAgent
+        } = eventData;
+        
+        await db.query(
+            `INSERT INTO audit_logs 
+             (entity_type, entity_id, action, user_id, old_data, new_data, ip_address, user_agent) 
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [
+                entityType,
+                entityId,
+                action,
+                userId,
+                oldData ? JSON.stringify(oldData) : null,
+                newData ? JSON.stringify(newData) : null,
+                ipAddress || null,
+                userAgent || null
+            ]
+        );
+        
+        console.log(TAG, 'Audit event logged:', {
+            entityType,
+            entityId,
+            action,
+            userId
+        });
+        
+    } catch (error) {
+        console.error(TAG, 'Error logging audit event:', error.message);
+        // Don't throw error - audit logging failure shouldn't break main operation
+    }
+};
+
+// ========================================
+// UTILITY FUNCTIONS
+// ========================================
+
+/**
+ * Formats trip data from database format to API format
+ * @param {Object} dbTrip - Trip from database
+ * @returns {Object} - Formatted trip
+ */
+const formatTripFromDB = (dbTrip) => {
+    return {
+        id: dbTrip.id,
+        userId: dbTrip.user_id,
+        title: dbTrip.title,
+        location: dbTrip.location,
+        lastUpdated: dbTrip.last_updated,
+        searchData: dbTrip.search_data,
+        itinerary: dbTrip.itinerary || null,
+        currentRevision: dbTrip.current_revision,
+        clonedFrom: dbTrip.cloned_from || null,
+        deletedAt: dbTrip.deleted_at,
+        createdAt: dbTrip.created_at,
+        updatedAt: dbTrip.updated_at,
+        ...(dbTrip.role !== undefined && { role: dbTrip.role }),
+        ...(dbTrip.tags !== undefined && { tags: dbTrip.tags })
+    };
+};
+
+/**
+ * Formats trip revision data from database format to API format
+ * @param {Object} dbRevision - Revision from database
+ * @returns {Object} - Formatted revision
+ */
+const formatRevisionFromDB = (dbRevision) => {
+    const revision = {
+        id: dbRevision.id,
+        tripId: dbRevision.trip_id,
+        revision: dbRevision.revision_number,
+        reason: dbRevision.reason,
+        details: dbRevision.details || null,
+        userId: dbRevision.user_id,
+        createdAt: dbRevision.created_at
+    };
+    
+    if (dbRevision.itinerary !== undefined) {
+        revision.itinerary = dbRevision.itinerary;
+    }
+    
+    if (dbRevision.location_count !== undefined) {
+        revision.locationCount = dbRevision.location_count;
+    }
+    
+    return revision;
+};
+
+/**
+ * Formats trip message data from database format to API format
+ * @param {Object} dbMessage - Message from database
+ * @returns {Object} - Formatted message
+ */
+const formatMessageFromDB = (dbMessage) => {
+    return {
+        id: dbMessage.id,
+        tripId: dbMessage.trip_id,
+        userId: dbMessage.user_id,
+        role: dbMessage.role,
+        content: dbMessage.content,
+        plan: dbMessage.plan || null,
+        metadata: dbMessage.metadata || null,
+        createdAt: dbMessage.created_at
+    };
+};
+
+/**
+ * Formats trip member data from database format to API format
+ * @param {Object} dbMember - Member from database
+ * @returns {Object} - Formatted member
+ */
+const formatMemberFromDB = (dbMember) => {
+    return {
+        id: dbMember.id,
+        tripId: dbMember.trip_id,
+        email: dbMember.email,
+        userId: dbMember.user_id,
+        ...(dbMember.user_name !== undefined && { name: dbMember.user_name }),
+        role: dbMember.role,
+        status: dbMember.status,
+        invitedBy: dbMember.invited_by,
+        respondedAt: dbMember.responded_at || null,
+        createdAt: dbMember.created_at,
+        updatedAt: dbMember.updated_at
+    };
+};
+
+/**
+ * Formats trip comment data from database format to API format
+ * @param {Object} dbComment - Comment from database
+ * @returns {Object} - Formatted comment
+ */
+const formatCommentFromDB = (dbComment) => {
+    return {
+        id: dbComment.id,
+        tripId: dbComment.trip_id,
+        locationKey: dbComment.location_key,
+        locationName: dbComment.location_name,
+        parentId: dbComment.parent_id,
+        userId: dbComment.user_id,
+        ...(dbComment.author_name !== undefined && { authorName: dbComment.author_name }),
+        body: dbComment.body,
+        private: dbComment.is_private,
+        editedAt: dbComment.edited_at || null,
+        createdAt: dbComment.created_at
+    };
+};
+
+/**
+ * Formats tag or collection data from database format to API format
+ * @param {Object} dbLabel - Label from database
+ * @returns {Object} - Formatted label (collections include their description)
+ */
+const formatLabelFromDB = (dbLabel) => {
+    return {
+        id: dbLabel.id,
+        name: dbLabel.name,
+        ...(dbLabel.kind === 'collection' && { description: dbLabel.description || null }),
+        ...(dbLabel.trip_count !== undefined && { tripCount: parseInt(dbLabel.trip_count) }),
+        createdAt: dbLabel.created_at,
+        updatedAt: dbLabel.updated_at
+    };
+};
+
+/**
+ * Formats trip share link data from database format to API format
+ * @param {Object} dbShareLink - Share link from database
+ * @returns {Object} - Formatted share link with its current status
+ */
+const formatShareLinkFromDB = (dbShareLink) => {
+    const expiresAt = dbShareLink.expires_at;
+    let status = 'active';
+    
+    if (dbShareLink.revoked_at) {
+        status = 'revoked';
+    } else if (expiresAt && new Date(expiresAt) <= new Date()) {
+        status = 'expired';
+    }
+    
+    return {
+        id: dbShareLink.id,
+        tripId: dbShareLink.trip_id,
+        token: dbShareLink.token,
+        createdBy: dbShareLink.created_by,
+        status,
+        expiresAt: expiresAt || null,
+        revokedAt: dbShareLink.revoked_at || null,
+        accessCount: dbShareLink.access_count,
+        lastAccessedAt: dbShareLink.last_accessed_at || null,
+        createdAt: dbShareLink.created_at
+    };
+};
+
+/**
+ * Formats user data from database format to API format
  * @param {Object} dbUser - User from database
  * @returns {Object} - Formatted user (without password)
  */
@@ -825,6 +2497,32 @@ const formatUserFromDB = (dbUser) => {
     };
 };
 
+/**
+ * Runs several writes as one transaction
+ * The callback receives a client to pass as the db argument of the operations that accept one;
+ * everything is rolled back if the callback throws.
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise<*>} - Result of the callback
+ */
+const withTransaction = async (callback) => {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(TAG, 'Transaction rolled back:', error.message);
+        throw error;
+        
+    } finally {
+        client.release();
+    }
+};
+
 /**
  * Tests database connectivity
  * @returns {Promise<Object>} - Connection test result
@@ -925,14 +2623,65 @@ module.exports = {
     updateTrip,
     deleteTrip,
     hardDeleteTrip,
+    getDeletedTrips,
+    restoreTrip,
+    getExpiredDeletedTrips,
+    
+    // Trip revision operations
+    createTripRevision,
+    getTripRevisions,
+    getTripRevision,
+    
+    // Trip message operations
+    createTripMessage,
+    getTripMessages,
+    
+    // Trip member operations
+    createTripInvitation,
+    getTripMembers,
+    getTripMemberRole,
+    updateTripMemberRole,
+    removeTripMember,
+    getPendingInvitations,
+    respondToInvitation,
+    
+    // Trip comment operations
+    createTripComment,
+    getTripComment,
+    getLocationComments,
+    getTripCommentCounts,
+    updateTripComment,
+    deleteTripComment,
+    
+    // Trip label operations (tags and collections)
+    createLabel,
+    getLabels,
+    updateLabel,
+    deleteLabel,
+    getTripLabels,
+    setTripTags,
+    setTripCollections,
+    
+    // Trip share link operations
+    createShareLink,
+    getTripShareLinks,
+    revokeShareLink,
+    accessShareLink,
     
     // Audit operations
     logAuditEvent,
     
     // Utility
+    withTransaction,
     testConnection,
     getServiceStatus,
     formatTripFromDB,
+    formatRevisionFromDB,
+    formatMessageFromDB,
+    formatMemberFromDB,
+    formatCommentFromDB,
+    formatLabelFromDB,
+    formatShareLinkFromDB,
     formatUserFromDB,
     pool
 }; 
@@ -0,0 +1,356 @@
+/**
+ * iCalendar Export
+ *
+ * Builds an RFC 5545 VCALENDAR from a stored itinerary so it can be imported into calendar apps.
+ * Every stop becomes a VEVENT and transit legs can be added as travel events. Times are read in the
+ * destination's timezone and written in UTC, so they land correctly whatever the calendar's own timezone.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { buildTimeline } = require('../timeline');
+const { getVisitDates } = require('../openingHours');
+const { hasValidCoordinates } = require('../geo');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[ICSExport]';
+
+const ICS_CONFIG = {
+    productId: '-//PlanIT//PlanIT API//EN',
+    uidDomain: 'planit.app',
+    defaultDurationMinutes: 60, // Used when a stop's estimatedTime cannot be read
+    maxLineOctets: 75 // RFC 5545 content lines are folded after 75 octets
+};
+
+/**
+ * Destination timezones
+ * Countries with a single timezone are matched on their name; larger countries on the region part of the city.
+ */
+const COUNTRY_TIME_ZONES = {
+    france: 'Europe/Paris',
+    germany: 'Europe/Berlin',
+    italy: 'Europe/Rome',
+    spain: 'Europe/Madrid',
+    portugal: 'Europe/Lisbon',
+    netherlands: 'Europe/Amsterdam',
+    belgium: 'Europe/Brussels',
+    austria: 'Europe/Vienna',
+    ireland: 'Europe/Dublin',
+    greece: 'Europe/Athens',
+    finland: 'Europe/Helsinki',
+    switzerland: 'Europe/Zurich',
+    uk: 'Europe/London',
+    'united kingdom': 'Europe/London',
+    england: 'Europe/London',
+    scotland: 'Europe/London',
+    japan: 'Asia/Tokyo',
+    'south korea': 'Asia/Seoul',
+    korea: 'Asia/Seoul',
+    china: 'Asia/Shanghai'
+};
+
+const REGION_TIME_ZONES = {
+    canada: {
+        bc: 'America/Vancouver', ab: 'America/Edmonton', sk: 'America/Regina', mb: 'America/Winnipeg',
+        on: 'America/Toronto', qc: 'America/Toronto', nb: 'America/Halifax', ns: 'America/Halifax',
+        pe: 'America/Halifax', nl: 'America/St_Johns'
+    },
+    usa: {
+        wa: 'America/Los_Angeles', or: 'America/Los_Angeles', ca: 'America/Los_Angeles', nv: 'America/Los_Angeles',
+        az: 'America/Phoenix', co: 'America/Denver', ut: 'America/Denver', nm: 'America/Denver',
+        tx: 'America/Chicago', il: 'America/Chicago', mn: 'America/Chicago', la: 'America/Chicago', tn: 'America/Chicago',
+        ny: 'America/New_York', ma: 'America/New_York', pa: 'America/New_York', dc: 'America/New_York',
+        fl: 'America/New_York', ga: 'America/New_York', nc: 'America/New_York', md: 'America/New_York',
+        hi: 'Pacific/Honolulu', ak: 'America/Anchorage'
+    },
+    australia: {
+        nsw: 'Australia/Sydney', vic: 'Australia/Melbourne', qld: 'Australia/Brisbane',
+        wa: 'Australia/Perth', sa: 'Australia/Adelaide', tas: 'Australia/Hobart', act: 'Australia/Sydney'
+    }
+};
+
+const COUNTRY_ALIASES = {
+    us: 'usa',
+    'united states': 'usa',
+    'united states of america': 'usa'
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Escapes a TEXT value (backslashes, semicolons, commas and newlines)
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Folds a content line after 75 octets without splitting multi-byte characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (continuations start with a space)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const character of line) {
+        const size = Buffer.byteLength(character);
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? ICS_CONFIG.maxLineOctets : ICS_CONFIG.maxLineOctets - 1;
+
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += character;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Formats a timestamp as a UTC DATE-TIME (e.g., 20250711T130000Z)
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - iCalendar UTC date-time
+ */
+const formatUtc = (timestamp) => {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Formats a wall-clock time as a floating DATE-TIME (used when the timezone is unknown)
+ * @param {number} timestamp - Wall-clock time encoded as UTC milliseconds
+ * @returns {string} - iCalendar floating date-time
+ */
+const formatFloating = (timestamp) => formatUtc(timestamp).replace('Z', '');
+
+/**
+ * Gets the offset of a timezone from UTC at a given instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (timeZone, timestamp) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp));
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock time in a timezone to a UTC timestamp
+ * @param {number} wallClock - Wall-clock time encoded as UTC milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Milliseconds since the epoch
+ */
+const toUtcTimestamp = (wallClock, timeZone) => {
+    const firstGuess = wallClock - getTimeZoneOffset(timeZone, wallClock);
+    // Re-check at the guessed instant in case it falls on the other side of a DST change
+    return wallClock - getTimeZoneOffset(timeZone, firstGuess);
+};
+
+/**
+ * Builds the content lines of one VEVENT
+ * @param {Object} event - { uid, start, end, summary, location, geo, url, description, categories, transparent }
+ * @param {Function} formatTime - Formats a wall-clock timestamp as a DATE-TIME
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} - Content lines
+ */
+const buildEventLines = (event, formatTime, stamp) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatTime(event.start)}`,
+        `DTEND:${formatTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.geo) {
+        lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+    }
+    if (event.url) {
+        lines.push(`URL:${event.url}`);
+    }
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.categories) {
+        lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+    }
+    lines.push(`TRANSP:${event.transparent ? 'TRANSPARENT' : 'OPAQUE'}`, 'END:VEVENT');
+
+    return lines;
+};
+
+/**
+ * Describes a stop for its event body
+ * @param {Object} location - Itinerary stop
+ * @returns {string} - Description text
+ */
+const describeStop = (location) => {
+    return [
+        location.description,
+        location.priceRange && `Price: ${location.priceRange}`,
+        location.phone && location.phone !== 'Not available' && `Phone: ${location.phone}`
+    ].filter(Boolean).join('\n');
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Resolves the IANA timezone of the plan's city
+ * @param {string} cityName - City returned with the plan (e.g., "Toronto, ON, Canada")
+ * @returns {string|null} - Timezone or null if it cannot be determined
+ */
+const resolveTimeZone = (cityName) => {
+    const parts = String(cityName || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    const last = parts[parts.length - 1];
+    const country = COUNTRY_ALIASES[last] || last;
+
+    if (COUNTRY_TIME_ZONES[country]) {
+        return COUNTRY_TIME_ZONES[country];
+    }
+
+    const regions = REGION_TIME_ZONES[country];
+    const region = regions && parts.slice(1, -1).find(part => regions[part]);
+
+    return region ? regions[region] : null;
+};
+
+/**
+ * Builds the iCalendar file of a trip
+ * Stops without a readable start time are left out; a stop's end comes from its estimatedTime
+ * (one hour if unreadable). Transit legs start when the stop ends and are marked as free time.
+ * @param {Object} trip - Stored trip ({ id, title, searchData, itinerary })
+ * @param {Object} options - { includeTransit }
+ * @returns {Object} - { content, eventCount, skippedCount, timeZone }
+ */
+const buildTripCalendar = (trip, options = {}) => {
+    const { includeTransit = true } = options;
+    const itinerary = trip.itinerary || {};
+    const days = Array.isArray(itinerary.days) ? itinerary.days : [{ locations: itinerary.locations || [] }];
+    const visitDates = getVisitDates({ filters: {}, ...(trip.searchData || {}) }, days.length);
+    const timeZone = resolveTimeZone(itinerary.city);
+    const formatTime = timeZone
+        ? (wallClock) => formatUtc(toUtcTimestamp(wallClock, timeZone))
+        : formatFloating;
+    const stamp = formatUtc(Date.now());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_CONFIG.productId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(trip.title || itinerary.city || 'PlanIT Trip')}`,
+        ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : [])
+    ];
+    let eventCount = 0;
+    let skippedCount = 0;
+    let stopNumber = 0;
+
+    days.forEach((day, dayIndex) => {
+        const locations = day.locations || [];
+        const [year, month, date] = (day.date || visitDates[dayIndex]).split('-').map(Number);
+        const midnight = Date.UTC(year, month - 1, date);
+        const timeline = buildTimeline(locations);
+
+        locations.forEach((location, index) => {
+            stopNumber++;
+            const entry = timeline[index];
+
+            if (entry.start === null) {
+                skippedCount++;
+                return;
+            }
+
+            const start = midnight + entry.start * 60000;
+            const end = start + (entry.duration ?? ICS_CONFIG.defaultDurationMinutes) * 60000;
+            const website = location.website && /^https?:\/\//i.test(location.website) ? location.website : null;
+
+            lines.push(...buildEventLines({
+                uid: `${trip.id}-stop-${stopNumber}@${ICS_CONFIG.uidDomain}`,
+                start,
+                end,
+                summary: location.name,
+                location: location.address,
+                geo: hasValidCoordinates(location.coordinates) ? location.coordinates : null,
+                url: website,
+                description: describeStop(location),
+                categories: location.category
+            }, formatTime, stamp));
+            eventCount++;
+
+            const next = locations[index + 1];
+            const leg = location.transitToNext;
+            if (includeTransit && leg && next && entry.travelMinutes > 0) {
+                lines.push(...buildEventLines({
+                    uid: `${trip.id}-transit-${stopNumber}@${ICS_CONFIG.uidDomain}`,
+                    start: end,
+                    end: end + entry.travelMinutes * 60000,
+                    summary: `${leg.type || 'Travel'} to ${next.name}`,
+                    description: [leg.details, leg.duration && `Duration: ${leg.duration}`].filter(Boolean).join('\n'),
+                    categories: 'Travel',
+                    transparent: true
+                }, formatTime, stamp));
+                eventCount++;
+            }
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+
+    console.log(TAG, 'Calendar built:', {
+        tripId: trip.id,
+        timeZone,
+        eventCount,
+        skippedCount
+    });
+
+    return {
+        content: lines.map(foldLine).join('\r\n') + '\r\n',
+        eventCount,
+        skippedCount,
+        timeZone
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildTripCalendar,
+    resolveTimeZone,
+    escapeText,
+    foldLine
+};
@@ -0,0 +1,89 @@
+/**
+ * Trip Export Registry
+ *
+ * Maps the export formats offered by GET /api/chat/:chatId/export to their builders.
+ * Supported formats: GeoJSON, GPX and KML for mapping tools, and HTML and PDF for printing
+ * (the iCalendar export has its own endpoint).
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { buildGeoJson, buildGpx, buildKml } = require('./mapFormats');
+const { buildHtml, buildPdf } = require('./printable');
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+/**
+ * Export formats keyed by the format query parameter
+ * Each builder takes the stored trip and options and returns the file content; formats with
+ * usesCoverImage show the trip's Unsplash image, and those with embedsCoverImage need its bytes.
+ */
+const EXPORT_FORMATS = {
+    geojson: {
+        contentType: 'application/geo+json; charset=utf-8',
+        extension: 'geojson',
+        build: buildGeoJson
+    },
+    gpx: {
+        contentType: 'application/gpx+xml; charset=utf-8',
+        extension: 'gpx',
+        build: buildGpx
+    },
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+        extension: 'kml',
+        build: buildKml
+    },
+    html: {
+        contentType: 'text/html; charset=utf-8',
+        extension: 'html',
+        build: buildHtml,
+        usesCoverImage: true
+    },
+    pdf: {
+        contentType: 'application/pdf',
+        extension: 'pdf',
+        build: buildPdf,
+        usesCoverImage: true,
+        embedsCoverImage: true
+    }
+};
+
+// ========================================
+// MAIN FUNCTIONS
+// ========================================
+
+/**
+ * Exports a trip in the requested format
+ * @param {Object} trip - Stored trip ({ id, title, searchData, itinerary })
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} options - Builder options ({ image, coverImage } for formats with a cover image)
+ * @returns {Promise<Object>} - { content, contentType, extension }
+ */
+const exportTrip = async (trip, format, options = {}) => {
+    const exporter = EXPORT_FORMATS[format];
+
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    return {
+        content: await exporter.build(trip, options),
+        contentType: exporter.contentType,
+        extension: exporter.extension
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    exportTrip,
+    EXPORT_FORMATS
+};
@@ -0,0 +1,300 @@
+/**
+ * Map Format Export
+ *
+ * Converts a stored itinerary into GeoJSON, GPX and KML for mapping tools (Google My Maps, OsmAnd, QGIS).
+ * Every stop with coordinates becomes a point, and the stops of each day are connected in visiting
+ * order by a route whose segments carry the transit leg between them.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { calculateDistanceKm, hasValidCoordinates } = require('../geo');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[MapExport]';
+
+const GPX_CREATOR = 'PlanIT API';
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Escapes text for XML element content and attributes
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+/**
+ * Builds an XML element if it has a value
+ * @param {string} name - Element name
+ * @param {*} value - Text content
+ * @returns {string} - Element or an empty string
+ */
+const xmlElement = (name, value) => {
+    return value === undefined || value === null || value === '' ? '' : `<${name}>${escapeXml(value)}</${name}>`;
+};
+
+/**
+ * Describes a transit leg in one line (e.g., "Subway, 20 minutes - Line 1 southbound")
+ * @param {Object|null} transit - Transit leg
+ * @returns {string} - Description or an empty string
+ */
+const describeTransit = (transit) => {
+    if (!transit) {
+        return '';
+    }
+
+    const summary = [transit.type, transit.duration].filter(Boolean).join(', ');
+    return transit.details ? `${summary} - ${transit.details}` : summary;
+};
+
+/**
+ * Collects the mappable stops and route segments of each day of an itinerary
+ * Stops without valid coordinates are left out; a segment only carries a transit leg when its stops
+ * were consecutive in the plan.
+ * @param {Object} itinerary - Stored itinerary
+ * @returns {Object} - { routes: [{ day, stops, segments }], skippedCount }
+ */
+const collectRoutes = (itinerary) => {
+    const isMultiDay = Array.isArray(itinerary.days);
+    const days = isMultiDay ? itinerary.days : [{ locations: itinerary.locations || [] }];
+    let offset = 0;
+    let skippedCount = 0;
+
+    const routes = days.map((day, dayIndex) => {
+        const locations = day.locations || [];
+        const stops = locations
+            .map((location, position) => ({ index: offset + position, position, location }))
+            .filter(stop => hasValidCoordinates(stop.location.coordinates));
+
+        skippedCount += locations.length - stops.length;
+        offset += locations.length;
+
+        const segments = stops.slice(1).map((to, position) => {
+            const from = stops[position];
+            const distanceKm = calculateDistanceKm(from.location.coordinates, to.location.coordinates);
+            return {
+                from,
+                to,
+                transit: to.position === from.position + 1 ? from.location.transitToNext || null : null,
+                distanceKm: parseFloat(distanceKm.toFixed(2))
+            };
+        });
+
+        return { day: isMultiDay ? day.day || dayIndex + 1 : null, stops, segments };
+    });
+
+    return { routes, skippedCount };
+};
+
+/**
+ * Gets the point properties shared by every format
+ * @param {Object} stop - Collected stop ({ index, location })
+ * @param {number|null} day - Day number for multi-day trips
+ * @returns {Object} - Properties
+ */
+const getStopProperties = (stop, day) => {
+    const { location } = stop;
+
+    return {
+        index: stop.index,
+        ...(day && { day }),
+        name: location.name,
+        category: location.category || null,
+        time: location.time || null,
+        estimatedTime: location.estimatedTime || null,
+        address: location.address || null,
+        description: location.description || null
+    };
+};
+
+/**
+ * Names a route for display
+ * @param {Object} trip - Stored trip
+ * @param {number|null} day - Day number for multi-day trips
+ * @returns {string} - Route name
+ */
+const getRouteName = (trip, day) => {
+    const title = trip.title || trip.itinerary?.city || 'Trip';
+    return day ? `${title} - Day ${day}` : title;
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Builds a GeoJSON FeatureCollection of a trip
+ * Stops are Point features; each day's route is a LineString feature with one segments entry per leg.
+ * @param {Object} trip - Stored trip ({ id, title, itinerary })
+ * @returns {string} - GeoJSON document
+ */
+const buildGeoJson = (trip) => {
+    const { routes, skippedCount } = collectRoutes(trip.itinerary || {});
+    const features = [];
+
+    routes.forEach(({ day, stops }) => {
+        stops.forEach(stop => features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [stop.location.coordinates.longitude, stop.location.coordinates.latitude] },
+            properties: { featureType: 'stop', ...getStopProperties(stop, day) }
+        }));
+    });
+
+    routes.filter(route => route.stops.length > 1).forEach(({ day, stops, segments }) => {
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: stops.map(stop => [stop.location.coordinates.longitude, stop.location.coordinates.latitude])
+            },
+            properties: {
+                featureType: 'route',
+                name: getRouteName(trip, day),
+                ...(day && { day }),
+                segments: segments.map(segment => ({
+                    from: segment.from.location.name,
+                    to: segment.to.location.name,
+                    transitType: segment.transit?.type || null,
+                    duration: segment.transit?.duration || null,
+                    details: segment.transit?.details || null,
+                    distanceKm: segment.distanceKm
+                }))
+            }
+        });
+    });
+
+    console.log(TAG, 'GeoJSON built:', { tripId: trip.id, featureCount: features.length, skippedCount });
+
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: trip.title || null,
+        features
+    }, null, 2);
+};
+
+/**
+ * Builds a GPX 1.1 document of a trip
+ * Stops are waypoints; each day's route is an rte whose points describe the leg to the next stop.
+ * @param {Object} trip - Stored trip ({ id, title, itinerary })
+ * @returns {string} - GPX document
+ */
+const buildGpx = (trip) => {
+    const { routes, skippedCount } = collectRoutes(trip.itinerary || {});
+    const point = (tag, stop, extra = '') => {
+        const { latitude, longitude } = stop.location.coordinates;
+        return `<${tag} lat="${latitude}" lon="${longitude}">${xmlElement('name', stop.location.name)}${extra}</${tag}>`;
+    };
+
+    const waypoints = routes.flatMap(({ day, stops }) => stops.map(stop => {
+        const properties = getStopProperties(stop, day);
+        const comment = [properties.time, properties.estimatedTime, properties.address].filter(Boolean).join(' | ');
+        return `  ${point('wpt', stop, xmlElement('cmt', comment) + xmlElement('desc', properties.description) + xmlElement('type', properties.category))}`;
+    }));
+
+    const gpxRoutes = routes.filter(route => route.stops.length > 1).map(({ day, stops, segments }) => {
+        const routePoints = stops.map((stop, position) => {
+            const segment = segments[position];
+            const leg = segment
+                ? xmlElement('desc', [describeTransit(segment.transit), `${segment.distanceKm} km to ${segment.to.location.name}`].filter(Boolean).join(' | ')) +
+                  xmlElement('type', segment.transit?.type)
+                : '';
+            return `    ${point('rtept', stop, leg)}`;
+        });
+        return [`  <rte>${xmlElement('name', getRouteName(trip, day))}`, ...routePoints, '  </rte>'].join('\n');
+    });
+
+    console.log(TAG, 'GPX built:', { tripId: trip.id, waypointCount: waypoints.length, skippedCount });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        `  <metadata>${xmlElement('name', trip.title)}${xmlElement('desc', trip.itinerary?.city)}</metadata>`,
+        ...waypoints,
+        ...gpxRoutes,
+        '</gpx>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Builds a KML 2.2 document of a trip
+ * Stops are placemarks in a "Stops" folder; every route segment is a LineString placemark with the
+ * transit leg in its ExtendedData.
+ * @param {Object} trip - Stored trip ({ id, title, itinerary })
+ * @returns {string} - KML document
+ */
+const buildKml = (trip) => {
+    const { routes, skippedCount } = collectRoutes(trip.itinerary || {});
+    const coordinate = (stop) => `${stop.location.coordinates.longitude},${stop.location.coordinates.latitude}`;
+    const extendedData = (values) => {
+        const entries = Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`);
+        return entries.length > 0 ? `<ExtendedData>${entries.join('')}</ExtendedData>` : '';
+    };
+
+    const stopPlacemarks = routes.flatMap(({ day, stops }) => stops.map(stop => {
+        const { name, description, ...properties } = getStopProperties(stop, day);
+        return `      <Placemark>${xmlElement('name', name)}${xmlElement('description', description)}` +
+            `<styleUrl>#stop</styleUrl>${extendedData(properties)}<Point><coordinates>${coordinate(stop)}</coordinates></Point></Placemark>`;
+    }));
+
+    const segmentPlacemarks = routes.flatMap(({ day, segments }) => segments.map(segment => {
+        const name = `${segment.from.location.name} → ${segment.to.location.name}`;
+        return `      <Placemark>${xmlElement('name', name)}${xmlElement('description', describeTransit(segment.transit))}` +
+            `<styleUrl>#route</styleUrl>${extendedData({
+                day,
+                transitType: segment.transit?.type,
+                duration: segment.transit?.duration,
+                details: segment.transit?.details,
+                distanceKm: segment.distanceKm
+            })}<LineString><tessellate>1</tessellate><coordinates>${coordinate(segment.from)} ${coordinate(segment.to)}</coordinates></LineString></Placemark>`;
+    }));
+
+    console.log(TAG, 'KML built:', { tripId: trip.id, placemarkCount: stopPlacemarks.length + segmentPlacemarks.length, skippedCount });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    ${xmlElement('name', trip.title || trip.itinerary?.city)}`,
+        '    <Style id="stop"><IconStyle><scale>1.1</scale></IconStyle></Style>',
+        '    <Style id="route"><LineStyle><color>ffd18b1e</color><width>4</width></LineStyle></Style>',
+        '    <Folder><name>Stops</name>',
+        ...stopPlacemarks,
+        '    </Folder>',
+        '    <Folder><name>Route</name>',
+        ...segmentPlacemarks,
+        '    </Folder>',
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildGeoJson,
+    buildGpx,
+    buildKml,
+    collectRoutes,
+    escapeXml
+};
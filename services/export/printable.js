@@ -0,0 +1,358 @@
+/**
+ * Printable Itinerary Export
+ *
+ * Renders a stored itinerary as a print-friendly HTML page or PDF document, entirely on the server.
+ * Both formats show the title, city, summary, a timeline of stops (address, hours, phone, transit
+ * directions), practical tips and the Unsplash cover image with its photographer attribution.
+ * No external service is called; the PDF shows the cover (and its attribution) only when the caller supplies its bytes.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const PDFDocument = require('pdfkit');
+const { getVisitDates } = require('../openingHours');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[PrintExport]';
+
+const PRINT_CONFIG = {
+    referralParams: 'utm_source=planit&utm_medium=referral', // Required on Unsplash attribution links
+    coverHeight: 200,
+    pageMargin: 54 // 0.75 inch
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const PDF_COLORS = {
+    text: '#222222',
+    muted: '#666666',
+    accent: '#1e6fd1'
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {*} value - Raw value
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
+/**
+ * Adds the Unsplash referral parameters to a link
+ * @param {string} url - Unsplash or photographer profile URL
+ * @returns {string} - URL with referral parameters
+ */
+const withReferral = (url) => `${url}${url.includes('?') ? '&' : '?'}${PRINT_CONFIG.referralParams}`;
+
+/**
+ * Keeps a value only if it holds real information (the AI answers "Not available" when it has none)
+ * @param {*} value - Raw value
+ * @returns {string|null} - Value or null
+ */
+const presentValue = (value) => {
+    return typeof value === 'string' && value.trim() && value.trim() !== 'Not available' ? value.trim() : null;
+};
+
+/**
+ * Picks the opening hours to print for a stop
+ * Shows the line for the visit day when there is one, otherwise every line.
+ * @param {Object} location - Itinerary stop
+ * @param {string|null} date - Visit date (YYYY-MM-DD)
+ * @returns {string|null} - Hours text or null if none are known
+ */
+const getHoursText = (location, date) => {
+    const lines = (location.opening_hours?.weekday_text || []).filter(line => typeof line === 'string');
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const weekday = date ? WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] : null;
+    const visitDay = weekday && lines.find(line => line.startsWith(weekday));
+
+    return visitDay || lines.join('; ');
+};
+
+/**
+ * Describes a transit leg as directions (e.g., "Subway · 20 minutes · Line 1 southbound")
+ * @param {Object|null} transit - Transit leg
+ * @returns {string|null} - Directions or null
+ */
+const describeDirections = (transit) => {
+    if (!transit) {
+        return null;
+    }
+    return [transit.type, transit.duration, presentValue(transit.details)].filter(Boolean).join(' · ');
+};
+
+/**
+ * Gathers everything the printable formats show
+ * @param {Object} trip - Stored trip ({ title, location, searchData, itinerary })
+ * @param {Object|null} image - Unsplash cover image (from the Unsplash service)
+ * @returns {Object} - { title, city, summary, days, practicalTips, cover }
+ */
+const buildPrintableItinerary = (trip, image) => {
+    const itinerary = trip.itinerary || {};
+    const isMultiDay = Array.isArray(itinerary.days);
+    const days = isMultiDay ? itinerary.days : [{ locations: itinerary.locations || [] }];
+    const visitDates = getVisitDates({ filters: {}, ...(trip.searchData || {}) }, days.length);
+
+    return {
+        title: trip.title || 'Trip Itinerary',
+        city: itinerary.city || trip.location || null,
+        summary: presentValue(itinerary.summary),
+        lodging: isMultiDay && itinerary.lodging ? {
+            name: itinerary.lodging.name,
+            address: presentValue(itinerary.lodging.address)
+        } : null,
+        days: days.map((day, index) => {
+            const date = day.date || (isMultiDay ? visitDates[index] : null);
+            return {
+                heading: isMultiDay ? [`Day ${day.day || index + 1}`, date, day.title].filter(Boolean).join(' · ') : null,
+                stops: (day.locations || []).map(location => ({
+                    time: presentValue(location.time),
+                    name: location.name,
+                    category: location.category || null,
+                    estimatedTime: presentValue(location.estimatedTime),
+                    description: presentValue(location.description),
+                    address: presentValue(location.address),
+                    hours: getHoursText(location, date || visitDates[index]),
+                    phone: presentValue(location.phone),
+                    website: presentValue(location.website),
+                    directions: describeDirections(location.transitToNext)
+                }))
+            };
+        }),
+        practicalTips: presentValue(itinerary.practicalTips),
+        cover: image?.url ? {
+            url: image.url,
+            alt: image.alt_description || trip.title,
+            photographer: image.photographer?.name || null,
+            photographerUrl: image.photographer?.profile_url ? withReferral(image.photographer.profile_url) : null,
+            unsplashUrl: withReferral('https://unsplash.com/')
+        } : null
+    };
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Renders a trip as a self-contained, print-friendly HTML page
+ * @param {Object} trip - Stored trip
+ * @param {Object} options - { image } (Unsplash cover image, optional)
+ * @returns {string} - HTML document
+ */
+const buildHtml = (trip, options = {}) => {
+    const printable = buildPrintableItinerary(trip, options.image);
+    const field = (label, value) => (value ? `<div class="field"><span class="label">${label}</span> ${escapeHtml(value)}</div>` : '');
+
+    const cover = printable.cover ? `
+    <figure class="cover">
+      <img src="${escapeHtml(printable.cover.url)}" alt="${escapeHtml(printable.cover.alt)}">
+      <figcaption>Photo by ${printable.cover.photographerUrl
+        ? `<a href="${escapeHtml(printable.cover.photographerUrl)}">${escapeHtml(printable.cover.photographer)}</a>`
+        : escapeHtml(printable.cover.photographer || 'an Unsplash contributor')} on <a href="${escapeHtml(printable.cover.unsplashUrl)}">Unsplash</a></figcaption>
+    </figure>` : '';
+
+    const days = printable.days.map(day => {
+        const stops = day.stops.map(stop => `
+        <li class="stop">
+          <div class="time">${escapeHtml(stop.time || '')}</div>
+          <div class="details">
+            <h3>${escapeHtml(stop.name)}${stop.category ? ` <span class="category">${escapeHtml(stop.category)}</span>` : ''}</h3>
+            ${stop.description ? `<p>${escapeHtml(stop.description)}</p>` : ''}
+            ${field('Duration:', stop.estimatedTime)}
+            ${field('Address:', stop.address)}
+            ${field('Hours:', stop.hours)}
+            ${field('Phone:', stop.phone)}
+            ${field('Website:', stop.website)}
+            ${stop.directions ? `<div class="directions">→ ${escapeHtml(stop.directions)}</div>` : ''}
+          </div>
+        </li>`).join('');
+
+        return `
+    <section class="day">
+      ${day.heading ? `<h2>${escapeHtml(day.heading)}</h2>` : ''}
+      <ol class="timeline">${stops}
+      </ol>
+    </section>`;
+    }).join('');
+
+    console.log(TAG, 'HTML built:', { tripId: trip.id, dayCount: printable.days.length, hasCover: !!printable.cover });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(printable.title)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 780px; margin: 0 auto; padding: 24px; line-height: 1.45; }
+    h1 { margin: 16px 0 4px; }
+    .city { color: #666; margin: 0 0 16px; }
+    .cover { margin: 0; }
+    .cover img { width: 100%; max-height: 320px; object-fit: cover; border-radius: 6px; }
+    .cover figcaption { font-size: 12px; color: #666; margin-top: 4px; }
+    .timeline { list-style: none; padding: 0; }
+    .stop { display: flex; gap: 16px; padding: 12px 0; border-bottom: 1px solid #e5e5e5; page-break-inside: avoid; }
+    .time { flex: 0 0 80px; font-weight: bold; }
+    .details h3 { margin: 0 0 4px; font-size: 17px; }
+    .details p { margin: 0 0 6px; }
+    .category { font-size: 12px; font-weight: normal; color: #666; text-transform: capitalize; }
+    .field { font-size: 14px; }
+    .label { color: #666; }
+    .directions { margin-top: 6px; font-size: 14px; color: #1e6fd1; }
+    .tips { background: #f6f6f6; padding: 12px 16px; border-radius: 6px; }
+    footer { margin-top: 24px; font-size: 12px; color: #666; }
+    @media print {
+      body { padding: 0; }
+      a { color: inherit; text-decoration: none; }
+      .day { page-break-before: auto; }
+    }
+  </style>
+</head>
+<body>
+  <header>${cover}
+    <h1>${escapeHtml(printable.title)}</h1>
+    ${printable.city ? `<p class="city">${escapeHtml(printable.city)}</p>` : ''}
+    ${printable.summary ? `<p class="summary">${escapeHtml(printable.summary)}</p>` : ''}
+    ${printable.lodging ? `<p class="lodging"><span class="label">Staying at:</span> ${escapeHtml([printable.lodging.name, printable.lodging.address].filter(Boolean).join(', '))}</p>` : ''}
+  </header>
+  <main>${days}
+  </main>
+  ${printable.practicalTips ? `<section class="tips"><h2>Practical Tips</h2><p>${escapeHtml(printable.practicalTips)}</p></section>` : ''}
+  <footer>Generated by PlanIT on ${new Date().toISOString().slice(0, 10)}</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * Renders a trip as a PDF document
+ * Uses the built-in PDF fonts, so characters outside Latin-1 (e.g., Japanese names) cannot be shown.
+ * Nothing is downloaded: the cover and its attribution are only included when the cover's bytes are passed in.
+ * @param {Object} trip - Stored trip
+ * @param {Object} options - { image, coverImage } where coverImage holds the JPEG or PNG bytes of the cover (optional)
+ * @returns {Promise<Buffer>} - PDF document
+ */
+const buildPdf = async (trip, options = {}) => {
+    const printable = buildPrintableItinerary(trip, options.image);
+    const coverImage = Buffer.isBuffer(options.coverImage) ? options.coverImage : null;
+
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: PRINT_CONFIG.pageMargin,
+        info: { Title: printable.title, Creator: 'PlanIT API' }
+    });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+    const width = doc.page.width - PRINT_CONFIG.pageMargin * 2;
+    const field = (label, value) => {
+        if (value) {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor(PDF_COLORS.muted).text(`${label} `, { continued: true })
+                .font('Helvetica').fillColor(PDF_COLORS.text).text(value);
+        }
+    };
+
+    let hasCover = false;
+    if (printable.cover && coverImage) {
+        try {
+            doc.image(coverImage, { fit: [width, PRINT_CONFIG.coverHeight], align: 'center' });
+            doc.moveDown(0.3);
+            hasCover = true;
+        } catch (error) {
+            console.warn(TAG, 'Cover image could not be embedded:', error.message);
+        }
+    }
+    if (hasCover) {
+        doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+            .text(`Photo by ${printable.cover.photographer || 'an Unsplash contributor'} on Unsplash`, {
+                link: printable.cover.photographerUrl || printable.cover.unsplashUrl
+            });
+        doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(PDF_COLORS.text).text(printable.title);
+    if (printable.city) {
+        doc.font('Helvetica').fontSize(12).fillColor(PDF_COLORS.muted).text(printable.city);
+    }
+    if (printable.summary) {
+        doc.moveDown(0.5).font('Helvetica').fontSize(11).fillColor(PDF_COLORS.text).text(printable.summary);
+    }
+    if (printable.lodging) {
+        doc.moveDown(0.5);
+        field('Staying at:', [printable.lodging.name, printable.lodging.address].filter(Boolean).join(', '));
+    }
+
+    printable.days.forEach(day => {
+        if (day.heading) {
+            doc.moveDown().font('Helvetica-Bold').fontSize(15).fillColor(PDF_COLORS.text).text(day.heading);
+        }
+
+        day.stops.forEach(stop => {
+            doc.moveDown(0.8);
+            doc.font('Helvetica-Bold').fontSize(12).fillColor(PDF_COLORS.text)
+                .text([stop.time, stop.name].filter(Boolean).join('  ·  '));
+            if (stop.category) {
+                doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.muted).text(stop.category);
+            }
+            if (stop.description) {
+                doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.text).text(stop.description);
+            }
+            field('Duration:', stop.estimatedTime);
+            field('Address:', stop.address);
+            field('Hours:', stop.hours);
+            field('Phone:', stop.phone);
+            field('Website:', stop.website);
+            if (stop.directions) {
+                doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.accent).text(`Getting there: ${stop.directions}`);
+            }
+        });
+    });
+
+    if (printable.practicalTips) {
+        doc.moveDown().font('Helvetica-Bold').fontSize(14).fillColor(PDF_COLORS.text).text('Practical Tips');
+        doc.font('Helvetica').fontSize(10).text(printable.practicalTips);
+    }
+
+    doc.moveDown().font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+        .text(`Generated by PlanIT on ${new Date().toISOString().slice(0, 10)}`);
+    doc.end();
+
+    const pdf = await finished;
+    console.log(TAG, 'PDF built:', { tripId: trip.id, bytes: pdf.length, hasCover });
+
+    return pdf;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildHtml,
+    buildPdf,
+    buildPrintableItinerary,
+    escapeHtml
+};
@@ -0,0 +1,126 @@
+/**
+ * Geo Service
+ *
+ * Coordinate helpers used to reason about distances between itinerary stops.
+ * Provides great-circle distances and rough travel-leg estimates without external APIs.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Travel speed assumptions for estimated legs
+ */
+const TRAVEL_CONFIG = {
+    maxWalkingDistanceKm: 1.2, // Longer legs are estimated as public transit
+    walkingSpeedKmh: 4.8,
+    transitSpeedKmh: 20, // Average door-to-door speed of city buses and trains
+    transitOverheadMinutes: 15, // Walking to/from stops and waiting
+    roundToMinutes: 5
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in radians
+ */
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Checks whether a value holds a usable latitude/longitude pair
+ * @param {Object} coordinates - Object with latitude and longitude
+ * @returns {boolean} - True if both values are finite and within range
+ */
+const hasValidCoordinates = (coordinates) => {
+    if (!coordinates) {
+        return false;
+    }
+
+    const { latitude, longitude } = coordinates;
+
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Calculates the great-circle (haversine) distance between two coordinates
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number|null} - Distance in kilometres or null if either coordinate is invalid
+ */
+const calculateDistanceKm = (from, to) => {
+    if (!hasValidCoordinates(from) || !hasValidCoordinates(to)) {
+        return null;
+    }
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimates a travel leg between two stops from their straight-line distance
+ * @param {Object} from - Origin stop (with coordinates)
+ * @param {Object} to - Destination stop (with coordinates)
+ * @returns {Object|null} - Leg in the transitToNext shape or null if coordinates are missing
+ */
+const estimateTravelLeg = (from, to) => {
+    const distanceKm = calculateDistanceKm(from?.coordinates, to?.coordinates);
+
+    if (distanceKm === null) {
+        return null;
+    }
+
+    const roundUp = (minutes) => Math.max(
+        TRAVEL_CONFIG.roundToMinutes,
+        Math.ceil(minutes / TRAVEL_CONFIG.roundToMinutes) * TRAVEL_CONFIG.roundToMinutes
+    );
+    const distanceLabel = `${distanceKm.toFixed(1)} km`;
+
+    if (distanceKm <= TRAVEL_CONFIG.maxWalkingDistanceKm) {
+        const minutes = roundUp(distanceKm / TRAVEL_CONFIG.walkingSpeedKmh * 60);
+        return {
+            type: 'Walk',
+            duration: `${minutes} minutes`,
+            details: `Walk about ${distanceLabel} to ${to.name}`,
+            distanceKm: parseFloat(distanceKm.toFixed(2)),
+            estimated: true
+        };
+    }
+
+    const minutes = roundUp(distanceKm / TRAVEL_CONFIG.transitSpeedKmh * 60 + TRAVEL_CONFIG.transitOverheadMinutes);
+    return {
+        type: 'Bus',
+        duration: `${minutes} minutes`,
+        details: `About ${distanceLabel} to ${to.name} - check local transit routes for the best connection`,
+        distanceKm: parseFloat(distanceKm.toFixed(2)),
+        estimated: true
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    calculateDistanceKm,
+    estimateTravelLeg,
+    hasValidCoordinates,
+    TRAVEL_CONFIG
+};
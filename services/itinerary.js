@@ -0,0 +1,421 @@
+/**
+ * Itinerary Service
+ *
+ * Builds the itinerary object that is persisted with each trip.
+ * Normalizes AI plan results into a stable shape that the rest of the API can query.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { v4: uuidv4 } = require('uuid');
+const { estimateTravelLeg } = require('./geo');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[Itinerary]';
+const MAX_HISTORY_MESSAGES = 10; // Most recent conversation turns replayed to the AI for a refinement
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Flattens the days of a multi-day plan into a single list of stops
+ * Each stop is tagged with its day number so list-based features (regeneration, maps) keep working.
+ * @param {Array<Object>} days - Plan days ({ day, locations })
+ * @returns {Array<Object>} - All stops in visiting order
+ */
+const flattenDays = (days) => {
+    return days.flatMap((day, index) => (day.locations || []).map(location => ({
+        ...location,
+        day: day.day || index + 1
+    })));
+};
+
+/**
+ * Finds the day and position of a stop in a multi-day itinerary from its index in the flattened list
+ * @param {Array<Object>} days - Itinerary days
+ * @param {number} index - Index in the flattened locations
+ * @returns {Object|null} - { dayIndex, locationIndex } or null if the index is out of range
+ */
+const locateInDays = (days, index) => {
+    let remaining = index;
+
+    for (let dayIndex = 0; dayIndex < days.length; dayIndex++) {
+        const count = (days[dayIndex].locations || []).length;
+        if (remaining < count) {
+            return { dayIndex, locationIndex: remaining };
+        }
+        remaining -= count;
+    }
+
+    return null;
+};
+
+/**
+ * Maps every stop of an itinerary, keeping the stops of a multi-day plan's days and its flattened locations in sync
+ * @param {Object} itinerary - Itinerary (not modified)
+ * @param {Function} mapLocation - Called with each stop and its index in the flattened locations
+ * @returns {Object} - New itinerary with the mapped stops
+ */
+const mapStops = (itinerary, mapLocation) => {
+    if (Array.isArray(itinerary.days)) {
+        let index = 0;
+        const days = itinerary.days.map(day => ({
+            ...day,
+            locations: (day.locations || []).map(location => mapLocation(location, index++))
+        }));
+        return { ...itinerary, days, locations: flattenDays(days) };
+    }
+
+    return { ...itinerary, locations: (itinerary.locations || []).map(mapLocation) };
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Builds the persisted itinerary from an AI plan result
+ * Every stop gets an id; when the plan refines a previous itinerary, stops it kept reuse their previous id.
+ * @param {Object} aiResult - Result returned by openaiService.generateTripPlan
+ * @param {Object|null} previousItinerary - Itinerary the plan replaces (optional)
+ * @returns {Object} - Itinerary ready to be stored with the trip
+ */
+const buildItinerary = (aiResult, previousItinerary = null) => {
+    const days = Array.isArray(aiResult.days) ? aiResult.days : null;
+    const built = {
+        city: aiResult.city || null,
+        summary: aiResult.content || '',
+        ...(days && { days, lodging: aiResult.lodging || null }),
+        locations: days ? flattenDays(days) : (Array.isArray(aiResult.locations) ? aiResult.locations : []),
+        practicalTips: aiResult.practicalTips || '',
+        metadata: {
+            aiModel: aiResult.model || null,
+            aiSource: aiResult.source || null,
+            tokenUsage: aiResult.usage || null,
+            processingTime: aiResult.processingTime || null,
+            attempts: aiResult.attempts || 1,
+            repairedFields: aiResult.repairedFields || [],
+            generatedAt: new Date().toISOString()
+        }
+    };
+
+    // Ids are managed by the server, so any the AI echoed back from the conversation are ignored
+    const withoutIds = mapStops(built, ({ id, ...location }) => location);
+    const itinerary = assignStopIds(withoutIds, previousItinerary ? ensureStopIds(previousItinerary).locations : []);
+
+    console.log(TAG, 'Itinerary built:', {
+        city: itinerary.city,
+        dayCount: days ? days.length : 1,
+        locationCount: itinerary.locations.length,
+        aiSource: itinerary.metadata.aiSource
+    });
+
+    return itinerary;
+};
+
+/**
+ * Extracts the plan payload (the JSON shape returned by the AI) from a stored itinerary
+ * Multi-day itineraries are returned as days[] (with the lodging base) instead of a flat locations array.
+ * @param {Object} itinerary - Stored itinerary
+ * @returns {Object} - Plan payload
+ */
+const toPlanPayload = (itinerary) => {
+    if (Array.isArray(itinerary.days)) {
+        return {
+            city: itinerary.city,
+            days: itinerary.days,
+            lodging: itinerary.lodging || null,
+            summary: itinerary.summary,
+            practicalTips: itinerary.practicalTips
+        };
+    }
+
+    return {
+        city: itinerary.city,
+        locations: itinerary.locations,
+        summary: itinerary.summary,
+        practicalTips: itinerary.practicalTips
+    };
+};
+
+/**
+ * Converts stored trip messages into conversation turns that can be replayed to the AI
+ * @param {Array<Object>} messages - Trip messages in chronological order
+ * @returns {Array<Object>} - Conversation turns ({ role, content })
+ */
+const toConversationHistory = (messages) => {
+    return messages.map(message => ({
+        role: message.role,
+        content: message.role === 'assistant' && message.plan
+            ? JSON.stringify(message.plan)
+            : message.content
+    }));
+};
+
+/**
+ * Recomputes the transitToNext legs that start at the given stop indices
+ * Legs are estimated from coordinates; the last stop never has a leg.
+ * @param {Array<Object>} locations - Itinerary locations (not modified)
+ * @param {Array<number>} indices - Indices of the stops whose outgoing leg should be recomputed
+ * @returns {Array<Object>} - New locations array with updated legs
+ */
+const recomputeTransitLegs = (locations, indices) => {
+    const updated = [...locations];
+    
+    indices.forEach(index => {
+        if (index < 0 || index >= updated.length) {
+            return;
+        }
+        
+        const isLast = index === updated.length - 1;
+        updated[index] = {
+            ...updated[index],
+            transitToNext: isLast ? null : estimateTravelLeg(updated[index], updated[index + 1])
+        };
+    });
+    
+    return updated;
+};
+
+/**
+ * Splices a replacement stop into an itinerary, keeping the replaced stop's time slot
+ * For multi-day itineraries the index refers to the flattened locations and only that day's legs change.
+ * @param {Object} itinerary - Stored itinerary
+ * @param {number} index - Index of the stop being replaced
+ * @param {Object} replacement - Replacement location
+ * @returns {Object} - New itinerary with the stop replaced and neighbouring legs recomputed
+ */
+const replaceLocation = (itinerary, index, replacement) => {
+    if (Array.isArray(itinerary.days)) {
+        const position = locateInDays(itinerary.days, index);
+        if (!position) {
+            return itinerary;
+        }
+
+        const { dayIndex, locationIndex } = position;
+        const day = itinerary.days[dayIndex];
+        const { day: dayNumber, ...dayReplacement } = replacement;
+        const updatedDay = { ...day, locations: replaceLocation({ locations: day.locations }, locationIndex, dayReplacement).locations };
+        const days = itinerary.days.map((existing, i) => (i === dayIndex ? updatedDay : existing));
+
+        return { ...itinerary, days, locations: flattenDays(days) };
+    }
+
+    const original = itinerary.locations[index];
+    const locations = [...itinerary.locations];
+    
+    // The replacement takes over the stop's slot, including its id (and so its comments)
+    locations[index] = {
+        ...replacement,
+        ...(original.id && { id: original.id }),
+        category: original.category || replacement.category,
+        time: original.time || replacement.time,
+        estimatedTime: replacement.estimatedTime || original.estimatedTime
+    };
+    
+    // Only plans that include travel legs get them recomputed
+    const hasLegs = itinerary.locations.some(location => location.transitToNext);
+    
+    return {
+        ...itinerary,
+        locations: hasLegs
+            ? recomputeTransitLegs(locations, [index - 1, index])
+            : locations.map((location, i) => (i === index ? { ...location, transitToNext: null } : location))
+    };
+};
+
+/**
+ * Builds the key used to match the same stop across two itineraries
+ * @param {Object} location - Itinerary location
+ * @returns {string} - Normalized location key
+ */
+const getLocationKey = (location) => {
+    return String(location.name || location.address || '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Gets the id of each stop of an itinerary (comments are stored against it)
+ * Stops stored before stops had ids fall back to their name-based key, with an occurrence suffix for
+ * repeated names ("louvre", "louvre#2") so each stop keeps its own thread.
+ * @param {Array<Object>} locations - Stops in itinerary order
+ * @returns {Array<string>} - Id of each stop
+ */
+const getStopIds = (locations) => {
+    const occurrences = new Map();
+
+    return locations.map(location => {
+        const key = getLocationKey(location);
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+        return location.id || (occurrence === 1 ? key : `${key}#${occurrence}`);
+    });
+};
+
+/**
+ * Stores the id of each stop of an itinerary saved before stops had ids
+ * Must be applied before such an itinerary is edited, so that its stops keep their comments when they
+ * are renamed or moved.
+ * @param {Object} itinerary - Stored itinerary (not modified)
+ * @returns {Object} - Itinerary whose stops all have an id
+ */
+const ensureStopIds = (itinerary) => {
+    if ((itinerary.locations || []).every(location => location.id)) {
+        return itinerary;
+    }
+
+    const ids = getStopIds(itinerary.locations || []);
+    return mapStops(itinerary, (location, index) => (location.id ? location : { ...location, id: ids[index] }));
+};
+
+/**
+ * Gives new stops of an itinerary an id
+ * Stops keep a unique id they already have (a copied stop gets a new one). A new stop reuses the id of a
+ * previous stop with the same name that is no longer in the itinerary, otherwise it gets a random id.
+ * @param {Object} itinerary - Itinerary (not modified)
+ * @param {Array<Object>} previousLocations - Stops of the itinerary it replaces, with their ids (optional)
+ * @returns {Object} - Itinerary whose stops all have a unique id
+ */
+const assignStopIds = (itinerary, previousLocations = []) => {
+    const locations = itinerary.locations || [];
+    const usedIds = new Set();
+    const keptIds = locations.map(location => {
+        const keep = typeof location.id === 'string' && location.id !== '' && !usedIds.has(location.id);
+        if (keep) {
+            usedIds.add(location.id);
+        }
+        return keep ? location.id : null;
+    });
+
+    // Ids of previous stops that are free to be reused, by stop name
+    const freeIds = new Map();
+    previousLocations
+        .filter(location => location.id && !usedIds.has(location.id))
+        .forEach(location => {
+            const key = getLocationKey(location);
+            freeIds.set(key, [...(freeIds.get(key) || []), location.id]);
+        });
+
+    const ids = locations.map((location, index) => {
+        const id = keptIds[index] || (freeIds.get(getLocationKey(location)) || []).shift() || uuidv4();
+        usedIds.add(id);
+        return id;
+    });
+
+    return mapStops(itinerary, (location, index) => (location.id === ids[index] ? location : { ...location, id: ids[index] }));
+};
+
+/**
+ * Describes the shape of an itinerary (the day, category and time slot of each stop) without its venues
+ * Used as a template when a trip is recreated for another destination or other preferences.
+ * @param {Object} itinerary - Stored itinerary
+ * @returns {Array<Object>} - Stops in visiting order ({ day, category, time, estimatedTime })
+ */
+const getItineraryStructure = (itinerary) => {
+    return (itinerary?.locations || []).map(location => ({
+        day: location.day || 1,
+        category: location.category || null,
+        time: location.time || null,
+        estimatedTime: location.estimatedTime || null
+    }));
+};
+
+/**
+ * Computes a structural diff between two itineraries
+ * Stops are matched by name; timing changes, reordering and other field edits are reported separately.
+ * @param {Object} fromItinerary - Older itinerary
+ * @param {Object} toItinerary - Newer itinerary
+ * @returns {Object} - Diff ({ added, removed, retimed, reordered, modified, fieldsChanged })
+ */
+const diffItineraries = (fromItinerary, toItinerary) => {
+    const fromLocations = fromItinerary?.locations || [];
+    const toLocations = toItinerary?.locations || [];
+    
+    const fromByKey = new Map(fromLocations.map((location, index) => [getLocationKey(location), { location, index }]));
+    const toByKey = new Map(toLocations.map((location, index) => [getLocationKey(location), { location, index }]));
+    
+    const added = toLocations
+        .map((location, index) => ({ location, index }))
+        .filter(({ location }) => !fromByKey.has(getLocationKey(location)))
+        .map(({ location, index }) => ({ index, name: location.name, time: location.time || null }));
+    
+    const removed = fromLocations
+        .map((location, index) => ({ location, index }))
+        .filter(({ location }) => !toByKey.has(getLocationKey(location)))
+        .map(({ location, index }) => ({ index, name: location.name, time: location.time || null }));
+    
+    // Stops present in both itineraries, in the order they appear in each
+    const commonFrom = fromLocations.map(getLocationKey).filter(key => toByKey.has(key));
+    const commonTo = toLocations.map(getLocationKey).filter(key => fromByKey.has(key));
+    
+    const retimed = [];
+    const reordered = [];
+    const modified = [];
+    const timingFields = ['time', 'estimatedTime'];
+    
+    commonTo.forEach((key, position) => {
+        const before = fromByKey.get(key);
+        const after = toByKey.get(key);
+        
+        if (timingFields.some(field => before.location[field] !== after.location[field])) {
+            retimed.push({
+                name: after.location.name,
+                from: { time: before.location.time || null, estimatedTime: before.location.estimatedTime || null },
+                to: { time: after.location.time || null, estimatedTime: after.location.estimatedTime || null }
+            });
+        }
+        
+        if (commonFrom.indexOf(key) !== position) {
+            reordered.push({ name: after.location.name, fromIndex: before.index, toIndex: after.index });
+        }
+        
+        const fields = [...new Set([...Object.keys(before.location), ...Object.keys(after.location)])]
+            .filter(field => field !== 'id' && !timingFields.includes(field))
+            .filter(field => JSON.stringify(before.location[field]) !== JSON.stringify(after.location[field]));
+        
+        if (fields.length > 0) {
+            modified.push({ name: after.location.name, fields });
+        }
+    });
+    
+    const fieldsChanged = ['city', 'summary', 'practicalTips', 'lodging']
+        .filter(field => JSON.stringify(fromItinerary?.[field] || null) !== JSON.stringify(toItinerary?.[field] || null));
+    
+    return {
+        added,
+        removed,
+        retimed,
+        reordered,
+        modified,
+        fieldsChanged,
+        hasChanges: added.length + removed.length + retimed.length + reordered.length + modified.length + fieldsChanged.length > 0
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildItinerary,
+    toPlanPayload,
+    toConversationHistory,
+    diffItineraries,
+    replaceLocation,
+    recomputeTransitLegs,
+    flattenDays,
+    getLocationKey,
+    getStopIds,
+    ensureStopIds,
+    assignStopIds,
+    getItineraryStructure,
+    MAX_HISTORY_MESSAGES
+};
@@ -0,0 +1,389 @@
+/**
+ * Itinerary Patch Service
+ *
+ * Applies JSON-Patch (RFC 6902) operations to a stored itinerary.
+ * Supports add, remove, replace, move, copy and test on the editable parts of a plan.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { recomputeTransitLegs, getLocationKey, flattenDays } = require('./itinerary');
+const { validatePlan } = require('./planSchema');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[ItineraryPatch]';
+
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+// Top-level itinerary fields that may be edited (metadata is managed by the server)
+const EDITABLE_FIELDS = ['city', 'summary', 'locations', 'days', 'lodging', 'practicalTips'];
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Creates the error thrown when an operation cannot be applied
+ * @param {string} message - Error message
+ * @param {Object} details - Error details ({ index, op, path })
+ * @returns {Error} - ItineraryPatchError
+ */
+const createPatchError = (message, details) => {
+    const error = new Error(message);
+    error.name = 'ItineraryPatchError';
+    error.status = 422;
+    error.details = details;
+    return error;
+};
+
+/**
+ * Parses a JSON Pointer (RFC 6901) into its reference tokens
+ * @param {string} pointer - JSON Pointer (e.g., "/locations/0/time")
+ * @returns {Array<string>|null} - Reference tokens or null if the pointer is malformed
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        return null;
+    }
+
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Resolves an array index token
+ * @param {Array} array - Target array
+ * @param {string} token - Index token ("-" means past the end)
+ * @param {boolean} allowEnd - Whether the index may equal the array length (for add)
+ * @returns {number|null} - Array index or null if invalid
+ */
+const resolveIndex = (array, token, allowEnd) => {
+    if (token === '-') {
+        return allowEnd ? array.length : null;
+    }
+
+    if (!/^(0|[1-9]\d*)$/.test(token)) {
+        return null;
+    }
+
+    const index = Number(token);
+    const max = allowEnd ? array.length : array.length - 1;
+    return index <= max ? index : null;
+};
+
+/**
+ * Finds the container and key addressed by a pointer
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {Object|null} - { parent, key } or null if the parent does not exist
+ */
+const resolveParent = (document, tokens) => {
+    let parent = document;
+
+    for (const token of tokens.slice(0, -1)) {
+        if (parent === null || typeof parent !== 'object') {
+            return null;
+        }
+
+        const key = Array.isArray(parent) ? resolveIndex(parent, token, false) : token;
+
+        if (key === null || !Object.prototype.hasOwnProperty.call(parent, key)) {
+            return null;
+        }
+
+        parent = parent[key];
+    }
+
+    if (parent === null || typeof parent !== 'object') {
+        return null;
+    }
+
+    return { parent, key: tokens[tokens.length - 1] };
+};
+
+/**
+ * Reads the value at a pointer
+ * @param {Object} document - Document being patched
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {Object} - { found, value }
+ */
+const getValue = (document, tokens) => {
+    const target = resolveParent(document, tokens);
+
+    if (!target) {
+        return { found: false };
+    }
+
+    const { parent, key } = target;
+    const resolvedKey = Array.isArray(parent) ? resolveIndex(parent, key, false) : key;
+
+    if (resolvedKey === null || !Object.prototype.hasOwnProperty.call(parent, resolvedKey)) {
+        return { found: false };
+    }
+
+    return { found: true, value: parent[resolvedKey] };
+};
+
+/**
+ * Adds a value at a pointer (inserting into arrays, setting object members)
+ * @returns {boolean} - Whether the value was added
+ */
+const addValue = (document, tokens, value) => {
+    const target = resolveParent(document, tokens);
+
+    if (!target) {
+        return false;
+    }
+
+    const { parent, key } = target;
+
+    if (Array.isArray(parent)) {
+        const index = resolveIndex(parent, key, true);
+        if (index === null) {
+            return false;
+        }
+        parent.splice(index, 0, value);
+        return true;
+    }
+
+    parent[key] = value;
+    return true;
+};
+
+/**
+ * Removes the value at a pointer
+ * @returns {boolean} - Whether the value was removed
+ */
+const removeValue = (document, tokens) => {
+    const target = resolveParent(document, tokens);
+
+    if (!target) {
+        return false;
+    }
+
+    const { parent, key } = target;
+
+    if (Array.isArray(parent)) {
+        const index = resolveIndex(parent, key, false);
+        if (index === null) {
+            return false;
+        }
+        parent.splice(index, 1);
+        return true;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+        return false;
+    }
+
+    delete parent[key];
+    return true;
+};
+
+/**
+ * Applies a single operation to the document in place
+ * @param {Object} document - Document being patched
+ * @param {Object} operation - Patch operation ({ op, path, value, from })
+ * @param {number} index - Position of the operation in the patch
+ */
+const applyOperation = (document, operation, index) => {
+    const { op, path, value, from } = operation;
+    const details = { index, op, path };
+    const tokens = parsePointer(path);
+
+    if (!tokens || tokens.length === 0) {
+        throw createPatchError(`Operation ${index} has an invalid path "${path}"`, details);
+    }
+
+    if (!EDITABLE_FIELDS.includes(tokens[0])) {
+        throw createPatchError(`Operation ${index} targets "${path}", which cannot be edited`, details);
+    }
+
+    // Multi-day plans are edited through their days; locations is derived from them
+    const isMultiDay = Array.isArray(document.days);
+    const fromTokens = parsePointer(from);
+    if ((tokens[0] === 'locations' || fromTokens?.[0] === 'locations') && isMultiDay) {
+        throw createPatchError(`Operation ${index} targets "/locations" of a multi-day plan; edit "/days/<day>/locations" instead`, details);
+    }
+    if ((tokens[0] === 'days' || tokens[0] === 'lodging') && !isMultiDay && op !== 'test') {
+        throw createPatchError(`Operation ${index} targets "${path}", but this plan is not a multi-day plan`, details);
+    }
+
+    switch (op) {
+        case 'add':
+            if (!addValue(document, tokens, value)) {
+                throw createPatchError(`Operation ${index} cannot add a value at "${path}"`, details);
+            }
+            break;
+
+        case 'remove':
+            if (tokens.length === 1 || !removeValue(document, tokens)) {
+                throw createPatchError(`Operation ${index} cannot remove "${path}"`, details);
+            }
+            break;
+
+        case 'replace':
+            if (!getValue(document, tokens).found || !removeValue(document, tokens) || !addValue(document, tokens, value)) {
+                throw createPatchError(`Operation ${index} cannot replace "${path}" because it does not exist`, details);
+            }
+            break;
+
+        case 'move':
+        case 'copy': {
+            if (!fromTokens || !EDITABLE_FIELDS.includes(fromTokens[0])) {
+                throw createPatchError(`Operation ${index} has an invalid from path "${from}"`, { ...details, from });
+            }
+
+            if (op === 'move' && path.startsWith(`${from}/`)) {
+                throw createPatchError(`Operation ${index} cannot move "${from}" into itself`, { ...details, from });
+            }
+
+            const source = getValue(document, fromTokens);
+
+            if (!source.found) {
+                throw createPatchError(`Operation ${index} cannot ${op} "${from}" because it does not exist`, { ...details, from });
+            }
+
+            const copied = JSON.parse(JSON.stringify(source.value));
+
+            if ((op === 'move' && !removeValue(document, fromTokens)) || !addValue(document, tokens, copied)) {
+                throw createPatchError(`Operation ${index} cannot ${op} "${from}" to "${path}"`, { ...details, from });
+            }
+            break;
+        }
+
+        case 'test': {
+            const current = getValue(document, tokens);
+
+            if (!current.found || JSON.stringify(current.value) !== JSON.stringify(value)) {
+                throw createPatchError(`Operation ${index} failed: "${path}" does not match the expected value`, details);
+            }
+            break;
+        }
+
+        default:
+            throw createPatchError(`Operation ${index} has an unsupported op "${op}"`, details);
+    }
+};
+
+/**
+ * Finds validation errors that a patch introduced
+ * Stored plans that predate the strict schema may already fail validation, so only errors that were
+ * not present before the edit are reported. Errors are matched per stop, not per index, so that
+ * reordering does not turn existing problems into new ones.
+ * @param {Object} original - Itinerary before the patch
+ * @param {Object} patched - Itinerary after the patch
+ * @returns {Object} - { value, errors } where value is the normalized patched itinerary
+ */
+const findIntroducedErrors = (original, patched) => {
+    const toStableField = (field, locations) => field.replace(
+        /^locations\[(\d+)\]/,
+        (match, index) => `locations[${getLocationKey(locations[Number(index)] || {})}]`
+    );
+
+    const before = validatePlan(original);
+    const after = validatePlan(patched);
+    const existing = new Set(before.errors.map(error => toStableField(error.field, original.locations || [])));
+
+    return {
+        value: after.value,
+        errors: after.errors.filter(error => !existing.has(toStableField(error.field, patched.locations)))
+    };
+};
+
+/**
+ * Recomputes the legs of stops whose next stop is no longer the same place
+ * Only plans that already had travel legs get them recomputed.
+ * @param {Array<Object>} originalLocations - Stops before the patch
+ * @param {Array<Object>} patchedLocations - Stops after the patch
+ * @returns {Array<Object>} - Patched stops with up-to-date legs
+ */
+const recomputeStaleLegs = (originalLocations, patchedLocations) => {
+    if (!originalLocations.some(location => location?.transitToNext)) {
+        return patchedLocations;
+    }
+
+    const nextKeys = new Map(originalLocations.map((location, index) => [
+        getLocationKey(location),
+        originalLocations[index + 1] ? getLocationKey(originalLocations[index + 1]) : null
+    ]));
+    const staleIndices = patchedLocations
+        .map((location, index) => {
+            const nextKey = patchedLocations[index + 1] ? getLocationKey(patchedLocations[index + 1]) : null;
+            return nextKeys.get(getLocationKey(location)) === nextKey ? null : index;
+        })
+        .filter(index => index !== null);
+
+    return recomputeTransitLegs(patchedLocations, staleIndices);
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Applies JSON-Patch operations to an itinerary
+ * Operations are applied atomically: if any of them fails, or the result breaks the plan schema, the
+ * itinerary is left untouched and an ItineraryPatchError (status 422) is thrown. When the stop order
+ * changes in a plan that has travel legs, the legs of stops whose next stop changed are recomputed.
+ * Multi-day plans are edited through /days (legs are recomputed per day) and their locations are rebuilt.
+ * @param {Object} itinerary - Stored itinerary (not modified)
+ * @param {Array<Object>} operations - Patch operations ({ op, path, value, from })
+ * @returns {Object} - Patched itinerary
+ */
+const applyItineraryPatch = (itinerary, operations) => {
+    const patched = JSON.parse(JSON.stringify(itinerary || {}));
+
+    operations.forEach((operation, index) => applyOperation(patched, operation, index));
+
+    if (Array.isArray(itinerary?.days)) {
+        if (!Array.isArray(patched.days) || patched.days.some(day => !day || !Array.isArray(day.locations))) {
+            throw createPatchError('The patched itinerary must keep a locations array for every day', { path: '/days' });
+        }
+
+        const originalDays = itinerary.days;
+        patched.days = patched.days.map((day, dayIndex) => ({
+            ...day,
+            locations: recomputeStaleLegs(originalDays[dayIndex]?.locations || [], day.locations)
+        }));
+        patched.locations = flattenDays(patched.days);
+    } else {
+        if (!Array.isArray(patched.locations)) {
+            throw createPatchError('The patched itinerary must keep a locations array', { path: '/locations' });
+        }
+
+        patched.locations = recomputeStaleLegs(itinerary?.locations || [], patched.locations);
+    }
+
+    const { value, errors } = findIntroducedErrors(itinerary || {}, patched);
+
+    if (errors.length > 0) {
+        console.warn(TAG, 'Patched itinerary failed validation:', errors);
+        throw createPatchError('The edited itinerary is not a valid plan', { errors });
+    }
+
+    console.log(TAG, 'Patch applied:', {
+        operations: operations.length,
+        locationCount: value.locations.length
+    });
+
+    return value;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    applyItineraryPatch,
+    parsePointer,
+    PATCH_OPERATIONS,
+    EDITABLE_FIELDS
+};
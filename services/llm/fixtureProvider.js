@@ -0,0 +1,134 @@
+/**
+ * Fixture LLM Provider
+ *
+ * Deterministic stand-in for a real model, used for tests and offline development.
+ * Answers plan requests with a seeded mock plan built from the fixture city library
+ * and streams it in fixed-size chunks.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { generateMockPlan } = require('./mockPlans');
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const FIXTURE_CONFIG = {
+    model: 'fixture',
+    streamChunkSize: 64, // Characters per streamed chunk
+    acknowledgement: 'Hello from PlanIT!' // Reply to requests without a plan context (e.g., connection tests)
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Builds the fixture reply for a request
+ * @param {Object} context - Request context ({ searchData })
+ * @returns {string} - Reply content
+ */
+const buildReply = (context = {}) => {
+    return context.searchData
+        ? JSON.stringify(generateMockPlan(context.searchData))
+        : FIXTURE_CONFIG.acknowledgement;
+};
+
+/**
+ * Estimates token usage from text length (about 4 characters per token)
+ * @param {Array<Object>} messages - Chat messages
+ * @param {string} content - Reply content
+ * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+const estimateUsage = (messages, content) => {
+    const promptTokens = Math.ceil(messages.reduce((total, message) => total + (message.content || '').length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+};
+
+// ========================================
+// MAIN PROVIDER FUNCTIONS
+// ========================================
+
+/**
+ * Creates the deterministic fixture provider
+ * @returns {Object} - Provider ({ name, model, complete, stream, getStatus })
+ */
+const createFixtureProvider = () => {
+    /**
+     * Returns the fixture reply as a single completion
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options ({ context })
+     * @returns {Promise<Object>} - { content, finishReason, model, usage, latencyMs }
+     */
+    const complete = async (messages, options = {}) => {
+        const startTime = Date.now();
+        const content = buildReply(options.context);
+
+        return {
+            content,
+            finishReason: 'stop',
+            model: FIXTURE_CONFIG.model,
+            usage: estimateUsage(messages, content),
+            latencyMs: Date.now() - startTime
+        };
+    };
+
+    /**
+     * Streams the fixture reply in fixed-size chunks
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options ({ context, signal })
+     * @returns {AsyncGenerator<Object>} - Chunks ({ delta, finishReason, model, usage })
+     */
+    const stream = async function* (messages, options = {}) {
+        const content = buildReply(options.context);
+
+        for (let offset = 0; offset < content.length; offset += FIXTURE_CONFIG.streamChunkSize) {
+            if (options.signal?.aborted) {
+                const abortError = new Error('Request was aborted');
+                abortError.name = 'AbortError';
+                throw abortError;
+            }
+
+            const isLast = offset + FIXTURE_CONFIG.streamChunkSize >= content.length;
+            yield {
+                delta: content.slice(offset, offset + FIXTURE_CONFIG.streamChunkSize),
+                finishReason: isLast ? 'stop' : null,
+                model: FIXTURE_CONFIG.model,
+                usage: isLast ? estimateUsage(messages, content) : null
+            };
+
+            // Yield to the event loop so chunks are delivered progressively
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+
+    return {
+        name: 'fixture',
+        model: FIXTURE_CONFIG.model,
+        complete,
+        stream,
+        getStatus: () => ({
+            provider: 'fixture',
+            model: FIXTURE_CONFIG.model,
+            baseURL: null
+        })
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createFixtureProvider
+};
@@ -0,0 +1,652 @@
+/**
+ * Fixture City Library
+ *
+ * Real venues in a handful of cities used to build mock trip plans.
+ * Each city has general venues (attractions, activities, shopping) and restaurants across all price ranges.
+ * Venue tags match the special options of a plan request (tourist, local, family, date, adventure, casual).
+ * The lodging entry is the suggested base for multi-day plans.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+const CITIES = [
+    {
+        key: 'vancouver',
+        displayName: 'Vancouver, BC, Canada',
+        aliases: ['vancouver', 'yvr', 'granville island', 'gastown'],
+        center: { latitude: 49.2827, longitude: -123.1207 },
+        transitType: 'Bus',
+        tips: 'Compass Cards work on buses, SkyTrain and the SeaBus. Dress in layers - the weather near the water changes quickly.',
+        lodging: {
+            name: 'Opus Vancouver',
+            address: '322 Davie St, Vancouver, BC V6B 5Z6',
+            description: 'Boutique hotel in Yaletown, close to the Canada Line and the False Creek seawall.',
+            priceRange: '$$$',
+            coordinates: { latitude: 49.2747, longitude: -123.1218 }
+        },
+        venues: [
+            {
+                name: 'Queen Elizabeth Park – Quarry Garden',
+                address: '4600 Cambie St, Vancouver, BC V5Y 2M4',
+                description: 'A serene sunken garden in an old quarry with flowering beds and views over the city.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 45,
+                coordinates: { latitude: 49.2416, longitude: -123.1133 }, rating: 4.4,
+                phone: 'Not available', website: 'https://vancouver.ca/parks-recreation-culture/queen-elizabeth-park.aspx',
+                hours: ['Monday–Sunday: 5:30 AM–10:00 PM'], tags: ['local', 'date', 'family', 'casual']
+            },
+            {
+                name: 'Stanley Park Seawall',
+                address: 'Stanley Park Dr, Vancouver, BC V6G 1Z4',
+                description: 'Walk or cycle the waterfront path around Stanley Park with views of the North Shore mountains.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 49.3043, longitude: -123.1443 }, rating: 4.8,
+                phone: 'Not available', website: 'https://vancouver.ca/parks-recreation-culture/stanley-park.aspx',
+                hours: ['Monday–Sunday: Open 24 hours'], tags: ['tourist', 'family', 'adventure', 'date']
+            },
+            {
+                name: 'Granville Island Public Market',
+                address: '1669 Johnston St, Vancouver, BC V6H 3R9',
+                description: 'Browse local produce, artisan stalls and street performers in a busy waterfront market hall.',
+                category: 'shopping', priceRange: '$', environment: 'indoor', durationMinutes: 75,
+                coordinates: { latitude: 49.2712, longitude: -123.1340 }, rating: 4.6,
+                phone: '+1 604-666-6655', website: 'https://granvilleisland.com/public-market',
+                hours: ['Monday–Sunday: 9:00 AM–6:00 PM'], tags: ['tourist', 'family', 'casual']
+            },
+            {
+                name: 'Museum of Anthropology at UBC',
+                address: '6393 NW Marine Dr, Vancouver, BC V6T 1Z2',
+                description: 'Monumental Northwest Coast First Nations carvings in a striking glass-walled hall.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 120,
+                coordinates: { latitude: 49.2694, longitude: -123.2595 }, rating: 4.7,
+                phone: '+1 604-822-5087', website: 'https://moa.ubc.ca',
+                hours: ['Tuesday–Sunday: 10:00 AM–5:00 PM'], tags: ['tourist', 'family', 'date']
+            },
+            {
+                name: 'Capilano Suspension Bridge Park',
+                address: '3735 Capilano Rd, North Vancouver, BC V7R 4J1',
+                description: 'Cross a swaying bridge 70 metres above the Capilano River and explore the treetop walkways.',
+                category: 'attraction', priceRange: '$$$', environment: 'outdoor', durationMinutes: 120,
+                coordinates: { latitude: 49.3429, longitude: -123.1149 }, rating: 4.6,
+                phone: '+1 604-985-7474', website: 'https://www.capbridge.com',
+                hours: ['Monday–Sunday: 9:00 AM–6:00 PM'], tags: ['tourist', 'adventure', 'family']
+            },
+            {
+                name: 'Lighthouse Park',
+                address: '4902 Beacon Ln, West Vancouver, BC V7W 1K5',
+                description: 'Old-growth forest trails leading to rocky bluffs and the Point Atkinson lighthouse.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 49.3394, longitude: -123.2634 }, rating: 4.7,
+                phone: 'Not available', website: 'https://westvancouver.ca/parks-recreation/parks/lighthouse-park',
+                hours: ['Monday–Sunday: 6:00 AM–10:00 PM'], tags: ['local', 'adventure']
+            },
+            {
+                name: 'Main Street Vintage Shops',
+                address: 'Main St between E 18th Ave and E 28th Ave, Vancouver, BC',
+                description: 'A stretch of independent vintage stores, record shops and local design boutiques.',
+                category: 'shopping', priceRange: '$$', environment: 'mixed', durationMinutes: 60,
+                coordinates: { latitude: 49.2530, longitude: -123.1010 }, rating: 4.4,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Sunday: 11:00 AM–6:00 PM'], tags: ['local', 'casual']
+            }
+        ],
+        restaurants: [
+            {
+                name: 'Jam Café',
+                address: '556 Beatty St, Vancouver, BC V6B 2L3',
+                description: 'Hearty all-day breakfasts and inventive benedicts in a bright, busy room.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 60, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 49.2803, longitude: -123.1097 }, rating: 4.5,
+                phone: '+1 778-379-1992', website: 'https://jamcafes.com',
+                hours: ['Monday–Sunday: 8:00 AM–3:00 PM'], tags: ['casual', 'family']
+            },
+            {
+                name: 'Phnom Penh',
+                address: '244 E Georgia St, Vancouver, BC V6A 1Z7',
+                description: 'Chinatown institution for Cambodian-Vietnamese butter beef and garlic chicken wings.',
+                category: 'restaurant', priceRange: '$$', environment: 'indoor', durationMinutes: 60, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 49.2794, longitude: -123.0983 }, rating: 4.4,
+                phone: '+1 604-682-5777', website: 'Not available',
+                hours: ['Monday–Sunday: 10:00 AM–9:00 PM'], tags: ['local', 'casual', 'family']
+            },
+            {
+                name: 'Japadog',
+                address: '530 Robson St, Vancouver, BC V6B 2B7',
+                description: 'Japanese-inspired hot dogs topped with seaweed, bonito and teriyaki.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 30, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 49.2810, longitude: -123.1202 }, rating: 4.3,
+                phone: '+1 604-569-1158', website: 'https://www.japadog.com',
+                hours: ['Monday–Sunday: 11:00 AM–9:00 PM'], tags: ['tourist', 'casual', 'family']
+            },
+            {
+                name: 'Miku',
+                address: '200 Granville St #70, Vancouver, BC V6C 1S4',
+                description: 'Flame-seared aburi sushi with harbour and mountain views.',
+                category: 'restaurant', priceRange: '$$$', environment: 'indoor', durationMinutes: 90, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 49.2870, longitude: -123.1130 }, rating: 4.6,
+                phone: '+1 604-568-3900', website: 'https://mikurestaurant.com',
+                hours: ['Monday–Sunday: 11:30 AM–10:00 PM'], tags: ['date', 'tourist']
+            },
+            {
+                name: 'Hawksworth Restaurant',
+                address: '801 W Georgia St, Vancouver, BC V6C 1P7',
+                description: 'Refined contemporary Canadian tasting menus in the Rosewood Hotel Georgia.',
+                category: 'restaurant', priceRange: '$$$+', environment: 'indoor', durationMinutes: 120, meals: ['dinner'],
+                coordinates: { latitude: 49.2836, longitude: -123.1180 }, rating: 4.6,
+                phone: '+1 604-673-7000', website: 'https://hawksworthrestaurant.com',
+                hours: ['Monday–Sunday: 5:00 PM–10:00 PM'], tags: ['date']
+            }
+        ]
+    },
+    {
+        key: 'toronto',
+        displayName: 'Toronto, ON, Canada',
+        aliases: ['toronto', 'yyz', 'the six', 'kensington market'],
+        center: { latitude: 43.6532, longitude: -79.3832 },
+        transitType: 'Subway',
+        tips: 'A PRESTO card or tap-to-pay covers the TTC subway, streetcars and buses. The PATH keeps you indoors downtown in bad weather.',
+        lodging: {
+            name: 'The Drake Hotel',
+            address: '1150 Queen St W, Toronto, ON M6J 1J3',
+            description: 'Art-filled hotel on West Queen West with the 501 streetcar at the door.',
+            priceRange: '$$$',
+            coordinates: { latitude: 43.6432, longitude: -79.4246 }
+        },
+        venues: [
+            {
+                name: 'CN Tower',
+                address: '290 Bremner Blvd, Toronto, ON M5V 3L9',
+                description: 'Ride to the observation deck and step onto the glass floor 342 metres above the city.',
+                category: 'attraction', priceRange: '$$$', environment: 'indoor', durationMinutes: 90,
+                coordinates: { latitude: 43.6426, longitude: -79.3871 }, rating: 4.6,
+                phone: '+1 416-868-6937', website: 'https://www.cntower.ca',
+                hours: ['Monday–Sunday: 9:00 AM–10:00 PM'], tags: ['tourist', 'family', 'date']
+            },
+            {
+                name: 'Kensington Market',
+                address: 'Kensington Ave, Toronto, ON M5T 2K2',
+                description: 'Wander a bohemian neighbourhood of vintage shops, produce stalls and street art.',
+                category: 'shopping', priceRange: '$', environment: 'outdoor', durationMinutes: 75,
+                coordinates: { latitude: 43.6547, longitude: -79.4003 }, rating: 4.5,
+                phone: 'Not available', website: 'https://www.kensington-market.ca',
+                hours: ['Monday–Sunday: 10:00 AM–7:00 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'Art Gallery of Ontario',
+                address: '317 Dundas St W, Toronto, ON M5T 1G4',
+                description: 'Canadian and European collections in a building reimagined by Frank Gehry.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 120,
+                coordinates: { latitude: 43.6536, longitude: -79.3925 }, rating: 4.7,
+                phone: '+1 416-979-6648', website: 'https://ago.ca',
+                hours: ['Tuesday–Sunday: 10:30 AM–5:00 PM'], tags: ['tourist', 'date', 'family']
+            },
+            {
+                name: 'Toronto Islands Ferry and Centre Island',
+                address: '9 Queens Quay W, Toronto, ON M5J 2H3',
+                description: 'A short ferry ride to car-free islands with beaches, bike paths and skyline views.',
+                category: 'activity', priceRange: '$', environment: 'outdoor', durationMinutes: 150,
+                coordinates: { latitude: 43.6205, longitude: -79.3786 }, rating: 4.6,
+                phone: '+1 416-392-8193', website: 'https://www.toronto.ca/explore-enjoy/parks-gardens-beaches/toronto-island-park',
+                hours: ['Monday–Sunday: 8:00 AM–10:00 PM'], tags: ['family', 'adventure', 'tourist']
+            },
+            {
+                name: 'Distillery Historic District',
+                address: '55 Mill St, Toronto, ON M5A 3C4',
+                description: 'Cobblestone lanes of restored Victorian industrial buildings filled with galleries and boutiques.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 43.6503, longitude: -79.3596 }, rating: 4.6,
+                phone: '+1 416-364-1177', website: 'https://www.thedistillerydistrict.com',
+                hours: ['Monday–Sunday: 10:00 AM–7:00 PM'], tags: ['date', 'tourist', 'casual']
+            },
+            {
+                name: 'High Park',
+                address: '1873 Bloor St W, Toronto, ON M6R 2Z3',
+                description: 'The city\'s largest park, with hiking trails, Grenadier Pond and a small zoo.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 43.6465, longitude: -79.4637 }, rating: 4.7,
+                phone: 'Not available', website: 'https://www.highparktoronto.com',
+                hours: ['Monday–Sunday: Open 24 hours'], tags: ['local', 'family', 'adventure']
+            },
+            {
+                name: 'Royal Ontario Museum',
+                address: '100 Queens Park, Toronto, ON M5S 2C6',
+                description: 'Natural history and world cultures, from dinosaur skeletons to the Crystal gallery.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 150,
+                coordinates: { latitude: 43.6677, longitude: -79.3948 }, rating: 4.7,
+                phone: '+1 416-586-8000', website: 'https://www.rom.on.ca',
+                hours: ['Monday–Sunday: 10:00 AM–5:30 PM'], tags: ['tourist', 'family']
+            }
+        ],
+        restaurants: [
+            {
+                name: 'Lady Marmalade',
+                address: '265 Broadview Ave, Toronto, ON M4M 2G6',
+                description: 'Leslieville brunch favourite known for eggs benny and huevos rancheros.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 60, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 43.6617, longitude: -79.3505 }, rating: 4.5,
+                phone: '+1 647-351-7645', website: 'https://www.ladymarmalade.ca',
+                hours: ['Monday–Sunday: 8:00 AM–3:00 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'St. Lawrence Market',
+                address: '93 Front St E, Toronto, ON M5E 1C3',
+                description: 'Historic food hall - grab the famous peameal bacon sandwich.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 45, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 43.6487, longitude: -79.3716 }, rating: 4.6,
+                phone: '+1 416-392-7219', website: 'https://www.stlawrencemarket.com',
+                hours: ['Tuesday–Saturday: 8:00 AM–6:00 PM'], tags: ['tourist', 'family', 'casual']
+            },
+            {
+                name: 'Pai Northern Thai Kitchen',
+                address: '18 Duncan St, Toronto, ON M5H 3G8',
+                description: 'Lively basement spot for khao soi and Northern Thai curries.',
+                category: 'restaurant', priceRange: '$$', environment: 'indoor', durationMinutes: 75, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 43.6479, longitude: -79.3886 }, rating: 4.6,
+                phone: '+1 416-901-4724', website: 'https://www.paitoronto.com',
+                hours: ['Monday–Sunday: 11:30 AM–10:00 PM'], tags: ['local', 'casual', 'date']
+            },
+            {
+                name: 'Canoe',
+                address: '66 Wellington St W 54th Floor, Toronto, ON M5K 1H6',
+                description: 'Modern Canadian cuisine 54 floors above the Financial District.',
+                category: 'restaurant', priceRange: '$$$+', environment: 'indoor', durationMinutes: 120, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 43.6476, longitude: -79.3812 }, rating: 4.6,
+                phone: '+1 416-364-0054', website: 'https://www.canoerestaurant.com',
+                hours: ['Monday–Friday: 11:45 AM–10:00 PM'], tags: ['date']
+            },
+            {
+                name: 'Bar Isabel',
+                address: '797 College St, Toronto, ON M6G 1C7',
+                description: 'Candle-lit Spanish tapas bar in Little Italy.',
+                category: 'restaurant', priceRange: '$$$', environment: 'indoor', durationMinutes: 90, meals: ['dinner'],
+                coordinates: { latitude: 43.6546, longitude: -79.4219 }, rating: 4.5,
+                phone: '+1 416-532-2222', website: 'https://barisabel.com',
+                hours: ['Monday–Sunday: 5:00 PM–11:00 PM'], tags: ['date', 'local']
+            }
+        ]
+    },
+    {
+        key: 'paris',
+        displayName: 'Paris, Île-de-France, France',
+        aliases: ['paris', 'montmartre', 'le marais'],
+        center: { latitude: 48.8566, longitude: 2.3522 },
+        transitType: 'Metro',
+        tips: 'Buy a Navigo Easy card for the Métro and RER. Many museums close on Monday or Tuesday, and restaurants often stop serving lunch at 2:30 PM.',
+        lodging: {
+            name: 'Hôtel des Grands Boulevards',
+            address: '17 Boulevard Poissonnière, 75002 Paris, France',
+            description: 'Small hotel in the 2nd arrondissement, a short Métro ride from both banks.',
+            priceRange: '$$$',
+            coordinates: { latitude: 48.871, longitude: 2.3448 }
+        },
+        venues: [
+            {
+                name: 'Musée d\'Orsay',
+                address: '1 Rue de la Légion d\'Honneur, 75007 Paris',
+                description: 'Impressionist masterpieces inside a grand Beaux-Arts railway station.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 150,
+                coordinates: { latitude: 48.8600, longitude: 2.3266 }, rating: 4.8,
+                phone: '+33 1 40 49 48 14', website: 'https://www.musee-orsay.fr',
+                hours: ['Tuesday–Sunday: 9:30 AM–6:00 PM'], tags: ['tourist', 'date', 'family']
+            },
+            {
+                name: 'Eiffel Tower',
+                address: 'Champ de Mars, 5 Av. Anatole France, 75007 Paris',
+                description: 'Climb or ride to the summit of Paris\'s iron icon for sweeping city views.',
+                category: 'attraction', priceRange: '$$$', environment: 'outdoor', durationMinutes: 120,
+                coordinates: { latitude: 48.8584, longitude: 2.2945 }, rating: 4.7,
+                phone: '+33 892 70 12 39', website: 'https://www.toureiffel.paris',
+                hours: ['Monday–Sunday: 9:30 AM–11:00 PM'], tags: ['tourist', 'date', 'family']
+            },
+            {
+                name: 'Canal Saint-Martin',
+                address: 'Quai de Valmy, 75010 Paris',
+                description: 'Stroll the tree-lined canal with its iron footbridges, locks and waterside cafés.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 48.8722, longitude: 2.3654 }, rating: 4.5,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Sunday: Open 24 hours'], tags: ['local', 'date', 'casual']
+            },
+            {
+                name: 'Sacré-Cœur and Montmartre',
+                address: '35 Rue du Chevalier de la Barre, 75018 Paris',
+                description: 'Climb the hill to the white basilica, then wander the painters\' square and winding lanes.',
+                category: 'attraction', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 48.8867, longitude: 2.3431 }, rating: 4.7,
+                phone: '+33 1 53 41 89 00', website: 'https://www.sacre-coeur-montmartre.com',
+                hours: ['Monday–Sunday: 6:30 AM–10:30 PM'], tags: ['tourist', 'date', 'adventure']
+            },
+            {
+                name: 'Marché des Enfants Rouges',
+                address: '39 Rue de Bretagne, 75003 Paris',
+                description: 'The city\'s oldest covered market, packed with produce stalls and counters serving lunch.',
+                category: 'shopping', priceRange: '$', environment: 'indoor', durationMinutes: 45,
+                coordinates: { latitude: 48.8628, longitude: 2.3620 }, rating: 4.4,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Tuesday–Sunday: 8:30 AM–8:30 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'Jardin du Luxembourg',
+                address: 'Rue de Médicis, 75006 Paris',
+                description: 'Formal gardens with fountains, toy sailboats on the pond and shady chestnut alleys.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 48.8462, longitude: 2.3372 }, rating: 4.7,
+                phone: 'Not available', website: 'https://www.senat.fr/visite/jardin',
+                hours: ['Monday–Sunday: 7:30 AM–9:30 PM'], tags: ['family', 'date', 'casual']
+            },
+            {
+                name: 'Shakespeare and Company',
+                address: '37 Rue de la Bûcherie, 75005 Paris',
+                description: 'Legendary English-language bookshop facing Notre-Dame.',
+                category: 'shopping', priceRange: '$', environment: 'indoor', durationMinutes: 45,
+                coordinates: { latitude: 48.8526, longitude: 2.3471 }, rating: 4.6,
+                phone: '+33 1 43 25 40 93', website: 'https://shakespeareandcompany.com',
+                hours: ['Monday–Sunday: 10:00 AM–8:00 PM'], tags: ['tourist', 'local', 'date']
+            }
+        ],
+        restaurants: [
+            {
+                name: 'Café de Flore',
+                address: '172 Bd Saint-Germain, 75006 Paris',
+                description: 'Classic Left Bank café for croissants and café crème on the terrace.',
+                category: 'restaurant', priceRange: '$$', environment: 'indoor', durationMinutes: 45, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 48.8541, longitude: 2.3326 }, rating: 4.2,
+                phone: '+33 1 45 48 55 26', website: 'https://cafedeflore.fr',
+                hours: ['Monday–Sunday: 7:30 AM–1:30 AM'], tags: ['tourist', 'date']
+            },
+            {
+                name: 'L\'As du Fallafel',
+                address: '34 Rue des Rosiers, 75004 Paris',
+                description: 'Overflowing falafel pitas from a Marais institution - expect a line that moves fast.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 30, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 48.8574, longitude: 2.3590 }, rating: 4.5,
+                phone: '+33 1 48 87 63 60', website: 'Not available',
+                hours: ['Sunday–Thursday: 11:00 AM–11:00 PM'], tags: ['local', 'casual', 'family']
+            },
+            {
+                name: 'Bouillon Chartier',
+                address: '7 Rue du Faubourg Montmartre, 75009 Paris',
+                description: 'Belle Époque dining hall serving classic French dishes at bistro prices.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 60, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 48.8719, longitude: 2.3434 }, rating: 4.3,
+                phone: '+33 1 47 70 86 29', website: 'https://www.bouillon-chartier.com',
+                hours: ['Monday–Sunday: 11:30 AM–12:00 AM'], tags: ['tourist', 'casual', 'family']
+            },
+            {
+                name: 'Le Comptoir du Relais',
+                address: '9 Carrefour de l\'Odéon, 75006 Paris',
+                description: 'Bustling Saint-Germain bistro with generous French classics.',
+                category: 'restaurant', priceRange: '$$$', environment: 'indoor', durationMinutes: 90, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 48.8519, longitude: 2.3387 }, rating: 4.4,
+                phone: '+33 1 44 27 07 50', website: 'https://www.hotel-paris-relais-saint-germain.com',
+                hours: ['Monday–Sunday: 12:00 PM–11:00 PM'], tags: ['date', 'local']
+            },
+            {
+                name: 'Le Jules Verne',
+                address: 'Avenue Gustave Eiffel, 75007 Paris',
+                description: 'Haute cuisine on the second floor of the Eiffel Tower.',
+                category: 'restaurant', priceRange: '$$$+', environment: 'indoor', durationMinutes: 150, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 48.8583, longitude: 2.2944 }, rating: 4.5,
+                phone: '+33 1 83 77 34 34', website: 'https://www.restaurants-toureiffel.com',
+                hours: ['Monday–Sunday: 12:00 PM–1:30 PM', 'Monday–Sunday: 7:00 PM–9:30 PM'], tags: ['date', 'tourist']
+            }
+        ]
+    },
+    {
+        key: 'tokyo',
+        displayName: 'Tokyo, Japan',
+        aliases: ['tokyo', 'shibuya', 'shinjuku', 'asakusa'],
+        center: { latitude: 35.6762, longitude: 139.6503 },
+        transitType: 'Subway',
+        tips: 'Load a Suica or PASMO card for trains, subways and convenience stores. Many small restaurants are cash only, and tipping is not expected.',
+        lodging: {
+            name: 'Hotel Gracery Shinjuku',
+            address: '1-19-1 Kabukicho, Shinjuku City, Tokyo 160-8466, Japan',
+            description: 'Well-connected hotel next to Shinjuku Station, the busiest rail hub in the city.',
+            priceRange: '$$',
+            coordinates: { latitude: 35.6948, longitude: 139.7018 }
+        },
+        venues: [
+            {
+                name: 'Senso-ji',
+                address: '2-3-1 Asakusa, Taito City, Tokyo 111-0032',
+                description: 'Tokyo\'s oldest temple, reached through the Kaminarimon gate and the Nakamise shopping street.',
+                category: 'attraction', priceRange: 'Free', environment: 'outdoor', durationMinutes: 75,
+                coordinates: { latitude: 35.7148, longitude: 139.7967 }, rating: 4.5,
+                phone: '+81 3-3842-0181', website: 'https://www.senso-ji.jp',
+                hours: ['Monday–Sunday: 6:00 AM–5:00 PM'], tags: ['tourist', 'family']
+            },
+            {
+                name: 'Meiji Jingu',
+                address: '1-1 Yoyogikamizonocho, Shibuya City, Tokyo 151-8557',
+                description: 'A Shinto shrine set in a quiet forest right next to Harajuku.',
+                category: 'attraction', priceRange: 'Free', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 35.6764, longitude: 139.6993 }, rating: 4.6,
+                phone: '+81 3-3379-5511', website: 'https://www.meijijingu.or.jp',
+                hours: ['Monday–Sunday: 5:00 AM–6:00 PM'], tags: ['tourist', 'date', 'family']
+            },
+            {
+                name: 'teamLab Planets',
+                address: '6-1-16 Toyosu, Koto City, Tokyo 135-0061',
+                description: 'Walk barefoot through immersive digital art rooms, some knee-deep in water.',
+                category: 'activity', priceRange: '$$$', environment: 'indoor', durationMinutes: 120,
+                coordinates: { latitude: 35.6491, longitude: 139.7898 }, rating: 4.6,
+                phone: 'Not available', website: 'https://www.teamlab.art/e/planets',
+                hours: ['Monday–Sunday: 9:00 AM–10:00 PM'], tags: ['tourist', 'date', 'family', 'adventure']
+            },
+            {
+                name: 'Yanaka Ginza',
+                address: '3-13-1 Yanaka, Taito City, Tokyo 110-0001',
+                description: 'An old-Tokyo shopping street with family-run snack stalls and craft shops.',
+                category: 'shopping', priceRange: '$', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 35.7278, longitude: 139.7660 }, rating: 4.3,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Sunday: 10:00 AM–7:00 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'Shibuya Sky',
+                address: '2-24-12 Shibuya, Shibuya City, Tokyo 150-6145',
+                description: 'Open-air rooftop deck 229 metres above the Shibuya scramble crossing.',
+                category: 'attraction', priceRange: '$$', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 35.6585, longitude: 139.7020 }, rating: 4.7,
+                phone: '+81 3-4221-0229', website: 'https://www.shibuya-scramble-square.com/sky',
+                hours: ['Monday–Sunday: 10:00 AM–10:30 PM'], tags: ['tourist', 'date']
+            },
+            {
+                name: 'Shimokitazawa',
+                address: 'Kitazawa, Setagaya City, Tokyo 155-0031',
+                description: 'Bohemian neighbourhood of thrift stores, tiny cafés and live music bars.',
+                category: 'shopping', priceRange: '$$', environment: 'mixed', durationMinutes: 90,
+                coordinates: { latitude: 35.6616, longitude: 139.6681 }, rating: 4.4,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Sunday: 11:00 AM–8:00 PM'], tags: ['local', 'casual', 'date']
+            },
+            {
+                name: 'Tokyo National Museum',
+                address: '13-9 Uenokoen, Taito City, Tokyo 110-8712',
+                description: 'Japan\'s largest collection of samurai armour, ceramics and Buddhist art.',
+                category: 'attraction', priceRange: '$', environment: 'indoor', durationMinutes: 120,
+                coordinates: { latitude: 35.7188, longitude: 139.7765 }, rating: 4.6,
+                phone: '+81 50-5541-8600', website: 'https://www.tnm.jp',
+                hours: ['Tuesday–Sunday: 9:30 AM–5:00 PM'], tags: ['tourist', 'family']
+            }
+        ],
+        restaurants: [
+            {
+                name: 'Tsukiji Outer Market',
+                address: '4-16-2 Tsukiji, Chuo City, Tokyo 104-0045',
+                description: 'Graze on tamagoyaki, fresh sushi and grilled scallops from market stalls.',
+                category: 'restaurant', priceRange: '$', environment: 'outdoor', durationMinutes: 60, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 35.6655, longitude: 139.7707 }, rating: 4.4,
+                phone: 'Not available', website: 'https://www.tsukiji.or.jp',
+                hours: ['Monday–Saturday: 6:00 AM–2:00 PM'], tags: ['tourist', 'local', 'casual']
+            },
+            {
+                name: 'Ichiran Shibuya',
+                address: '1-22-7 Jinnan, Shibuya City, Tokyo 150-0041',
+                description: 'Tonkotsu ramen eaten in private single-seat booths.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 30, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 35.6614, longitude: 139.7005 }, rating: 4.3,
+                phone: '+81 50-1808-2546', website: 'https://en.ichiran.com',
+                hours: ['Monday–Sunday: Open 24 hours'], tags: ['tourist', 'casual']
+            },
+            {
+                name: 'Omoide Yokocho',
+                address: '1-2 Nishishinjuku, Shinjuku City, Tokyo 160-0023',
+                description: 'Smoky lantern-lit alley of tiny yakitori counters next to Shinjuku Station.',
+                category: 'restaurant', priceRange: '$$', environment: 'outdoor', durationMinutes: 75, meals: ['dinner'],
+                coordinates: { latitude: 35.6938, longitude: 139.6995 }, rating: 4.3,
+                phone: 'Not available', website: 'http://shinjuku-omoide.com',
+                hours: ['Monday–Sunday: 5:00 PM–12:00 AM'], tags: ['local', 'date', 'adventure']
+            },
+            {
+                name: 'Gonpachi Nishi-Azabu',
+                address: '1-13-11 Nishiazabu, Minato City, Tokyo 106-0031',
+                description: 'Grand wooden izakaya serving soba and robata skewers.',
+                category: 'restaurant', priceRange: '$$$', environment: 'indoor', durationMinutes: 90, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 35.6594, longitude: 139.7237 }, rating: 4.2,
+                phone: '+81 50-3184-0111', website: 'https://gonpachi.jp',
+                hours: ['Monday–Sunday: 11:30 AM–11:30 PM'], tags: ['tourist', 'family']
+            },
+            {
+                name: 'Sushi Saito',
+                address: '1-4-5 Roppongi, Minato City, Tokyo 106-0032',
+                description: 'An intimate omakase counter often called the best sushi in Tokyo - reservations essential.',
+                category: 'restaurant', priceRange: '$$$+', environment: 'indoor', durationMinutes: 120, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 35.6654, longitude: 139.7394 }, rating: 4.8,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Saturday: 12:00 PM–2:00 PM', 'Monday–Saturday: 5:00 PM–10:00 PM'], tags: ['date']
+            }
+        ]
+    },
+    {
+        key: 'new-york',
+        displayName: 'New York, NY, USA',
+        aliases: ['new york', 'nyc', 'manhattan', 'brooklyn'],
+        center: { latitude: 40.7128, longitude: -74.0060 },
+        transitType: 'Subway',
+        tips: 'Tap a contactless card or phone at subway turnstiles - fares cap after twelve rides a week. Walk between nearby stops; Manhattan blocks are short north to south.',
+        lodging: {
+            name: 'The Ludlow Hotel',
+            address: '180 Ludlow St, New York, NY 10002, USA',
+            description: 'Lower East Side hotel near the F train, with easy access to Manhattan and Brooklyn.',
+            priceRange: '$$$',
+            coordinates: { latitude: 40.7222, longitude: -73.987 }
+        },
+        venues: [
+            {
+                name: 'The Metropolitan Museum of Art',
+                address: '1000 5th Ave, New York, NY 10028',
+                description: 'Five thousand years of art, from the Temple of Dendur to the rooftop garden.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 180,
+                coordinates: { latitude: 40.7794, longitude: -73.9632 }, rating: 4.8,
+                phone: '+1 212-535-7710', website: 'https://www.metmuseum.org',
+                hours: ['Sunday–Tuesday: 10:00 AM–5:00 PM', 'Thursday: 10:00 AM–5:00 PM', 'Friday–Saturday: 10:00 AM–9:00 PM'], tags: ['tourist', 'date', 'family']
+            },
+            {
+                name: 'The High Line',
+                address: 'New York, NY 10011',
+                description: 'An elevated park built on a disused rail line, with plantings and public art.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 40.7480, longitude: -74.0048 }, rating: 4.7,
+                phone: '+1 212-500-6035', website: 'https://www.thehighline.org',
+                hours: ['Monday–Sunday: 7:00 AM–10:00 PM'], tags: ['tourist', 'date', 'casual']
+            },
+            {
+                name: 'Central Park',
+                address: 'New York, NY 10024',
+                description: 'Bethesda Terrace, Bow Bridge and the Ramble in Manhattan\'s backyard.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 90,
+                coordinates: { latitude: 40.7812, longitude: -73.9665 }, rating: 4.8,
+                phone: '+1 212-310-6600', website: 'https://www.centralparknyc.org',
+                hours: ['Monday–Sunday: 6:00 AM–1:00 AM'], tags: ['tourist', 'family', 'date', 'adventure']
+            },
+            {
+                name: 'Brooklyn Bridge',
+                address: 'Brooklyn Bridge, New York, NY 10038',
+                description: 'Walk the wooden promenade from Manhattan to DUMBO with views of the skyline.',
+                category: 'activity', priceRange: 'Free', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 40.7061, longitude: -73.9969 }, rating: 4.8,
+                phone: 'Not available', website: 'Not available',
+                hours: ['Monday–Sunday: Open 24 hours'], tags: ['tourist', 'adventure', 'date']
+            },
+            {
+                name: 'Strand Book Store',
+                address: '828 Broadway, New York, NY 10003',
+                description: 'Eighteen miles of new, used and rare books near Union Square.',
+                category: 'shopping', priceRange: '$', environment: 'indoor', durationMinutes: 45,
+                coordinates: { latitude: 40.7332, longitude: -73.9907 }, rating: 4.7,
+                phone: '+1 212-473-1452', website: 'https://www.strandbooks.com',
+                hours: ['Monday–Sunday: 10:00 AM–8:00 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'Tenement Museum',
+                address: '103 Orchard St, New York, NY 10002',
+                description: 'Guided tours through restored apartments of Lower East Side immigrant families.',
+                category: 'attraction', priceRange: '$$', environment: 'indoor', durationMinutes: 90,
+                coordinates: { latitude: 40.7188, longitude: -73.9901 }, rating: 4.7,
+                phone: '+1 877-975-3786', website: 'https://www.tenement.org',
+                hours: ['Monday–Sunday: 10:00 AM–6:00 PM'], tags: ['local', 'family']
+            },
+            {
+                name: 'Brooklyn Flea in DUMBO',
+                address: '80 Pearl St, Brooklyn, NY 11201',
+                description: 'Weekend market of vintage finds and local makers under the Manhattan Bridge archway.',
+                category: 'shopping', priceRange: '$', environment: 'outdoor', durationMinutes: 60,
+                coordinates: { latitude: 40.7036, longitude: -73.9893 }, rating: 4.4,
+                phone: 'Not available', website: 'https://brooklynflea.com',
+                hours: ['Saturday–Sunday: 10:00 AM–5:00 PM'], tags: ['local', 'casual']
+            }
+        ],
+        restaurants: [
+            {
+                name: 'Russ & Daughters Cafe',
+                address: '127 Orchard St, New York, NY 10002',
+                description: 'Bagels, lox and latkes from a fourth-generation appetizing shop.',
+                category: 'restaurant', priceRange: '$$', environment: 'indoor', durationMinutes: 60, meals: ['breakfast', 'lunch'],
+                coordinates: { latitude: 40.7196, longitude: -73.9897 }, rating: 4.6,
+                phone: '+1 212-475-4881', website: 'https://www.russanddaughters.com',
+                hours: ['Monday–Sunday: 8:30 AM–3:00 PM'], tags: ['local', 'tourist']
+            },
+            {
+                name: 'Joe\'s Pizza',
+                address: '7 Carmine St, New York, NY 10014',
+                description: 'Quintessential New York slices, folded and eaten standing up.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 20, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 40.7306, longitude: -74.0021 }, rating: 4.5,
+                phone: '+1 212-366-1182', website: 'https://www.joespizzanyc.com',
+                hours: ['Monday–Sunday: 10:00 AM–4:00 AM'], tags: ['tourist', 'casual', 'family']
+            },
+            {
+                name: 'Xi\'an Famous Foods',
+                address: '45 Bayard St, New York, NY 10013',
+                description: 'Hand-ripped noodles and spicy cumin lamb from a Chinatown original.',
+                category: 'restaurant', priceRange: '$', environment: 'indoor', durationMinutes: 30, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 40.7153, longitude: -73.9978 }, rating: 4.4,
+                phone: 'Not available', website: 'https://www.xianfoods.com',
+                hours: ['Monday–Sunday: 11:30 AM–9:00 PM'], tags: ['local', 'casual']
+            },
+            {
+                name: 'Via Carota',
+                address: '51 Grove St, New York, NY 10014',
+                description: 'West Village Italian trattoria with handmade pasta - walk-ins only.',
+                category: 'restaurant', priceRange: '$$$', environment: 'indoor', durationMinutes: 90, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 40.7331, longitude: -74.0036 }, rating: 4.6,
+                phone: '+1 212-255-1962', website: 'https://www.viacarota.com',
+                hours: ['Monday–Sunday: 11:00 AM–11:00 PM'], tags: ['date', 'local']
+            },
+            {
+                name: 'Le Bernardin',
+                address: '155 W 51st St, New York, NY 10019',
+                description: 'Eric Ripert\'s celebrated seafood tasting menus in Midtown.',
+                category: 'restaurant', priceRange: '$$$+', environment: 'indoor', durationMinutes: 150, meals: ['lunch', 'dinner'],
+                coordinates: { latitude: 40.7615, longitude: -73.9818 }, rating: 4.7,
+                phone: '+1 212-554-1515', website: 'https://www.le-bernardin.com',
+                hours: ['Monday–Saturday: 12:00 PM–2:30 PM', 'Monday–Saturday: 5:00 PM–10:30 PM'], tags: ['date']
+            }
+        ]
+    }
+];
+
+module.exports = {
+    CITIES
+};
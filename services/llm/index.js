@@ -0,0 +1,119 @@
+/**
+ * LLM Provider Registry
+ *
+ * Selects the chat completion provider used for trip planning from configuration.
+ * Supported providers: OpenAI, any OpenAI-compatible endpoint, and a deterministic fixture provider.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[LLM]';
+
+const DEFAULT_OPENAI_MODEL = 'gpt-3.5-turbo'; // Use GPT-3.5-turbo for cost efficiency
+
+/**
+ * Provider factories keyed by LLM_PROVIDER value
+ * Each factory returns a provider or null if it is not configured.
+ */
+const PROVIDER_FACTORIES = {
+    openai: (env) => {
+        if (!env.OPENAI_API_KEY) {
+            console.warn(TAG, 'No OpenAI API key found');
+            return null;
+        }
+        return createOpenAIProvider({
+            name: 'openai',
+            apiKey: env.OPENAI_API_KEY,
+            model: env.LLM_MODEL || DEFAULT_OPENAI_MODEL
+        });
+    },
+    'openai-compatible': (env) => {
+        if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+            console.warn(TAG, 'LLM_BASE_URL and LLM_MODEL are required for an OpenAI-compatible provider');
+            return null;
+        }
+        return createOpenAIProvider({
+            name: 'openai-compatible',
+            apiKey: env.LLM_API_KEY || 'not-needed', // Many self-hosted servers ignore the key
+            model: env.LLM_MODEL,
+            baseURL: env.LLM_BASE_URL,
+            streamUsage: env.LLM_STREAM_USAGE !== 'false'
+        });
+    },
+    fixture: () => createFixtureProvider()
+};
+
+// ========================================
+// MAIN FUNCTIONS
+// ========================================
+
+/**
+ * Falls back to the fixture provider when LLM_PROVIDER is unset, or fails for an explicitly selected provider
+ * A misconfigured provider must not quietly serve fixture plans in place of the one that was asked for.
+ * @param {string} requested - Provider name
+ * @param {boolean} explicit - Whether the provider was selected with LLM_PROVIDER
+ * @param {string} reason - Why the provider could not be created
+ * @returns {Object} - Fixture provider
+ * @throws {Error} - If the provider was selected with LLM_PROVIDER
+ */
+const fallBackToFixture = (requested, explicit, reason) => {
+    if (explicit) {
+        throw new Error(`LLM_PROVIDER is set to "${requested}" but ${reason}`);
+    }
+
+    console.warn(TAG, `Provider "${requested}" ${reason}, using fixture responses`);
+    return createFixtureProvider();
+};
+
+/**
+ * Creates the provider selected by configuration
+ * LLM_PROVIDER defaults to "openai" when OPENAI_API_KEY is set and "fixture" otherwise.
+ * Only the default falls back to the fixture provider; an unknown or unconfigured LLM_PROVIDER throws,
+ * so the server fails at startup instead of answering with fixture plans.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Provider ({ name, model, complete, stream, getStatus })
+ * @throws {Error} - If LLM_PROVIDER is unknown or its provider cannot be created
+ */
+const createProvider = (env = process.env) => {
+    const configured = (env.LLM_PROVIDER || '').trim().toLowerCase();
+    const explicit = Boolean(configured);
+    const requested = configured || (env.OPENAI_API_KEY ? 'openai' : 'fixture');
+    const factory = PROVIDER_FACTORIES[requested];
+
+    if (!factory) {
+        return fallBackToFixture(requested, explicit, `is not a known provider (${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+    }
+
+    let provider;
+    try {
+        provider = factory(env);
+    } catch (error) {
+        console.error(TAG, `Failed to initialize provider "${requested}":`, error.message);
+        return fallBackToFixture(requested, explicit, `failed to initialize: ${error.message}`);
+    }
+
+    if (!provider) {
+        return fallBackToFixture(requested, explicit, 'is not configured');
+    }
+
+    console.log(TAG, 'Provider initialized:', { provider: provider.name, model: provider.model });
+    return provider;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createProvider,
+    PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES)
+};
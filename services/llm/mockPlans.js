@@ -0,0 +1,440 @@
+/**
+ * Mock Plan Generator
+ *
+ * Builds realistic, reproducible trip plans from the fixture city library.
+ * Plans follow the request: the city in the query, the time slots implied by timeOfDay,
+ * restaurant stops for planFood/priceRange, transit legs for planTransit, the special options
+ * and the trip length (days/dateRange), with a lodging base for multi-day trips.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { CITIES } = require('./fixtures/cities');
+const { calculateDistanceKm, estimateTravelLeg } = require('../geo');
+const { formatClockTime, parseClockTime, getTripDays, PRICE_RANGES } = require('../planSchema');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[MockPlans]';
+
+/**
+ * Time slots and the stops each one holds ("venue" or a meal)
+ * With a single slot all three stops are used, with several slots only the first two.
+ */
+const TIME_SLOTS = {
+    morning: { label: 'morning', startMinutes: 9 * 60, withFood: ['breakfast', 'venue', 'venue'] },
+    afternoon: { label: 'afternoon', startMinutes: 13 * 60, withFood: ['lunch', 'venue', 'venue'] },
+    evening: { label: 'evening', startMinutes: 18 * 60, withFood: ['venue', 'dinner', 'venue'] }
+};
+
+const MOCK_CONFIG = {
+    defaultTimeOfDay: ['afternoon'],
+    bufferMinutes: 15, // Gap between stops when no transit legs are planned
+    roundToMinutes: 15,
+    nearbyCityKm: 100 // Request coordinates within this distance select a library city
+};
+
+/**
+ * Special options mapped to the venue tags they prefer
+ */
+const SPECIAL_OPTION_TAGS = {
+    adventure: 'adventure',
+    casual: 'casual',
+    tourist: 'tourist',
+    wander: 'local',
+    date: 'date',
+    family: 'family'
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Hashes a string into a 32-bit seed (FNV-1a)
+ * @param {string} value - Input string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const hashString = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Normalizes text for matching (lowercase, no accents)
+ * @param {string} value - Input text
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Finds the library city a request is about
+ * Matches city names in the query first, then the request coordinates.
+ * @param {Object} searchData - Search criteria
+ * @param {Function} random - Seeded generator used when nothing matches
+ * @returns {Object} - { city, matched } where matched is false for a seeded fallback pick
+ */
+const resolveCity = (searchData, random) => {
+    const query = normalizeText(searchData.searchQuery);
+    const byName = CITIES.find(city => city.aliases.some(alias => new RegExp(`\\b${normalizeText(alias)}\\b`).test(query)));
+
+    if (byName) {
+        return { city: byName, matched: true };
+    }
+
+    const coords = searchData.location?.coords;
+    const nearest = CITIES
+        .map(city => ({ city, distanceKm: calculateDistanceKm(coords, city.center) }))
+        .filter(({ distanceKm }) => distanceKm !== null && distanceKm <= MOCK_CONFIG.nearbyCityKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+
+    if (nearest) {
+        return { city: nearest.city, matched: true };
+    }
+
+    return { city: CITIES[Math.floor(random() * CITIES.length)], matched: false };
+};
+
+/**
+ * Maps the priceRange filter (1-4 or "$$") to a price level (1-4)
+ * @param {number|string} priceRange - Price range filter
+ * @returns {number} - Price level
+ */
+const toPriceLevel = (priceRange) => {
+    if (typeof priceRange === 'number') {
+        return Math.min(4, Math.max(1, Math.round(priceRange)));
+    }
+    if (typeof priceRange === 'string' && /^\$+/.test(priceRange.trim())) {
+        return Math.min(4, priceRange.trim().replace('+', '').length);
+    }
+    return 2;
+};
+
+/**
+ * Scores how well a venue fits the request (higher is better)
+ * @param {Object} venue - Library venue
+ * @param {Object} filters - Request filters
+ * @param {Function} random - Seeded generator for tie-breaking
+ * @returns {number} - Score
+ */
+const scoreVenue = (venue, filters, random) => {
+    const preferredTags = (filters.specialOptions || []).map(option => SPECIAL_OPTION_TAGS[option]).filter(Boolean);
+    const touristMode = preferredTags.includes('tourist');
+    let score = random();
+
+    score += preferredTags.filter(tag => venue.tags.includes(tag)).length * 2;
+
+    // Local discovery is the default unless tourist mode is requested
+    if (!touristMode && venue.tags.includes('local')) score += 1;
+    if (!touristMode && venue.tags.includes('tourist') && !venue.tags.includes('local')) score -= 0.5;
+
+    if (filters.environment && filters.environment !== 'mixed' && venue.environment !== 'mixed') {
+        score += venue.environment === filters.environment ? 1.5 : -1.5;
+    }
+
+    return score;
+};
+
+/**
+ * Picks the best restaurant for a meal and budget
+ * @param {Array<Object>} restaurants - Candidate restaurants
+ * @param {string} meal - 'breakfast' | 'lunch' | 'dinner'
+ * @param {number} priceLevel - Requested price level (1-4)
+ * @param {Object} filters - Request filters
+ * @param {Function} random - Seeded generator
+ * @returns {Object|null} - Restaurant or null if none is left
+ */
+const pickRestaurant = (restaurants, meal, priceLevel, filters, random) => {
+    const forMeal = restaurants.filter(restaurant => restaurant.meals.includes(meal));
+    const candidates = forMeal.length > 0 ? forMeal : restaurants;
+
+    return candidates
+        .map(restaurant => ({
+            restaurant,
+            score: scoreVenue(restaurant, filters, random) - Math.abs(PRICE_RANGES.indexOf(restaurant.priceRange) - priceLevel) * 3
+        }))
+        .sort((a, b) => b.score - a.score)[0]?.restaurant || null;
+};
+
+/**
+ * Formats a duration in minutes (e.g., "45 minutes", "75 minutes", "1.5 hours")
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Formatted duration
+ */
+const formatDuration = (minutes) => {
+    if (minutes < 60 || minutes % 30 !== 0) {
+        return `${minutes} minutes`;
+    }
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Converts a library venue into a plan location (without timing)
+ * @param {Object} venue - Library venue
+ * @returns {Object} - Location in the AI plan shape
+ */
+const toLocation = (venue) => {
+    return {
+        name: venue.name,
+        address: venue.address,
+        description: venue.description,
+        category: venue.category,
+        estimatedTime: formatDuration(venue.durationMinutes),
+        time: null,
+        priceRange: venue.priceRange,
+        coordinates: { ...venue.coordinates },
+        rating: venue.rating,
+        phone: venue.phone,
+        website: venue.website,
+        opening_hours: {
+            open_now: true,
+            weekday_text: [...venue.hours]
+        },
+        transitToNext: null
+    };
+};
+
+/**
+ * Builds the transit leg between two stops using the city's main transit type
+ * @param {Object} from - Origin location
+ * @param {Object} to - Destination location
+ * @param {Object} city - Library city
+ * @returns {Object|null} - Transit leg
+ */
+const buildTransitLeg = (from, to, city) => {
+    const leg = estimateTravelLeg(from, to);
+    if (!leg || leg.type === 'Walk') {
+        return leg;
+    }
+    return { ...leg, type: city.transitType };
+};
+
+/**
+ * Rounds minutes up to the configured step
+ * @param {number} minutes - Minutes after midnight
+ * @returns {number} - Rounded minutes
+ */
+const roundUp = (minutes) => Math.ceil(minutes / MOCK_CONFIG.roundToMinutes) * MOCK_CONFIG.roundToMinutes;
+
+/**
+ * Builds the replacement stop for a single-location regeneration request
+ * @param {Object} city - Library city
+ * @param {Object} searchData - Search criteria with regenerationContext
+ * @param {Function} random - Seeded generator
+ * @returns {Array<Object>} - Zero or one location
+ */
+const buildReplacement = (city, searchData, random) => {
+    const context = searchData.regenerationContext;
+    const avoid = new Set([context.excludedLocation, ...(context.avoidLocations || [])].filter(Boolean).map(normalizeText));
+    const isRestaurant = context.excludedCategory === 'restaurant';
+    const pool = (isRestaurant ? city.restaurants : city.venues).filter(venue => !avoid.has(normalizeText(venue.name)));
+    const sameCategory = pool.filter(venue => venue.category === context.excludedCategory);
+    const candidates = sameCategory.length > 0 ? sameCategory : pool;
+
+    const best = candidates
+        .map(venue => ({ venue, score: scoreVenue(venue, searchData.filters || {}, random) }))
+        .sort((a, b) => b.score - a.score)[0];
+
+    if (!best) {
+        return [];
+    }
+
+    const startMinutes = parseClockTime(context.excludedTime);
+    return [{
+        ...toLocation(best.venue),
+        time: formatClockTime(startMinutes !== null ? startMinutes : TIME_SLOTS.afternoon.startMinutes)
+    }];
+};
+
+/**
+ * Picks and schedules the stops of one day
+ * Venues and restaurants are taken from shared pools so days do not repeat a stop until a pool runs out.
+ * @param {Object} city - Library city
+ * @param {Object} filters - Request filters
+ * @param {Array<string>} slotKeys - Time slots of the day
+ * @param {Object} pools - Remaining { venues, restaurants } and rankVenues() to refill the venues
+ * @param {Function} random - Seeded generator
+ * @returns {Array<Object>} - Scheduled locations with transit legs
+ */
+const buildDayStops = (city, filters, slotKeys, pools, random) => {
+    const stopsPerSlot = slotKeys.length === 1 ? 3 : 2;
+    const priceLevel = toPriceLevel(filters.priceRange);
+
+    // Pick the stops for each slot
+    const stops = [];
+    slotKeys.forEach(key => {
+        const slot = TIME_SLOTS[key];
+        slot.withFood.slice(0, stopsPerSlot).forEach((kind, position) => {
+            let venue = null;
+
+            if (kind !== 'venue' && filters.planFood) {
+                if (pools.restaurants.length === 0) {
+                    pools.restaurants = [...city.restaurants];
+                }
+                venue = pickRestaurant(pools.restaurants, kind, priceLevel, filters, random);
+                pools.restaurants = pools.restaurants.filter(restaurant => restaurant !== venue);
+            }
+            if (!venue) {
+                if (pools.venues.length === 0) {
+                    const usedToday = new Set(stops.map(stop => stop.location.name));
+                    pools.venues = pools.rankVenues().filter(candidate => !usedToday.has(candidate.name));
+                }
+                venue = pools.venues.shift();
+            }
+            if (venue) {
+                stops.push({ location: toLocation(venue), slot, durationMinutes: venue.durationMinutes, isSlotStart: position === 0 });
+            }
+        });
+    });
+
+    // Schedule the stops and attach transit legs
+    let clock = null;
+    stops.forEach((stop, index) => {
+        const next = stops[index + 1];
+        const leg = next && filters.planTransit ? buildTransitLeg(stop.location, next.location, city) : null;
+
+        const earliest = clock === null ? stop.slot.startMinutes : clock;
+        const start = stop.isSlotStart ? Math.max(stop.slot.startMinutes, earliest) : earliest;
+        stop.location.time = formatClockTime(start);
+        stop.location.transitToNext = leg;
+
+        const travelMinutes = leg ? parseInt(leg.duration, 10) : MOCK_CONFIG.bufferMinutes;
+        clock = roundUp(start + stop.durationMinutes + travelMinutes);
+    });
+
+    return stops.map(stop => stop.location);
+};
+
+// ========================================
+// MAIN FUNCTIONS
+// ========================================
+
+/**
+ * Derives the seed for a request so the same request always yields the same plan
+ * @param {Object} searchData - Search criteria
+ * @returns {number} - 32-bit seed
+ */
+const getMockSeed = (searchData) => {
+    return hashString(JSON.stringify([
+        normalizeText(searchData.searchQuery),
+        searchData.filters || {},
+        searchData.regenerationContext || null,
+        process.env.MOCK_PLAN_SEED || ''
+    ]));
+};
+
+/**
+ * Generates a mock trip plan that follows the request
+ * @param {Object} searchData - Search criteria and filters
+ * @param {Object} options - Options ({ seed }) - defaults to a seed derived from the request
+ * @returns {Object} - Plan in the AI response shape ({ city, locations, summary, practicalTips },
+ *                     or { city, lodging, days, summary, practicalTips } for multi-day trips)
+ */
+const generateMockPlan = (searchData, options = {}) => {
+    const filters = searchData.filters || {};
+    const seed = options.seed ?? getMockSeed(searchData);
+    const random = createRandom(seed);
+    const { city, matched } = resolveCity(searchData, random);
+
+    console.log(TAG, 'Generating mock plan:', { query: searchData.searchQuery, city: city.key, matched, seed });
+
+    if (searchData.regenerationContext?.singleLocation) {
+        const locations = buildReplacement(city, searchData, random);
+        return {
+            city: city.displayName,
+            locations,
+            summary: `An alternative stop in ${city.displayName}.`,
+            practicalTips: city.tips
+        };
+    }
+
+    const { dayCount, dates } = getTripDays(filters);
+    const requestedSlots = (filters.timeOfDay && filters.timeOfDay.length > 0 ? filters.timeOfDay : MOCK_CONFIG.defaultTimeOfDay);
+    const slotKeys = requestedSlots.includes('allDay')
+        ? Object.keys(TIME_SLOTS)
+        : Object.keys(TIME_SLOTS).filter(key => requestedSlots.includes(key));
+    const slotLabel = slotKeys.length === Object.keys(TIME_SLOTS).length
+        ? 'full day'
+        : slotKeys.map(key => TIME_SLOTS[key].label).join(' and ');
+
+    const rankVenues = () => [...city.venues]
+        .map(venue => ({ venue, score: scoreVenue(venue, filters, random) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ venue }) => venue);
+    const pools = { venues: rankVenues(), restaurants: [...city.restaurants], rankVenues };
+
+    const days = Array.from({ length: dayCount }, () => buildDayStops(city, filters, slotKeys, pools, random));
+    const allLocations = days.flat();
+    const restaurantCount = allLocations.filter(location => location.category === 'restaurant').length;
+
+    const tips = [city.tips];
+    if (filters.planTransit) {
+        tips.push(`Travel times between stops are estimates - allow extra time at rush hour.`);
+    }
+    if (restaurantCount > 0) {
+        tips.push('Reserve ahead for dinner, especially on weekends.');
+    }
+
+    if (dayCount === 1) {
+        const locations = days[0];
+        return {
+            city: city.displayName,
+            locations,
+            summary: `A ${slotLabel} in ${city.displayName} with ${locations.length} stops${restaurantCount > 0 ? `, including ${restaurantCount} for food` : ''}: ${locations.map(location => location.name).join(', ')}.`,
+            practicalTips: tips.join(' ')
+        };
+    }
+
+    tips.push(`Each day starts from ${city.lodging.name}, so leave bags there and travel light.`);
+
+    return {
+        city: city.displayName,
+        lodging: { ...city.lodging, coordinates: { ...city.lodging.coordinates } },
+        days: days.map((locations, index) => ({
+            day: index + 1,
+            date: dates ? dates[index] : null,
+            title: `Day ${index + 1}: ${locations[0]?.name || city.displayName}`,
+            summary: `A ${slotLabel} with ${locations.length} stops: ${locations.map(location => location.name).join(', ')}.`,
+            locations
+        })),
+        summary: `${dayCount} days in ${city.displayName} based at ${city.lodging.name}, with ${allLocations.length} stops${restaurantCount > 0 ? `, including ${restaurantCount} for food` : ''}.`,
+        practicalTips: tips.join(' ')
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    generateMockPlan,
+    getMockSeed,
+    FIXTURE_CITIES: CITIES.map(city => city.displayName)
+};
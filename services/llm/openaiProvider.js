@@ -0,0 +1,131 @@
+/**
+ * OpenAI LLM Provider
+ *
+ * Chat completion provider backed by the official OpenAI SDK.
+ * Also serves any OpenAI-compatible HTTP endpoint (e.g., a self-hosted model server) through a custom base URL.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const OpenAI = require('openai');
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Normalizes token usage into the shape returned by the OpenAI API
+ * @param {Object|null} usage - Usage reported by the endpoint
+ * @returns {Object|null} - { prompt_tokens, completion_tokens, total_tokens } or null if not reported
+ */
+const normalizeUsage = (usage) => {
+    if (!usage) {
+        return null;
+    }
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: usage.total_tokens || promptTokens + completionTokens
+    };
+};
+
+// ========================================
+// MAIN PROVIDER FUNCTIONS
+// ========================================
+
+/**
+ * Creates a provider for the OpenAI API or an OpenAI-compatible endpoint
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name reported as the AI source (e.g., 'openai', 'openai-compatible')
+ * @param {string} config.apiKey - API key sent with each request
+ * @param {string} config.model - Model name
+ * @param {string} config.baseURL - Base URL of an OpenAI-compatible endpoint (optional)
+ * @param {boolean} config.streamUsage - Whether to request token usage on streamed responses
+ * @returns {Object} - Provider ({ name, model, complete, stream, getStatus })
+ */
+const createOpenAIProvider = ({ name, apiKey, model, baseURL = null, streamUsage = true }) => {
+    const client = new OpenAI({
+        apiKey: apiKey,
+        ...(baseURL && { baseURL })
+    });
+
+    const buildRequest = (messages, options) => ({
+        model: model,
+        messages: messages,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        frequency_penalty: options.frequencyPenalty,
+        presence_penalty: options.presencePenalty
+    });
+
+    /**
+     * Requests a single chat completion
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options ({ maxTokens, temperature, topP, frequencyPenalty, presencePenalty, signal })
+     * @returns {Promise<Object>} - { content, finishReason, model, usage, latencyMs }
+     */
+    const complete = async (messages, options = {}) => {
+        const startTime = Date.now();
+        const completion = await client.chat.completions.create(buildRequest(messages, options), { signal: options.signal });
+
+        return {
+            content: completion.choices[0]?.message?.content || '',
+            finishReason: completion.choices[0]?.finish_reason || null,
+            model: completion.model || model,
+            usage: normalizeUsage(completion.usage),
+            latencyMs: Date.now() - startTime
+        };
+    };
+
+    /**
+     * Streams a chat completion
+     * @param {Array<Object>} messages - Chat messages
+     * @param {Object} options - Generation options (same as complete)
+     * @returns {AsyncGenerator<Object>} - Chunks ({ delta, finishReason, model, usage })
+     */
+    const stream = async function* (messages, options = {}) {
+        const response = await client.chat.completions.create({
+            ...buildRequest(messages, options),
+            stream: true,
+            ...(streamUsage && { stream_options: { include_usage: true } })
+        }, { signal: options.signal });
+
+        for await (const chunk of response) {
+            yield {
+                delta: chunk.choices?.[0]?.delta?.content || '',
+                finishReason: chunk.choices?.[0]?.finish_reason || null,
+                model: chunk.model || model,
+                usage: normalizeUsage(chunk.usage)
+            };
+        }
+    };
+
+    return {
+        name,
+        model,
+        complete,
+        stream,
+        getStatus: () => ({
+            provider: name,
+            model: model,
+            baseURL: baseURL
+        })
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createOpenAIProvider,
+    normalizeUsage
+};
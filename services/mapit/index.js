@@ -0,0 +1,166 @@
+/**
+ * MapIT Service
+ *
+ * Builds map app deep links for the stops of a trip.
+ * Stops are routed by coordinates when they have them and by address otherwise. Routes longer than
+ * a provider can hold in one link are split into consecutive legs that share their end points.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const providers = require('./providers');
+const { hasValidCoordinates } = require('../geo');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[MapIT]';
+
+/**
+ * Providers keyed by the mapProvider request value ("osm" is accepted as a short name)
+ */
+const MAP_PROVIDERS = {
+    google: providers.google,
+    apple: providers.apple,
+    openstreetmap: providers.openstreetmap,
+    osm: providers.openstreetmap,
+    waze: providers.waze,
+    here: providers.here
+};
+
+const TRAVEL_MODES = ['driving', 'walking', 'bicycling', 'transit'];
+
+const DEFAULT_TRAVEL_MODE = 'driving';
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Creates the error thrown when a link cannot be built from the request
+ * @param {string} message - Error message
+ * @returns {Error} - MapLinkError
+ */
+const createMapLinkError = (message) => {
+    const error = new Error(message);
+    error.name = 'MapLinkError';
+    error.status = 400;
+    return error;
+};
+
+/**
+ * Converts a stop into a route point
+ * @param {Object} location - Stop ({ name, address, coordinates })
+ * @returns {Object|null} - { name, address, coordinates } or null if the stop cannot be located
+ */
+const toRoutePoint = (location) => {
+    const coordinates = hasValidCoordinates(location?.coordinates)
+        ? { latitude: location.coordinates.latitude, longitude: location.coordinates.longitude }
+        : null;
+    const address = typeof location?.address === 'string' && location.address.trim() ? location.address.trim() : null;
+
+    if (!coordinates && !address) {
+        return null;
+    }
+
+    return { name: location.name || address, address, coordinates };
+};
+
+/**
+ * Splits route points into legs of at most maxStops points
+ * Consecutive legs share a point so the route stays connected; with maxStops of 1 every point is its own leg.
+ * @param {Array<Object>} points - Route points in visiting order
+ * @param {number} maxStops - Points per link
+ * @returns {Array<Array<Object>>} - Legs
+ */
+const splitIntoLegs = (points, maxStops) => {
+    if (maxStops === 1 || points.length === 1) {
+        return points.map(point => [point]);
+    }
+
+    const legs = [];
+    for (let start = 0; start < points.length - 1; start += maxStops - 1) {
+        legs.push(points.slice(start, start + maxStops));
+    }
+    return legs;
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Builds the map links for a list of stops
+ * @param {Array<Object>} locations - Stops in visiting order
+ * @param {Object} options - { mapProvider, travelMode }
+ * @returns {Object} - { mapProvider, travelMode, mapUrl, legs, locationCount, skippedLocations }
+ * @throws {Error} - MapLinkError for an unsupported provider or travel mode, or when no stop can be located
+ */
+const buildMapLinks = (locations, options = {}) => {
+    const { mapProvider = 'google', travelMode = DEFAULT_TRAVEL_MODE } = options;
+    const provider = MAP_PROVIDERS[mapProvider];
+
+    if (!provider) {
+        throw createMapLinkError(`mapProvider must be one of: ${Object.keys(MAP_PROVIDERS).join(', ')}`);
+    }
+    if (!provider.travelModes[travelMode]) {
+        throw createMapLinkError(`${provider.label} supports these travel modes: ${Object.keys(provider.travelModes).join(', ')}`);
+    }
+
+    const skippedLocations = [];
+    const points = [];
+
+    locations.forEach((location, index) => {
+        const point = toRoutePoint(location);
+        if (!point || (provider.requiresCoordinates && !point.coordinates)) {
+            skippedLocations.push({ index, name: location?.name || null });
+            return;
+        }
+        points.push(point);
+    });
+
+    if (points.length === 0) {
+        throw createMapLinkError(provider.requiresCoordinates
+            ? `${provider.label} links need stops with coordinates`
+            : 'None of the locations has coordinates or an address');
+    }
+
+    const maxStops = provider.maxStopsByMode?.[travelMode] || provider.maxStops;
+    const legs = splitIntoLegs(points, maxStops).map(legPoints => ({
+        url: provider.buildUrl(legPoints, travelMode),
+        from: legPoints.length > 1 ? legPoints[0].name : null,
+        to: legPoints[legPoints.length - 1].name,
+        stopCount: legPoints.length
+    }));
+
+    console.log(TAG, 'Map links built:', {
+        mapProvider: provider.name,
+        travelMode,
+        stopCount: points.length,
+        legCount: legs.length,
+        skippedCount: skippedLocations.length
+    });
+
+    return {
+        mapProvider: provider.name,
+        travelMode,
+        mapUrl: legs[0].url,
+        legs,
+        locationCount: points.length,
+        skippedLocations
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    buildMapLinks,
+    splitIntoLegs,
+    MAP_PROVIDERS,
+    TRAVEL_MODES
+};
@@ -0,0 +1,155 @@
+/**
+ * MapIT Providers
+ *
+ * Deep-link builders for the map apps MapIT can open a trip in.
+ * Each provider declares the travel modes it supports, how many stops one link can hold and how a
+ * link is built from a list of points (stops with coordinates or an address).
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Formats a point as "latitude,longitude"
+ * @param {Object} point - Route point ({ coordinates })
+ * @returns {string} - Coordinate pair
+ */
+const formatCoordinates = (point) => `${point.coordinates.latitude},${point.coordinates.longitude}`;
+
+/**
+ * Formats a point for a search-style parameter, preferring coordinates over the address
+ * @param {Object} point - Route point ({ name, address, coordinates })
+ * @returns {string} - Coordinates, address or name
+ */
+const formatQuery = (point) => (point.coordinates ? formatCoordinates(point) : point.address || point.name);
+
+// ========================================
+// PROVIDERS
+// ========================================
+
+/**
+ * Google Maps (Maps URLs API)
+ * A link holds an origin, a destination and up to 9 waypoints; transit directions do not support waypoints.
+ */
+const google = {
+    name: 'google',
+    label: 'Google Maps',
+    travelModes: { driving: 'driving', walking: 'walking', bicycling: 'bicycling', transit: 'transit' },
+    maxStops: 11,
+    maxStopsByMode: { transit: 2 },
+    buildUrl: (points, travelMode) => {
+        const params = new URLSearchParams({ api: '1' });
+        const destination = points[points.length - 1];
+
+        if (points.length > 1) {
+            params.set('origin', formatQuery(points[0]));
+        }
+        params.set('destination', formatQuery(destination));
+        if (points.length > 2) {
+            params.set('waypoints', points.slice(1, -1).map(formatQuery).join('|'));
+        }
+        params.set('travelmode', google.travelModes[travelMode]);
+
+        return `https://www.google.com/maps/dir/?${params.toString()}`;
+    }
+};
+
+/**
+ * Apple Maps
+ * The URL scheme takes a single start and destination, so longer routes are split into one link per leg.
+ */
+const apple = {
+    name: 'apple',
+    label: 'Apple Maps',
+    travelModes: { driving: 'd', walking: 'w', transit: 'r' },
+    maxStops: 2,
+    buildUrl: (points, travelMode) => {
+        const params = new URLSearchParams();
+        const destination = points[points.length - 1];
+
+        if (points.length > 1) {
+            params.set('saddr', formatQuery(points[0]));
+        }
+        params.set('daddr', formatQuery(destination));
+        params.set('dirflg', apple.travelModes[travelMode]);
+
+        return `https://maps.apple.com/?${params.toString()}`;
+    }
+};
+
+/**
+ * OpenStreetMap (openstreetmap.org directions)
+ * Routes are between two coordinate pairs; a single stop is shown as a marker.
+ */
+const openstreetmap = {
+    name: 'openstreetmap',
+    label: 'OpenStreetMap',
+    travelModes: { driving: 'fossgis_osrm_car', walking: 'fossgis_osrm_foot', bicycling: 'fossgis_osrm_bike' },
+    maxStops: 2,
+    requiresCoordinates: true,
+    buildUrl: (points, travelMode) => {
+        if (points.length === 1) {
+            const { latitude, longitude } = points[0].coordinates;
+            return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`;
+        }
+
+        return `https://www.openstreetmap.org/directions?engine=${openstreetmap.travelModes[travelMode]}` +
+            `&route=${points.map(formatCoordinates).join(';')}`;
+    }
+};
+
+/**
+ * Waze
+ * Waze navigates from the current position to one destination, so every stop gets its own link.
+ */
+const waze = {
+    name: 'waze',
+    label: 'Waze',
+    travelModes: { driving: 'driving' },
+    maxStops: 1,
+    buildUrl: (points) => {
+        const destination = points[points.length - 1];
+        const params = destination.coordinates
+            ? new URLSearchParams({ ll: formatCoordinates(destination), navigate: 'yes' })
+            : new URLSearchParams({ q: destination.address || destination.name, navigate: 'yes' });
+
+        return `https://waze.com/ul?${params.toString()}`;
+    }
+};
+
+/**
+ * HERE WeGo
+ * Directions links take a start and destination as path segments; a single stop is shown on the map.
+ */
+const here = {
+    name: 'here',
+    label: 'HERE WeGo',
+    travelModes: { driving: 'drive', walking: 'walk', bicycling: 'bicycle', transit: 'publicTransport' },
+    maxStops: 2,
+    buildUrl: (points, travelMode) => {
+        const segment = (point) => (point.coordinates ? formatCoordinates(point) : encodeURIComponent(point.address || point.name));
+
+        if (points.length === 1) {
+            return points[0].coordinates
+                ? `https://wego.here.com/?map=${formatCoordinates(points[0])},17`
+                : `https://wego.here.com/search/${segment(points[0])}`;
+        }
+
+        return `https://wego.here.com/directions/${here.travelModes[travelMode]}/${segment(points[0])}/${segment(points[1])}`;
+    }
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    google,
+    apple,
+    openstreetmap,
+    waze,
+    here
+};
@@ -1,7 +1,8 @@
 /**
  * OpenAI Service
  * 
- * Handles AI-powered trip planning recommendations using OpenAI's GPT models.
+ * Handles AI-powered trip planning recommendations through the configured LLM provider
+ * (OpenAI, an OpenAI-compatible endpoint, or the fixture provider - see services/llm).
  * Processes search queries and filters to generate personalized travel suggestions.
  * 
  * @author Rongbin Gu (@rongbin99)
@@ -10,7 +11,12 @@
 // ========================================
 // IMPORTS
 // ========================================
-const OpenAI = require('openai');
+const { createProvider } = require('./llm');
+const { createPlanStreamParser } = require('./planStream');
+const { validatePlan, getTripDays } = require('./planSchema');
+const { flattenDays, MAX_HISTORY_MESSAGES } = require('./itinerary');
+const { generateMockPlan } = require('./llm/mockPlans');
+const { describeFoodBudget, FOOD_BUDGET_BANDS } = require('./costEstimate');
 
 // ========================================
 // CONFIGURATION AND CONSTANTS
@@ -19,52 +25,114 @@ const OpenAI = require('openai');
 const TAG = '[OpenAI]';
 
 /**
- * OpenAI client instance
+ * LLM provider instance
  */
-let openai = null;
+let provider = null;
 
 /**
- * Initialize OpenAI client
+ * Initialize the LLM provider selected by configuration (LLM_PROVIDER)
+ * @returns {Object} - Provider instance
  */
 const initializeOpenAI = () => {
-    if (!process.env.OPENAI_API_KEY) {
-        console.warn(TAG, 'No API key found, using mock responses');
-        return null;
-    }
-
-    try {
-        openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
-        console.log(TAG, 'Client initialized successfully');
-        return openai;
-    } catch (error) {
-        console.error(TAG, 'Failed to initialize client:', error.message);
-        return null;
-    }
+    provider = createProvider();
+    return provider;
 };
 
 /**
- * AI Model configuration
+ * AI generation configuration (the model is chosen by the provider)
  */
 const AI_CONFIG = {
-    model: 'gpt-3.5-turbo', // Use GPT-3.5-turbo for cost efficiency
-    maxTokens: 1000,
+    maxTokens: 1000, // Per planned day
+    maxTripTokens: 4000, // Upper bound for multi-day plans
     temperature: 0.7, // Balanced creativity and consistency
     topP: 0.9,
     frequencyPenalty: 0.1,
-    presencePenalty: 0.1
+    presencePenalty: 0.1,
+    maxHistoryMessages: MAX_HISTORY_MESSAGES, // Most recent conversation turns replayed for refinements
+    maxAttempts: 3 // Initial request plus up to two repair requests for invalid plans
 };
 
+/**
+ * Sample requests used to exercise the mock plan generator
+ */
+const MOCK_PLAN_CHECKS = [
+    {
+        searchQuery: 'Things to do in Tokyo',
+        filters: { timeOfDay: ['allDay'], environment: 'mixed', planTransit: true, planFood: true, priceRange: 2 }
+    },
+    {
+        searchQuery: 'Date night in Paris',
+        filters: { timeOfDay: ['evening'], environment: 'indoor', planTransit: false, planFood: true, priceRange: 4, specialOptions: ['date'] }
+    },
+    {
+        searchQuery: 'Family morning in Toronto',
+        filters: { timeOfDay: ['morning'], environment: 'outdoor', planTransit: true, planFood: false, specialOptions: ['family'] }
+    },
+    {
+        searchQuery: 'Long weekend in New York',
+        filters: { timeOfDay: ['allDay'], environment: 'mixed', planTransit: true, planFood: true, dateRange: { start: '2025-07-11', end: '2025-07-13' } }
+    }
+];
+
 // ========================================
 // HELPER FUNCTIONS
 // ========================================
 
+/**
+ * Gets the number of days the plan for a request must cover
+ * Single-stop regenerations always return a flat list, even for multi-day trips.
+ * @param {Object} searchData - Search criteria and filters
+ * @returns {number} - Expected day count
+ */
+const getExpectedDays = (searchData) => {
+    if (searchData.regenerationContext?.singleLocation) {
+        return 1;
+    }
+    return getTripDays(searchData.filters).dayCount;
+};
+
+/**
+ * Builds the response format section for multi-day plans
+ * @param {number} dayCount - Number of days to plan
+ * @returns {string} - Multi-day format instructions
+ */
+const buildMultiDayFormat = (dayCount) => {
+    return `
+
+MULTI-DAY TRIPS:
+This trip lasts ${dayCount} days. Instead of the "locations" array, respond with a "days" array containing exactly ${dayCount} day objects, plus an optional "lodging" base:
+{
+  "city": "Main city/location name, State, Country",
+  "lodging": {
+    "name": "Suggested place to stay",
+    "address": "Full address",
+    "description": "Why it is a good base for this trip",
+    "priceRange": "$|$$|$$$|$$$+",
+    "coordinates": { "latitude": 43.6532, "longitude": -79.3832 }
+  },
+  "days": [
+    {
+      "day": 1,
+      "date": "YYYY-MM-DD (only when trip dates are given, otherwise null)",
+      "title": "Short theme for the day",
+      "summary": "What this day is about",
+      "locations": [ /* 1-6 locations, same format as above */ ]
+    }
+  ],
+  "summary": "A brief engaging introduction to the whole trip",
+  "practicalTips": "Helpful tips for the trip"
+}
+- Each day has its own 1-6 locations with start times, and its own "transitToNext" legs (the last stop of each day has none)
+- Group each day's stops by neighbourhood, start each day near the lodging base, and do not repeat venues across days
+- Vary the days (e.g., museums one day, outdoors the next) and keep evenings lighter after long days`;
+};
+
 /**
  * Builds the system prompt for the AI
+ * @param {number} dayCount - Number of days to plan (multi-day trips use the days[] format)
  * @returns {string} - System prompt
  */
-const buildSystemPrompt = () => {
+const buildSystemPrompt = (dayCount = 1) => {
     return `You are PlanIT, an expert travel planning assistant. Your role is to provide personalized, detailed travel recommendations based on user preferences.
 
 CRITICAL: You MUST respond with a valid JSON object in the following format:
@@ -131,6 +199,7 @@ ITINERARY TIMING:
 - Use practical times that align with venue hours and typical schedules
 - Space locations appropriately to allow for transitions and breaks
 - Format times clearly (e.g., "9:00 AM", "2:30 PM", "7:00 PM")
+- Write opening_hours.weekday_text as "Day: open – close" lines; day ranges ("Tuesday–Saturday"), "Closed" and "Open 24 hours" are fine. Whether a venue is open is checked against these hours, so make sure each stop is open at its start time
 - Consider meal times when scheduling restaurant visits
 - Account for rush hours and peak times at popular attractions
 
@@ -152,10 +221,7 @@ TRANSIT TYPE AND ROUTING:
 - For the last location in the array, omit the "transitToNext" field or set it to null
 
 FOOD BUDGET REFERENCES:
-- Budget ($10-$20 per person): Casual dining, food trucks, fast-casual restaurants
-- Moderate ($20-$30 per person): Mid-range restaurants, popular local spots
-- Premium ($30-$50 per person): Upscale dining, specialty restaurants, fine casual
-- Luxury ($50+ per person): Fine dining, high-end establishments, chef-driven restaurants
+${Object.entries(FOOD_BUDGET_BANDS).map(([level, band]) => `- ${describeFoodBudget(level)}: ${band.examples}`).join('\n')}
 
 COMPREHENSIVE LOCATION DATA:
 - For each location, provide complete information as if you were a local travel guide
@@ -164,7 +230,7 @@ COMPREHENSIVE LOCATION DATA:
 - Include official websites or "Not available" if none exists
 - Add realistic opening hours (e.g., "Monday: 9:00 AM - 6:00 PM", "Tuesday: 9:00 AM - 6:00 PM", "etc...")
 - Provide accurate GPS coordinates (latitude and longitude) for each location
-- Ensure all data represents actual, real locations with accurate details and coordinates
+- Ensure all data represents actual, real locations with accurate details and coordinates${dayCount > 1 ? buildMultiDayFormat(dayCount) : ''}
 
 RESPONSE FORMAT: Return ONLY the JSON object, no additional text or markdown formatting.`;
 };
@@ -176,7 +242,7 @@ RESPONSE FORMAT: Return ONLY the JSON object, no additional text or markdown for
  * @returns {string} - Formatted user prompt
  */
 const buildUserPrompt = (searchData, userMessage) => {
-    const { searchQuery, location, filters, regenerationContext } = searchData;
+    const { searchQuery, location, filters, regenerationContext, templateContext } = searchData;
     const {
         timeOfDay,
         environment,
@@ -203,6 +269,31 @@ Original Chat ID: "${regenerationContext.originalChatId || 'unknown'}"
 
 IMPORTANT: Please provide alternative locations that are similar to the excluded location but different venues. Focus on the same category and style but different specific businesses or attractions.
 `;
+        if (regenerationContext.excludedCategory) {
+            prompt += `Required Category: "${regenerationContext.excludedCategory}"\n`;
+        }
+        if (regenerationContext.excludedTime) {
+            prompt += `Time Slot: starts at ${regenerationContext.excludedTime}${regenerationContext.excludedEstimatedTime ? ` for about ${regenerationContext.excludedEstimatedTime}` : ''} - the replacement must be open and suitable at this time\n`;
+        }
+        if (regenerationContext.avoidLocations && regenerationContext.avoidLocations.length > 0) {
+            prompt += `Do NOT suggest any of these venues already in the plan: ${regenerationContext.avoidLocations.map(name => `"${name}"`).join(', ')}\n`;
+        }
+        if (regenerationContext.singleLocation) {
+            prompt += `Return EXACTLY ONE location in the "locations" array - the replacement stop.\n`;
+        }
+    }
+
+    // Add template context if this plan recreates an existing trip
+    if (templateContext && Array.isArray(templateContext.stops) && templateContext.stops.length > 0) {
+        prompt += `\n📋 TEMPLATE CONTEXT:
+This plan recreates an existing trip${templateContext.originalCity ? ` from ${templateContext.originalCity}` : ''} for the request above.
+Original Query: "${templateContext.originalQuery || searchQuery}"
+Keep the same structure: the same number of stops per day, in the same order, with the same categories and time slots. Replace every venue with one that suits the request.
+`;
+        templateContext.stops.forEach((stop, index) => {
+            const slot = [stop.time && `at ${stop.time}`, stop.estimatedTime && `for ${stop.estimatedTime}`].filter(Boolean).join(' ');
+            prompt += `${index + 1}. Day ${stop.day}: ${stop.category || 'any category'}${slot ? ` ${slot}` : ''}\n`;
+        });
     }
 
     // Add location information if provided
@@ -222,6 +313,12 @@ IMPORTANT: Please provide alternative locations that are similar to the excluded
     prompt += `\nPREFERENCES:
 `;
 
+    // Trip length (multi-day trips)
+    const { dayCount, dates } = getTripDays(filters);
+    if (dayCount > 1 && !regenerationContext?.singleLocation) {
+        prompt += `📅 Trip Length: ${dayCount} days${dates ? ` (${dates[0]} to ${dates[dates.length - 1]})` : ''} - plan every day\n`;
+    }
+
     // Time preferences
     if (timeOfDay && timeOfDay.length > 0) {
         prompt += `⏰ Time of Day: ${timeOfDay.join(', ')}\n`;
@@ -243,14 +340,7 @@ IMPORTANT: Please provide alternative locations that are similar to the excluded
     // Food planning - handle priceRange with proper budget descriptions
     if (planFood && priceRange) {
         // Map priceRange numbers to descriptive budget ranges
-        const budgetDescriptions = {
-            1: 'Budget ($10-$20 per person)',
-            2: 'Moderate ($20-$30 per person)', 
-            3: 'Premium ($30-$50 per person)',
-            4: 'Luxury ($50+ per person)'
-        };
-        
-        const budgetDescription = budgetDescriptions[priceRange] || priceRange;
+        const budgetDescription = describeFoodBudget(priceRange) || priceRange;
         prompt += `🍽️ Include Dining: Yes - Budget: ${budgetDescription}\n`;
     } else if (planFood) {
         prompt += `🍽️ Include Dining: Yes\n`;
@@ -291,146 +381,207 @@ IMPORTANT SEARCH REQUIREMENTS:
 };
 
 /**
- * Mock AI response generator (fallback when OpenAI is not available)
- * @param {Object} searchData - Search criteria
- * @returns {Object} - Mock response with Vancouver trip data
+ * Builds the prompt for a follow-up refinement message in a trip conversation
+ * @param {string} userMessage - User's refinement request (e.g., "make it cheaper")
+ * @returns {string} - Formatted refinement prompt
  */
-const generateMockResponse = (searchData) => {
-    const { searchQuery, location, filters } = searchData;
+const buildRefinementPrompt = (userMessage) => {
+    return `TRIP REFINEMENT REQUEST:
+
+User Message: "${userMessage}"
+
+Update the most recent trip plan in this conversation according to the user's message.
+- Keep every location that the user did not ask to change, including its details and timing
+- Only replace, add, or remove locations when the request requires it
+- Re-check the timing and "transitToNext" fields around any location that changed
+- Respond with the COMPLETE updated plan using the same JSON format as before`;
+};
+
+/**
+ * Builds the chat messages sent to the model, replaying any previous conversation turns
+ * @param {Object} searchData - Search criteria and filters
+ * @param {string} userMessage - User's latest message
+ * @param {Array<Object>} history - Previous turns ({ role, content }) in chronological order
+ * @returns {Array<Object>} - Messages for the chat completion request
+ */
+const buildConversationMessages = (searchData, userMessage, history = []) => {
+    const turns = [...history, { role: 'user', content: userMessage }];
+    
+    // Always keep the original request, then the most recent turns
+    const replayed = turns.length > AI_CONFIG.maxHistoryMessages + 1
+        ? [turns[0], ...turns.slice(-AI_CONFIG.maxHistoryMessages)]
+        : turns;
     
-    console.log(TAG, 'Generating Vancouver mock response for query:', searchQuery);
+    const messages = [{ role: 'system', content: buildSystemPrompt(getExpectedDays(searchData)) }];
     
-    // Return the specific Vancouver mock response data
+    replayed.forEach((turn, index) => {
+        if (turn.role === 'assistant') {
+            messages.push({ role: 'assistant', content: turn.content });
+        } else if (index === 0) {
+            messages.push({ role: 'user', content: buildUserPrompt(searchData, turn.content) });
+        } else {
+            messages.push({ role: 'user', content: buildRefinementPrompt(turn.content) });
+        }
+    });
+    
+    return messages;
+};
+
+/**
+ * Parses the JSON plan returned by the model
+ * @param {string} response - Raw model output
+ * @returns {Object} - Parsed plan
+ * @throws {SyntaxError} - If the output is not valid JSON
+ */
+const parsePlanResponse = (response) => {
+    // Clean the response in case there's any markdown formatting
+    const cleanedResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    return JSON.parse(cleanedResponse);
+};
+
+/**
+ * Builds the generation options passed to the provider
+ * @param {Object} searchData - Search criteria (lets the fixture provider answer for the request)
+ * @param {AbortSignal} signal - Aborts the request (optional)
+ * @returns {Object} - Provider request options
+ */
+const buildRequestOptions = (searchData, signal) => {
+    return {
+        maxTokens: Math.min(AI_CONFIG.maxTokens * getExpectedDays(searchData), AI_CONFIG.maxTripTokens),
+        temperature: AI_CONFIG.temperature,
+        topP: AI_CONFIG.topP,
+        frequencyPenalty: AI_CONFIG.frequencyPenalty,
+        presencePenalty: AI_CONFIG.presencePenalty,
+        context: { searchData },
+        signal
+    };
+};
+
+/**
+ * Builds the prompt that asks the model to fix an invalid plan
+ * @param {Array<Object>} errors - Validation errors ({ field, message })
+ * @returns {string} - Formatted repair prompt
+ */
+const buildRepairPrompt = (errors) => {
+    return `Your previous response could not be used because it does not match the required JSON format:
+${errors.map(error => `- ${error.field}: ${error.message}`).join('\n')}
+
+Respond again with the COMPLETE corrected plan as a single JSON object. Fix only the listed problems and keep everything else unchanged.`;
+};
+
+/**
+ * Creates the error thrown when no usable plan could be generated
+ * @param {string} message - Error message
+ * @param {Object} details - Error details (e.g., { attempts, errors })
+ * @returns {Error} - Error with name PlanGenerationError and status 502
+ */
+const createPlanGenerationError = (message, details = {}) => {
+    const error = new Error(message);
+    error.name = 'PlanGenerationError';
+    error.status = 502;
+    error.details = details;
+    return error;
+};
+
+/**
+ * Adds the token usage of another completion to a running total
+ * @param {Object|null} total - Usage so far
+ * @param {Object|null} usage - Usage of the latest completion
+ * @returns {Object|null} - Combined usage
+ */
+const addUsage = (total, usage) => {
+    if (!usage) {
+        return total;
+    }
+    if (!total) {
+        return { ...usage };
+    }
+    return {
+        prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+        completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+        total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
+};
+
+/**
+ * Builds the plan fields of a generation result
+ * Multi-day plans keep their days[] and also expose every stop in the flat locations list.
+ * @param {Object} plan - Validated plan
+ * @returns {Object} - { content, city, days, lodging, locations, practicalTips }
+ */
+const toPlanResult = (plan) => {
+    const days = Array.isArray(plan.days) ? plan.days : null;
+
     return {
-        city: "Vancouver, BC, Canada",
-        locations: [
-            {
-                name: "Queen Elizabeth Park – Quarry Garden",
-                address: "4600 Cambie St, Vancouver, BC V5Y 2M4",
-                description: "A serene elevated garden offering calm city views, flowering gardens, and peaceful walking paths—perfect for unwinding after work.",
-                category: "activity",
-                estimatedTime: "45 minutes",
-                time: "6:00 PM",
-                priceRange: "Free",
-                coordinates: {
-                    latitude: 49.2416,
-                    longitude: -123.1133
-                },
-                rating: 4.4,
-                phone: "Not available",
-                website: "https://vancouver.ca/parks-recreation-culture/queen-elizabeth-park.aspx",
-                opening_hours: {
-                    open_now: true,
-                    weekday_text: ["Monday–Sunday: 5:30 AM–10:00 PM"]
-                },
-                transitToNext: {
-                    type: "Bus",
-                    duration: "25 minutes",
-                    details: "Bus 33 from Cambie St at W 33rd Ave to Cambie St at King Edward Ave, then 5‑min walk"
-                }
-            },
-            {
-                name: "Seawall stroll at Coal Harbour / Stanley Park",
-                address: "Coal Harbour Waterfront, Vancouver, BC",
-                description: "A gentle, atmospheric walk along the water's edge; you'll get reflections of city lights on the water and a peaceful evening breeze.",
-                category: "activity",
-                estimatedTime: "60 minutes",
-                time: "6:45 PM",
-                priceRange: "Free",
-                coordinates: {
-                    latitude: 49.3060,
-                    longitude: -123.1420
-                },
-                rating: 4.8,
-                phone: "Not available",
-                website: "Not available",
-                opening_hours: {
-                    open_now: true,
-                    weekday_text: ["Monday–Sunday: Open 24 hours"]
-                },
-                transitToNext: {
-                    type: "Metro",
-                    duration: "30 minutes",
-                    details: "SkyTrain Canada Line from King Edward to Waterfront (Expo Line transfer), then 10‑min walk to Coal Harbour Seawall"
-                }
-            },
-            {
-                name: "Forest‑bathe in a guided session at Lighthouse Park",
-                address: "Lighthouse Park, West Vancouver, BC",
-                description: "Join a calming forest‑bathing (shinrin‑yoku) session among ancient trees, guided to help release work stress and reconnect with nature.",
-                category: "activity",
-                estimatedTime: "60 minutes",
-                time: "7:30 PM",
-                priceRange: "$$",
-                coordinates: {
-                    latitude: 49.3394,
-                    longitude: -123.4160
-                },
-                rating: 4.7,
-                phone: "Not available",
-                website: "Not available",
-                opening_hours: {
-                    open_now: true,
-                    weekday_text: ["Evening sessions – check tour provider"]
-                },
-                transitToNext: {
-                    type: "Ferry",
-                    duration: "45 minutes",
-                    details: "SeaBus from Waterfront to Lonsdale Quay (~15 min), then Bus 250 to Lighthouse Park (~20 min), plus walking"
-                }
-            },
-            {
-                name: "Dinner at a local favorite: The Dark Table",
-                address: "2692 Granville St, Vancouver, BC V6H 3H4",
-                description: "A unique sensory-diminished dining experience in semi-darkness—calm, immersive and perfect for gentle reflection over a moderate dinner.",
-                category: "restaurant",
-                estimatedTime: "75 minutes",
-                time: "8:45 PM",
-                priceRange: "$$",
-                coordinates: {
-                    latitude: 49.2649,
-                    longitude: -123.1381
-                },
-                rating: 4.3,
-                phone: "+1 604‑737‑0440",
-                website: "https://thedarktable.ca",
-                opening_hours: {
-                    open_now: false,
-                    weekday_text: ["Tuesday–Saturday: 5:00 PM–9:00 PM"]
-                },
-                transitToNext: {
-                    type: "Bus",
-                    duration: "30 minutes",
-                    details: "Bus 250 back to Lonsdale Quay, SeaBus to Waterfront, then Bus 22 to Granville St at 2nd Ave"
-                }
-            },
-            {
-                name: "Odd Society Spirits",
-                address: "75 West 4th Ave, Vancouver, BC V5Y 1G9",
-                description: "An intimate local distillery tasting room in a relaxed, adult‑focused setting—great for a calm nightcap and authentic local flavour.",
-                category: "restaurant",
-                estimatedTime: "45 minutes",
-                time: "10:00 PM",
-                priceRange: "$$",
-                coordinates: {
-                    latitude: 49.2640,
-                    longitude: -123.1110
-                },
-                rating: 4.5,
-                phone: "+1 604‑255‑1815",
-                website: "https://oddsocietyspirits.com",
-                opening_hours: {
-                    open_now: true,
-                    weekday_text: ["Tuesday–Saturday: 5:00 PM–10:00 PM"]
-                },
-                transitToNext: null
-            }
-        ],
-        summary: "Here's a calming solo‑evening outing in Vancouver tailored just for you: start with peaceful garden views high above the city, meander along the Seawall with the reflected city lights, immerse in a forest‑bathing session in ancient west‑coast forest, enjoy a unique moderate‑budget dinner in sensory calm, and top it off with a relaxed, local‑flavor nightcap.",
-        practicalTips: "Allow 30 minutes buffer between activities for transit and walking. SkyTrain, SeaBus and buses run well into the evening, but check schedules for post‑9 PM services. Book forest‑bathing sessions in advance (via Talaysay Tours). For The Dark Table, reservations are strongly recommended—dining is in semi‑darkness and seating is limited. Dress in layers for changing temperatures, especially near water or forest. Finally, carry a small flashlight or phone light for any walking in dim settings (e.g. Lighthouse Park trail)."
+        content: plan.summary,
+        city: plan.city,
+        days: days,
+        lodging: days ? plan.lodging || null : null,
+        locations: days ? flattenDays(days) : plan.locations,
+        practicalTips: plan.practicalTips || ''
     };
 };
 
+/**
+ * Validates a model response and, while attempts remain, sends the problems back to the model for repair
+ * @param {Array<Object>} messages - Messages that produced the response
+ * @param {Object} firstAttempt - First response ({ content, finishReason, usage, model })
+ * @param {Object} requestOptions - Options passed to the provider for repair requests
+ * @param {number} expectedDays - Number of days the plan must cover
+ * @returns {Promise<Object>} - { plan, attempts, repairedFields, usage, model }
+ * @throws {Error} - PlanGenerationError if no valid plan is returned within AI_CONFIG.maxAttempts
+ */
+const resolveValidPlan = async (messages, firstAttempt, requestOptions, expectedDays = 1) => {
+    const conversation = [...messages];
+    const repairedFields = new Set();
+    let attempt = firstAttempt;
+    let attempts = 1;
+    let usage = firstAttempt.usage || null;
+
+    while (true) {
+        let errors;
+        let result = null;
+
+        try {
+            result = validatePlan(parsePlanResponse(attempt.content || ''), { expectedDays });
+            errors = result.errors;
+        } catch (parseError) {
+            errors = [{ field: 'plan', message: `Response is not valid JSON (${parseError.message})` }];
+        }
+
+        if (attempt.finishReason === 'length') {
+            errors = [{ field: 'plan', message: 'Response was cut off - keep descriptions and tips shorter' }, ...errors];
+        }
+
+        if (errors.length === 0) {
+            result.repairedFields.forEach(field => repairedFields.add(field));
+            console.log(TAG, 'Plan validated:', { attempts, repairedFields: repairedFields.size });
+            return { plan: result.value, attempts, repairedFields: [...repairedFields], usage, model: attempt.model };
+        }
+
+        console.warn(TAG, `Plan attempt ${attempts} is invalid:`, errors.map(error => `${error.field}: ${error.message}`));
+
+        if (attempts >= AI_CONFIG.maxAttempts) {
+            throw createPlanGenerationError(
+                `The AI returned an invalid trip plan after ${attempts} attempts`,
+                { attempts, errors }
+            );
+        }
+
+        // Fields the model is asked to fix count as repaired once a later attempt validates
+        errors.filter(error => error.field !== 'plan').forEach(error => repairedFields.add(error.field));
+
+        conversation.push(
+            { role: 'assistant', content: attempt.content || '' },
+            { role: 'user', content: buildRepairPrompt(errors) }
+        );
+
+        attempt = await provider.complete(conversation, requestOptions);
+        attempts++;
+        usage = addUsage(usage, attempt.usage);
+    }
+};
+
 // ========================================
 // MAIN SERVICE FUNCTIONS
 // ========================================
@@ -439,45 +590,30 @@ const generateMockResponse = (searchData) => {
  * Generates AI-powered trip planning response
  * @param {Object} searchData - Search criteria and filters
  * @param {string} userMessage - User's input message
- * @returns {Promise<Object>} - AI response with metadata
+ * @param {Array<Object>} history - Previous conversation turns ({ role, content }) to replay as context
+ * @returns {Promise<Object>} - AI response with metadata (including attempts and repairedFields)
+ * @throws {Error} - PlanGenerationError (status 502) if the AI fails or returns no valid plan
  */
-const generateTripPlan = async (searchData, userMessage) => {
+const generateTripPlan = async (searchData, userMessage, history = []) => {
     const startTime = Date.now();
     console.log(TAG, 'Generating trip plan for:', {
         query: searchData.searchQuery,
         filters: Object.keys(searchData.filters).length,
-        hasApiKey: !!process.env.OPENAI_API_KEY
+        historyLength: history.length,
+        provider: provider.name
     });
 
     try {
-        // Check if OpenAI is available
-        if (!openai) {
-            console.log(TAG, 'Using mock response (no API key or client failed to initialize)');
-            const mockResponse = generateMockResponse(searchData);
-            
-            return {
-                content: mockResponse.summary,
-                city: mockResponse.city,
-                locations: mockResponse.locations,
-                practicalTips: mockResponse.practicalTips,
-                usage: {
-                    promptTokens: 0,
-                    completionTokens: 0,
-                    totalTokens: 0
-                },
-                model: 'mock',
-                processingTime: Date.now() - startTime,
-                source: 'mock'
-            };
-        }
-
-        // Build prompts
-        const systemPrompt = buildSystemPrompt();
-        const userPrompt = buildUserPrompt(searchData, userMessage);
+        // Build prompts (replaying previous conversation turns, if any)
+        const messages = buildConversationMessages(searchData, userMessage, history);
+        const systemPrompt = messages[0].content;
+        const userPrompt = messages[messages.length - 1].content;
+        const requestOptions = buildRequestOptions(searchData);
 
-        console.log(TAG, 'Sending request to GPT model:', AI_CONFIG.model);
+        console.log(TAG, `Sending request to ${provider.name} model:`, provider.model);
         console.log(TAG, 'User prompt length:', userPrompt.length);
-        console.log(TAG, '=== COMPLETE PROMPT SENT TO OPENAI ===');
+        console.log(TAG, 'Conversation messages:', messages.length);
+        console.log(TAG, '=== COMPLETE PROMPT SENT TO MODEL ===');
         console.log(TAG, 'SYSTEM PROMPT:');
         console.log(systemPrompt);
         console.log(TAG, '--- END SYSTEM PROMPT ---');
@@ -486,135 +622,149 @@ const generateTripPlan = async (searchData, userMessage) => {
         console.log(TAG, '--- END USER PROMPT ---');
         console.log(TAG, '=== END COMPLETE PROMPT ===');
 
-        // Make API call to OpenAI
-        const completion = await openai.chat.completions.create({
-            model: AI_CONFIG.model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content: userPrompt }
-            ],
-            max_tokens: AI_CONFIG.maxTokens,
-            temperature: AI_CONFIG.temperature,
-            top_p: AI_CONFIG.topP,
-            frequency_penalty: AI_CONFIG.frequencyPenalty,
-            presence_penalty: AI_CONFIG.presencePenalty,
-        });
-
-        const response = completion.choices[0].message.content;
-        const usage = completion.usage;
+        // Make API call through the configured provider
+        const completion = await provider.complete(messages, requestOptions);
 
         console.log(TAG, 'Raw response received:', {
-            responseLength: response.length,
-            tokensUsed: usage.total_tokens,
-            processingTime: Date.now() - startTime
+            responseLength: completion.content.length,
+            tokensUsed: completion.usage?.total_tokens,
+            latencyMs: completion.latencyMs
         });
 
-        // Parse JSON response from AI
-        let parsedResponse;
-        try {
-            // Clean the response in case there's any markdown formatting
-            const cleanedResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            parsedResponse = JSON.parse(cleanedResponse);
-            console.log(TAG, 'Successfully parsed JSON response:', {
-                city: parsedResponse.city,
-                locationCount: parsedResponse.locations?.length || 0
-            });
-        } catch (parseError) {
-            console.error(TAG, 'Failed to parse JSON response:', parseError.message);
-            console.log(TAG, 'Raw response that failed to parse:', response);
-            
-            // Fallback to mock response if JSON parsing fails
-            const mockResponse = generateMockResponse(searchData);
-            return {
-                content: mockResponse.summary,
-                city: mockResponse.city,
-                locations: mockResponse.locations,
-                practicalTips: mockResponse.practicalTips,
-                usage: usage,
-                model: completion.model,
-                processingTime: Date.now() - startTime,
-                source: 'openai_fallback',
-                error: 'JSON parsing failed, used fallback response'
-            };
-        }
-
-        // Use locations directly from OpenAI response (no Google Maps enhancement needed)
-        const enhancedLocations = parsedResponse.locations || [];
-        console.log(TAG, 'Using OpenAI-provided location data directly');
+        // Validate the plan, asking the model to repair it if needed
+        const { plan, attempts, repairedFields, usage, model } = await resolveValidPlan(
+            messages, completion, requestOptions, getExpectedDays(searchData)
+        );
+        const planResult = toPlanResult(plan);
 
         console.log(TAG, 'Response generated successfully:', {
-            city: parsedResponse.city,
-            locationCount: enhancedLocations.length,
-            tokensUsed: usage.total_tokens,
-            processingTime: Date.now() - startTime,
-            hasEnhancedData: enhancedLocations.some(loc => loc.photos && loc.photos.length > 0)
+            city: planResult.city,
+            dayCount: planResult.days ? planResult.days.length : 1,
+            locationCount: planResult.locations.length,
+            attempts: attempts,
+            repairedFields: repairedFields.length,
+            tokensUsed: usage?.total_tokens,
+            processingTime: Date.now() - startTime
         });
 
         return {
-            content: parsedResponse.summary || 'Here are some great recommendations for you!',
-            city: parsedResponse.city || 'Unknown Location',
-            locations: enhancedLocations,
-            practicalTips: parsedResponse.practicalTips || '',
+            ...planResult,
             usage: usage,
-            model: completion.model,
+            model: model,
             processingTime: Date.now() - startTime,
-            source: 'openai'
+            source: provider.name,
+            attempts: attempts,
+            repairedFields: repairedFields
         };
 
     } catch (error) {
         console.error(TAG, 'Error generating trip plan:', error);
 
-        // Fallback to mock response on error
-        console.log(TAG, 'Falling back to mock response due to error');
-        const mockResponse = generateMockResponse(searchData);
+        if (error.name === 'PlanGenerationError') {
+            throw error;
+        }
+        throw createPlanGenerationError(`The AI service request failed: ${error.message}`, { attempts: 1, errors: [] });
+    }
+};
 
-        return {
-            content: mockResponse.summary,
-            city: mockResponse.city,
-            locations: mockResponse.locations,
-            practicalTips: mockResponse.practicalTips,
-            usage: {
-                promptTokens: 0,
-                completionTokens: 0,
-                totalTokens: 0
-            },
-            model: 'mock',
-            processingTime: Date.now() - startTime,
-            source: 'mock_fallback',
-            error: error.message
-        };
+/**
+ * Generates a trip plan while streaming its parts as soon as they are complete
+ * The streamed output is validated (and repaired if needed) once the stream ends.
+ * @param {Object} searchData - Search criteria and filters
+ * @param {string} userMessage - User's input message
+ * @param {Object} options - Streaming options
+ * @param {Function} options.onEvent - Called with each parsed event ({ type, value, index, day })
+ * @param {AbortSignal} options.signal - Aborts the upstream request (e.g., when the client disconnects)
+ * @returns {Promise<Object>} - AI response with metadata (same shape as generateTripPlan)
+ */
+const streamTripPlan = async (searchData, userMessage, { onEvent = () => {}, signal } = {}) => {
+    const startTime = Date.now();
+    const parser = createPlanStreamParser();
+    console.log(TAG, 'Streaming trip plan for:', {
+        query: searchData.searchQuery,
+        provider: provider.name
+    });
+
+    const throwIfAborted = () => {
+        if (signal?.aborted) {
+            const abortError = new Error('Plan stream aborted by client');
+            abortError.name = 'AbortError';
+            throw abortError;
+        }
+    };
+
+    const messages = buildConversationMessages(searchData, userMessage);
+    const requestOptions = buildRequestOptions(searchData, signal);
+    console.log(TAG, `Opening stream to ${provider.name} model:`, provider.model);
+
+    let model = provider.model;
+    let usage = null;
+    let finishReason = null;
+
+    for await (const chunk of provider.stream(messages, requestOptions)) {
+        throwIfAborted();
+        model = chunk.model || model;
+        usage = chunk.usage || usage;
+        finishReason = chunk.finishReason || finishReason;
+
+        if (chunk.delta) {
+            parser.push(chunk.delta).forEach(onEvent);
+        }
     }
+
+    throwIfAborted();
+
+    // Streamed parts are provisional: the validated (possibly repaired) plan is returned at the end
+    const plan = await resolveValidPlan(messages, {
+        content: parser.getText(),
+        finishReason: finishReason,
+        usage: usage,
+        model: model
+    }, requestOptions, getExpectedDays(searchData));
+    const planResult = toPlanResult(plan.plan);
+
+    console.log(TAG, 'Stream completed:', {
+        city: planResult.city,
+        dayCount: planResult.days ? planResult.days.length : 1,
+        locationCount: planResult.locations.length,
+        attempts: plan.attempts,
+        tokensUsed: plan.usage?.total_tokens,
+        processingTime: Date.now() - startTime
+    });
+
+    return {
+        ...planResult,
+        usage: plan.usage,
+        model: plan.model,
+        processingTime: Date.now() - startTime,
+        source: provider.name,
+        attempts: plan.attempts,
+        repairedFields: plan.repairedFields
+    };
 };
 
 /**
- * Tests OpenAI connection
+ * Tests the connection to the configured provider
  * @returns {Promise<Object>} - Connection test result
  */
 const testConnection = async () => {
     console.log(TAG, 'Testing connection...');
 
     try {
-        if (!openai) {
-            return {
-                success: false,
-                message: 'OpenAI client not initialized (check API key)',
-                hasApiKey: !!process.env.OPENAI_API_KEY
-            };
-        }
-
         // Simple test request
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [{ role: 'user', content: 'Say "Hello from PlanIT!"' }],
-            max_tokens: 20
-        });
+        const completion = await provider.complete(
+            [{ role: 'user', content: 'Say "Hello from PlanIT!"' }],
+            { maxTokens: 20 }
+        );
 
         console.log(TAG, 'Connection test successful');
         return {
             success: true,
-            message: 'OpenAI connection successful',
-            response: completion.choices[0].message.content,
-            model: completion.model
+            message: `${provider.name} connection successful`,
+            response: completion.content,
+            provider: provider.name,
+            model: completion.model,
+            latencyMs: completion.latencyMs
         };
 
     } catch (error) {
@@ -622,24 +772,73 @@ const testConnection = async () => {
         return {
             success: false,
             message: `Connection failed: ${error.message}`,
-            hasApiKey: !!process.env.OPENAI_API_KEY
+            provider: provider.name
         };
     }
 };
 
+/**
+ * Exercises the mock plan generator with sample requests
+ * Checks that each plan is valid, reproducible and follows the request filters.
+ * @returns {Object} - { success, checks: [{ searchQuery, city, locationCount, passed, problems }] }
+ */
+const testMockPlans = () => {
+    const checks = MOCK_PLAN_CHECKS.map(searchData => {
+        const plan = generateMockPlan(searchData);
+        const expectedDays = getExpectedDays(searchData);
+        const { errors } = validatePlan(plan, { expectedDays });
+        const problems = errors.map(error => `${error.field}: ${error.message}`);
+        const locations = plan.days ? flattenDays(plan.days) : plan.locations;
+        const hasRestaurant = locations.some(location => location.category === 'restaurant');
+        const hasTransit = locations.some(location => location.transitToNext);
+
+        if (JSON.stringify(generateMockPlan(searchData)) !== JSON.stringify(plan)) {
+            problems.push('Plan is not reproducible');
+        }
+        if (hasRestaurant !== searchData.filters.planFood) {
+            problems.push(`Restaurant stops ${hasRestaurant ? 'included' : 'missing'} with planFood ${searchData.filters.planFood}`);
+        }
+        if (hasTransit !== searchData.filters.planTransit) {
+            problems.push(`Transit legs ${hasTransit ? 'included' : 'missing'} with planTransit ${searchData.filters.planTransit}`);
+        }
+        if ((plan.days?.length || 1) !== expectedDays) {
+            problems.push(`Plan covers ${plan.days?.length || 1} days instead of ${expectedDays}`);
+        }
+
+        return {
+            searchQuery: searchData.searchQuery,
+            city: plan.city,
+            dayCount: plan.days?.length || 1,
+            locationCount: locations.length,
+            passed: problems.length === 0,
+            problems
+        };
+    });
+
+    return {
+        success: checks.every(check => check.passed),
+        checks
+    };
+};
+
 /**
  * Gets service status and configuration
  * @returns {Object} - Service status information
  */
 const getServiceStatus = () => {
+    const { provider: providerName, model, baseURL } = provider.getStatus();
+
     return {
-        initialized: !!openai,
+        initialized: !!provider,
+        provider: providerName,
         hasApiKey: !!process.env.OPENAI_API_KEY,
-        model: AI_CONFIG.model,
+        model: model,
+        baseURL: baseURL,
         configuration: {
             maxTokens: AI_CONFIG.maxTokens,
             temperature: AI_CONFIG.temperature,
-            topP: AI_CONFIG.topP
+            topP: AI_CONFIG.topP,
+            maxAttempts: AI_CONFIG.maxAttempts
         },
         timestamp: new Date().toISOString()
     };
@@ -649,7 +848,7 @@ const getServiceStatus = () => {
 // INITIALIZATION
 // ========================================
 
-// Initialize OpenAI client on module load
+// Initialize the LLM provider on module load
 initializeOpenAI();
 
 // ========================================
@@ -658,7 +857,9 @@ initializeOpenAI();
 
 module.exports = {
     generateTripPlan,
+    streamTripPlan,
     testConnection,
+    testMockPlans,
     getServiceStatus,
     initializeOpenAI
 }; 
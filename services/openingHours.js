@@ -0,0 +1,380 @@
+/**
+ * Opening Hours Service
+ *
+ * Parses the opening_hours.weekday_text strings of a location into structured weekly intervals and
+ * evaluates them against the stop's scheduled time on the trip date.
+ * Handles day ranges ("Tuesday–Saturday", "Sun-Tue"), split shifts, closing after midnight and 24-hour places.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { parseClockTime, formatClockTime, getTripDays } = require('./planSchema');
+const { flattenDays } = require('./itinerary');
+const { parseDuration } = require('./timeline');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[OpeningHours]';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Day specifications that cover several days at once
+ */
+const DAY_GROUPS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    everyday: [0, 1, 2, 3, 4, 5, 6],
+    'every day': [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [6, 0]
+};
+
+const RANGE_SEPARATOR = /\s*(?:–|—|-|\bto\b|\bthrough\b|\bthru\b)\s*/;
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Converts a day name or abbreviation ("Tue", "Thurs", "Saturday") to its index (0 = Sunday)
+ * @param {string} token - Day name
+ * @returns {number|null} - Day index or null if the token is not a day
+ */
+const toDayIndex = (token) => {
+    const name = token.trim().toLowerCase().replace(/\.$/, '');
+    if (name.length < 3) {
+        return null;
+    }
+    const index = DAY_NAMES.findIndex(day => day.toLowerCase().startsWith(name));
+    return index === -1 ? null : index;
+};
+
+/**
+ * Parses the day part of a weekday_text line ("Monday", "Tuesday–Saturday", "Mon, Wed & Fri", "Daily")
+ * Ranges wrap around the week, so "Friday–Monday" covers four days.
+ * @param {string} spec - Day specification
+ * @returns {Array<number>|null} - Day indices or null if the specification cannot be parsed
+ */
+const parseDays = (spec) => {
+    const text = spec.trim().toLowerCase();
+
+    if (DAY_GROUPS[text]) {
+        return DAY_GROUPS[text];
+    }
+
+    const days = [];
+
+    for (const part of text.split(/\s*(?:,|&|\band\b)\s*/).filter(Boolean)) {
+        const bounds = part.split(RANGE_SEPARATOR).map(toDayIndex);
+
+        if (bounds.length > 2 || bounds.some(day => day === null)) {
+            return null;
+        }
+
+        const [start, end = start] = bounds;
+        for (let day = start; ; day = (day + 1) % 7) {
+            days.push(day);
+            if (day === end) break;
+        }
+    }
+
+    return days.length > 0 ? [...new Set(days)] : null;
+};
+
+/**
+ * Parses a time of an hours range, borrowing the meridiem of the closing time when it is missing
+ * ("11:30 – 2:30 PM" opens at 11:30 AM)
+ * @param {string} value - Time text
+ * @param {string|null} meridiem - Meridiem of the other end of the range ("am"/"pm")
+ * @param {number|null} closeMinutes - Closing time, used to pick the meridiem that keeps the range in order
+ * @returns {number|null} - Minutes after midnight or null if the value is not a time
+ */
+const parseRangeTime = (value, meridiem = null, closeMinutes = null) => {
+    const text = value.trim().toLowerCase()
+        .replace(/^noon$/, '12:00 pm')
+        .replace(/^midnight$/, '12:00 am');
+
+    const hour = parseInt(text, 10);
+
+    if (meridiem && !/[ap]\.?\s*m\.?$/.test(text) && hour >= 1 && hour <= 12) {
+        const sameMeridiem = parseClockTime(`${text} ${meridiem}`);
+        if (sameMeridiem !== null && (closeMinutes === null || sameMeridiem < closeMinutes)) {
+            return sameMeridiem;
+        }
+        return parseClockTime(`${text} ${meridiem === 'am' ? 'pm' : 'am'}`);
+    }
+
+    return parseClockTime(text);
+};
+
+/**
+ * Parses the hours part of a weekday_text line ("9:00 AM – 6:00 PM", "11 AM–2 PM, 5–10 PM", "Closed", "Open 24 hours")
+ * Intervals that close after midnight get a closing time past 1440.
+ * @param {string} spec - Hours specification
+ * @returns {Array<Object>|null} - Intervals ({ open, close } in minutes) or null if the text cannot be parsed
+ */
+const parseHours = (spec) => {
+    const text = spec.trim().toLowerCase();
+
+    if (/^closed$/.test(text)) {
+        return [];
+    }
+    if (/^(open )?24 hours$|^24\/7$/.test(text)) {
+        return [{ open: 0, close: MINUTES_PER_DAY }];
+    }
+
+    const intervals = [];
+
+    for (const range of text.split(/\s*[,;]\s*/).filter(Boolean)) {
+        const bounds = range.split(RANGE_SEPARATOR);
+        if (bounds.length !== 2) {
+            return null;
+        }
+
+        const closeMeridiem = bounds[1].match(/([ap])\.?\s*m\.?$/)?.[1];
+        let close = parseRangeTime(bounds[1]);
+        if (close === null) {
+            return null;
+        }
+        close = close === 0 ? MINUTES_PER_DAY : close;
+
+        const open = parseRangeTime(bounds[0], closeMeridiem ? `${closeMeridiem}m` : null, close);
+        if (open === null) {
+            return null;
+        }
+
+        intervals.push({ open, close: close <= open ? close + MINUTES_PER_DAY : close });
+    }
+
+    return intervals;
+};
+
+/**
+ * Formats minutes after midnight as an "HHMM" period time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - Period time (e.g., "0930")
+ */
+const toPeriodTime = (minutes) => {
+    const value = minutes % MINUTES_PER_DAY;
+    return `${String(Math.floor(value / 60)).padStart(2, '0')}${String(value % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * @param {string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string} - Resulting date
+ */
+const addDays = (date, days) => {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * MINUTES_PER_DAY * 60 * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Creates a warning attached to a stop
+ * @param {string} code - Warning code
+ * @param {string} severity - "error" or "warning"
+ * @param {string} message - Human-readable explanation
+ * @param {Object} details - Structured values behind the warning
+ * @returns {Object} - Warning ({ code, severity, message, details })
+ */
+const createWarning = (code, severity, message, details) => ({ code, severity, message, details });
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Parses weekday_text lines into a weekly schedule
+ * @param {Array<string>} weekdayText - Lines such as "Tuesday–Saturday: 10:00 AM – 5:00 PM"
+ * @returns {Object} - { intervals, coveredDays, alwaysOpen, unparsed } where intervals are
+ *                     { day, open, close } in minutes (close may run past midnight)
+ */
+const parseWeekdayText = (weekdayText) => {
+    const intervals = [];
+    const coveredDays = new Set();
+    const unparsed = [];
+
+    (Array.isArray(weekdayText) ? weekdayText : []).forEach(line => {
+        const match = typeof line === 'string' ? line.trim().match(/^([^\d:]+):\s*(.+)$/) : null;
+        const days = match ? parseDays(match[1]) : null;
+        const hours = match ? parseHours(match[2]) : null;
+
+        if (!days || !hours) {
+            unparsed.push(line);
+            return;
+        }
+
+        days.forEach(day => {
+            coveredDays.add(day);
+            hours.forEach(({ open, close }) => intervals.push({ day, open, close }));
+        });
+    });
+
+    if (unparsed.length > 0) {
+        console.warn(TAG, 'Unparsed opening hours:', unparsed);
+    }
+
+    const alwaysOpen = DAY_NAMES.every((name, day) => intervals.some(interval =>
+        interval.day === day && interval.open === 0 && interval.close >= MINUTES_PER_DAY));
+
+    return { intervals, coveredDays: [...coveredDays].sort(), alwaysOpen, unparsed };
+};
+
+/**
+ * Converts a weekly schedule to Places-style periods ({ open: { day, time }, close: { day, time } })
+ * Places open around the clock are a single period without a close, as in the Places API.
+ * @param {Object} schedule - Result of parseWeekdayText
+ * @returns {Array<Object>} - Periods
+ */
+const toPeriods = (schedule) => {
+    if (schedule.alwaysOpen) {
+        return [{ open: { day: 0, time: '0000' } }];
+    }
+
+    return schedule.intervals.map(({ day, open, close }) => ({
+        open: { day, time: toPeriodTime(open) },
+        close: { day: (day + Math.floor(close / MINUTES_PER_DAY) - (close % MINUTES_PER_DAY === 0 ? 1 : 0) + 7) % 7, time: close === MINUTES_PER_DAY ? '2400' : toPeriodTime(close) }
+    }));
+};
+
+/**
+ * Checks whether a schedule is open at a given day and time
+ * Intervals from the previous day that run past midnight are taken into account.
+ * @param {Object} schedule - Result of parseWeekdayText
+ * @param {number} day - Day of the week (0 = Sunday)
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Object} - { open, interval } where open is null when the schedule cannot tell
+ */
+const isOpenAt = (schedule, day, minutes) => {
+    const previousDay = (day + 6) % 7;
+    const interval = schedule.intervals.find(candidate =>
+        (candidate.day === day && candidate.open <= minutes && minutes < candidate.close) ||
+        (candidate.day === previousDay && minutes + MINUTES_PER_DAY < candidate.close));
+
+    if (interval) {
+        return { open: true, interval: { ...interval, close: interval.day === day ? interval.close : interval.close - MINUTES_PER_DAY } };
+    }
+
+    // Days missing from a fully parsed schedule are closed; with unreadable lines they are unknown
+    const known = schedule.unparsed.length === 0 || schedule.coveredDays.includes(day);
+    return { open: known ? false : null, interval: null };
+};
+
+/**
+ * Evaluates a stop's opening hours at its scheduled time
+ * open_now is replaced by the computed value (null when the hours or the time cannot be read, including
+ * when there is no weekday_text) and the structured periods are added next to weekday_text.
+ * @param {Object} location - Itinerary stop
+ * @param {string} date - Visit date (YYYY-MM-DD)
+ * @returns {Object} - { location, warnings }
+ */
+const evaluateOpeningHours = (location, date) => {
+    const weekdayText = location?.opening_hours?.weekday_text;
+
+    if (!Array.isArray(weekdayText) || weekdayText.length === 0) {
+        // Without hours the AI's open_now is only a guess (and not about the visit time), so it is not kept
+        return {
+            location: location?.opening_hours
+                ? { ...location, opening_hours: { ...location.opening_hours, open_now: null } }
+                : location,
+            warnings: []
+        };
+    }
+
+    const schedule = parseWeekdayText(weekdayText);
+    const start = parseClockTime(location.time);
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const status = start === null ? { open: null, interval: null } : isOpenAt(schedule, day, start);
+    const warnings = [];
+
+    if (status.open === false) {
+        warnings.push(createWarning('closed_at_visit', 'error', `Closed on ${DAY_NAMES[day]} at ${location.time}`, {
+            date,
+            day: DAY_NAMES[day],
+            time: location.time
+        }));
+    } else if (status.open) {
+        const duration = parseDuration(location.estimatedTime);
+        if (duration !== null && start + duration > status.interval.close) {
+            warnings.push(createWarning('closes_during_visit', 'warning', `Closes ${start + duration - status.interval.close} minutes before the visit ends`, {
+                date,
+                day: DAY_NAMES[day],
+                closesAt: formatClockTime(status.interval.close),
+                visitMinutes: duration
+            }));
+        }
+    }
+
+    return {
+        location: {
+            ...location,
+            opening_hours: {
+                ...location.opening_hours,
+                open_now: status.open,
+                periods: toPeriods(schedule)
+            }
+        },
+        warnings
+    };
+};
+
+/**
+ * Gets the visit date of each day of a trip
+ * Dates come from filters.dateRange; otherwise the trip starts on the day of the request.
+ * @param {Object} searchData - Validated search data
+ * @param {number} dayCount - Number of days in the plan
+ * @returns {Array<string>} - One YYYY-MM-DD date per day
+ */
+const getVisitDates = (searchData, dayCount) => {
+    const { dates } = getTripDays(searchData.filters);
+    const firstDate = dates?.[0] || String(searchData.timestamp || new Date().toISOString()).slice(0, 10);
+
+    return Array.from({ length: dayCount }, (_, index) => dates?.[index] || addDays(firstDate, index));
+};
+
+/**
+ * Evaluates the opening hours of every stop of a plan on its visit date
+ * @param {Object} plan - Plan result ({ locations } or { days, locations })
+ * @param {Object} searchData - Validated search data
+ * @returns {Object} - { plan, warnings } where warnings is one array per stop of the flattened locations
+ */
+const checkPlanOpeningHours = (plan, searchData) => {
+    if (Array.isArray(plan.days)) {
+        const visitDates = getVisitDates(searchData, plan.days.length);
+        const results = plan.days.map((day, index) => (day.locations || [])
+            .map(location => evaluateOpeningHours(location, day.date || visitDates[index])));
+        const days = plan.days.map((day, index) => ({ ...day, locations: results[index].map(result => result.location) }));
+
+        return {
+            plan: { ...plan, days, locations: flattenDays(days) },
+            warnings: results.flat().map(result => result.warnings)
+        };
+    }
+
+    const [visitDate] = getVisitDates(searchData, 1);
+    const results = (plan.locations || []).map(location => evaluateOpeningHours(location, visitDate));
+
+    return {
+        plan: { ...plan, locations: results.map(result => result.location) },
+        warnings: results.map(result => result.warnings)
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    parseWeekdayText,
+    toPeriods,
+    isOpenAt,
+    evaluateOpeningHours,
+    checkPlanOpeningHours,
+    getVisitDates,
+    DAY_NAMES
+};
@@ -0,0 +1,461 @@
+/**
+ * Plan Schema Service
+ *
+ * Strict schema for the trip plans returned by the AI.
+ * Normalizes harmless formatting differences (times, categories, price ranges, coordinates) and
+ * reports the fields it had to repair, then validates the result and reports what is still invalid.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const Joi = require('joi');
+
+// ========================================
+// CONSTANTS
+// ========================================
+
+const LOCATION_CATEGORIES = ['restaurant', 'attraction', 'activity', 'shopping', 'accommodation'];
+const PRICE_RANGES = ['Free', '$', '$$', '$$$', '$$$+'];
+const TRANSIT_TYPES = ['Bus', 'Subway', 'Metro', 'Tram', 'Light Rail', 'Ferry', 'Train', 'Streetcar', 'Walk'];
+const CLOCK_TIME_PATTERN = /^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TRIP_DAYS = 7;
+const MAX_STOPS_PER_DAY = 6;
+
+/**
+ * Common category names the model uses instead of the allowed ones
+ */
+const CATEGORY_ALIASES = {
+    food: 'restaurant',
+    dining: 'restaurant',
+    cafe: 'restaurant',
+    café: 'restaurant',
+    bar: 'restaurant',
+    sightseeing: 'attraction',
+    landmark: 'attraction',
+    museum: 'attraction',
+    park: 'activity',
+    shop: 'shopping',
+    market: 'shopping',
+    hotel: 'accommodation',
+    lodging: 'accommodation'
+};
+
+/**
+ * Location validation schema
+ */
+const planLocationSchema = Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    address: Joi.string().trim().min(1).required(),
+    description: Joi.string().allow('').required(),
+    category: Joi.string().valid(...LOCATION_CATEGORIES).required(),
+    estimatedTime: Joi.string().trim().min(1).required(),
+    time: Joi.string().pattern(CLOCK_TIME_PATTERN).required()
+        .messages({ 'string.pattern.base': '{{#label}} must be a start time like "9:00 AM"' }),
+    priceRange: Joi.string().valid(...PRICE_RANGES).required(),
+    coordinates: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required()
+    }).required(),
+    rating: Joi.number().min(0).max(5).optional(),
+    phone: Joi.string().allow('').optional(),
+    website: Joi.string().allow('').optional(),
+    opening_hours: Joi.object({
+        open_now: Joi.boolean().allow(null).optional(),
+        weekday_text: Joi.array().items(Joi.string()).optional()
+    }).unknown(true).allow(null).optional(),
+    transitToNext: Joi.object({
+        type: Joi.string().valid(...TRANSIT_TYPES).required(),
+        duration: Joi.string().trim().min(1).required(),
+        details: Joi.string().allow('').optional()
+    }).unknown(true).allow(null).optional()
+}).unknown(true);
+
+/**
+ * Lodging base validation schema (multi-day plans)
+ */
+const lodgingSchema = Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    address: Joi.string().trim().min(1).required(),
+    description: Joi.string().allow('').optional(),
+    priceRange: Joi.string().valid(...PRICE_RANGES).optional(),
+    coordinates: Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required()
+    }).optional()
+}).unknown(true);
+
+/**
+ * Day validation schema (multi-day plans)
+ */
+const planDaySchema = Joi.object({
+    day: Joi.number().integer().min(1).max(MAX_TRIP_DAYS).required(),
+    date: Joi.string().pattern(DATE_PATTERN).allow(null).optional()
+        .messages({ 'string.pattern.base': '{{#label}} must be a date like "2025-07-14"' }),
+    title: Joi.string().allow('').optional(),
+    summary: Joi.string().trim().min(1).required(),
+    locations: Joi.array().items(planLocationSchema).min(1).max(MAX_STOPS_PER_DAY).required()
+}).unknown(true);
+
+/**
+ * Plan validation schema
+ * Single-day plans use a flat locations array; multi-day plans use days[] (each with its own stops).
+ * A stored multi-day itinerary also carries the flattened locations, which are not validated again.
+ */
+const planSchema = Joi.object({
+    city: Joi.string().trim().min(1).required(),
+    summary: Joi.string().trim().min(1).required(),
+    practicalTips: Joi.string().allow('').optional(),
+    days: Joi.array().items(planDaySchema).min(1).max(MAX_TRIP_DAYS).optional(),
+    lodging: lodgingSchema.allow(null).optional(),
+    locations: Joi.when('days', {
+        is: Joi.exist(),
+        then: Joi.array().optional(),
+        otherwise: Joi.array().items(planLocationSchema).min(1).max(MAX_STOPS_PER_DAY).required()
+    })
+}).unknown(true);
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Parses a clock time such as "9:00 AM", "9am", "09:00" or "21:30"
+ * @param {string} value - Time string
+ * @returns {number|null} - Minutes after midnight or null if the value is not a time
+ */
+const parseClockTime = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const meridiem = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\.?$/i);
+    if (meridiem) {
+        const hours = parseInt(meridiem[1], 10);
+        const minutes = parseInt(meridiem[2] || '0', 10);
+        if (hours < 1 || hours > 12 || minutes > 59) {
+            return null;
+        }
+        const isPm = meridiem[3].toLowerCase() === 'p';
+        return ((hours % 12) + (isPm ? 12 : 0)) * 60 + minutes;
+    }
+
+    const twentyFourHour = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (twentyFourHour) {
+        const hours = parseInt(twentyFourHour[1], 10);
+        const minutes = parseInt(twentyFourHour[2], 10);
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+        return hours * 60 + minutes;
+    }
+
+    return null;
+};
+
+/**
+ * Formats minutes after midnight as a clock time (e.g., "2:30 PM")
+ * @param {number} totalMinutes - Minutes after midnight (wraps past midnight)
+ * @returns {string} - Formatted time
+ */
+const formatClockTime = (totalMinutes) => {
+    const minutesInDay = ((Math.round(totalMinutes) % 1440) + 1440) % 1440;
+    const hours = Math.floor(minutesInDay / 60);
+    const minutes = minutesInDay % 60;
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+
+    return `${displayHours}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Normalizes a price range such as "free", "$$$$" or 2
+ * @param {*} value - Raw price range
+ * @returns {*} - Normalized price range (or the original value if it cannot be normalized)
+ */
+const normalizePriceRange = (value) => {
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+        return value === 0 ? 'Free' : PRICE_RANGES[Math.min(value, 4)];
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.toLowerCase() === 'free') {
+        return 'Free';
+    }
+    if (/^\$+\+?$/.test(trimmed)) {
+        const level = trimmed.replace('+', '').length;
+        return level >= 4 || (level === 3 && trimmed.endsWith('+')) ? '$$$+' : PRICE_RANGES[level];
+    }
+
+    return value;
+};
+
+/**
+ * Normalizes a category such as "Restaurant" or "museum"
+ * @param {*} value - Raw category
+ * @returns {*} - Normalized category (or the original value if it cannot be normalized)
+ */
+const normalizeCategory = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const lowered = value.trim().toLowerCase();
+    if (LOCATION_CATEGORIES.includes(lowered)) {
+        return lowered;
+    }
+
+    return CATEGORY_ALIASES[lowered] || value;
+};
+
+/**
+ * Normalizes coordinates given as numeric strings or with lat/lng keys
+ * @param {*} value - Raw coordinates
+ * @returns {*} - Normalized coordinates (or the original value if it cannot be normalized)
+ */
+const normalizeCoordinates = (value) => {
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const toNumber = (input) => (typeof input === 'string' && input.trim() !== '' && !isNaN(Number(input)) ? Number(input) : input);
+
+    return {
+        latitude: toNumber(value.latitude ?? value.lat),
+        longitude: toNumber(value.longitude ?? value.lng ?? value.lon)
+    };
+};
+
+/**
+ * Normalizes a transit type such as "subway" or "light rail"
+ * @param {*} value - Raw transit leg
+ * @returns {*} - Normalized transit leg
+ */
+const normalizeTransitLeg = (value) => {
+    if (!value || typeof value !== 'object' || typeof value.type !== 'string') {
+        return value;
+    }
+
+    const type = TRANSIT_TYPES.find(candidate => candidate.toLowerCase() === value.type.trim().toLowerCase());
+    return type ? { ...value, type } : value;
+};
+
+/**
+ * Normalizes a single location and records the fields that changed
+ * @param {Object} location - Raw location from the AI
+ * @param {string} fieldPrefix - Field path of the location (e.g., "locations[2]")
+ * @param {boolean} isLast - Whether this is the last stop
+ * @param {Array<string>} repairedFields - Collects repaired field paths
+ * @returns {Object} - Normalized location
+ */
+const normalizeLocation = (location, fieldPrefix, isLast, repairedFields) => {
+    if (!location || typeof location !== 'object') {
+        return location;
+    }
+
+    const normalized = { ...location };
+    const repair = (field, value) => {
+        if (JSON.stringify(value) !== JSON.stringify(location[field])) {
+            normalized[field] = value;
+            repairedFields.push(`${fieldPrefix}.${field}`);
+        }
+    };
+
+    const minutes = parseClockTime(location.time);
+    if (minutes !== null) {
+        repair('time', formatClockTime(minutes));
+    }
+
+    repair('category', normalizeCategory(location.category));
+    repair('priceRange', normalizePriceRange(location.priceRange));
+
+    if (location.coordinates !== undefined) {
+        repair('coordinates', normalizeCoordinates(location.coordinates));
+    }
+
+    if (typeof location.rating === 'string' && !isNaN(Number(location.rating))) {
+        repair('rating', Number(location.rating));
+    }
+
+    if (location.transitToNext !== undefined) {
+        // The last stop has nowhere to go next
+        repair('transitToNext', isLast ? null : normalizeTransitLeg(location.transitToNext));
+    }
+
+    return normalized;
+};
+
+/**
+ * Normalizes the stops of a location list
+ * @param {*} locations - Raw locations
+ * @param {string} fieldPrefix - Field path of the list (e.g., "days[1].locations")
+ * @param {Array<string>} repairedFields - Collects repaired field paths
+ * @returns {*} - Normalized locations (or the original value if it is not an array)
+ */
+const normalizeLocations = (locations, fieldPrefix, repairedFields) => {
+    if (!Array.isArray(locations)) {
+        return locations;
+    }
+
+    return locations.map((location, index) => (
+        normalizeLocation(location, `${fieldPrefix}[${index}]`, index === locations.length - 1, repairedFields)
+    ));
+};
+
+/**
+ * Normalizes the days of a multi-day plan (numbering and each day's stops)
+ * @param {*} days - Raw days
+ * @param {Array<string>} repairedFields - Collects repaired field paths
+ * @returns {*} - Normalized days (or the original value if it is not an array)
+ */
+const normalizeDays = (days, repairedFields) => {
+    if (!Array.isArray(days)) {
+        return days;
+    }
+
+    return days.map((day, index) => {
+        if (!day || typeof day !== 'object') {
+            return day;
+        }
+
+        const normalized = { ...day, locations: normalizeLocations(day.locations, `days[${index}].locations`, repairedFields) };
+
+        if (typeof day.day === 'string' && /^\d+$/.test(day.day.trim())) {
+            normalized.day = Number(day.day);
+            repairedFields.push(`days[${index}].day`);
+        } else if (day.day === undefined) {
+            normalized.day = index + 1;
+            repairedFields.push(`days[${index}].day`);
+        }
+
+        return normalized;
+    });
+};
+
+/**
+ * Converts a Joi error path (e.g., ['locations', 2, 'time']) into a field path (e.g., "locations[2].time")
+ * @param {Array<string|number>} path - Joi error path
+ * @returns {string} - Field path
+ */
+const toFieldPath = (path) => {
+    return path.reduce((field, segment) => (
+        typeof segment === 'number' ? `${field}[${segment}]` : (field ? `${field}.${segment}` : segment)
+    ), '') || 'plan';
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Gets the number of days (and their dates) a search asks for
+ * A date range wins over a day count; without either the trip is a single outing.
+ * @param {Object} filters - Search filters ({ days, dateRange: { start, end } })
+ * @returns {Object} - { dayCount, dates } where dates is an array of "YYYY-MM-DD" strings or null
+ */
+const getTripDays = (filters = {}) => {
+    const { days, dateRange } = filters || {};
+
+    if (dateRange && DATE_PATTERN.test(dateRange.start || '') && DATE_PATTERN.test(dateRange.end || '')) {
+        const start = Date.parse(`${dateRange.start}T00:00:00Z`);
+        const end = Date.parse(`${dateRange.end}T00:00:00Z`);
+        const dayCount = Math.min(MAX_TRIP_DAYS, Math.max(1, Math.round((end - start) / 86400000) + 1));
+        const dates = Array.from({ length: dayCount }, (_, index) => new Date(start + index * 86400000).toISOString().slice(0, 10));
+        return { dayCount, dates };
+    }
+
+    const dayCount = Number.isInteger(days) ? Math.min(MAX_TRIP_DAYS, Math.max(1, days)) : 1;
+    return { dayCount, dates: null };
+};
+
+/**
+ * Checks that the requested trip length is consistent
+ * dateRange must hold real dates, must not end before it starts, cannot span more than MAX_TRIP_DAYS and must agree with days when both are sent.
+ * @param {Object} filters - Validated filters
+ * @param {Object} helpers - Joi helpers
+ * @returns {Object} - Filters or a Joi error
+ */
+const validateTripLength = (filters, helpers) => {
+    const { dateRange, days } = filters;
+
+    if (!dateRange) {
+        return filters;
+    }
+
+    const start = Date.parse(`${dateRange.start}T00:00:00Z`);
+    const end = Date.parse(`${dateRange.end}T00:00:00Z`);
+    const spanDays = Math.round((end - start) / 86400000) + 1;
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        return helpers.message('"dateRange" must contain valid calendar dates');
+    }
+    if (spanDays < 1) {
+        return helpers.message('"dateRange.end" must not be before "dateRange.start"');
+    }
+    if (spanDays > MAX_TRIP_DAYS) {
+        return helpers.message(`"dateRange" cannot span more than ${MAX_TRIP_DAYS} days`);
+    }
+    if (days !== undefined && days !== spanDays) {
+        return helpers.message(`"days" (${days}) does not match "dateRange", which spans ${spanDays} days`);
+    }
+
+    return filters;
+};
+
+/**
+ * Normalizes and validates an AI plan against the strict plan schema
+ * @param {Object} plan - Parsed AI plan
+ * @param {Object} options - Validation options
+ * @param {number} options.expectedDays - Number of days the plan must cover (checked only when given)
+ * @returns {Object} - { value, errors: [{ field, message }], repairedFields: [string] }
+ */
+const validatePlan = (plan, options = {}) => {
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+        return { value: plan, errors: [{ field: 'plan', message: 'The response must be a JSON object' }], repairedFields: [] };
+    }
+
+    const { expectedDays } = options;
+    const repairedFields = [];
+    const normalized = { ...plan };
+
+    if (plan.days !== undefined) {
+        normalized.days = normalizeDays(plan.days, repairedFields);
+    } else {
+        normalized.locations = normalizeLocations(plan.locations, 'locations', repairedFields);
+    }
+
+    const { error } = planSchema.validate(normalized, { abortEarly: false, convert: false });
+    const errors = error
+        ? error.details.map(detail => ({ field: toFieldPath(detail.path), message: detail.message }))
+        : [];
+
+    if (expectedDays > 1 && (!Array.isArray(normalized.days) || normalized.days.length !== expectedDays)) {
+        errors.push({ field: 'days', message: `"days" must contain exactly ${expectedDays} days, one object per day` });
+    } else if (expectedDays === 1 && normalized.days !== undefined) {
+        errors.push({ field: 'days', message: 'A single-day plan must use the "locations" array instead of "days"' });
+    }
+
+    return { value: normalized, errors, repairedFields };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    validatePlan,
+    getTripDays,
+    validateTripLength,
+    parseClockTime,
+    formatClockTime,
+    normalizePriceRange,
+    LOCATION_CATEGORIES,
+    PRICE_RANGES,
+    TRANSIT_TYPES,
+    MAX_TRIP_DAYS
+};
@@ -0,0 +1,205 @@
+/**
+ * Plan Stream Service
+ *
+ * Incrementally parses a streamed AI plan (partial JSON) and emits each field as soon as it is complete.
+ * Lets the streaming endpoint forward the city, summary, lodging, days and individual locations before the model finishes.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[PlanStream]';
+
+/**
+ * Top-level string fields emitted as soon as their value is complete
+ */
+const STREAMED_FIELDS = ['city', 'summary', 'practicalTips'];
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Safely parses a complete JSON fragment
+ * @param {string} text - JSON fragment
+ * @returns {*} - Parsed value or undefined if the fragment is invalid
+ */
+const parseFragment = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.warn(TAG, 'Skipping unparseable fragment:', error.message);
+        return undefined;
+    }
+};
+
+/**
+ * Maps a completed value at a JSON path to a stream event
+ * @param {Array<string|number>} path - Path of the value inside the plan object
+ * @param {*} value - Parsed value
+ * @returns {Object|null} - Stream event or null if the path is not streamed
+ */
+const toEvent = (path, value) => {
+    if (path.length === 1 && STREAMED_FIELDS.includes(path[0]) && typeof value === 'string') {
+        return { type: path[0], value };
+    }
+
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    if (path.length === 2 && path[0] === 'locations' && typeof path[1] === 'number') {
+        return { type: 'location', index: path[1], value };
+    }
+
+    if (path.length === 1 && path[0] === 'lodging') {
+        return { type: 'lodging', value };
+    }
+
+    // Multi-day plans: stops stream as they complete, then the day itself (without its stops)
+    if (path.length === 4 && path[0] === 'days' && path[2] === 'locations' && typeof path[3] === 'number') {
+        return { type: 'location', day: path[1], index: path[3], value };
+    }
+
+    if (path.length === 2 && path[0] === 'days' && typeof path[1] === 'number') {
+        const { locations, ...day } = value;
+        return { type: 'day', index: path[1], value: day };
+    }
+
+    return null;
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Creates an incremental parser for a streamed plan
+ * Text before the first "{" (such as a markdown code fence) is ignored.
+ * @returns {Object} - Parser with push(chunk) => events[], getText() and isComplete()
+ */
+const createPlanStreamParser = () => {
+    let buffer = '';
+    let position = 0;
+    let started = false;
+    let complete = false;
+    const stack = [];
+    const string = { active: false, escaped: false, start: 0, isKey: false };
+
+    /**
+     * Returns the path of the value that starts at the current position
+     */
+    const currentValuePath = () => {
+        const frame = stack[stack.length - 1];
+        if (!frame) {
+            return [];
+        }
+        return frame.type === 'object' ? [...frame.path, frame.key] : [...frame.path, frame.index];
+    };
+
+    /**
+     * Feeds a chunk of streamed text to the parser
+     * @param {string} chunk - Next piece of the model output
+     * @returns {Array<Object>} - Events completed by this chunk
+     */
+    const push = (chunk) => {
+        const events = [];
+        buffer += chunk;
+
+        for (; position < buffer.length && !complete; position++) {
+            const char = buffer[position];
+
+            if (string.active) {
+                if (string.escaped) {
+                    string.escaped = false;
+                } else if (char === '\\') {
+                    string.escaped = true;
+                } else if (char === '"') {
+                    string.active = false;
+                    const value = parseFragment(buffer.slice(string.start, position + 1));
+                    const frame = stack[stack.length - 1];
+
+                    if (string.isKey) {
+                        frame.key = value;
+                    } else {
+                        const event = toEvent(currentValuePath(), value);
+                        if (event) events.push(event);
+                    }
+                }
+                continue;
+            }
+
+            if (!started) {
+                if (char === '{') {
+                    started = true;
+                    stack.push({ type: 'object', start: position, path: [], key: null, expectingKey: true, index: 0 });
+                }
+                continue;
+            }
+
+            const frame = stack[stack.length - 1];
+
+            switch (char) {
+                case '"':
+                    string.active = true;
+                    string.start = position;
+                    string.isKey = frame.type === 'object' && frame.expectingKey;
+                    break;
+                case '{':
+                case '[':
+                    stack.push({
+                        type: char === '{' ? 'object' : 'array',
+                        start: position,
+                        path: currentValuePath(),
+                        key: null,
+                        expectingKey: true,
+                        index: 0
+                    });
+                    break;
+                case '}':
+                case ']': {
+                    const closed = stack.pop();
+                    if (closed.path.length > 0) {
+                        const event = toEvent(closed.path, parseFragment(buffer.slice(closed.start, position + 1)));
+                        if (event) events.push(event);
+                    }
+                    if (stack.length === 0) {
+                        complete = true;
+                    }
+                    break;
+                }
+                case ':':
+                    frame.expectingKey = false;
+                    break;
+                case ',':
+                    if (frame.type === 'object') {
+                        frame.expectingKey = true;
+                        frame.key = null;
+                    } else {
+                        frame.index++;
+                    }
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        return events;
+    };
+
+    return {
+        push,
+        getText: () => buffer,
+        isComplete: () => complete
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    createPlanStreamParser
+};
@@ -0,0 +1,300 @@
+/**
+ * Route Optimizer Service
+ *
+ * Reorders the stops of an itinerary to minimise the total travel distance between them.
+ * Meal stops keep their time slot, every stop must be open when it is reached, and start times
+ * are recomputed from visit durations and estimated travel legs.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { calculateDistanceKm, estimateTravelLeg, hasValidCoordinates } = require('./geo');
+const { parseClockTime, formatClockTime } = require('./planSchema');
+const { flattenDays } = require('./itinerary');
+const { parseDuration } = require('./timeline');
+const { parseWeekdayText, isOpenAt, evaluateOpeningHours, getVisitDates } = require('./openingHours');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[RouteOptimizer]';
+
+const OPTIMIZER_CONFIG = {
+    fixedCategories: ['restaurant'], // Meals stay at their planned time
+    maxExactStops: 7, // Orders of up to 7 movable stops are searched exhaustively (5040 candidates)
+    defaultDurationMinutes: 60, // Used when a stop's estimatedTime cannot be read
+    roundToMinutes: 5
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Rounds minutes up to the configured boundary
+ * @param {number} minutes - Minutes after midnight
+ * @returns {number} - Rounded minutes
+ */
+const roundUp = (minutes) => Math.ceil(minutes / OPTIMIZER_CONFIG.roundToMinutes) * OPTIMIZER_CONFIG.roundToMinutes;
+
+/**
+ * Rounds a distance for reporting
+ * @param {number} distanceKm - Distance in kilometres
+ * @returns {number} - Distance with two decimals
+ */
+const roundKm = (distanceKm) => parseFloat(distanceKm.toFixed(2));
+
+/**
+ * Sums the straight-line distance along a sequence of stops
+ * Legs with a missing coordinate count as zero.
+ * @param {Array<Object>} stops - Stops in visiting order
+ * @param {Object|null} origin - Where the day starts (e.g., the lodging), if known
+ * @returns {number} - Total distance in kilometres
+ */
+const getRouteDistanceKm = (stops, origin = null) => {
+    const points = origin ? [origin, ...stops] : stops;
+
+    return points.slice(1).reduce((total, stop, index) => {
+        return total + (calculateDistanceKm(points[index].coordinates, stop.coordinates) || 0);
+    }, 0);
+};
+
+/**
+ * Generates every permutation of a list
+ * @param {Array} items - Items to permute
+ * @returns {Generator<Array>} - Permutations
+ */
+function* permutations(items) {
+    if (items.length <= 1) {
+        yield items;
+        return;
+    }
+
+    for (let i = 0; i < items.length; i++) {
+        const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+        for (const permutation of permutations(rest)) {
+            yield [items[i], ...permutation];
+        }
+    }
+}
+
+/**
+ * Orders stops greedily by always visiting the nearest remaining one (used for long lists)
+ * @param {Array<Object>} stops - Movable stops
+ * @param {Object|null} origin - Starting point
+ * @returns {Array<Object>} - Stops in nearest-neighbour order
+ */
+const nearestNeighbourOrder = (stops, origin) => {
+    const remaining = [...stops];
+    const ordered = [];
+    let current = origin || remaining.shift();
+
+    if (!origin) {
+        ordered.push(current);
+    }
+
+    while (remaining.length > 0) {
+        const from = current;
+        remaining.sort((a, b) => calculateDistanceKm(from.coordinates, a.coordinates) - calculateDistanceKm(from.coordinates, b.coordinates));
+        current = remaining.shift();
+        ordered.push(current);
+    }
+
+    return ordered;
+};
+
+/**
+ * Recomputes the start times of a sequence of stops
+ * The day starts at the original first start time; fixed stops keep their time and must be reachable
+ * by then, and every stop with readable hours must be open when it starts (movable stops may wait).
+ * @param {Array<Object>} stops - Candidate order (entries from prepareStops)
+ * @param {number} dayStart - Minutes after midnight the day starts
+ * @param {number} weekday - Day of the week of the visit (0 = Sunday)
+ * @returns {Array<number>|null} - Start time of each stop or null if the order is not feasible
+ */
+const scheduleStops = (stops, dayStart, weekday) => {
+    const starts = [];
+    let clock = dayStart;
+
+    for (let index = 0; index < stops.length; index++) {
+        const stop = stops[index];
+        let start = roundUp(clock);
+
+        if (stop.fixed && stop.start !== null) {
+            if (start > stop.start) {
+                return null;
+            }
+            start = stop.start;
+        }
+
+        if (stop.schedule && isOpenAt(stop.schedule, weekday, start).open === false) {
+            // Movable stops may wait for the venue to open later that day
+            const opening = stop.fixed ? undefined : stop.schedule.intervals
+                .filter(interval => interval.day === weekday && interval.open > start)
+                .sort((a, b) => a.open - b.open)[0];
+            if (!opening) {
+                return null;
+            }
+            start = opening.open;
+        }
+
+        starts.push(start);
+        const next = stops[index + 1];
+        clock = start + stop.duration + (next ? stop.travelMinutesTo(next) : 0);
+    }
+
+    return starts;
+};
+
+/**
+ * Prepares the stops of a day for the search
+ * @param {Array<Object>} locations - Stops of the day
+ * @returns {Array<Object>} - Search entries ({ index, location, coordinates, fixed, start, duration, schedule, travelMinutesTo })
+ */
+const prepareStops = (locations) => {
+    return locations.map((location, index) => {
+        const entry = {
+            index,
+            location,
+            coordinates: location.coordinates,
+            fixed: OPTIMIZER_CONFIG.fixedCategories.includes(location.category) || !hasValidCoordinates(location.coordinates),
+            start: parseClockTime(location.time),
+            duration: parseDuration(location.estimatedTime) ?? OPTIMIZER_CONFIG.defaultDurationMinutes,
+            schedule: location.opening_hours?.weekday_text ? parseWeekdayText(location.opening_hours.weekday_text) : null
+        };
+        entry.travelMinutesTo = (next) => parseDuration(estimateTravelLeg(location, next.location)?.duration) || 0;
+        return entry;
+    });
+};
+
+/**
+ * Optimizes the order of the stops of a single day
+ * Fixed stops (meals and stops without coordinates) keep their position; the movable stops fill the
+ * remaining positions in the order with the shortest total distance that still has a feasible schedule.
+ * @param {Array<Object>} locations - Stops of the day in visiting order
+ * @param {Object} options - { origin, date }
+ * @returns {Object} - { locations, order, beforeKm, afterKm, changed }
+ */
+const optimizeDay = (locations, options = {}) => {
+    const { origin = null, date } = options;
+    const stops = prepareStops(locations);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const knownStarts = stops.map(stop => stop.start).filter(start => start !== null);
+    const dayStart = knownStarts.length > 0 ? Math.min(...knownStarts) : 9 * 60;
+    const beforeKm = getRouteDistanceKm(locations, origin);
+
+    const movable = stops.filter(stop => !stop.fixed);
+    const slots = stops.map(stop => (stop.fixed ? stop : null));
+    const fill = (order) => {
+        const queue = [...order];
+        return slots.map(slot => slot || queue.shift());
+    };
+
+    const candidates = movable.length <= OPTIMIZER_CONFIG.maxExactStops
+        ? permutations(movable)
+        : [nearestNeighbourOrder(movable, origin), movable];
+
+    // Only a strictly shorter feasible route replaces the planned order
+    let best = { sequence: stops, distanceKm: beforeKm, starts: null };
+
+    for (const order of candidates) {
+        const sequence = fill(order);
+        const distanceKm = getRouteDistanceKm(sequence, origin);
+
+        if (distanceKm < best.distanceKm - 0.001) {
+            const starts = scheduleStops(sequence, dayStart, weekday);
+            if (starts) {
+                best = { sequence, distanceKm, starts };
+            }
+        }
+    }
+
+    const changed = best.starts !== null;
+
+    if (!changed) {
+        return { locations, order: stops.map(stop => stop.index), beforeKm, afterKm: beforeKm, changed: false };
+    }
+
+    const hasLegs = locations.some(location => location.transitToNext);
+    const reordered = best.sequence.map((stop, position) => {
+        const next = best.sequence[position + 1];
+        const location = { ...stop.location, time: formatClockTime(best.starts[position]) };
+        location.transitToNext = hasLegs && next ? estimateTravelLeg(stop.location, next.location) : null;
+        return evaluateOpeningHours(location, date).location;
+    });
+
+    return {
+        locations: reordered,
+        order: best.sequence.map(stop => stop.index),
+        beforeKm,
+        afterKm: best.distanceKm,
+        changed: true
+    };
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Optimizes the stop order of a stored itinerary
+ * Multi-day itineraries are optimized one day at a time, starting from the lodging when it is known.
+ * @param {Object} itinerary - Stored itinerary (not modified)
+ * @param {Object} searchData - Trip search data (used for the visit dates)
+ * @returns {Object} - { itinerary, changed, distance: { beforeKm, afterKm, savedKm }, order }
+ *                     where order lists the original indices in their new order (per day for multi-day plans)
+ */
+const optimizeItinerary = (itinerary, searchData = {}) => {
+    const isMultiDay = Array.isArray(itinerary.days);
+    const days = isMultiDay ? itinerary.days : [{ locations: itinerary.locations || [] }];
+    const visitDates = getVisitDates({ filters: {}, ...searchData }, days.length);
+    const origin = isMultiDay && hasValidCoordinates(itinerary.lodging?.coordinates) ? itinerary.lodging : null;
+
+    const results = days.map((day, index) => optimizeDay(day.locations || [], {
+        origin,
+        date: day.date || visitDates[index]
+    }));
+
+    const changed = results.some(result => result.changed);
+    const beforeKm = results.reduce((total, result) => total + result.beforeKm, 0);
+    const afterKm = results.reduce((total, result) => total + result.afterKm, 0);
+
+    let optimized = itinerary;
+    if (changed && isMultiDay) {
+        const updatedDays = itinerary.days.map((day, index) => ({ ...day, locations: results[index].locations }));
+        optimized = { ...itinerary, days: updatedDays, locations: flattenDays(updatedDays) };
+    } else if (changed) {
+        optimized = { ...itinerary, locations: results[0].locations };
+    }
+
+    console.log(TAG, 'Itinerary optimized:', {
+        dayCount: days.length,
+        changed,
+        beforeKm: roundKm(beforeKm),
+        afterKm: roundKm(afterKm)
+    });
+
+    return {
+        itinerary: optimized,
+        changed,
+        distance: {
+            beforeKm: roundKm(beforeKm),
+            afterKm: roundKm(afterKm),
+            savedKm: roundKm(beforeKm - afterKm)
+        },
+        order: isMultiDay ? results.map(result => result.order) : results[0].order
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    optimizeItinerary,
+    getRouteDistanceKm,
+    OPTIMIZER_CONFIG
+};
@@ -0,0 +1,263 @@
+/**
+ * Timeline Service
+ *
+ * Checks that the timing of an itinerary is consistent.
+ * Parses the free-text time, estimatedTime and transitToNext.duration fields into a timeline and flags
+ * overlapping stops, travel legs that do not fit the gap before the next stop and out-of-order stops.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { parseClockTime, formatClockTime } = require('./planSchema');
+const { flattenDays } = require('./itinerary');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[Timeline]';
+
+const TIMELINE_CONFIG = {
+    roundToMinutes: 5, // Shifted stops start on a 5-minute boundary
+    overnightThresholdMinutes: 12 * 60 // A stop this much "earlier" than the previous one is read as after midnight
+};
+
+/**
+ * Codes of the problems reported on a stop
+ */
+const TIMELINE_WARNINGS = {
+    INVALID_TIME: 'invalid_time',
+    INVALID_DURATION: 'invalid_duration',
+    INVALID_TRANSIT_DURATION: 'invalid_transit_duration',
+    OUT_OF_ORDER: 'out_of_order',
+    OVERLAP: 'overlap',
+    INSUFFICIENT_TRANSIT: 'insufficient_transit'
+};
+
+const DURATION_UNITS = {
+    h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+    m: 1, min: 1, mins: 1, minute: 1, minutes: 1
+};
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Parses a free-text duration such as "2 hours", "1h 30m", "45 mins", "half an hour" or "1-2 hours"
+ * Ranges use their lower bound so that only stops that cannot possibly fit are flagged.
+ * @param {string} value - Duration text
+ * @returns {number|null} - Duration in minutes or null if the text holds no duration
+ */
+const parseDuration = (value) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const text = value
+        .toLowerCase()
+        .replace(/half an hour/g, '30 minutes')
+        .replace(/\ban? hour\b/g, '1 hour')
+        .replace(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*\d+(?:\.\d+)?/g, '$1');
+
+    let total = 0;
+    let matched = false;
+
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)(?![a-z])/g)) {
+        total += parseFloat(amount) * DURATION_UNITS[unit];
+        matched = true;
+    }
+
+    return matched ? Math.round(total) : null;
+};
+
+/**
+ * Rounds minutes up to the configured boundary
+ * @param {number} minutes - Minutes after midnight
+ * @returns {number} - Rounded minutes
+ */
+const roundUp = (minutes) => Math.ceil(minutes / TIMELINE_CONFIG.roundToMinutes) * TIMELINE_CONFIG.roundToMinutes;
+
+/**
+ * Creates a warning attached to a stop
+ * @param {string} code - One of TIMELINE_WARNINGS
+ * @param {string} message - Human-readable explanation
+ * @param {Object} details - Structured values behind the warning
+ * @returns {Object} - Warning ({ code, severity, message, details })
+ */
+const createWarning = (code, message, details = {}) => ({
+    code,
+    severity: [TIMELINE_WARNINGS.OVERLAP, TIMELINE_WARNINGS.OUT_OF_ORDER].includes(code) ? 'error' : 'warning',
+    message,
+    details
+});
+
+/**
+ * Logs the outcome of a plan check when it found problems
+ * @param {Object} summary - Result of checkPlanTimeline
+ */
+const logSummary = ({ warnings, shiftedCount }) => {
+    const warningCount = warnings.reduce((sum, stopWarnings) => sum + stopWarnings.length, 0);
+
+    if (warningCount > 0) {
+        console.warn(TAG, 'Timeline problems found:', {
+            warningCount,
+            codes: [...new Set(warnings.flat().map(warning => warning.code))],
+            shiftedCount
+        });
+    }
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Builds the timeline of a list of stops
+ * Start times after midnight are placed on the following day so late-night plans stay in order.
+ * @param {Array<Object>} locations - Itinerary stops in visiting order
+ * @returns {Array<Object>} - One entry per stop ({ index, start, end, travelMinutes }), null where unknown
+ */
+const buildTimeline = (locations) => {
+    let previousStart = null;
+
+    return locations.map((location, index) => {
+        let start = parseClockTime(location.time);
+
+        if (start !== null && previousStart !== null && previousStart - start > TIMELINE_CONFIG.overnightThresholdMinutes) {
+            start += 24 * 60;
+        }
+        if (start !== null) {
+            previousStart = start;
+        }
+
+        const duration = parseDuration(location.estimatedTime);
+
+        return {
+            index,
+            start,
+            duration,
+            end: start !== null && duration !== null ? start + duration : null,
+            travelMinutes: location.transitToNext ? parseDuration(location.transitToNext.duration) : 0
+        };
+    });
+};
+
+/**
+ * Checks the timing of a list of stops
+ * Every problem is attached to the stop where it shows up. With autoShift, a stop that starts before
+ * the previous stop (plus its travel leg) is over is moved to the earliest time it can start, and the
+ * following stops are checked against the shifted time.
+ * @param {Array<Object>} locations - Itinerary stops in visiting order (not modified)
+ * @param {Object} options - { autoShift }
+ * @returns {Object} - { locations, warnings, shiftedCount } where warnings is one array per stop
+ */
+const checkTimeline = (locations, options = {}) => {
+    const { autoShift = false } = options;
+    const timeline = buildTimeline(locations);
+    const warnings = locations.map(() => []);
+    const checked = locations.map(location => ({ ...location }));
+    let shiftedCount = 0;
+
+    timeline.forEach((entry, index) => {
+        const location = locations[index];
+
+        if (entry.start === null) {
+            warnings[index].push(createWarning(TIMELINE_WARNINGS.INVALID_TIME, `"${location.time}" is not a clock time`, { time: location.time ?? null }));
+        }
+        if (entry.duration === null) {
+            warnings[index].push(createWarning(TIMELINE_WARNINGS.INVALID_DURATION, `"${location.estimatedTime}" is not a duration`, { estimatedTime: location.estimatedTime ?? null }));
+        }
+        if (location.transitToNext && entry.travelMinutes === null) {
+            warnings[index].push(createWarning(TIMELINE_WARNINGS.INVALID_TRANSIT_DURATION, `"${location.transitToNext.duration}" is not a travel duration`, { duration: location.transitToNext.duration ?? null }));
+        }
+    });
+
+    for (let index = 1; index < timeline.length; index++) {
+        const previous = timeline[index - 1];
+        const current = timeline[index];
+
+        if (previous.start === null || current.start === null) {
+            continue;
+        }
+
+        const travelMinutes = previous.travelMinutes || 0;
+        const earliestStart = previous.end !== null ? previous.end + travelMinutes : previous.start;
+        let warning = null;
+
+        if (current.start < previous.start) {
+            warning = createWarning(TIMELINE_WARNINGS.OUT_OF_ORDER, `Starts before "${locations[index - 1].name}"`, {
+                previousStart: formatClockTime(previous.start),
+                start: formatClockTime(current.start)
+            });
+        } else if (previous.end !== null && current.start < previous.end) {
+            warning = createWarning(TIMELINE_WARNINGS.OVERLAP, `Starts ${previous.end - current.start} minutes before "${locations[index - 1].name}" ends`, {
+                previousEnd: formatClockTime(previous.end),
+                start: formatClockTime(current.start),
+                overlapMinutes: previous.end - current.start
+            });
+        } else if (previous.end !== null && current.start < earliestStart) {
+            warning = createWarning(TIMELINE_WARNINGS.INSUFFICIENT_TRANSIT, `Only ${current.start - previous.end} minutes to travel here, but the trip takes ${travelMinutes}`, {
+                gapMinutes: current.start - previous.end,
+                travelMinutes
+            });
+        }
+
+        if (!warning) {
+            continue;
+        }
+
+        if (autoShift) {
+            const shiftedStart = roundUp(earliestStart);
+            warning.details.shifted = { from: locations[index].time, to: formatClockTime(shiftedStart) };
+            checked[index].time = formatClockTime(shiftedStart);
+            current.start = shiftedStart;
+            current.end = current.duration !== null ? shiftedStart + current.duration : null;
+            shiftedCount++;
+        }
+
+        warnings[index].push(warning);
+    }
+
+    return { locations: checked, warnings, shiftedCount };
+};
+
+/**
+ * Checks the timing of a generated plan, one day at a time for multi-day plans
+ * @param {Object} plan - Plan result ({ locations } or { days })
+ * @param {Object} options - { autoShift }
+ * @returns {Object} - { plan, warnings, shiftedCount } where plan holds the (possibly shifted) stops and
+ *                     warnings is one array per stop of the flattened locations
+ */
+const checkPlanTimeline = (plan, options = {}) => {
+    if (Array.isArray(plan.days)) {
+        const results = plan.days.map(day => checkTimeline(day.locations || [], options));
+        const days = plan.days.map((day, index) => ({ ...day, locations: results[index].locations }));
+        const summary = {
+            plan: { ...plan, days, locations: flattenDays(days) },
+            warnings: results.flatMap(result => result.warnings),
+            shiftedCount: results.reduce((sum, result) => sum + result.shiftedCount, 0)
+        };
+        logSummary(summary);
+        return summary;
+    }
+
+    const result = checkTimeline(plan.locations || [], options);
+    const summary = { plan: { ...plan, locations: result.locations }, warnings: result.warnings, shiftedCount: result.shiftedCount };
+    logSummary(summary);
+    return summary;
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    parseDuration,
+    buildTimeline,
+    checkTimeline,
+    checkPlanTimeline,
+    TIMELINE_WARNINGS
+};
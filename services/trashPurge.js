@@ -0,0 +1,195 @@
+/**
+ * Trash Purge Service
+ *
+ * Permanently removes soft-deleted trips once their retention window has passed.
+ * Runs as an in-process scheduled job; every purge is recorded in audit_logs by hardDeleteTrip.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const { getExpiredDeletedTrips, hardDeleteTrip } = require('./database');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[TrashPurge]';
+const MAX_PURGE_INTERVAL_MINUTES = 24 * 60; // setInterval runs every 1 ms for delays above 2^31-1 ms (about 24.8 days)
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number} - Parsed value or the default
+ */
+const readPositiveNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Reads a positive whole number from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Default value
+ * @returns {number} - Parsed value or the default
+ */
+const readPositiveInteger = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const TRASH_CONFIG = {
+    retentionDays: readPositiveInteger(process.env.TRASH_RETENTION_DAYS, 30), // Whole days (make_interval takes an integer)
+    purgeIntervalMinutes: Math.min(readPositiveNumber(process.env.TRASH_PURGE_INTERVAL_MINUTES, 60), MAX_PURGE_INTERVAL_MINUTES),
+    batchSize: 100 // Trips purged per query, repeated until nothing has expired
+};
+
+// ========================================
+// STATE
+// ========================================
+let purgeTimer = null;
+let purgeInProgress = false;
+let lastRun = null;
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Permanently deletes every trip that has been in the trash longer than the retention window
+ * @returns {Promise<Object>} - Run summary ({ purged, failed, startedAt, finishedAt })
+ */
+const purgeExpiredTrips = async () => {
+    if (purgeInProgress) {
+        console.log(TAG, 'Purge already in progress, skipping this run');
+        return { skipped: true };
+    }
+
+    purgeInProgress = true;
+    const summary = { purged: 0, failed: 0, startedAt: new Date().toISOString(), finishedAt: null };
+
+    try {
+        const failedIds = new Set();
+
+        while (true) {
+            const expiredTrips = (await getExpiredDeletedTrips(TRASH_CONFIG.retentionDays, TRASH_CONFIG.batchSize + failedIds.size))
+                .filter(trip => !failedIds.has(trip.id));
+
+            if (expiredTrips.length === 0) {
+                break;
+            }
+
+            for (const trip of expiredTrips) {
+                try {
+                    const deleted = await hardDeleteTrip(trip.id, null, {
+                        userAgent: 'trash-purge',
+                        details: {
+                            reason: 'retention_expired',
+                            retentionDays: TRASH_CONFIG.retentionDays,
+                            deletedAt: trip.deletedAt
+                        }
+                    });
+
+                    if (deleted) {
+                        summary.purged++;
+                    }
+                } catch (error) {
+                    console.error(TAG, 'Failed to purge trip:', trip.id, error.message);
+                    failedIds.add(trip.id);
+                    summary.failed++;
+                }
+            }
+        }
+
+        if (summary.purged > 0 || summary.failed > 0) {
+            console.log(TAG, 'Purge completed:', summary);
+        }
+    } catch (error) {
+        console.error(TAG, 'Error purging expired trips:', error.message);
+        summary.error = error.message;
+    } finally {
+        summary.finishedAt = new Date().toISOString();
+        lastRun = summary;
+        purgeInProgress = false;
+    }
+
+    return summary;
+};
+
+/**
+ * Starts the scheduled purge job (runs once immediately, then on every interval)
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+const startTrashPurge = () => {
+    if (purgeTimer) {
+        return;
+    }
+
+    console.log(TAG, 'Scheduled purge started:', {
+        retentionDays: TRASH_CONFIG.retentionDays,
+        purgeIntervalMinutes: TRASH_CONFIG.purgeIntervalMinutes
+    });
+
+    purgeExpiredTrips();
+    purgeTimer = setInterval(purgeExpiredTrips, TRASH_CONFIG.purgeIntervalMinutes * 60 * 1000);
+    purgeTimer.unref();
+};
+
+/**
+ * Stops the scheduled purge job
+ */
+const stopTrashPurge = () => {
+    if (purgeTimer) {
+        clearInterval(purgeTimer);
+        purgeTimer = null;
+        console.log(TAG, 'Scheduled purge stopped');
+    }
+};
+
+/**
+ * Gets the purge date of a trip deleted at the given time
+ * @param {string|Date} deletedAt - Deletion timestamp
+ * @returns {string|null} - ISO timestamp after which the trip is purged
+ */
+const getPurgeDate = (deletedAt) => {
+    if (!deletedAt) {
+        return null;
+    }
+
+    return new Date(new Date(deletedAt).getTime() + TRASH_CONFIG.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Gets the trash retention window in days
+ * @returns {number} - Retention days
+ */
+const getRetentionDays = () => TRASH_CONFIG.retentionDays;
+
+/**
+ * Gets the purge job status
+ * @returns {Object} - Status information
+ */
+const getPurgeStatus = () => {
+    return {
+        scheduled: purgeTimer !== null,
+        running: purgeInProgress,
+        retentionDays: TRASH_CONFIG.retentionDays,
+        purgeIntervalMinutes: TRASH_CONFIG.purgeIntervalMinutes,
+        lastRun
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    purgeExpiredTrips,
+    startTrashPurge,
+    stopTrashPurge,
+    getPurgeDate,
+    getRetentionDays,
+    getPurgeStatus
+};
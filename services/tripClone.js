@@ -0,0 +1,287 @@
+/**
+ * Trip Clone Service
+ *
+ * Copies a trip into a new trip owned by the caller, for trip members and for share link holders alike.
+ * With a destination or filters the plan is regenerated for them, using the original itinerary as a
+ * template; otherwise the stored itinerary is copied as is.
+ *
+ * @author Rongbin Gu (@rongbin99)
+ */
+
+// ========================================
+// IMPORTS
+// ========================================
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const openaiService = require('./openai');
+const { createTrip, createTripMessage, getTripMessages, logAuditEvent, withTransaction } = require('./database');
+const { buildItinerary, toPlanPayload, getItineraryStructure } = require('./itinerary');
+const { validateTripLength, MAX_TRIP_DAYS } = require('./planSchema');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const TAG = '[TripClone]';
+
+// ========================================
+// VALIDATION SCHEMAS
+// ========================================
+
+/**
+ * Trip clone request schema
+ * A destination or filters regenerate the plan with the original's structure; otherwise the itinerary is copied.
+ */
+const tripCloneSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(255).optional(),
+    destination: Joi.string().trim().min(1).max(100).optional(),
+    filters: Joi.object({
+        timeOfDay: Joi.array().items(
+            Joi.string().valid('morning', 'afternoon', 'evening', 'allDay')
+        ).optional(),
+        environment: Joi.string().valid('indoor', 'outdoor', 'mixed').optional(),
+        planTransit: Joi.boolean().optional(),
+        groupSize: Joi.string().valid('solo', 'duo', 'group').optional(),
+        planFood: Joi.boolean().optional(),
+        priceRange: Joi.alternatives().try(
+            Joi.number().min(1).max(4),
+            Joi.string()
+        ).optional(),
+        specialOptions: Joi.array().items(
+            Joi.string().valid('adventure', 'casual', 'tourist', 'wander', 'date', 'family')
+        ).optional(),
+        days: Joi.number().integer().min(1).max(MAX_TRIP_DAYS).optional()
+            .messages({ 'number.max': `Trips can be planned for at most ${MAX_TRIP_DAYS} days` }),
+        dateRange: Joi.object({
+            start: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+            end: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+        }).optional()
+            .messages({ 'string.pattern.base': '{{#label}} must be a date like "2025-07-14"' })
+    }).min(1).optional().custom(validateTripLength)
+});
+
+// ========================================
+// HELPER FUNCTIONS
+// ========================================
+
+/**
+ * Builds the search data of a cloned trip from the original and the requested overrides
+ * The destination replaces the original location in the query (or is appended to it), and the original
+ * position is only kept when the destination stays the same and the caller owns the original.
+ * @param {Object} trip - Original trip
+ * @param {Object} overrides - Validated overrides ({ destination, filters })
+ * @param {boolean} keepLocation - Whether the caller may keep the original's position
+ * @returns {Object} - Search data for the clone
+ */
+const buildCloneSearchData = (trip, overrides, keepLocation) => {
+    const { destination, filters = {} } = overrides;
+    const { location, regenerationContext, templateContext, ...original } = trip.searchData;
+    let searchQuery = original.searchQuery;
+
+    if (destination) {
+        const escapedLocation = String(trip.location || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const locationPattern = escapedLocation ? new RegExp(escapedLocation, 'i') : null;
+        searchQuery = locationPattern && locationPattern.test(searchQuery)
+            ? searchQuery.replace(locationPattern, destination)
+            : `${searchQuery} in ${destination}`;
+    }
+
+    // A new trip length replaces the original one, whichever way it was given
+    const mergedFilters = { ...original.filters, ...filters };
+    if (filters.days) {
+        delete mergedFilters.dateRange;
+    } else if (filters.dateRange) {
+        delete mergedFilters.days;
+    }
+
+    return {
+        ...original,
+        ...(!destination && keepLocation && location && { location }),
+        searchQuery,
+        filters: mergedFilters,
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * Builds the search data of a copied trip, leaving out the original's position unless the caller owns it
+ * @param {Object} trip - Original trip
+ * @param {boolean} keepLocation - Whether the caller may keep the original's position
+ * @returns {Object|null} - Search data for the copy
+ */
+const copySearchData = (trip, keepLocation) => {
+    if (!trip.searchData || keepLocation) {
+        return trip.searchData;
+    }
+
+    const { location, ...searchData } = trip.searchData;
+    return searchData;
+};
+
+/**
+ * Gets the request a trip was originally planned from (its first stored message)
+ * Trips planned before conversations were stored fall back to their search query.
+ * @param {Object} trip - Original trip
+ * @returns {Promise<string>} - Original request
+ */
+const getOriginalRequest = async (trip) => {
+    const { messages } = await getTripMessages(trip.id, { limit: 1, sortOrder: 'asc' });
+    const firstMessage = messages[0];
+
+    return firstMessage?.role === 'user' ? firstMessage.content : (trip.searchData?.searchQuery || trip.title);
+};
+
+// ========================================
+// MAIN SERVICE FUNCTIONS
+// ========================================
+
+/**
+ * Explains why a trip cannot be cloned with the given overrides
+ * @param {Object} trip - Original trip
+ * @param {Object} overrides - Validated overrides ({ destination, filters })
+ * @returns {Object|null} - { status, error, message } or null when the trip can be cloned
+ */
+const getCloneConflict = (trip, overrides) => {
+    if (!trip.itinerary) {
+        return { status: 409, error: 'Conflict', message: 'This trip has no stored itinerary to clone' };
+    }
+
+    if ((overrides.destination || overrides.filters) && !trip.searchData) {
+        console.warn(TAG, 'Trip has no search data to regenerate from:', trip.id);
+        return {
+            status: 422,
+            error: 'Unprocessable Entity',
+            message: 'This trip has no saved search data and can only be cloned without overrides'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Clones a trip for the caller and records the clone in the audit log
+ * The clone starts its own conversation (the request it was planned from and its plan), so it can be refined.
+ * @param {Object} trip - Original trip
+ * @param {Object} overrides - Validated overrides ({ title, destination, filters })
+ * @param {Object} options - Clone options
+ * @param {string|null} options.userId - Owner of the clone
+ * @param {boolean} options.keepLocation - Whether the original's position is copied (only for its owner)
+ * @param {Object} options.auditData - Request audit data ({ ipAddress, userAgent })
+ * @param {Object} options.auditDetails - Extra details stored with the audit event
+ * @returns {Promise<Object>} - { clone, itinerary, aiResult, regenerated }
+ * @throws {Error} - PlanGenerationError if the plan has to be regenerated and the AI fails
+ */
+const cloneTrip = async (trip, overrides, options = {}) => {
+    const { userId = null, keepLocation = false, auditData = {}, auditDetails = {} } = options;
+    const regenerated = Boolean(overrides.destination || overrides.filters);
+
+    let searchData = copySearchData(trip, keepLocation);
+    let itinerary = trip.itinerary;
+    let aiResult = null;
+    let userMessage = null;
+
+    if (regenerated) {
+        // Regenerate the plan for the overrides, using the original itinerary as a template
+        searchData = buildCloneSearchData(trip, overrides, keepLocation);
+        userMessage = overrides.destination
+            ? `Recreate this plan in ${overrides.destination}`
+            : 'Recreate this plan with my updated preferences';
+
+        aiResult = await openaiService.generateTripPlan({
+            ...searchData,
+            templateContext: {
+                originalChatId: trip.id,
+                originalQuery: trip.searchData.searchQuery,
+                originalCity: trip.itinerary.city,
+                stops: getItineraryStructure(trip.itinerary)
+            }
+        }, userMessage);
+        itinerary = buildItinerary(aiResult);
+    }
+
+    const firstMessage = userMessage || await getOriginalRequest(trip);
+    const clone = await withTransaction(async (client) => {
+        const created = await createTrip({
+            id: uuidv4(),
+            title: overrides.title || (regenerated ? searchData.searchQuery : trip.title),
+            location: overrides.destination || trip.location,
+            searchData,
+            itinerary,
+            userId,
+            clonedFrom: trip.id
+        }, client);
+        await createTripMessage({ tripId: created.id, userId, role: 'user', content: firstMessage }, client);
+        await createTripMessage({
+            tripId: created.id,
+            role: 'assistant',
+            content: itinerary.summary,
+            plan: toPlanPayload(itinerary),
+            metadata: itinerary.metadata
+        }, client);
+        return created;
+    });
+
+    // Log the clone for audit purposes
+    await logAuditEvent({
+        entityType: 'trip',
+        entityId: clone.id,
+        action: 'clone',
+        userId,
+        oldData: null,
+        newData: {
+            clonedFrom: trip.id,
+            regenerated,
+            overrides: { destination: overrides.destination || null, filters: overrides.filters || null },
+            ...auditDetails
+        },
+        ipAddress: auditData.ipAddress,
+        userAgent: auditData.userAgent
+    });
+
+    console.log(TAG, 'Trip cloned:', { originalId: trip.id, cloneId: clone.id, regenerated });
+    return { clone, itinerary, aiResult, regenerated };
+};
+
+/**
+ * Builds the response body of a clone request
+ * @param {Object} trip - Original trip
+ * @param {Object} result - Result of cloneTrip
+ * @param {number} startTime - Time the request started (ms)
+ * @returns {Object} - Response body
+ */
+const buildCloneResponse = (trip, result, startTime) => {
+    const { clone, itinerary, aiResult, regenerated } = result;
+
+    return {
+        success: true,
+        message: 'Trip cloned successfully',
+        chatId: clone.id,
+        trip: clone,
+        clonedFrom: { id: trip.id, title: trip.title },
+        regenerated,
+        metadata: {
+            totalTime: Date.now() - startTime,
+            ...(aiResult && {
+                processingTime: aiResult.processingTime,
+                aiModel: aiResult.model,
+                aiSource: aiResult.source,
+                tokenUsage: aiResult.usage,
+                attempts: aiResult.attempts,
+                repairedFields: aiResult.repairedFields || []
+            }),
+            locationCount: itinerary.locations?.length || 0,
+            timestamp: new Date().toISOString()
+        }
+    };
+};
+
+// ========================================
+// EXPORTS
+// ========================================
+
+module.exports = {
+    cloneTrip,
+    getCloneConflict,
+    buildCloneResponse,
+    buildCloneSearchData,
+    tripCloneSchema
+};
@@ -55,7 +55,9 @@ const UNSPLASH_CONFIG = {
         per_page: 1,
         orientation: 'landscape',
         content_filter: 'high'
-    }
+    },
+    downloadTimeoutMs: 5000, // Exports are still rendered without the image if the download is slower
+    downloadHosts: ['images.unsplash.com'] // Image bytes are only downloaded from the Unsplash CDN
 };
 
 /**
@@ -305,6 +307,35 @@ const addImagesToTrips = async (trips) => {
     }
 };
 
+/**
+ * Downloads the bytes of an image returned by getLocationImageDirect (for embedding it in a PDF)
+ * @param {Object} image - Image data with the url to download
+ * @returns {Promise<Buffer|null>} - JPEG or PNG bytes, or null if the image cannot be used
+ */
+const downloadImage = async (image) => {
+    try {
+        const url = new URL(image?.url || '');
+
+        if (url.protocol !== 'https:' || !UNSPLASH_CONFIG.downloadHosts.includes(url.hostname)) {
+            console.warn(TAG, 'Refusing to download image from:', url.hostname);
+            return null;
+        }
+
+        const response = await fetch(url, { signal: AbortSignal.timeout(UNSPLASH_CONFIG.downloadTimeoutMs) });
+        const contentType = response.headers.get('content-type') || '';
+
+        if (!response.ok || !/image\/(jpeg|png)/.test(contentType)) {
+            console.warn(TAG, 'Image not usable:', { status: response.status, contentType });
+            return null;
+        }
+
+        return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+        console.warn(TAG, 'Image download failed:', error.message);
+        return null;
+    }
+};
+
 /**
  * Tests Unsplash API connectivity
  * @returns {Promise<Object>} - Connection test result
@@ -395,6 +426,7 @@ initializeUnsplash();
 module.exports = {
     getLocationImageDirect,
     addImagesToTrips,
+    downloadImage,
     testConnection,
     getServiceStatus,
     clearCache,